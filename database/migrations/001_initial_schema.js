@@ -0,0 +1,476 @@
+/**
+ * Migration 001: Initial transcript schema
+ *
+ * Tables, views and stored procedures that previously lived in
+ * database/schema.sql. Uses IF NOT EXISTS / OR REPLACE so databases that were
+ * created from that script can be adopted without data loss. The SQLite
+ * variant backs the embedded storage adapter.
+ */
+
+const mysql = {
+  up: [
+    // Call Transcripts Table (Main transcript record for each call)
+    `
+      CREATE TABLE IF NOT EXISTS call_transcripts (
+          id VARCHAR(36) PRIMARY KEY,
+          call_sid VARCHAR(100) NOT NULL UNIQUE,
+          caller_number VARCHAR(50),
+          destination_number VARCHAR(50),
+          start_time DATETIME NOT NULL,
+          answer_time DATETIME,
+          end_time DATETIME,
+          duration INT UNSIGNED, -- Duration in seconds
+          hangup_cause VARCHAR(50),
+          total_segments INT UNSIGNED DEFAULT 0,
+          languages VARCHAR(100), -- Comma-separated list of detected languages
+          status ENUM('active', 'completed', 'failed') DEFAULT 'active',
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+          INDEX idx_call_sid (call_sid),
+          INDEX idx_start_time (start_time),
+          INDEX idx_status (status),
+          INDEX idx_caller_number (caller_number),
+          INDEX idx_created_at (created_at)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `,
+
+    // Transcript Segments Table (Individual speech segments)
+    `
+      CREATE TABLE IF NOT EXISTS transcript_segments (
+          id VARCHAR(36) PRIMARY KEY,
+          call_transcript_id VARCHAR(36),
+          call_sid VARCHAR(100) NOT NULL,
+          segment_type ENUM('tts', 'stt', 'stt_batch', 'audio', 'system') NOT NULL,
+          text TEXT NOT NULL,
+          speaker ENUM('caller', 'agent', 'system') NOT NULL,
+          start_time DATETIME NOT NULL,
+          end_time DATETIME,
+          confidence DECIMAL(3,2) DEFAULT 0.80, -- 0.00 to 1.00
+          language VARCHAR(10) DEFAULT 'bn-BD',
+          vendor VARCHAR(50), -- google, elevenlabs, system, etc.
+          source_type VARCHAR(50), -- tts_generated, stt_realtime, stt_batch, etc.
+          metadata JSON, -- Additional metadata (voice, model, etc.)
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+
+          FOREIGN KEY (call_transcript_id) REFERENCES call_transcripts(id) ON DELETE CASCADE,
+          INDEX idx_call_sid (call_sid),
+          INDEX idx_call_transcript_id (call_transcript_id),
+          INDEX idx_segment_type (segment_type),
+          INDEX idx_speaker (speaker),
+          INDEX idx_start_time (start_time),
+          INDEX idx_source_type (source_type),
+          INDEX idx_language (language),
+          INDEX idx_created_at (created_at),
+          FULLTEXT idx_text_search (text)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `,
+
+    // Audio Events Table (Audio file playback events)
+    `
+      CREATE TABLE IF NOT EXISTS audio_events (
+          id VARCHAR(36) PRIMARY KEY,
+          call_sid VARCHAR(100) NOT NULL,
+          event_type ENUM('audio_start', 'audio_complete', 'recording_start', 'recording_complete') NOT NULL,
+          file_path TEXT,
+          file_name VARCHAR(255),
+          duration DECIMAL(10,3), -- Duration in seconds with millisecond precision
+          timestamp DATETIME NOT NULL,
+          metadata JSON,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+
+          INDEX idx_call_sid (call_sid),
+          INDEX idx_event_type (event_type),
+          INDEX idx_timestamp (timestamp),
+          INDEX idx_created_at (created_at)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `,
+
+    // Transcript Jobs Table (Background job tracking)
+    `
+      CREATE TABLE IF NOT EXISTS transcript_jobs (
+          id VARCHAR(36) PRIMARY KEY,
+          call_sid VARCHAR(100) NOT NULL,
+          job_type ENUM('tts_processing', 'stt_processing', 'batch_stt', 'call_complete') NOT NULL,
+          status ENUM('pending', 'processing', 'completed', 'failed') DEFAULT 'pending',
+          priority INT DEFAULT 5,
+          attempts INT DEFAULT 0,
+          max_attempts INT DEFAULT 3,
+          error_message TEXT,
+          job_data JSON,
+          started_at DATETIME,
+          completed_at DATETIME,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+
+          INDEX idx_call_sid (call_sid),
+          INDEX idx_job_type (job_type),
+          INDEX idx_status (status),
+          INDEX idx_priority (priority),
+          INDEX idx_created_at (created_at)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `,
+
+    // Performance Metrics Table (System performance tracking)
+    `
+      CREATE TABLE IF NOT EXISTS performance_metrics (
+          id INT AUTO_INCREMENT PRIMARY KEY,
+          metric_type VARCHAR(50) NOT NULL,
+          metric_name VARCHAR(100) NOT NULL,
+          metric_value DECIMAL(15,6),
+          metric_unit VARCHAR(20),
+          timestamp DATETIME NOT NULL,
+          metadata JSON,
+
+          INDEX idx_metric_type (metric_type),
+          INDEX idx_metric_name (metric_name),
+          INDEX idx_timestamp (timestamp)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `,
+
+    // System Health Table (Service health monitoring)
+    `
+      CREATE TABLE IF NOT EXISTS system_health (
+          id INT AUTO_INCREMENT PRIMARY KEY,
+          service_name VARCHAR(50) NOT NULL,
+          status ENUM('healthy', 'degraded', 'unhealthy') NOT NULL,
+          response_time_ms INT,
+          error_count INT DEFAULT 0,
+          last_error TEXT,
+          metadata JSON,
+          checked_at DATETIME NOT NULL,
+
+          INDEX idx_service_name (service_name),
+          INDEX idx_status (status),
+          INDEX idx_checked_at (checked_at)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `,
+
+    // Views for common queries
+    `
+      CREATE OR REPLACE VIEW v_recent_transcripts AS
+      SELECT
+          ct.id,
+          ct.call_sid,
+          ct.caller_number,
+          ct.destination_number,
+          ct.start_time,
+          ct.end_time,
+          ct.duration,
+          ct.total_segments,
+          ct.status,
+          COUNT(ts.id) as actual_segments,
+          GROUP_CONCAT(DISTINCT ts.language) as detected_languages,
+          GROUP_CONCAT(DISTINCT ts.speaker) as speakers
+      FROM call_transcripts ct
+      LEFT JOIN transcript_segments ts ON ct.id = ts.call_transcript_id
+      WHERE ct.created_at >= DATE_SUB(NOW(), INTERVAL 24 HOUR)
+      GROUP BY ct.id
+      ORDER BY ct.start_time DESC
+    `,
+
+    `
+      CREATE OR REPLACE VIEW v_transcript_summary AS
+      SELECT
+          ct.call_sid,
+          ct.caller_number,
+          ct.start_time,
+          ct.duration,
+          GROUP_CONCAT(
+              CONCAT(ts.speaker, ': ', SUBSTRING(ts.text, 1, 100))
+              ORDER BY ts.start_time
+              SEPARATOR '\\n'
+          ) as conversation_preview
+      FROM call_transcripts ct
+      JOIN transcript_segments ts ON ct.id = ts.call_transcript_id
+      GROUP BY ct.id
+      ORDER BY ct.start_time DESC
+    `,
+
+    // Stored procedures (no DELIMITER needed: each statement is sent on its own)
+    'DROP PROCEDURE IF EXISTS GetCallTranscript',
+    `
+      CREATE PROCEDURE GetCallTranscript(IN p_call_sid VARCHAR(100))
+      BEGIN
+          SELECT
+              ts.speaker,
+              ts.text,
+              ts.start_time,
+              ts.confidence,
+              ts.source_type,
+              ts.language
+          FROM transcript_segments ts
+          JOIN call_transcripts ct ON ts.call_transcript_id = ct.id
+          WHERE ct.call_sid = p_call_sid
+          ORDER BY ts.start_time ASC;
+      END
+    `,
+
+    'DROP PROCEDURE IF EXISTS SearchTranscripts',
+    `
+      CREATE PROCEDURE SearchTranscripts(
+          IN p_search_text TEXT,
+          IN p_start_date DATETIME,
+          IN p_end_date DATETIME,
+          IN p_limit INT
+      )
+      BEGIN
+          SELECT DISTINCT
+              ct.call_sid,
+              ct.caller_number,
+              ct.start_time,
+              ct.duration,
+              ts.text,
+              ts.speaker,
+              MATCH(ts.text) AGAINST(p_search_text IN NATURAL LANGUAGE MODE) as relevance
+          FROM call_transcripts ct
+          JOIN transcript_segments ts ON ct.id = ts.call_transcript_id
+          WHERE MATCH(ts.text) AGAINST(p_search_text IN NATURAL LANGUAGE MODE)
+          AND ct.start_time BETWEEN p_start_date AND p_end_date
+          ORDER BY relevance DESC, ct.start_time DESC
+          LIMIT p_limit;
+      END
+    `,
+
+    // Initial system health record
+    `
+      INSERT INTO system_health (service_name, status, checked_at)
+      SELECT 'transcript-listener', 'healthy', NOW()
+      FROM DUAL
+      WHERE NOT EXISTS (
+          SELECT 1 FROM system_health WHERE service_name = 'transcript-listener'
+      )
+    `
+  ],
+
+  down: [
+    'DROP PROCEDURE IF EXISTS SearchTranscripts',
+    'DROP PROCEDURE IF EXISTS GetCallTranscript',
+    'DROP VIEW IF EXISTS v_transcript_summary',
+    'DROP VIEW IF EXISTS v_recent_transcripts',
+    'DROP TABLE IF EXISTS system_health',
+    'DROP TABLE IF EXISTS performance_metrics',
+    'DROP TABLE IF EXISTS transcript_jobs',
+    'DROP TABLE IF EXISTS audio_events',
+    'DROP TABLE IF EXISTS transcript_segments',
+    'DROP TABLE IF EXISTS call_transcripts'
+  ]
+};
+
+// SQLite keeps timestamps as ISO-8601 UTC text so they sort and compare
+// lexically. Enum columns are plain TEXT; MySQL remains the source of truth
+// for allowed values.
+const sqlite = {
+  up: [
+    `
+      CREATE TABLE IF NOT EXISTS call_transcripts (
+          id TEXT PRIMARY KEY,
+          call_sid TEXT NOT NULL UNIQUE,
+          caller_number TEXT,
+          destination_number TEXT,
+          start_time TEXT NOT NULL,
+          answer_time TEXT,
+          end_time TEXT,
+          duration INTEGER,
+          hangup_cause TEXT,
+          total_segments INTEGER DEFAULT 0,
+          languages TEXT,
+          status TEXT DEFAULT 'active',
+          created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+          updated_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+      )
+    `,
+    'CREATE INDEX IF NOT EXISTS idx_call_transcripts_start_time ON call_transcripts (start_time)',
+    'CREATE INDEX IF NOT EXISTS idx_call_transcripts_status ON call_transcripts (status)',
+    'CREATE INDEX IF NOT EXISTS idx_call_transcripts_caller_number ON call_transcripts (caller_number)',
+    'CREATE INDEX IF NOT EXISTS idx_call_transcripts_created_at ON call_transcripts (created_at)',
+    `
+      CREATE TRIGGER IF NOT EXISTS trg_call_transcripts_updated_at
+      AFTER UPDATE ON call_transcripts
+      BEGIN
+          UPDATE call_transcripts
+          SET updated_at = strftime('%Y-%m-%dT%H:%M:%fZ', 'now')
+          WHERE id = NEW.id;
+      END
+    `,
+
+    `
+      CREATE TABLE IF NOT EXISTS transcript_segments (
+          id TEXT PRIMARY KEY,
+          call_transcript_id TEXT REFERENCES call_transcripts(id) ON DELETE CASCADE,
+          call_sid TEXT NOT NULL,
+          segment_type TEXT NOT NULL,
+          text TEXT NOT NULL,
+          speaker TEXT NOT NULL,
+          start_time TEXT NOT NULL,
+          end_time TEXT,
+          confidence REAL DEFAULT 0.80,
+          language TEXT DEFAULT 'bn-BD',
+          vendor TEXT,
+          source_type TEXT,
+          metadata TEXT,
+          created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+      )
+    `,
+    'CREATE INDEX IF NOT EXISTS idx_transcript_segments_call_sid ON transcript_segments (call_sid)',
+    'CREATE INDEX IF NOT EXISTS idx_transcript_segments_call_transcript_id ON transcript_segments (call_transcript_id)',
+    'CREATE INDEX IF NOT EXISTS idx_transcript_segments_start_time ON transcript_segments (start_time)',
+    'CREATE INDEX IF NOT EXISTS idx_transcript_segments_source_type ON transcript_segments (source_type)',
+
+    // Full-text index over segment text. Mark categories (M*) are token
+    // characters so Bengali vowel signs don't split words apart.
+    `
+      CREATE VIRTUAL TABLE IF NOT EXISTS transcript_segments_fts USING fts5(
+          text,
+          content = 'transcript_segments',
+          content_rowid = 'rowid',
+          tokenize = "unicode61 categories 'L* N* Co M*'"
+      )
+    `,
+    `
+      CREATE TRIGGER IF NOT EXISTS trg_transcript_segments_fts_insert
+      AFTER INSERT ON transcript_segments
+      BEGIN
+          INSERT INTO transcript_segments_fts (rowid, text) VALUES (NEW.rowid, NEW.text);
+      END
+    `,
+    `
+      CREATE TRIGGER IF NOT EXISTS trg_transcript_segments_fts_delete
+      AFTER DELETE ON transcript_segments
+      BEGIN
+          INSERT INTO transcript_segments_fts (transcript_segments_fts, rowid, text)
+          VALUES ('delete', OLD.rowid, OLD.text);
+      END
+    `,
+    `
+      CREATE TRIGGER IF NOT EXISTS trg_transcript_segments_fts_update
+      AFTER UPDATE OF text ON transcript_segments
+      BEGIN
+          INSERT INTO transcript_segments_fts (transcript_segments_fts, rowid, text)
+          VALUES ('delete', OLD.rowid, OLD.text);
+          INSERT INTO transcript_segments_fts (rowid, text) VALUES (NEW.rowid, NEW.text);
+      END
+    `,
+
+    `
+      CREATE TABLE IF NOT EXISTS audio_events (
+          id TEXT PRIMARY KEY,
+          call_sid TEXT NOT NULL,
+          event_type TEXT NOT NULL,
+          file_path TEXT,
+          file_name TEXT,
+          duration REAL,
+          timestamp TEXT NOT NULL,
+          metadata TEXT,
+          created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+      )
+    `,
+    'CREATE INDEX IF NOT EXISTS idx_audio_events_call_sid ON audio_events (call_sid)',
+
+    `
+      CREATE TABLE IF NOT EXISTS transcript_jobs (
+          id TEXT PRIMARY KEY,
+          call_sid TEXT NOT NULL,
+          job_type TEXT NOT NULL,
+          status TEXT DEFAULT 'pending',
+          priority INTEGER DEFAULT 5,
+          attempts INTEGER DEFAULT 0,
+          max_attempts INTEGER DEFAULT 3,
+          error_message TEXT,
+          job_data TEXT,
+          started_at TEXT,
+          completed_at TEXT,
+          created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+      )
+    `,
+    'CREATE INDEX IF NOT EXISTS idx_transcript_jobs_call_sid ON transcript_jobs (call_sid)',
+
+    `
+      CREATE TABLE IF NOT EXISTS performance_metrics (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          metric_type TEXT NOT NULL,
+          metric_name TEXT NOT NULL,
+          metric_value REAL,
+          metric_unit TEXT,
+          timestamp TEXT NOT NULL,
+          metadata TEXT
+      )
+    `,
+    'CREATE INDEX IF NOT EXISTS idx_performance_metrics_timestamp ON performance_metrics (timestamp)',
+
+    `
+      CREATE TABLE IF NOT EXISTS system_health (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          service_name TEXT NOT NULL,
+          status TEXT NOT NULL,
+          response_time_ms INTEGER,
+          error_count INTEGER DEFAULT 0,
+          last_error TEXT,
+          metadata TEXT,
+          checked_at TEXT NOT NULL
+      )
+    `,
+    'CREATE INDEX IF NOT EXISTS idx_system_health_service_name ON system_health (service_name)',
+
+    `
+      CREATE VIEW IF NOT EXISTS v_recent_transcripts AS
+      SELECT
+          ct.id,
+          ct.call_sid,
+          ct.caller_number,
+          ct.destination_number,
+          ct.start_time,
+          ct.end_time,
+          ct.duration,
+          ct.total_segments,
+          ct.status,
+          COUNT(ts.id) as actual_segments,
+          GROUP_CONCAT(DISTINCT ts.language) as detected_languages,
+          GROUP_CONCAT(DISTINCT ts.speaker) as speakers
+      FROM call_transcripts ct
+      LEFT JOIN transcript_segments ts ON ct.id = ts.call_transcript_id
+      WHERE ct.created_at >= strftime('%Y-%m-%dT%H:%M:%fZ', 'now', '-24 hours')
+      GROUP BY ct.id
+      ORDER BY ct.start_time DESC
+    `,
+
+    `
+      CREATE VIEW IF NOT EXISTS v_transcript_summary AS
+      SELECT
+          ct.call_sid,
+          ct.caller_number,
+          ct.start_time,
+          ct.duration,
+          GROUP_CONCAT(
+              ts.speaker || ': ' || SUBSTR(ts.text, 1, 100),
+              char(10)
+              ORDER BY ts.start_time
+          ) as conversation_preview
+      FROM call_transcripts ct
+      JOIN transcript_segments ts ON ct.id = ts.call_transcript_id
+      GROUP BY ct.id
+      ORDER BY ct.start_time DESC
+    `,
+
+    `
+      INSERT INTO system_health (service_name, status, checked_at)
+      SELECT 'transcript-listener', 'healthy', strftime('%Y-%m-%dT%H:%M:%fZ', 'now')
+      WHERE NOT EXISTS (
+          SELECT 1 FROM system_health WHERE service_name = 'transcript-listener'
+      )
+    `
+  ],
+
+  down: [
+    'DROP VIEW IF EXISTS v_transcript_summary',
+    'DROP VIEW IF EXISTS v_recent_transcripts',
+    'DROP TABLE IF EXISTS system_health',
+    'DROP TABLE IF EXISTS performance_metrics',
+    'DROP TABLE IF EXISTS transcript_jobs',
+    'DROP TABLE IF EXISTS audio_events',
+    'DROP TABLE IF EXISTS transcript_segments_fts',
+    'DROP TABLE IF EXISTS transcript_segments',
+    'DROP TABLE IF EXISTS call_transcripts'
+  ]
+};
+
+module.exports = { mysql, sqlite };
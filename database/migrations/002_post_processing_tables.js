@@ -0,0 +1,106 @@
+/**
+ * Migration 002: Post-processing tables
+ *
+ * Adds the tables written by PostProcessingService.saveTranscription:
+ * one `transcripts` row per batch transcription run and its word-level
+ * timing in `word_timestamps`.
+ */
+
+const mysql = {
+  up: [
+    // Transcripts Table (One row per real-time or post-processed transcription run)
+    `
+      CREATE TABLE IF NOT EXISTS transcripts (
+          id VARCHAR(36) PRIMARY KEY,
+          call_transcript_id VARCHAR(36),
+          call_sid VARCHAR(100) NOT NULL,
+          transcript_type ENUM('real_time', 'post_processed') NOT NULL,
+          language VARCHAR(10),
+          duration DECIMAL(10,3), -- Recording duration in seconds
+          average_confidence DECIMAL(3,2),
+          segment_count INT UNSIGNED DEFAULT 0,
+          processing_method VARCHAR(50), -- google_batch, etc.
+          metadata JSON,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+
+          FOREIGN KEY (call_transcript_id) REFERENCES call_transcripts(id) ON DELETE SET NULL,
+          INDEX idx_call_sid (call_sid),
+          INDEX idx_call_transcript_id (call_transcript_id),
+          INDEX idx_transcript_type (transcript_type),
+          INDEX idx_created_at (created_at)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `,
+
+    // Word Timestamps Table (Word-level timing from batch STT)
+    `
+      CREATE TABLE IF NOT EXISTS word_timestamps (
+          id VARCHAR(36) PRIMARY KEY,
+          transcript_id VARCHAR(36) NOT NULL,
+          segment_id VARCHAR(36),
+          call_sid VARCHAR(100) NOT NULL,
+          word VARCHAR(255) NOT NULL,
+          speaker VARCHAR(20),
+          start_time DECIMAL(10,3) NOT NULL, -- Offset in seconds from recording start
+          end_time DECIMAL(10,3) NOT NULL,
+          confidence DECIMAL(3,2),
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+
+          FOREIGN KEY (transcript_id) REFERENCES transcripts(id) ON DELETE CASCADE,
+          INDEX idx_transcript_id (transcript_id),
+          INDEX idx_segment_id (segment_id),
+          INDEX idx_call_sid (call_sid),
+          INDEX idx_start_time (start_time)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `
+  ],
+
+  down: [
+    'DROP TABLE IF EXISTS word_timestamps',
+    'DROP TABLE IF EXISTS transcripts'
+  ]
+};
+
+const sqlite = {
+  up: [
+    `
+      CREATE TABLE IF NOT EXISTS transcripts (
+          id TEXT PRIMARY KEY,
+          call_transcript_id TEXT REFERENCES call_transcripts(id) ON DELETE SET NULL,
+          call_sid TEXT NOT NULL,
+          transcript_type TEXT NOT NULL,
+          language TEXT,
+          duration REAL,
+          average_confidence REAL,
+          segment_count INTEGER DEFAULT 0,
+          processing_method TEXT,
+          metadata TEXT,
+          created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+      )
+    `,
+    'CREATE INDEX IF NOT EXISTS idx_transcripts_call_sid ON transcripts (call_sid)',
+
+    `
+      CREATE TABLE IF NOT EXISTS word_timestamps (
+          id TEXT PRIMARY KEY,
+          transcript_id TEXT NOT NULL REFERENCES transcripts(id) ON DELETE CASCADE,
+          segment_id TEXT,
+          call_sid TEXT NOT NULL,
+          word TEXT NOT NULL,
+          speaker TEXT,
+          start_time REAL NOT NULL,
+          end_time REAL NOT NULL,
+          confidence REAL,
+          created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+      )
+    `,
+    'CREATE INDEX IF NOT EXISTS idx_word_timestamps_transcript_id ON word_timestamps (transcript_id)',
+    'CREATE INDEX IF NOT EXISTS idx_word_timestamps_call_sid ON word_timestamps (call_sid)'
+  ],
+
+  down: [
+    'DROP TABLE IF EXISTS word_timestamps',
+    'DROP TABLE IF EXISTS transcripts'
+  ]
+};
+
+module.exports = { mysql, sqlite };
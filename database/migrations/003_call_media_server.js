@@ -0,0 +1,29 @@
+/**
+ * Migration 003: Media server per call
+ *
+ * Records which FreeSWITCH node (FREESWITCH_NODES) a call was received from.
+ */
+
+const mysql = {
+  up: [
+    'ALTER TABLE call_transcripts ADD COLUMN media_server VARCHAR(100) NULL AFTER destination_number',
+    'CREATE INDEX idx_media_server ON call_transcripts (media_server)'
+  ],
+  down: [
+    'DROP INDEX idx_media_server ON call_transcripts',
+    'ALTER TABLE call_transcripts DROP COLUMN media_server'
+  ]
+};
+
+const sqlite = {
+  up: [
+    'ALTER TABLE call_transcripts ADD COLUMN media_server TEXT',
+    'CREATE INDEX IF NOT EXISTS idx_call_transcripts_media_server ON call_transcripts (media_server)'
+  ],
+  down: [
+    'DROP INDEX IF EXISTS idx_call_transcripts_media_server',
+    'ALTER TABLE call_transcripts DROP COLUMN media_server'
+  ]
+};
+
+module.exports = { mysql, sqlite };
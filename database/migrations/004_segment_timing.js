@@ -0,0 +1,41 @@
+/**
+ * Migration 004: Prompt timing and barge-in
+ *
+ * TTS segments get their real duration once the prompt completes and are
+ * flagged when the caller interrupted them (speech or DTMF). Calls keep the
+ * number of interrupted prompts.
+ */
+
+const mysql = {
+  up: [
+    `ALTER TABLE transcript_segments
+       ADD COLUMN duration_ms INT UNSIGNED NULL AFTER end_time,
+       ADD COLUMN interrupted TINYINT(1) NOT NULL DEFAULT 0 AFTER duration_ms,
+       ADD COLUMN barge_in_type VARCHAR(10) NULL AFTER interrupted`,
+    'ALTER TABLE call_transcripts ADD COLUMN barge_in_count INT UNSIGNED NOT NULL DEFAULT 0 AFTER total_segments'
+  ],
+  down: [
+    'ALTER TABLE call_transcripts DROP COLUMN barge_in_count',
+    `ALTER TABLE transcript_segments
+       DROP COLUMN barge_in_type,
+       DROP COLUMN interrupted,
+       DROP COLUMN duration_ms`
+  ]
+};
+
+const sqlite = {
+  up: [
+    'ALTER TABLE transcript_segments ADD COLUMN duration_ms INTEGER',
+    'ALTER TABLE transcript_segments ADD COLUMN interrupted INTEGER NOT NULL DEFAULT 0',
+    'ALTER TABLE transcript_segments ADD COLUMN barge_in_type TEXT',
+    'ALTER TABLE call_transcripts ADD COLUMN barge_in_count INTEGER NOT NULL DEFAULT 0'
+  ],
+  down: [
+    'ALTER TABLE call_transcripts DROP COLUMN barge_in_count',
+    'ALTER TABLE transcript_segments DROP COLUMN barge_in_type',
+    'ALTER TABLE transcript_segments DROP COLUMN interrupted',
+    'ALTER TABLE transcript_segments DROP COLUMN duration_ms'
+  ]
+};
+
+module.exports = { mysql, sqlite };
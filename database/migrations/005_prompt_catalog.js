@@ -0,0 +1,60 @@
+/**
+ * Migration 005: Prompt catalog
+ *
+ * Known text of pre-recorded prompts, so audio playbacks can be added to the
+ * transcript. Each entry matches playback file paths exactly, by glob or by
+ * regular expression (see lib/PromptCatalog.js).
+ */
+
+const mysql = {
+  up: [
+    `
+      CREATE TABLE IF NOT EXISTS prompt_catalog (
+          id VARCHAR(36) PRIMARY KEY,
+          pattern VARCHAR(500) NOT NULL,
+          match_type ENUM('exact', 'glob', 'regex') NOT NULL DEFAULT 'exact',
+          text TEXT NOT NULL,
+          language VARCHAR(10) DEFAULT 'bn-BD',
+          description VARCHAR(255),
+          priority INT NOT NULL DEFAULT 0, -- Higher wins when several patterns match
+          enabled TINYINT(1) NOT NULL DEFAULT 1,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+          UNIQUE KEY uniq_pattern (match_type, pattern(255)),
+          INDEX idx_enabled (enabled)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `
+  ],
+
+  down: [
+    'DROP TABLE IF EXISTS prompt_catalog'
+  ]
+};
+
+const sqlite = {
+  up: [
+    `
+      CREATE TABLE IF NOT EXISTS prompt_catalog (
+          id TEXT PRIMARY KEY,
+          pattern TEXT NOT NULL,
+          match_type TEXT NOT NULL DEFAULT 'exact' CHECK (match_type IN ('exact', 'glob', 'regex')),
+          text TEXT NOT NULL,
+          language TEXT DEFAULT 'bn-BD',
+          description TEXT,
+          priority INTEGER NOT NULL DEFAULT 0,
+          enabled INTEGER NOT NULL DEFAULT 1,
+          created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+          updated_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+          UNIQUE (match_type, pattern)
+      )
+    `,
+    'CREATE INDEX IF NOT EXISTS idx_prompt_catalog_enabled ON prompt_catalog (enabled)'
+  ],
+
+  down: [
+    'DROP TABLE IF EXISTS prompt_catalog'
+  ]
+};
+
+module.exports = { mysql, sqlite };
@@ -0,0 +1,27 @@
+/**
+ * Migration 006: DTMF segments
+ *
+ * Key presses are stored as caller segments of type 'dtmf', one per grouped
+ * input. SQLite stores segment_type as plain TEXT, so only MySQL changes.
+ */
+
+const mysql = {
+  up: [
+    `ALTER TABLE transcript_segments
+       MODIFY COLUMN segment_type ENUM('tts', 'stt', 'stt_batch', 'audio', 'system', 'dtmf') NOT NULL`
+  ],
+  down: [
+    "DELETE FROM transcript_segments WHERE segment_type = 'dtmf'",
+    `ALTER TABLE transcript_segments
+       MODIFY COLUMN segment_type ENUM('tts', 'stt', 'stt_batch', 'audio', 'system') NOT NULL`
+  ]
+};
+
+const sqlite = {
+  up: [],
+  down: [
+    "DELETE FROM transcript_segments WHERE segment_type = 'dtmf'"
+  ]
+};
+
+module.exports = { mysql, sqlite };
@@ -0,0 +1,42 @@
+/**
+ * Migration 007: Conversations across call legs
+ *
+ * The legs of a bridged or transferred call are separate call_transcripts
+ * rows linked by conversation_id (the call SID of the first leg). leg_role
+ * keeps who each leg was (a_leg, b_leg, transfer) and parent_call_sid the leg
+ * it was linked to.
+ */
+
+const mysql = {
+  up: [
+    `ALTER TABLE call_transcripts
+       ADD COLUMN conversation_id VARCHAR(100) NULL AFTER call_sid,
+       ADD COLUMN leg_role VARCHAR(20) NULL AFTER conversation_id,
+       ADD COLUMN parent_call_sid VARCHAR(100) NULL AFTER leg_role`,
+    'CREATE INDEX idx_conversation_id ON call_transcripts (conversation_id)'
+  ],
+  down: [
+    'DROP INDEX idx_conversation_id ON call_transcripts',
+    `ALTER TABLE call_transcripts
+       DROP COLUMN parent_call_sid,
+       DROP COLUMN leg_role,
+       DROP COLUMN conversation_id`
+  ]
+};
+
+const sqlite = {
+  up: [
+    'ALTER TABLE call_transcripts ADD COLUMN conversation_id TEXT',
+    'ALTER TABLE call_transcripts ADD COLUMN leg_role TEXT',
+    'ALTER TABLE call_transcripts ADD COLUMN parent_call_sid TEXT',
+    'CREATE INDEX IF NOT EXISTS idx_call_transcripts_conversation_id ON call_transcripts (conversation_id)'
+  ],
+  down: [
+    'DROP INDEX IF EXISTS idx_call_transcripts_conversation_id',
+    'ALTER TABLE call_transcripts DROP COLUMN parent_call_sid',
+    'ALTER TABLE call_transcripts DROP COLUMN leg_role',
+    'ALTER TABLE call_transcripts DROP COLUMN conversation_id'
+  ]
+};
+
+module.exports = { mysql, sqlite };
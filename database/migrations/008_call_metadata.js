@@ -0,0 +1,59 @@
+/**
+ * Migration 008: Call metadata
+ *
+ * Channel variables and headers captured per CALL_METADATA_FIELDS (account,
+ * application, campaign, direction, ...) are kept as a JSON object on the
+ * call. v_recent_transcripts exposes them so listings can be filtered.
+ */
+
+// v_recent_transcripts as created by 001, with or without the metadata column
+const recentTranscriptsView = (createdSince, withMetadata) => `
+      SELECT
+          ct.id,
+          ct.call_sid,
+          ct.caller_number,
+          ct.destination_number,
+          ct.start_time,
+          ct.end_time,
+          ct.duration,
+          ct.total_segments,
+          ct.status,${withMetadata ? `
+          ct.metadata,` : ''}
+          COUNT(ts.id) as actual_segments,
+          GROUP_CONCAT(DISTINCT ts.language) as detected_languages,
+          GROUP_CONCAT(DISTINCT ts.speaker) as speakers
+      FROM call_transcripts ct
+      LEFT JOIN transcript_segments ts ON ct.id = ts.call_transcript_id
+      WHERE ct.created_at >= ${createdSince}
+      GROUP BY ct.id
+      ORDER BY ct.start_time DESC
+    `;
+
+const MYSQL_SINCE = 'DATE_SUB(NOW(), INTERVAL 24 HOUR)';
+const SQLITE_SINCE = "strftime('%Y-%m-%dT%H:%M:%fZ', 'now', '-24 hours')";
+
+const mysql = {
+  up: [
+    'ALTER TABLE call_transcripts ADD COLUMN metadata JSON NULL AFTER status',
+    `CREATE OR REPLACE VIEW v_recent_transcripts AS ${recentTranscriptsView(MYSQL_SINCE, true)}`
+  ],
+  down: [
+    `CREATE OR REPLACE VIEW v_recent_transcripts AS ${recentTranscriptsView(MYSQL_SINCE, false)}`,
+    'ALTER TABLE call_transcripts DROP COLUMN metadata'
+  ]
+};
+
+const sqlite = {
+  up: [
+    'ALTER TABLE call_transcripts ADD COLUMN metadata TEXT',
+    'DROP VIEW IF EXISTS v_recent_transcripts',
+    `CREATE VIEW v_recent_transcripts AS ${recentTranscriptsView(SQLITE_SINCE, true)}`
+  ],
+  down: [
+    'DROP VIEW IF EXISTS v_recent_transcripts',
+    `CREATE VIEW v_recent_transcripts AS ${recentTranscriptsView(SQLITE_SINCE, false)}`,
+    'ALTER TABLE call_transcripts DROP COLUMN metadata'
+  ]
+};
+
+module.exports = { mysql, sqlite };
@@ -0,0 +1,26 @@
+/**
+ * Migration 009: Code-mixed segments
+ *
+ * Segments whose text mixes languages (Bengali with English, Banglish, ...)
+ * are flagged; metadata.languages lists the languages found.
+ */
+
+const mysql = {
+  up: [
+    'ALTER TABLE transcript_segments ADD COLUMN mixed_language TINYINT(1) NOT NULL DEFAULT 0 AFTER language'
+  ],
+  down: [
+    'ALTER TABLE transcript_segments DROP COLUMN mixed_language'
+  ]
+};
+
+const sqlite = {
+  up: [
+    'ALTER TABLE transcript_segments ADD COLUMN mixed_language INTEGER NOT NULL DEFAULT 0'
+  ],
+  down: [
+    'ALTER TABLE transcript_segments DROP COLUMN mixed_language'
+  ]
+};
+
+module.exports = { mysql, sqlite };
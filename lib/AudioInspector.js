@@ -0,0 +1,274 @@
+/**
+ * Audio Inspector
+ *
+ * Reads the container header of a recording, so batch STT requests describe
+ * the audio as it is instead of assuming 8 kHz LINEAR16:
+ * - RIFF/WAV (and RF64)  fmt chunk: PCM, IEEE float, A-law, μ-law (plain or
+ *                        WAVE_FORMAT_EXTENSIBLE); data chunk offset and size
+ * - MP3                  first MPEG audio frame after any ID3v2 tag; frame
+ *                        count from a Xing/Info or VBRI header, else the
+ *                        duration is estimated from the bitrate
+ *
+ * inspect() resolves with
+ *   { container, codec, sampleRate, channels, bitsPerSample, bitrate,
+ *     duration, dataOffset, dataBytes }
+ * or null when the file is neither; a WAV file without a data chunk is
+ * rejected. codec is one of pcm_u8, pcm_s16le,
+ * pcm_s24le, pcm_s32le, pcm_f32le, pcm_alaw, pcm_mulaw, mp1, mp2, mp3, or
+ * wav_0x<format tag> for other WAV codecs. Recordings still being written
+ * (FreeSWITCH leaves the sizes at 0) are measured by the file size.
+ */
+
+const fs = require('fs').promises;
+
+const WAV_FORMATS = {
+  0x0001: 'pcm',
+  0x0003: 'pcm_f',
+  0x0006: 'pcm_alaw',
+  0x0007: 'pcm_mulaw'
+};
+
+const WAVE_FORMAT_EXTENSIBLE = 0xFFFE;
+
+// MPEG audio frame header tables, indexed by version (1, 2, 2.5) and layer
+const MPEG_SAMPLE_RATES = {
+  1: [44100, 48000, 32000],
+  2: [22050, 24000, 16000],
+  2.5: [11025, 12000, 8000]
+};
+
+const MPEG_BITRATES = {
+  V1L1: [0, 32, 64, 96, 128, 160, 192, 224, 256, 288, 320, 352, 384, 416, 448],
+  V1L2: [0, 32, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320, 384],
+  V1L3: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+  V2L1: [0, 32, 48, 56, 64, 80, 96, 112, 128, 144, 160, 176, 192, 224, 256],
+  V2L23: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160]
+};
+
+// How much of an MP3 is searched for the first frame, after the ID3v2 tag
+const MP3_SCAN_BYTES = 64 * 1024;
+
+class AudioInspector {
+  static async inspect(filePath) {
+    const handle = await fs.open(filePath, 'r');
+
+    try {
+      const { size } = await handle.stat();
+      const read = async (position, length) => {
+        const buffer = Buffer.alloc(Math.max(0, Math.min(length, size - position)));
+        const { bytesRead } = await handle.read(buffer, 0, buffer.length, position);
+        return buffer.subarray(0, bytesRead);
+      };
+
+      const head = await read(0, 12);
+      const magic = head.toString('latin1', 0, 4);
+
+      if ((magic === 'RIFF' || magic === 'RF64') && head.toString('latin1', 8, 12) === 'WAVE') {
+        return await this.inspectWav(read, size);
+      }
+
+      return await this.inspectMp3(read, size);
+
+    } finally {
+      await handle.close();
+    }
+  }
+
+  static async inspectWav(read, size) {
+    let format = null;
+    let dataOffset = null;
+    let dataBytes = null;
+    let rf64DataBytes = null;
+
+    for (let offset = 12; offset + 8 <= size;) {
+      const header = await read(offset, 8);
+      const id = header.toString('latin1', 0, 4);
+      const chunkSize = header.readUInt32LE(4);
+
+      if (id === 'ds64') {
+        const ds64 = await read(offset + 8, 16);
+        if (ds64.length === 16) rf64DataBytes = Number(ds64.readBigUInt64LE(8));
+      } else if (id === 'fmt ') {
+        format = this.parseWavFormat(await read(offset + 8, Math.min(chunkSize, 40)));
+      } else if (id === 'data') {
+        dataOffset = offset + 8;
+        const remaining = size - dataOffset;
+        const declared = chunkSize === 0xFFFFFFFF && rf64DataBytes !== null ? rf64DataBytes : chunkSize;
+        // 0 or oversized: the recorder has not finalized the header yet
+        dataBytes = declared > 0 && declared <= remaining ? declared : remaining;
+        break;
+      }
+
+      // Chunks are word aligned
+      offset += 8 + chunkSize + (chunkSize % 2);
+    }
+
+    if (!format) return null;
+
+    // Without samples there is nothing to transcribe or describe
+    if (dataOffset === null) {
+      throw new Error('Malformed WAV file: fmt chunk without a data chunk');
+    }
+
+    const byteRate = format.sampleRate * format.blockAlign;
+
+    return {
+      container: 'wav',
+      codec: format.codec,
+      sampleRate: format.sampleRate,
+      channels: format.channels,
+      bitsPerSample: format.bitsPerSample,
+      bitrate: byteRate * 8,
+      duration: byteRate > 0 ? dataBytes / byteRate : null,
+      dataOffset,
+      dataBytes
+    };
+  }
+
+  static parseWavFormat(fmt) {
+    if (fmt.length < 16) return null;
+
+    let formatTag = fmt.readUInt16LE(0);
+    const bitsPerSample = fmt.readUInt16LE(14);
+
+    // The sub-format GUID starts with the actual format tag
+    if (formatTag === WAVE_FORMAT_EXTENSIBLE && fmt.length >= 26) {
+      formatTag = fmt.readUInt16LE(24);
+    }
+
+    let codec = WAV_FORMATS[formatTag] || `wav_0x${formatTag.toString(16).padStart(4, '0')}`;
+    if (codec === 'pcm') {
+      codec = bitsPerSample === 8 ? 'pcm_u8' : `pcm_s${bitsPerSample}le`;
+    } else if (codec === 'pcm_f') {
+      codec = `pcm_f${bitsPerSample}le`;
+    }
+
+    return {
+      codec,
+      channels: fmt.readUInt16LE(2),
+      sampleRate: fmt.readUInt32LE(4),
+      blockAlign: fmt.readUInt16LE(12) || Math.ceil(bitsPerSample / 8) * fmt.readUInt16LE(2),
+      bitsPerSample
+    };
+  }
+
+  static async inspectMp3(read, size) {
+    let start = 0;
+
+    // ID3v2 tag: 10 byte header, synchsafe size, optional 10 byte footer
+    const id3 = await read(0, 10);
+    if (id3.length === 10 && id3.toString('latin1', 0, 3) === 'ID3') {
+      const tagSize = ((id3[6] & 0x7F) << 21) | ((id3[7] & 0x7F) << 14) | ((id3[8] & 0x7F) << 7) | (id3[9] & 0x7F);
+      start = 10 + tagSize + (id3[5] & 0x10 ? 10 : 0);
+    }
+
+    const buffer = await read(start, MP3_SCAN_BYTES);
+
+    for (let index = 0; index + 4 <= buffer.length; index++) {
+      const frame = this.parseMpegFrame(buffer, index);
+      if (!frame) continue;
+
+      // A real frame is followed by another one (unless it is the last)
+      const next = index + frame.frameBytes;
+      if (next + 4 <= buffer.length && !this.parseMpegFrame(buffer, next)) continue;
+
+      const frameOffset = start + index;
+      const frames = this.vbrFrameCount(buffer.subarray(index), frame);
+      const audioBytes = size - frameOffset;
+
+      return {
+        container: 'mp3',
+        codec: `mp${frame.layer}`,
+        sampleRate: frame.sampleRate,
+        channels: frame.channels,
+        bitsPerSample: null,
+        bitrate: frames
+          ? Math.round((audioBytes * 8) / (frames * frame.samplesPerFrame / frame.sampleRate))
+          : frame.bitrate,
+        duration: frames
+          ? frames * frame.samplesPerFrame / frame.sampleRate
+          : (audioBytes * 8) / frame.bitrate,
+        dataOffset: frameOffset,
+        dataBytes: audioBytes
+      };
+    }
+
+    return null;
+  }
+
+  static parseMpegFrame(buffer, index) {
+    if (buffer[index] !== 0xFF || (buffer[index + 1] & 0xE0) !== 0xE0) return null;
+
+    const versionBits = (buffer[index + 1] >> 3) & 0x03;
+    const layerBits = (buffer[index + 1] >> 1) & 0x03;
+    const bitrateIndex = buffer[index + 2] >> 4;
+    const sampleRateIndex = (buffer[index + 2] >> 2) & 0x03;
+    const padding = (buffer[index + 2] >> 1) & 0x01;
+    const channelMode = buffer[index + 3] >> 6;
+
+    // Reserved values, and free-format bitrate (whose frames can't be sized)
+    if (versionBits === 1 || layerBits === 0 || bitrateIndex === 0 || bitrateIndex === 15 || sampleRateIndex === 3) {
+      return null;
+    }
+
+    const version = { 0: 2.5, 2: 2, 3: 1 }[versionBits];
+    const layer = 4 - layerBits;
+    const table = version === 1 ? `V1L${layer}` : (layer === 1 ? 'V2L1' : 'V2L23');
+    const bitrate = MPEG_BITRATES[table][bitrateIndex] * 1000;
+    const sampleRate = MPEG_SAMPLE_RATES[version][sampleRateIndex];
+    const samplesPerFrame = layer === 1 ? 384 : (layer === 3 && version !== 1 ? 576 : 1152);
+
+    const frameBytes = layer === 1
+      ? (Math.floor((12 * bitrate) / sampleRate) + padding) * 4
+      : Math.floor((samplesPerFrame / 8) * bitrate / sampleRate) + padding;
+
+    return {
+      version,
+      layer,
+      bitrate,
+      sampleRate,
+      channels: channelMode === 3 ? 1 : 2,
+      samplesPerFrame,
+      frameBytes
+    };
+  }
+
+  // Frame count of a VBR header in the first frame, or null
+  static vbrFrameCount(frameBuffer, frame) {
+    // Xing/Info follows the side information of the first frame
+    const sideInfo = frame.version === 1
+      ? (frame.channels === 1 ? 17 : 32)
+      : (frame.channels === 1 ? 9 : 17);
+    const xing = 4 + sideInfo;
+    const tag = frameBuffer.toString('latin1', xing, xing + 4);
+
+    if ((tag === 'Xing' || tag === 'Info') && frameBuffer.length >= xing + 12) {
+      const flags = frameBuffer.readUInt32BE(xing + 4);
+      return flags & 0x01 ? frameBuffer.readUInt32BE(xing + 8) || null : null;
+    }
+
+    // VBRI (Fraunhofer) sits 32 bytes after the frame header
+    if (frameBuffer.toString('latin1', 36, 40) === 'VBRI' && frameBuffer.length >= 54) {
+      return frameBuffer.readUInt32BE(50) || null;
+    }
+
+    return null;
+  }
+
+  // Stored form of an inspection (recording metadata)
+  static summary(info) {
+    if (!info) return null;
+
+    return {
+      container: info.container,
+      codec: info.codec,
+      sample_rate: info.sampleRate,
+      channels: info.channels,
+      bits_per_sample: info.bitsPerSample,
+      bitrate: info.bitrate,
+      duration: info.duration === null ? null : Math.round(info.duration * 1000) / 1000
+    };
+  }
+}
+
+module.exports = AudioInspector;
@@ -0,0 +1,69 @@
+/**
+ * Call Metadata Mapper
+ *
+ * Copies ESL headers and channel variables into named call metadata fields,
+ * which are stored with the call (call_transcripts.metadata) and can be used
+ * as filters by the listing and search APIs.
+ *
+ * CALL_METADATA_FIELDS="name=source[|fallback...],..." e.g.
+ *   account_sid=account_sid,direction=Call-Direction,campaign_id=sip_h_X-Campaign-Id
+ * A source is an event header (Call-Direction) or a channel variable, with or
+ * without its "variable_" prefix. The first source present wins. Without the
+ * setting the Jambonz account, application and direction are captured; an
+ * empty setting captures nothing.
+ */
+
+const DEFAULT_FIELDS = [
+  'account_sid=account_sid|sip_h_X-Account-Sid',
+  'application_sid=application_sid|sip_h_X-Application-Sid',
+  'direction=direction|Call-Direction'
+].join(',');
+
+// Metadata field names double as JSON paths in filters
+const FIELD_NAME = /^[A-Za-z0-9_]+$/;
+
+class CallMetadataMapper {
+  constructor(fields = CallMetadataMapper.parseFields()) {
+    this.fields = fields;
+  }
+
+  static parseFields(setting = process.env.CALL_METADATA_FIELDS ?? DEFAULT_FIELDS) {
+    return setting.split(',').map(entry => entry.trim()).filter(Boolean).map(entry => {
+      const [name, sources] = entry.split('=').map(part => part && part.trim());
+      if (!CallMetadataMapper.isFieldName(name) || !sources) {
+        throw new Error(`Invalid CALL_METADATA_FIELDS entry "${entry}" (expected name=source[|source...])`);
+      }
+
+      return { name, sources: sources.split('|').map(source => source.trim()).filter(Boolean) };
+    });
+  }
+
+  static isFieldName(name) {
+    return FIELD_NAME.test(name || '');
+  }
+
+  get fieldNames() {
+    return this.fields.map(field => field.name);
+  }
+
+  // Fields found on the event that `existing` doesn't have yet
+  capture(event, existing = {}) {
+    const captured = {};
+
+    this.fields.forEach(({ name, sources }) => {
+      if (existing[name] !== undefined) return;
+
+      for (const source of sources) {
+        const value = event.getHeader(source) ?? event.getHeader(`variable_${source}`);
+        if (value !== undefined && value !== null && String(value).trim() !== '') {
+          captured[name] = String(value).trim();
+          return;
+        }
+      }
+    });
+
+    return captured;
+  }
+}
+
+module.exports = CallMetadataMapper;
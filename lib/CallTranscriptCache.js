@@ -0,0 +1,146 @@
+/**
+ * Call Transcript Cache
+ *
+ * Redis-backed cache of the TTS/STT events of calls in progress. Every
+ * listener instance writes to the same per-call list, so the instance that
+ * sees the hangup can assemble the whole conversation, and a restart mid-call
+ * does not lose what was cached before it.
+ *
+ * Keys (prefixed with REDIS_KEY_PREFIX):
+ * - calls:active        set of call SIDs with cached events
+ * - call:<sid>:events   list of JSON-encoded events, in arrival order
+ *
+ * Lists are never truncated. They expire CALL_CACHE_TTL seconds after the
+ * last event, which clears calls whose hangup was never seen; their SIDs are
+ * dropped from calls:active when the active calls are counted. The set itself
+ * expires CALL_CACHE_TTL seconds after the last event of any call.
+ */
+
+const { createClient } = require('redis');
+
+class CallTranscriptCache {
+  constructor(logger, redisConfig, options = {}) {
+    this.logger = logger;
+    this.redisConfig = redisConfig;
+
+    this.keyPrefix = options.keyPrefix || process.env.REDIS_KEY_PREFIX || 'transcript-listener:';
+    this.ttl = options.ttl || parseInt(process.env.CALL_CACHE_TTL) || 86400;
+
+    this.client = null;
+    this.lastError = null;
+  }
+
+  async initialize() {
+    this.client = createClient({
+      socket: {
+        host: this.redisConfig.host,
+        port: this.redisConfig.port
+      },
+      password: this.redisConfig.password,
+      database: this.redisConfig.db,
+      // Fail commands while Redis is down instead of holding them until it
+      // is back, so callers fall back right away
+      disableOfflineQueue: true
+    });
+
+    this.client.on('ready', () => {
+      this.lastError = null;
+      this.logger.info('✅ Call transcript cache connected to Redis');
+    });
+
+    // The client reconnects on its own; log each outage once
+    this.client.on('error', (error) => {
+      if (this.lastError !== error.message) {
+        this.lastError = error.message;
+        this.logger.error('❌ Call transcript cache Redis error:', error);
+      }
+    });
+
+    // Startup does not wait for Redis; commands issued before the
+    // connection is up fail like those of an outage
+    this.client.connect().catch(() => {});
+  }
+
+  // Transactions bypass the client's disableOfflineQueue check, so they are
+  // refused here while Redis is down
+  multi() {
+    if (!this.client.isReady) {
+      throw new Error('Call transcript cache is not connected to Redis');
+    }
+    return this.client.multi();
+  }
+
+  activeCallsKey() {
+    return `${this.keyPrefix}calls:active`;
+  }
+
+  eventsKey(callSid) {
+    return `${this.keyPrefix}call:${callSid}:events`;
+  }
+
+  async addEvent(callSid, eventData) {
+    const key = this.eventsKey(callSid);
+
+    await this.multi()
+      .rPush(key, JSON.stringify({ ...eventData, cached_at: Date.now() }))
+      .expire(key, this.ttl)
+      .sAdd(this.activeCallsKey(), callSid)
+      .expire(this.activeCallsKey(), this.ttl)
+      .exec();
+  }
+
+  async getEvents(callSid) {
+    const events = await this.client.lRange(this.eventsKey(callSid), 0, -1);
+    return events.map(event => JSON.parse(event));
+  }
+
+  // Read and remove a call's events in one step, so only one instance
+  // finalizes the call
+  async takeEvents(callSid) {
+    const [events] = await this.multi()
+      .lRange(this.eventsKey(callSid), 0, -1)
+      .del(this.eventsKey(callSid))
+      .sRem(this.activeCallsKey(), callSid)
+      .exec();
+
+    return events.map(event => JSON.parse(event));
+  }
+
+  // Calls whose event list still exists; SIDs of expired lists are removed.
+  // A call that gets an event while being removed is added back by it.
+  async getActiveCallCount() {
+    const callSids = await this.client.sMembers(this.activeCallsKey());
+    if (callSids.length === 0) return 0;
+
+    const multi = this.multi();
+    callSids.forEach(callSid => multi.exists(this.eventsKey(callSid)));
+    const exists = await multi.exec();
+
+    const stale = callSids.filter((callSid, index) => !exists[index]);
+    if (stale.length > 0) {
+      await this.client.sRem(this.activeCallsKey(), stale);
+      this.logger.debug(`🧹 Removed ${stale.length} expired calls from the active call set`);
+    }
+
+    return callSids.length - stale.length;
+  }
+
+  isConnected() {
+    return !!this.client && this.client.isReady;
+  }
+
+  async close() {
+    if (this.client) {
+      // quit() waits for pending replies; without a connection there are none
+      if (this.client.isReady) {
+        await this.client.quit();
+      } else if (this.client.isOpen) {
+        await this.client.disconnect();
+      }
+      this.client = null;
+      this.logger.info('✅ Call transcript cache closed');
+    }
+  }
+}
+
+module.exports = CallTranscriptCache;
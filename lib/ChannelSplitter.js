@@ -0,0 +1,112 @@
+/**
+ * Channel Splitter
+ *
+ * Splits a multi-channel WAV recording into one mono WAV file per channel, so
+ * each side of a stereo call recording (FreeSWITCH RECORD_STEREO: the caller
+ * on the left channel, the bot on the right) can be transcribed on its own.
+ * Works on the AudioInspector result of the recording; PCM, float, A-law and
+ * μ-law samples are copied as they are.
+ *
+ * The recording is streamed and every channel file is written in the same
+ * pass. split() resolves with [{ channel, filePath }], channels numbered from 1.
+ */
+
+const fs = require('fs').promises;
+const { createReadStream } = require('fs');
+const path = require('path');
+
+// WAV format tag written for each splittable codec
+const FORMAT_TAGS = {
+  pcm_u8: 0x0001,
+  pcm_s16le: 0x0001,
+  pcm_s24le: 0x0001,
+  pcm_s32le: 0x0001,
+  pcm_f32le: 0x0003,
+  pcm_alaw: 0x0006,
+  pcm_mulaw: 0x0007
+};
+
+class ChannelSplitter {
+  static canSplit(audio) {
+    return !!audio && audio.container === 'wav' && audio.channels > 1 && FORMAT_TAGS[audio.codec] !== undefined;
+  }
+
+  static async split(filePath, audio, outputDir) {
+    if (!this.canSplit(audio)) {
+      throw new Error(`Cannot split ${audio ? `${audio.container}/${audio.codec}` : 'unrecognized'} audio by channel`);
+    }
+
+    const sampleBytes = audio.bitsPerSample / 8;
+    const frameBytes = sampleBytes * audio.channels;
+    const frames = Math.floor(audio.dataBytes / frameBytes);
+    const header = this.wavHeader(FORMAT_TAGS[audio.codec], audio.sampleRate, audio.bitsPerSample, frames * sampleBytes);
+
+    const channels = [];
+    const outputs = [];
+    try {
+      for (let channel = 0; channel < audio.channels; channel++) {
+        const channelPath = path.join(outputDir, `channel-${channel + 1}.wav`);
+        const output = await fs.open(channelPath, 'w');
+        outputs.push(output);
+        await output.write(header);
+
+        channels.push({ channel: channel + 1, filePath: channelPath });
+      }
+
+      if (frames > 0) {
+        // Stream the whole frames of the data chunk; a frame split between
+        // two reads is carried over to the next one
+        const input = createReadStream(filePath, {
+          start: audio.dataOffset,
+          end: audio.dataOffset + frames * frameBytes - 1
+        });
+        let carry = null;
+
+        for await (const chunk of input) {
+          const data = carry ? Buffer.concat([carry, chunk]) : chunk;
+          const chunkFrames = Math.floor(data.length / frameBytes);
+          const samples = outputs.map(() => Buffer.allocUnsafe(chunkFrames * sampleBytes));
+
+          for (let frame = 0; frame < chunkFrames; frame++) {
+            const start = frame * frameBytes;
+            for (let channel = 0; channel < audio.channels; channel++) {
+              const sampleStart = start + channel * sampleBytes;
+              data.copy(samples[channel], frame * sampleBytes, sampleStart, sampleStart + sampleBytes);
+            }
+          }
+
+          carry = data.length > chunkFrames * frameBytes ? data.subarray(chunkFrames * frameBytes) : null;
+          await Promise.all(outputs.map((output, channel) => output.write(samples[channel])));
+        }
+      }
+    } finally {
+      await Promise.all(outputs.map(output => output.close()));
+    }
+
+    return channels;
+  }
+
+  // 44 byte RIFF header of a mono WAV file
+  static wavHeader(formatTag, sampleRate, bitsPerSample, dataBytes) {
+    const header = Buffer.alloc(44);
+    const blockAlign = bitsPerSample / 8;
+
+    header.write('RIFF', 0, 'latin1');
+    header.writeUInt32LE(36 + dataBytes, 4);
+    header.write('WAVE', 8, 'latin1');
+    header.write('fmt ', 12, 'latin1');
+    header.writeUInt32LE(16, 16);
+    header.writeUInt16LE(formatTag, 20);
+    header.writeUInt16LE(1, 22);
+    header.writeUInt32LE(sampleRate, 24);
+    header.writeUInt32LE(sampleRate * blockAlign, 28);
+    header.writeUInt16LE(blockAlign, 32);
+    header.writeUInt16LE(bitsPerSample, 34);
+    header.write('data', 36, 'latin1');
+    header.writeUInt32LE(dataBytes, 40);
+
+    return header;
+  }
+}
+
+module.exports = ChannelSplitter;
@@ -1,46 +1,39 @@
 /**
  * Database Manager
- * 
+ *
  * Manages database connections and operations for transcript storage
- * Uses connection pooling for optimal performance
+ * Delegates to a pluggable storage backend selected by DB_DRIVER:
+ * - mysql  (default) connection-pooled MySQL
+ * - sqlite embedded database for development and integration tests
  */
 
-const mysql = require('mysql2/promise');
-const { v4: uuidv4 } = require('uuid');
+const { createStorage } = require('./storage');
+const MigrationRunner = require('./MigrationRunner');
 
 class DatabaseManager {
   constructor(logger) {
     this.logger = logger;
-    this.pool = null;
-    this.isConnected = false;
+    this.storage = null;
+    this.connected = false;
   }
 
   async initialize() {
     try {
       this.logger.info('🔄 Initializing Database Manager...');
 
-      // Create connection pool
-      this.pool = mysql.createPool({
-        host: process.env.DB_HOST || 'localhost',
-        port: parseInt(process.env.DB_PORT) || 3306,
-        user: process.env.DB_USER || 'transcript_user',
-        password: process.env.DB_PASSWORD !== undefined ? process.env.DB_PASSWORD : 'transcript_password_2024!',
-        database: process.env.DB_NAME || 'voiceerp_transcripts',
-        connectionLimit: parseInt(process.env.DB_CONNECTION_LIMIT) || 10,
-        queueLimit: 0,
-        charset: 'utf8mb4',
-        timezone: '+00:00',
-        // MySQL2 specific options
-        waitForConnections: true,
-        idleTimeout: 300000,
-        enableKeepAlive: true,
-        keepAliveInitialDelay: 0
-      });
+      this.storage = createStorage(process.env.DB_DRIVER, this.logger);
+      await this.storage.connect();
+      this.logger.info(`🗄️ Storage backend: ${this.storage.dialect}`);
 
       // Test connection
-      await this.testConnection();
-      
-      this.isConnected = true;
+      const reachable = await this.testConnection();
+
+      // Bring the schema up to date (needs DDL privileges for DB_USER)
+      if (reachable && (process.env.DB_AUTO_MIGRATE === 'true' || this.storage.dialect === 'sqlite')) {
+        await this.runMigrations();
+      }
+
+      this.connected = reachable;
       this.logger.info('✅ Database Manager initialized');
 
     } catch (error) {
@@ -51,393 +44,228 @@ class DatabaseManager {
 
   async testConnection() {
     try {
-      const connection = await this.pool.getConnection();
-      await connection.ping();
-      connection.release();
+      await this.storage.ping();
       this.logger.info('✅ Database connection test successful');
+      return true;
     } catch (error) {
       this.logger.error('❌ Database connection test failed:', error);
       // For now, don't throw error to allow service to start without DB
       this.logger.warn('⚠️ Continuing without database - transcript storage disabled');
+      return false;
     }
   }
 
-  // Call Transcript Operations
-  async insertCallTranscript(callTranscript) {
-    try {
-      // For now, just log the transcript data instead of inserting
-      this.logger.info(`📝 TRANSCRIPT LOG: Call ${callTranscript.call_sid}`, {
-        caller: callTranscript.caller_number,
-        duration: callTranscript.duration,
-        segments: callTranscript.total_segments
-      });
-      return { insertId: 'mock-id', affectedRows: 1 };
+  // Schema Migrations
+  async runMigrations() {
+    return new MigrationRunner(this.logger, this.storage).migrate();
+  }
 
-    } catch (error) {
-      this.logger.error('❌ Failed to insert call transcript:', error);
-      throw error;
-    }
+  async rollbackMigrations(steps = 1) {
+    return new MigrationRunner(this.logger, this.storage).rollback(steps);
   }
 
-  async getCallTranscript(callSid) {
-    try {
-      const query = `
-        SELECT * FROM call_transcripts 
-        WHERE call_sid = ?
-      `;
+  async getMigrationStatus() {
+    return new MigrationRunner(this.logger, this.storage).status();
+  }
 
-      const [rows] = await this.pool.execute(query, [callSid]);
-      return rows[0] || null;
+  // Call Transcript Operations
+  async insertCallTranscript(callTranscript) {
+    return this.storage.insertCallTranscript(callTranscript);
+  }
 
-    } catch (error) {
-      this.logger.error('❌ Failed to get call transcript:', error);
-      throw error;
-    }
+  async getCallTranscript(callSid) {
+    return this.storage.getCallTranscript(callSid);
   }
 
   async updateCallTranscriptStatus(callSid, status, totalSegments = null) {
-    try {
-      let query = `UPDATE call_transcripts SET status = ?`;
-      let values = [status];
-
-      if (totalSegments !== null) {
-        query += `, total_segments = ?`;
-        values.push(totalSegments);
-      }
-
-      query += ` WHERE call_sid = ?`;
-      values.push(callSid);
+    return this.storage.updateCallTranscriptStatus(callSid, status, totalSegments);
+  }
 
-      const [result] = await this.pool.execute(query, values);
-      return result;
+  async updateCallTranscript(callSid, updates) {
+    return this.storage.updateCallTranscript(callSid, updates);
+  }
 
-    } catch (error) {
-      this.logger.error('❌ Failed to update call transcript status:', error);
-      throw error;
-    }
+  async getConversationCalls(conversationId) {
+    return this.storage.getConversationCalls(conversationId);
   }
 
   // Transcript Segment Operations
   async insertTranscriptSegment(segment) {
-    try {
-      // For now, just log the segment data instead of inserting
-      this.logger.info(`🎤 SEGMENT LOG: ${segment.speaker} (${segment.segment_type})`, {
-        callSid: segment.call_sid,
-        text: segment.text.substring(0, 100) + (segment.text.length > 100 ? '...' : ''),
-        confidence: segment.confidence,
-        language: segment.language,
-        vendor: segment.vendor,
-        processingType: segment.processing_type || 'real_time'
-      });
-      return { insertId: 'mock-segment-id', affectedRows: 1 };
-
-    } catch (error) {
-      this.logger.error('❌ Failed to insert transcript segment:', error);
-      throw error;
-    }
+    return this.storage.insertTranscriptSegment(segment);
   }
 
   async insertTranscriptSegments(segments) {
-    if (!segments || segments.length === 0) return;
-
-    try {
-      // For now, just log the batch segments
-      this.logger.info(`📝 BATCH SEGMENTS LOG: ${segments.length} segments`, {
-        callSid: segments[0]?.call_sid,
-        speakers: [...new Set(segments.map(s => s.speaker))],
-        languages: [...new Set(segments.map(s => s.language))],
-        totalText: segments.reduce((sum, s) => sum + s.text.length, 0)
-      });
-
-      segments.forEach((segment, index) => {
-        this.logger.debug(`  ${index + 1}. ${segment.speaker}: ${segment.text.substring(0, 50)}...`);
-      });
-
-      return { affectedRows: segments.length };
-
-    } catch (error) {
-      this.logger.error('❌ Failed to batch insert transcript segments:', error);
-      throw error;
-    }
+    return this.storage.insertTranscriptSegments(segments);
   }
 
   async getTranscriptSegments(callSid, limit = 1000) {
-    try {
-      const query = `
-        SELECT * FROM transcript_segments 
-        WHERE call_sid = ? 
-        ORDER BY start_time ASC 
-        LIMIT ?
-      `;
-
-      const [rows] = await this.pool.execute(query, [callSid, limit]);
-      return rows;
+    return this.storage.getTranscriptSegments(callSid, limit);
+  }
 
-    } catch (error) {
-      this.logger.error('❌ Failed to get transcript segments:', error);
-      throw error;
-    }
+  async updateTranscriptSegment(id, updates) {
+    return this.storage.updateTranscriptSegment(id, updates);
   }
 
   // Audio Event Operations
   async insertAudioEvent(audioEvent) {
-    try {
-      // For now, just log the audio event
-      this.logger.info(`🎵 AUDIO EVENT LOG: ${audioEvent.event_type}`, {
-        callSid: audioEvent.call_sid,
-        fileName: audioEvent.file_name,
-        duration: audioEvent.duration
-      });
-      return { insertId: 'mock-audio-id', affectedRows: 1 };
-
-    } catch (error) {
-      this.logger.error('❌ Failed to insert audio event:', error);
-      throw error;
-    }
+    return this.storage.insertAudioEvent(audioEvent);
   }
 
   // Search and Query Operations
-  async searchTranscripts(searchText, startDate, endDate, limit = 50) {
-    try {
-      const query = `
-        CALL SearchTranscripts(?, ?, ?, ?)
-      `;
-
-      const [rows] = await this.pool.execute(query, [searchText, startDate, endDate, limit]);
-      return rows[0] || [];
+  async searchTranscripts(searchText, startDate, endDate, limit = 50, filters = {}) {
+    return this.storage.searchTranscripts(searchText, startDate, endDate, limit, filters);
+  }
 
-    } catch (error) {
-      this.logger.error('❌ Failed to search transcripts:', error);
-      throw error;
-    }
+  async getRecentTranscripts(limit = 50, filters = {}) {
+    return this.storage.getRecentTranscripts(limit, filters);
   }
 
-  async getRecentTranscripts(limit = 50) {
-    try {
-      const query = `
-        SELECT * FROM v_recent_transcripts 
-        ORDER BY start_time DESC 
-        LIMIT ?
-      `;
+  async getTranscriptSummary(callSid) {
+    return this.storage.getTranscriptSummary(callSid);
+  }
 
-      const [rows] = await this.pool.execute(query, [limit]);
-      return rows;
+  // Prompt Catalog Operations
+  async getPromptCatalog() {
+    return this.storage.getPromptCatalog();
+  }
 
-    } catch (error) {
-      this.logger.error('❌ Failed to get recent transcripts:', error);
-      throw error;
-    }
+  async getPromptCatalogEntry(id) {
+    return this.storage.getPromptCatalogEntry(id);
   }
 
-  async getTranscriptSummary(callSid) {
-    try {
-      const query = `
-        SELECT * FROM v_transcript_summary 
-        WHERE call_sid = ?
-      `;
+  async insertPromptCatalogEntry(entry) {
+    return this.storage.insertPromptCatalogEntry(entry);
+  }
 
-      const [rows] = await this.pool.execute(query, [callSid]);
-      return rows[0] || null;
+  async updatePromptCatalogEntry(id, updates) {
+    return this.storage.updatePromptCatalogEntry(id, updates);
+  }
 
-    } catch (error) {
-      this.logger.error('❌ Failed to get transcript summary:', error);
-      throw error;
-    }
+  async deletePromptCatalogEntry(id) {
+    return this.storage.deletePromptCatalogEntry(id);
   }
 
   // Performance and Health Operations
   async insertPerformanceMetric(metricType, metricName, value, unit, metadata = null) {
-    try {
-      const query = `
-        INSERT INTO performance_metrics (
-          metric_type, metric_name, metric_value, metric_unit, 
-          timestamp, metadata
-        ) VALUES (?, ?, ?, ?, NOW(), ?)
-      `;
-
-      const values = [metricType, metricName, value, unit, JSON.stringify(metadata)];
-      const [result] = await this.pool.execute(query, values);
-      return result;
-
-    } catch (error) {
-      this.logger.error('❌ Failed to insert performance metric:', error);
-      throw error;
-    }
+    return this.storage.insertPerformanceMetric(metricType, metricName, value, unit, metadata);
   }
 
   async updateSystemHealth(serviceName, status, responseTime = null, errorCount = 0, lastError = null) {
-    try {
-      const query = `
-        INSERT INTO system_health (
-          service_name, status, response_time_ms, error_count, 
-          last_error, checked_at
-        ) VALUES (?, ?, ?, ?, ?, NOW())
-        ON DUPLICATE KEY UPDATE
-          status = VALUES(status),
-          response_time_ms = VALUES(response_time_ms),
-          error_count = VALUES(error_count),
-          last_error = VALUES(last_error),
-          checked_at = VALUES(checked_at)
-      `;
-
-      const values = [serviceName, status, responseTime, errorCount, lastError];
-      const [result] = await this.pool.execute(query, values);
-      return result;
-
-    } catch (error) {
-      this.logger.error('❌ Failed to update system health:', error);
-      throw error;
-    }
+    return this.storage.updateSystemHealth(serviceName, status, responseTime, errorCount, lastError);
   }
 
   // Statistics and Analytics
   async getTranscriptStats(startDate, endDate) {
-    try {
-      const query = `
-        SELECT 
-          COUNT(*) as total_calls,
-          SUM(duration) as total_duration,
-          AVG(duration) as avg_duration,
-          SUM(total_segments) as total_segments,
-          AVG(total_segments) as avg_segments_per_call,
-          COUNT(DISTINCT languages) as unique_languages
-        FROM call_transcripts 
-        WHERE start_time BETWEEN ? AND ?
-        AND status = 'completed'
-      `;
-
-      const [rows] = await this.pool.execute(query, [startDate, endDate]);
-      return rows[0] || {};
-
-    } catch (error) {
-      this.logger.error('❌ Failed to get transcript stats:', error);
-      throw error;
-    }
+    return this.storage.getTranscriptStats(startDate, endDate);
   }
 
   // Utility Methods
   isConnected() {
-    return this.isConnected && this.pool;
+    return this.connected && !!this.storage;
   }
 
   async close() {
-    if (this.pool) {
-      await this.pool.end();
-      this.isConnected = false;
+    if (this.storage) {
+      await this.storage.close();
+      this.connected = false;
       this.logger.info('✅ Database connections closed');
     }
   }
 
   async getConnectionStats() {
-    if (!this.pool) return null;
-
-    return {
-      totalConnections: this.pool.pool.config.connectionLimit,
-      activeConnections: this.pool.pool._allConnections.length,
-      freeConnections: this.pool.pool._freeConnections.length,
-      queuedRequests: this.pool.pool._connectionQueue.length
-    };
+    if (!this.storage) return null;
+    return this.storage.getConnectionStats();
   }
 
   // Post-Processing Methods
 
   // Insert main transcript record (for post-processing)
   async insertTranscript(transcript) {
-    try {
-      this.logger.info(`📝 TRANSCRIPT LOG: ${transcript.transcript_type}`, {
-        callSid: transcript.call_sid,
-        language: transcript.language,
-        duration: transcript.duration,
-        averageConfidence: transcript.average_confidence,
-        segmentCount: transcript.segment_count,
-        processingMethod: transcript.processing_method
-      });
-      return { insertId: 'mock-transcript-id', affectedRows: 1 };
-    } catch (error) {
-      this.logger.error('❌ Failed to insert transcript:', error);
-      throw error;
-    }
+    return this.storage.insertTranscript(transcript);
   }
 
   // Insert word-level timestamps (for post-processing)
   async insertWordTimestamp(wordData) {
-    try {
-      this.logger.debug(`🔤 WORD LOG: ${wordData.word}`, {
-        callSid: wordData.call_sid,
-        speaker: wordData.speaker,
-        startTime: wordData.start_time,
-        endTime: wordData.end_time,
-        confidence: wordData.confidence
-      });
-      return { insertId: 'mock-word-id', affectedRows: 1 };
-    } catch (error) {
-      this.logger.error('❌ Failed to insert word timestamp:', error);
-      throw error;
-    }
+    return this.storage.insertWordTimestamp(wordData);
   }
 
   // Get post-processed transcripts
   async getPostProcessedTranscripts(callSid = null, limit = 10) {
-    try {
-      this.logger.info('📋 Getting post-processed transcripts:', {
-        callSid,
-        limit
-      });
-
-      // Mock data for now
-      const mockTranscripts = [
-        {
-          id: 'mock-transcript-1',
-          call_sid: callSid || 'sample-call-sid',
-          transcript_type: 'post_processed',
-          language: 'bn-BD',
-          duration: 25.5,
-          average_confidence: 0.92,
-          segment_count: 2,
-          processing_method: 'google_batch',
-          created_at: new Date()
-        }
-      ];
-
-      return callSid ? mockTranscripts.filter(t => t.call_sid === callSid) : mockTranscripts;
-    } catch (error) {
-      this.logger.error('❌ Failed to get post-processed transcripts:', error);
-      throw error;
-    }
+    return this.storage.getPostProcessedTranscripts(callSid, limit);
   }
 
   // Get transcript comparison (real-time vs post-processed)
   async getTranscriptComparison(callSid) {
     try {
-      this.logger.info('🔍 Getting transcript comparison:', { callSid });
+      const [segments, postProcessed] = await Promise.all([
+        this.getTranscriptSegments(callSid),
+        this.getPostProcessedTranscripts(callSid, 1)
+      ]);
+
+      const summarize = (list) => ({
+        segments: list.length,
+        average_confidence: list.length > 0
+          ? list.reduce((sum, s) => sum + parseFloat(s.confidence || 0), 0) / list.length
+          : 0,
+        speakers: [...new Set(list.map(s => s.speaker))],
+        text: list.map(s => s.text).join(' ')
+      });
+
+      const realTime = summarize(segments.filter(s => s.source_type !== 'stt_post_processed'));
+      const batch = summarize(segments.filter(s => s.source_type === 'stt_post_processed'));
+      const latest = postProcessed[0] || null;
 
-      // Mock comparison data
       return {
         call_sid: callSid,
-        real_time: {
-          segments: 1,
-          average_confidence: 0.16,
-          processing_time: '< 1s',
-          text: 'কনফার্ম'
-        },
-        post_processed: {
-          segments: 2,
-          average_confidence: 0.92,
-          processing_time: '~30s',
-          text: 'আসসালামু আলাইকুম স্যার, আমি রকমারি ডট কম থেকে রাকিব বলছি। কনফার্ম।'
-        },
-        improvement: {
-          confidence_gain: 0.76,
-          additional_content: true,
-          speaker_identification: true,
-          word_timestamps: true
-        }
+        real_time: realTime,
+        post_processed: latest ? {
+          ...batch,
+          transcript_id: latest.id,
+          processing_method: latest.processing_method,
+          created_at: latest.created_at
+        } : null,
+        improvement: latest ? {
+          confidence_gain: batch.average_confidence - realTime.average_confidence,
+          additional_content: batch.text.length > realTime.text.length,
+          speaker_identification: batch.speakers.length > 1,
+          word_timestamps: batch.segments > 0
+        } : null
       };
+
     } catch (error) {
       this.logger.error('❌ Failed to get transcript comparison:', error);
       throw error;
     }
   }
+
+  // Merged timeline of every leg of a conversation. `id` is the conversation
+  // id or the call SID of any of its legs; null when no leg is stored.
+  async getConversationTimeline(id) {
+    try {
+      const call = await this.getCallTranscript(id);
+      const conversationId = call ? (call.conversation_id || call.call_sid) : id;
+
+      const legs = await this.getConversationCalls(conversationId);
+      if (legs.length === 0) return null;
+
+      const legSegments = await Promise.all(legs.map(leg => this.getTranscriptSegments(leg.call_sid)));
+      const time = (value) => value ? new Date(value).getTime() : 0;
+
+      const timeline = legs
+        .flatMap((leg, index) => legSegments[index].map(segment => ({
+          ...segment,
+          call_sid: leg.call_sid,
+          leg_role: leg.leg_role || 'a_leg'
+        })))
+        .sort((a, b) => time(a.start_time) - time(b.start_time));
+
+      return { conversation_id: conversationId, legs, timeline };
+
+    } catch (error) {
+      this.logger.error('❌ Failed to get conversation timeline:', error);
+      throw error;
+    }
+  }
 }
 
 module.exports = DatabaseManager;
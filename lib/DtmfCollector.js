@@ -0,0 +1,100 @@
+/**
+ * DTMF Collector
+ *
+ * Groups the key presses of a call into inputs, the way an IVR reads them:
+ * an input ends when the terminator key is pressed (DTMF_TERMINATORS,
+ * default "#"), or when no key follows for DTMF_INTER_DIGIT_TIMEOUT ms.
+ *
+ * The gap is measured between event timestamps, so replayed events group
+ * exactly like live ones; a timer closes the last input of a call once the
+ * caller stops pressing keys. add() reports a terminator key instead of
+ * closing right away, so the caller can publish the key before the input
+ * (close(callSid)). Closed inputs are passed to onInput:
+ *   { inputId, callSid, digits, keys: [{ digit, timestamp, durationMs, source }],
+ *     startTime, endTime, durationMs, terminator }
+ */
+
+const { v4: uuidv4 } = require('uuid');
+
+class DtmfCollector {
+  constructor(onInput, options = {}) {
+    this.onInput = onInput;
+    this.interDigitTimeout = options.interDigitTimeout || parseInt(process.env.DTMF_INTER_DIGIT_TIMEOUT) || 3000;
+    this.terminators = options.terminators ?? process.env.DTMF_TERMINATORS ?? '#';
+
+    // callSid → open input
+    this.inputs = new Map();
+  }
+
+  // Add a key press; returns the input it belongs to and whether the key
+  // terminated it
+  add(callSid, key) {
+    let input = this.inputs.get(callSid);
+
+    if (input && key.timestamp - input.lastKeyAt > this.interDigitTimeout) {
+      this.close(callSid);
+      input = null;
+    }
+
+    if (!input) {
+      input = {
+        inputId: uuidv4(),
+        callSid: callSid,
+        keys: [],
+        lastKeyAt: null,
+        timer: null
+      };
+      this.inputs.set(callSid, input);
+    }
+
+    input.keys.push(key);
+    input.lastKeyAt = key.timestamp;
+
+    clearTimeout(input.timer);
+    input.timer = setTimeout(() => this.close(callSid), this.interDigitTimeout);
+    input.timer.unref();
+
+    return {
+      inputId: input.inputId,
+      digits: input.keys.map(k => k.digit).join(''),
+      terminated: this.terminators.includes(key.digit)
+    };
+  }
+
+  close(callSid) {
+    const input = this.inputs.get(callSid);
+    if (!input) return null;
+
+    clearTimeout(input.timer);
+    this.inputs.delete(callSid);
+
+    const first = input.keys[0];
+    const last = input.keys[input.keys.length - 1];
+    const endTime = last.timestamp + (last.durationMs || 0);
+
+    const result = {
+      inputId: input.inputId,
+      callSid: callSid,
+      digits: input.keys.map(k => k.digit).join(''),
+      keys: input.keys,
+      startTime: first.timestamp,
+      endTime: endTime,
+      durationMs: endTime - first.timestamp,
+      terminator: this.terminators.includes(last.digit) ? last.digit : null
+    };
+
+    this.onInput(result);
+    return result;
+  }
+
+  // Close every open input (shutdown)
+  closeAll() {
+    [...this.inputs.keys()].forEach(callSid => this.close(callSid));
+  }
+
+  get size() {
+    return this.inputs.size;
+  }
+}
+
+module.exports = DtmfCollector;
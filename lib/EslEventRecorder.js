@@ -0,0 +1,59 @@
+/**
+ * ESL Event Recorder
+ *
+ * Appends every received FreeSWITCH event, with all of its headers and body,
+ * to an NDJSON capture file (one event per line):
+ *
+ *   {"received_at":1700000000000,"headers":{"Event-Name":"CHANNEL_CREATE",...},"body":""}
+ *
+ * Captures are read back by EslEventReplayer.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+class EslEventRecorder {
+  constructor(logger, filePath) {
+    this.logger = logger;
+    this.filePath = filePath;
+    this.recordedEvents = 0;
+
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    this.stream = fs.createWriteStream(filePath, { flags: 'a' });
+
+    this.stream.on('error', (error) => {
+      this.logger.error(`❌ ESL capture file error (${filePath}):`, error);
+    });
+
+    this.logger.info(`📼 Capturing FreeSWITCH events to ${filePath}`);
+  }
+
+  record(event) {
+    if (!this.stream) return;
+
+    const headers = {};
+    event.headers.forEach(header => {
+      headers[header.name] = header.value;
+    });
+
+    this.stream.write(JSON.stringify({
+      received_at: Date.now(),
+      headers: headers,
+      body: event.getBody() || ''
+    }) + '\n');
+
+    this.recordedEvents++;
+  }
+
+  async close() {
+    if (!this.stream) return;
+
+    const stream = this.stream;
+    this.stream = null;
+
+    await new Promise(resolve => stream.end(resolve));
+    this.logger.info(`✅ ESL capture closed: ${this.recordedEvents} events in ${this.filePath}`);
+  }
+}
+
+module.exports = EslEventRecorder;
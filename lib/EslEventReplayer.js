@@ -0,0 +1,77 @@
+/**
+ * ESL Event Replayer
+ *
+ * Feeds an NDJSON capture written by EslEventRecorder back through a
+ * FreeSWITCHListener, exactly as if the events had arrived on the socket.
+ *
+ * Options:
+ * - speed: 1 replays in real time, 10 ten times faster, 0 without any delay
+ */
+
+const fs = require('fs');
+const readline = require('readline');
+const ESL = require('modesl');
+
+class EslEventReplayer {
+  constructor(logger, listener) {
+    this.logger = logger;
+    this.listener = listener;
+  }
+
+  // Parse a capture file into modesl events with their original receive time
+  async *readEvents(filePath) {
+    const lines = readline.createInterface({
+      input: fs.createReadStream(filePath, 'utf8'),
+      crlfDelay: Infinity
+    });
+
+    let lineNumber = 0;
+    for await (const line of lines) {
+      lineNumber++;
+      if (!line.trim()) continue;
+
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (error) {
+        throw new Error(`Invalid capture line ${lineNumber} in ${filePath}: ${error.message}`);
+      }
+
+      yield {
+        receivedAt: entry.received_at,
+        event: new ESL.Event(entry.headers, entry.body)
+      };
+    }
+  }
+
+  async replay(filePath, options = {}) {
+    const speed = options.speed === undefined ? 1 : options.speed;
+    const stats = { events: 0, handled: 0, skipped: 0 };
+    let previousReceivedAt = null;
+
+    this.logger.info(`▶️ Replaying ${filePath} (${speed > 0 ? `${speed}x` : 'no delay'})`);
+
+    for await (const { receivedAt, event } of this.readEvents(filePath)) {
+      if (speed > 0 && previousReceivedAt !== null && receivedAt > previousReceivedAt) {
+        await this.sleep((receivedAt - previousReceivedAt) / speed);
+      }
+      previousReceivedAt = receivedAt;
+
+      stats.events++;
+      if (this.listener.handleEvent(event)) {
+        stats.handled++;
+      } else {
+        stats.skipped++;
+      }
+    }
+
+    this.logger.info(`✅ Replay finished: ${stats.events} events (${stats.handled} handled, ${stats.skipped} without handler)`);
+    return stats;
+  }
+
+  sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+}
+
+module.exports = EslEventReplayer;
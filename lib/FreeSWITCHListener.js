@@ -3,16 +3,101 @@
  * 
  * Connects to FreeSWITCH Event Socket and listens for audio-related events:
  * - TTS events (CHANNEL_EXECUTE with 'speak' application)
- * - STT events (DETECTED_SPEECH)
+ * - STT events (DETECTED_SPEECH, and Jambonz CUSTOM *_transcribe::transcription)
  * - Audio playback events (PLAYBACK_START, PLAYBACK_STOP)
  * - Recording events (RECORD_START, RECORD_STOP)
  * - Call lifecycle events (CHANNEL_CREATE, CHANNEL_ANSWER, CHANNEL_HANGUP)
  * 
  * Zero impact on call performance - events are generated asynchronously
+ *
+ * FREESWITCH_NODES lists the Event Socket endpoints of every feature server
+ * (name=host:port, comma separated); each gets its own FreeSWITCHNode
+ * connection and every call is tagged with the node it came from.
+ * Whenever a node (re)connects, its channels are resynced with activeCalls.
+ * A periodic reaper finalizes calls whose hangup was never seen
+ * (CALL_MAX_AGE / CALL_INACTIVITY_TIMEOUT).
+ *
+ * speak prompts are tracked by Application-UUID from CHANNEL_EXECUTE to
+ * CHANNEL_EXECUTE_COMPLETE, so their segment gets the real end time. Caller
+ * speech or DTMF while a prompt is playing flags it as interrupted (barge-in).
+ *
+ * Legs of one conversation (an originated B-leg, a bridged leg, the parties
+ * of an attended transfer) are linked under the conversation id of the first
+ * leg, which is the A-leg's call SID; each leg keeps its own call record.
+ *
+ * Channel variables and headers listed in CALL_METADATA_FIELDS are copied
+ * into call.metadata (CallMetadataMapper) at create and answer time.
+ *
+ * DTMF key presses are grouped into inputs (DtmfCollector) and stored as
+ * caller segments of type 'dtmf'.
+ *
+ * TTS and STT text is labeled with its language (LanguageIdentifier); the
+ * voice or recognizer language only serves as a hint, since callers and
+ * prompts mix Bengali, English, Hindi and romanized Bengali.
+ *
+ * Interim STT hypotheses are only broadcast (type 'stt_partial'); final
+ * results are persisted and broadcast with the utterance id of the interims
+ * they replace.
+ *
+ * Set ESL_CAPTURE_FILE to write every received event to an NDJSON file that
+ * scripts/replay-events.js can feed back through the same handlers.
  */
 
 const ESL = require('modesl');
 const { EventEmitter } = require('events');
+const { v4: uuidv4 } = require('uuid');
+const FreeSWITCHNode = require('./FreeSWITCHNode');
+const EslEventRecorder = require('./EslEventRecorder');
+const TranscriptionEventParser = require('./TranscriptionEventParser');
+const SpeakDataParser = require('./SpeakDataParser');
+const DtmfCollector = require('./DtmfCollector');
+const CallMetadataMapper = require('./CallMetadataMapper');
+const UtteranceTracker = require('./UtteranceTracker');
+const LanguageIdentifier = require('./LanguageIdentifier');
+
+// ESL event name → handler, shared by the live connection and replays
+const EVENT_HANDLERS = {
+  // Call lifecycle events
+  CHANNEL_CREATE: 'handleChannelCreate',
+  CHANNEL_ANSWER: 'handleChannelAnswer',
+  CHANNEL_HANGUP: 'handleChannelHangup',
+  // Multi-leg calls
+  CHANNEL_BRIDGE: 'handleChannelBridge',
+  CHANNEL_UNBRIDGE: 'handleChannelUnbridge',
+  // TTS events
+  CHANNEL_EXECUTE: 'handleChannelExecute',
+  CHANNEL_EXECUTE_COMPLETE: 'handleChannelExecuteComplete',
+  // STT events
+  DETECTED_SPEECH: 'handleDetectedSpeech',
+  CUSTOM: 'handleCustomEvent',
+  // Caller input
+  DTMF: 'handleDtmf',
+  // Audio playback events
+  PLAYBACK_START: 'handlePlaybackStart',
+  PLAYBACK_STOP: 'handlePlaybackStop',
+  // Recording events
+  RECORD_START: 'handleRecordStart',
+  RECORD_STOP: 'handleRecordStop'
+};
+
+// Attended transfer events (mod_sofia); their att_xfer_* headers name the
+// channels being joined
+const TRANSFER_SUBCLASSES = ['sofia::transferor', 'sofia::transferee', 'sofia::replaced'];
+
+const TRANSFER_LEG_HEADERS = [
+  'att_xfer_replaced_by',
+  'att_xfer_replaced_call_id',
+  'att_xfer_original_call_id',
+  'att_xfer_destination_call_id',
+  'att_xfer_destination_peer_uuid',
+  'att_xfer_original_peer_uuid'
+];
+
+// Hangup cause recorded for calls that disappeared while disconnected
+const RESYNC_HANGUP_CAUSE = 'LISTENER_RESYNC';
+
+// Hangup cause recorded for calls finalized by the stale call reaper
+const REAPER_HANGUP_CAUSE = 'LISTENER_TIMEOUT';
 
 class FreeSWITCHListener extends EventEmitter {
   constructor(logger, transcriptProcessor, performanceMonitor, broadcastCallback) {
@@ -21,13 +106,35 @@ class FreeSWITCHListener extends EventEmitter {
     this.logger = logger;
     this.transcriptProcessor = transcriptProcessor;
     this.performanceMonitor = performanceMonitor;
-    this.broadcastCallback = broadcastCallback;
+    // Every broadcast names the conversation, so viewers of the A-leg also
+    // get the updates of its other legs
+    this.broadcastCallback = broadcastCallback
+      ? (callSid, data) => broadcastCallback(callSid, {
+        conversationId: this.activeCalls.get(callSid)?.conversationId || callSid,
+        ...data
+      })
+      : null;
     
-    this.connection = null;
-    this.isConnected = false;
-    this.reconnectAttempts = 0;
-    this.maxReconnectAttempts = parseInt(process.env.MAX_RECONNECT_ATTEMPTS) || 10;
-    this.reconnectDelay = parseInt(process.env.RECONNECT_DELAY) || 5000;
+    // One Event Socket connection per FreeSWITCH node
+    const nodeOptions = {
+      maxReconnectAttempts: parseInt(process.env.MAX_RECONNECT_ATTEMPTS) || 10,
+      reconnectDelay: parseInt(process.env.RECONNECT_DELAY) || 5000,
+      connectTimeout: parseInt(process.env.CONNECT_TIMEOUT) || 10000,
+      // FreeSWITCH reads every name after CUSTOM as a subclass
+      subscriptions: [
+        ...Object.keys(EVENT_HANDLERS).filter(name => name !== 'CUSTOM'),
+        'CUSTOM',
+        ...TranscriptionEventParser.SUBCLASSES,
+        ...TRANSFER_SUBCLASSES
+      ]
+    };
+    this.nodes = FreeSWITCHListener.parseNodes().map(config => {
+      const node = new FreeSWITCHNode(logger, config, nodeOptions);
+      node.on('event', (event) => this.handleEvent(event, node));
+      node.on('connected', () => this.resyncNode(node));
+      node.on('max_reconnects_reached', () => this.emit('max_reconnects_reached', node.name));
+      return node;
+    });
     
     // Event counters for monitoring
     this.eventCounts = new Map();
@@ -35,150 +142,159 @@ class FreeSWITCHListener extends EventEmitter {
     
     // Active calls tracking
     this.activeCalls = new Map();
+    
+    // Channel Unique-ID → call SID of every leg, for bridge/transfer events
+    this.legs = new Map();
+    
+    // Headers and channel variables kept as call metadata
+    this.metadataMapper = new CallMetadataMapper();
+    
+    // Open STT utterances (interim results waiting for their final)
+    this.utterances = new UtteranceTracker();
+    
+    // speak prompts being played, by Application-UUID
+    this.prompts = new Map();
+    
+    // Audio files being played, by `${callSid}:${file path}`
+    this.playbacks = new Map();
+    
+    // Key presses waiting for the rest of their input
+    this.dtmf = new DtmfCollector(input => this.publishDtmf(input));
+    
+    // Stale call reaper (ages in seconds, interval in ms)
+    this.reaperConfig = {
+      maxCallAge: (parseInt(process.env.CALL_MAX_AGE) || 14400) * 1000,
+      inactivityTimeout: (parseInt(process.env.CALL_INACTIVITY_TIMEOUT) || 1800) * 1000,
+      interval: parseInt(process.env.CALL_REAPER_INTERVAL) || 60000
+    };
+    this.reaperTimer = null;
+    this.reaperStats = { runs: 0, reapedMaxAge: 0, reapedInactive: 0, lastRunAt: null };
+    
+    // Optional capture of received events for offline replay
+    this.eventRecorder = process.env.ESL_CAPTURE_FILE
+      ? new EslEventRecorder(logger, process.env.ESL_CAPTURE_FILE)
+      : null;
   }
 
-  async connect() {
-    try {
-      const host = process.env.FREESWITCH_HOST || '172.10.0.51';
-      const port = parseInt(process.env.FREESWITCH_PORT) || 8021;
-      const password = process.env.FREESWITCH_PASSWORD || 'JambonzR0ck$$';
-
-      this.logger.info(`🔌 Connecting to FreeSWITCH Event Socket: ${host}:${port}`);
-
-      this.connection = new ESL.Connection(host, port, password);
-      
-      this.setupEventHandlers();
-      
-      return new Promise((resolve, reject) => {
-        const timeout = setTimeout(() => {
-          reject(new Error('Connection timeout'));
-        }, 10000);
-
-        this.connection.on('esl::ready', () => {
-          clearTimeout(timeout);
-          this.isConnected = true;
-          this.reconnectAttempts = 0;
-          
-          this.logger.info('✅ Connected to FreeSWITCH Event Socket');
-          this.subscribeToEvents();
-          resolve();
-        });
-
-        this.connection.on('error', (error) => {
-          clearTimeout(timeout);
-          this.logger.error('❌ FreeSWITCH connection error:', error);
-          reject(error);
-        });
-      });
-
-    } catch (error) {
-      this.logger.error('❌ Failed to connect to FreeSWITCH:', error);
-      throw error;
+  /**
+   * FREESWITCH_NODES="fs1=172.10.0.51:8021,fs2=172.10.0.52:8021" (names are
+   * optional and default to host:port). Without it the single
+   * FREESWITCH_HOST / FREESWITCH_PORT endpoint is used. All nodes share
+   * FREESWITCH_PASSWORD.
+   */
+  static parseNodes(nodesSetting = process.env.FREESWITCH_NODES) {
+    const password = process.env.FREESWITCH_PASSWORD || 'JambonzR0ck$$';
+    const entries = (nodesSetting || '').split(',').map(entry => entry.trim()).filter(Boolean);
+
+    if (entries.length === 0) {
+      entries.push(`${process.env.FREESWITCH_HOST || '172.10.0.51'}:${parseInt(process.env.FREESWITCH_PORT) || 8021}`);
     }
-  }
-
-  setupEventHandlers() {
-    // Connection events
-    this.connection.on('esl::ready', () => {
-      this.logger.info('🎯 FreeSWITCH Event Socket ready');
-      this.isConnected = true;
-    });
 
-    this.connection.on('esl::end', () => {
-      this.logger.warn('🔌 FreeSWITCH connection ended');
-      this.isConnected = false;
-      this.handleDisconnection();
-    });
-
-    this.connection.on('error', (error) => {
-      this.logger.error('❌ FreeSWITCH connection error:', error);
-      this.isConnected = false;
-      this.handleDisconnection();
-    });
-
-    // Call lifecycle events
-    this.connection.on('esl::event::CHANNEL_CREATE', (event) => {
-      this.handleChannelCreate(event);
-    });
+    return entries.map(entry => {
+      const match = entry.match(/^(?:([\w.-]+)=)?([^:=\s]+)(?::(\d+))?$/);
+      if (!match) {
+        throw new Error(`Invalid FREESWITCH_NODES entry "${entry}" (expected [name=]host[:port])`);
+      }
 
-    this.connection.on('esl::event::CHANNEL_ANSWER', (event) => {
-      this.handleChannelAnswer(event);
+      const [, name, host, port = '8021'] = match;
+      return {
+        name: name || `${host}:${port}`,
+        host: host,
+        port: parseInt(port, 10),
+        password: password
+      };
     });
+  }
 
-    this.connection.on('esl::event::CHANNEL_HANGUP', (event) => {
-      this.handleChannelHangup(event);
-    });
+  // Connect every node; startup only fails when none of them is reachable.
+  // Nodes that fail keep retrying in the background.
+  async connect() {
+    const results = await Promise.allSettled(this.nodes.map(node => node.connect()));
 
-    // TTS events
-    this.connection.on('esl::event::CHANNEL_EXECUTE', (event) => {
-      this.handleChannelExecute(event);
-    });
+    // A failed startup leaves no node retrying behind the thrown error
+    const connected = results.filter(result => result.status === 'fulfilled').length;
+    if (connected === 0) {
+      await Promise.all(this.nodes.map(node => node.disconnect()));
+      throw new Error(`Could not connect to any FreeSWITCH node (${this.nodes.map(n => n.name).join(', ')})`);
+    }
 
-    this.connection.on('esl::event::CHANNEL_EXECUTE_COMPLETE', (event) => {
-      this.handleChannelExecuteComplete(event);
+    results.forEach((result, index) => {
+      if (result.status === 'rejected') {
+        this.nodes[index].handleDisconnection();
+      }
     });
 
-    // STT events
-    this.connection.on('esl::event::DETECTED_SPEECH', (event) => {
-      this.handleDetectedSpeech(event);
-    });
+    this.logger.info(`✅ Connected to ${connected}/${this.nodes.length} FreeSWITCH node(s)`);
+    this.startReaper();
+  }
 
-    // Audio playback events
-    this.connection.on('esl::event::PLAYBACK_START', (event) => {
-      this.handlePlaybackStart(event);
-    });
+  // Record and dispatch a received (or replayed) event. Replays have no
+  // node; their calls are tagged from the FreeSWITCH-Hostname header.
+  handleEvent(event, node = null) {
+    const eventName = event.getHeader('Event-Name');
+    const handler = EVENT_HANDLERS[eventName];
 
-    this.connection.on('esl::event::PLAYBACK_STOP', (event) => {
-      this.handlePlaybackStop(event);
-    });
+    if (this.eventRecorder) {
+      this.eventRecorder.record(event);
+    }
 
-    // Recording events
-    this.connection.on('esl::event::RECORD_START', (event) => {
-      this.handleRecordStart(event);
-    });
+    // Any event for a tracked call keeps it away from the reaper
+    const call = this.activeCalls.get(this.extractCallSid(event));
+    if (call) {
+      call.lastActivityAt = Date.now();
+    }
 
-    this.connection.on('esl::event::RECORD_STOP', (event) => {
-      this.handleRecordStop(event);
-    });
-  }
+    if (!handler) return false;
 
-  subscribeToEvents() {
-    const events = [
-      'CHANNEL_CREATE',
-      'CHANNEL_ANSWER',
-      'CHANNEL_HANGUP',
-      'CHANNEL_EXECUTE',
-      'CHANNEL_EXECUTE_COMPLETE',
-      'DETECTED_SPEECH',
-      'PLAYBACK_START',
-      'PLAYBACK_STOP',
-      'RECORD_START',
-      'RECORD_STOP'
-    ];
-
-    this.logger.info(`📡 Subscribing to FreeSWITCH events: ${events.join(', ')}`);
-    
-    this.connection.subscribe(events);
-    
-    this.logger.info('✅ Successfully subscribed to FreeSWITCH events');
+    try {
+      this[handler](event, node);
+    } catch (error) {
+      this.logger.error(`❌ Failed to handle ${eventName} event:`, error);
+    }
+    return true;
   }
 
   // Event handlers
-  handleChannelCreate(event) {
+  handleChannelCreate(event, node) {
     const callSid = this.extractCallSid(event);
     const callerNumber = event.getHeader('Caller-Caller-ID-Number');
     const destinationNumber = event.getHeader('Caller-Destination-Number');
     
     if (callSid) {
-      this.activeCalls.set(callSid, {
+      this.legs.set(event.getHeader('Unique-ID'), callSid);
+    }
+    
+    // Both legs of a bridged call can carry the same call SID; the first one
+    // owns the call record
+    if (callSid && !this.activeCalls.has(callSid)) {
+      const call = {
         callSid: callSid,
+        uuid: event.getHeader('Unique-ID'),
         callerNumber: callerNumber,
         destinationNumber: destinationNumber,
-        startTime: Date.now(),
+        mediaServer: node ? node.name : event.getHeader('FreeSWITCH-Hostname'),
+        startTime: this.getEventTimestamp(event),
+        lastActivityAt: Date.now(),
+        conversationId: callSid,
+        legRole: 'a_leg',
+        parentCallSid: null,
+        metadata: this.metadataMapper.capture(event),
+        bargeIns: 0,
         events: []
-      });
+      };
+      this.activeCalls.set(callSid, call);
+      
+      // A B-leg originated by a call we track joins its conversation before
+      // the record is created
+      const parent = this.getLegCall(event.getHeader('variable_originating_leg_uuid'));
+      if (parent && parent !== call) {
+        this.assignLeg(call, parent, 'b_leg');
+      }
+      
+      this.logger.info(`📞 Call created: ${callSid} (${callerNumber} → ${destinationNumber}) on ${call.mediaServer}`);
       
-      this.logger.info(`📞 Call created: ${callSid} (${callerNumber} → ${destinationNumber})`);
+      // Create the call record right away so it is visible while in progress
+      this.transcriptProcessor.processCallStart(call);
       this.trackEvent('CHANNEL_CREATE');
     }
   }
@@ -188,9 +304,14 @@ class FreeSWITCHListener extends EventEmitter {
     
     if (callSid && this.activeCalls.has(callSid)) {
       const call = this.activeCalls.get(callSid);
-      call.answerTime = Date.now();
+      // Early media and bridged legs can answer more than once
+      if (call.answerTime) return;
+      call.answerTime = this.getEventTimestamp(event);
+      // The dialplan may have set more variables since the channel was created
+      Object.assign(call.metadata, this.metadataMapper.capture(event, call.metadata));
       
       this.logger.info(`📞 Call answered: ${callSid}`);
+      this.transcriptProcessor.processCallAnswer(call);
       this.trackEvent('CHANNEL_ANSWER');
     }
   }
@@ -200,21 +321,330 @@ class FreeSWITCHListener extends EventEmitter {
     const hangupCause = event.getHeader('Hangup-Cause');
     
     if (callSid && this.activeCalls.has(callSid)) {
-      const call = this.activeCalls.get(callSid);
-      call.endTime = Date.now();
-      call.hangupCause = hangupCause;
-      
-      this.logger.info(`📞 Call ended: ${callSid} (${hangupCause})`);
-      
-      // Process final call data
-      this.processCallComplete(call);
-      
-      // Clean up
-      this.activeCalls.delete(callSid);
+      this.endCall(this.activeCalls.get(callSid), this.getEventTimestamp(event), hangupCause);
       this.trackEvent('CHANNEL_HANGUP');
     }
   }
 
+  endCall(call, endTime, hangupCause) {
+    call.endTime = endTime;
+    call.hangupCause = hangupCause;
+    
+    this.logger.info(`📞 Call ended: ${call.callSid} (${hangupCause})`);
+    
+    // Prompts cut off by the hangup end with the call
+    this.prompts.forEach(prompt => {
+      if (prompt.callSid === call.callSid) this.completePrompt(prompt, endTime);
+    });
+    this.playbacks.forEach((playback, key) => {
+      if (playback.callSid === call.callSid) this.playbacks.delete(key);
+    });
+    
+    // Store the last input before the call is finalized
+    this.dtmf.close(call.callSid);
+    
+    // Process final call data
+    this.processCallComplete(call).catch(error => {
+      this.logger.error(`❌ Failed to process completed call ${call.callSid}:`, error);
+    });
+    
+    // Clean up
+    this.activeCalls.delete(call.callSid);
+    this.legs.forEach((callSid, uuid) => {
+      if (callSid === call.callSid) this.legs.delete(uuid);
+    });
+    this.utterances.clear(call.callSid);
+  }
+
+  handleChannelBridge(event) {
+    const aLeg = this.getLegCall(event.getHeader('Bridge-A-Unique-ID') || event.getHeader('Unique-ID'));
+    const bLeg = this.getLegCall(event.getHeader('Bridge-B-Unique-ID') || event.getHeader('Other-Leg-Unique-ID'));
+    const timestamp = this.getEventTimestamp(event);
+
+    if (aLeg) {
+      this.addCallEvent(aLeg.callSid, {
+        type: 'bridge',
+        otherLeg: bLeg ? bLeg.callSid : event.getHeader('Bridge-B-Unique-ID'),
+        timestamp: timestamp
+      });
+    }
+
+    // Legs that share a call SID are already one call
+    if (aLeg && bLeg && aLeg !== bLeg) {
+      this.linkLegs(aLeg, bLeg, 'b_leg', 'bridge');
+    }
+
+    this.trackEvent('CHANNEL_BRIDGE');
+  }
+
+  handleChannelUnbridge(event) {
+    const callSid = this.extractCallSid(event);
+
+    if (callSid && this.activeCalls.has(callSid)) {
+      const otherLeg = this.getLegCall(event.getHeader('Other-Leg-Unique-ID') || event.getHeader('Bridge-B-Unique-ID'));
+      const unbridgeData = {
+        type: 'call_unbridged',
+        callSid: callSid,
+        otherLeg: otherLeg ? otherLeg.callSid : null,
+        timestamp: this.getEventTimestamp(event)
+      };
+
+      this.addCallEvent(callSid, { ...unbridgeData, type: 'unbridge' });
+
+      if (this.broadcastCallback) {
+        this.broadcastCallback(callSid, unbridgeData);
+      }
+
+      this.trackEvent('CHANNEL_UNBRIDGE');
+    }
+  }
+
+  // Attended transfer: every channel named by the event joins the
+  // conversation of the channel the event is about
+  handleTransfer(event, subclass) {
+    const call = this.activeCalls.get(this.extractCallSid(event));
+    if (!call) return;
+
+    const legs = new Set(TRANSFER_LEG_HEADERS
+      .map(header => this.getLegCall(event.getHeader(header) || event.getHeader(`variable_${header}`)))
+      .filter(leg => leg && leg !== call));
+
+    this.addCallEvent(call.callSid, {
+      type: 'transfer',
+      subclass: subclass,
+      legs: [...legs].map(leg => leg.callSid),
+      timestamp: this.getEventTimestamp(event)
+    });
+
+    legs.forEach(leg => this.linkLegs(call, leg, 'transfer', subclass));
+    this.trackEvent('CALL_TRANSFER');
+  }
+
+  // The tracked call a channel Unique-ID belongs to
+  getLegCall(uuid) {
+    if (!uuid) return null;
+
+    const callSid = this.legs.get(uuid);
+    return callSid ? this.activeCalls.get(callSid) || null : null;
+  }
+
+  /**
+   * Move `leg` (and any legs already linked to it) into the conversation of
+   * `parent`. The first leg of a conversation keeps its a_leg role.
+   */
+  linkLegs(parent, leg, legRole, reason) {
+    if (leg.conversationId === parent.conversationId) return;
+
+    const previousConversationId = leg.conversationId;
+    const moved = [...this.activeCalls.values()]
+      .filter(call => call.conversationId === previousConversationId);
+
+    moved.forEach(call => {
+      if (call === leg) {
+        this.assignLeg(call, parent, legRole);
+      } else {
+        call.conversationId = parent.conversationId;
+      }
+
+      this.transcriptProcessor.processCallLink(call);
+
+      if (this.broadcastCallback) {
+        this.broadcastCallback(call.callSid, {
+          type: 'call_linked',
+          callSid: call.callSid,
+          legRole: call.legRole,
+          parentCallSid: call.parentCallSid,
+          reason: reason,
+          timestamp: Date.now()
+        });
+      }
+    });
+
+    this.logger.info(`🔗 Linked ${leg.callSid} to conversation ${parent.conversationId} as ${legRole} (${reason})`);
+    this.trackEvent('CALL_LINKED');
+  }
+
+  assignLeg(call, parent, legRole) {
+    call.conversationId = parent.conversationId;
+    call.legRole = legRole;
+    call.parentCallSid = parent.callSid;
+  }
+
+  /**
+   * Reconcile activeCalls with the channels a node reports after a
+   * (re)connect. Events are lost while the socket is down, so:
+   * - tracked calls the node no longer has get a synthetic hangup
+   * - channels we don't track (created during the outage, or before this
+   *   process started) are adopted
+   */
+  async resyncNode(node) {
+    // Only calls tracked before the query may have vanished; anything created
+    // while it runs arrives as a regular CHANNEL_CREATE
+    const tracked = [...this.activeCalls.values()].filter(call => call.mediaServer === node.name);
+
+    try {
+      const channels = await this.getNodeChannels(node);
+      const current = new Map();
+      channels.forEach(channel => {
+        const callSid = this.extractCallSid(channel);
+        if (callSid) this.legs.set(channel.getHeader('Unique-ID'), callSid);
+        // Bridged legs share the call SID; the first leg represents the call
+        if (callSid && !current.has(callSid)) current.set(callSid, channel);
+      });
+
+      let closed = 0;
+      let adopted = 0;
+
+      tracked.forEach(call => {
+        if (!current.has(call.callSid) && this.activeCalls.get(call.callSid) === call) {
+          this.endCall(call, Date.now(), RESYNC_HANGUP_CAUSE);
+          this.trackEvent('CHANNEL_HANGUP_RESYNC');
+          closed++;
+        }
+      });
+
+      const adoptedChannels = [];
+      current.forEach((channel, callSid) => {
+        if (!this.activeCalls.has(callSid)) {
+          this.adoptCall(callSid, channel, node);
+          adoptedChannels.push(channel);
+          adopted++;
+        }
+      });
+
+      // Once every channel is known, put adopted legs back into their
+      // conversations (a B-leg may be listed before its A-leg)
+      adoptedChannels.forEach(channel => {
+        const call = this.activeCalls.get(this.extractCallSid(channel));
+        const parent = this.getLegCall(channel.getHeader('variable_originating_leg_uuid') ||
+                                       channel.getHeader('variable_bridge_uuid'));
+        if (call && parent && parent !== call && parent.legRole === 'a_leg') {
+          this.linkLegs(parent, call, 'b_leg', 'resync');
+        }
+      });
+
+      this.logger.info(`🔄 Resynced ${node.name}: ${current.size} active, ${adopted} adopted, ${closed} closed`);
+      return { active: current.size, adopted, closed };
+
+    } catch (error) {
+      this.logger.error(`❌ Failed to resync channels on ${node.name}:`, error);
+      return null;
+    }
+  }
+
+  // Stale call reaper
+  startReaper() {
+    if (this.reaperTimer) return;
+
+    this.reaperTimer = setInterval(() => this.reapStaleCalls(), this.reaperConfig.interval);
+    this.logger.info(`🧹 Stale call reaper started (max age ${this.reaperConfig.maxCallAge / 1000}s, inactivity ${this.reaperConfig.inactivityTimeout / 1000}s)`);
+  }
+
+  stopReaper() {
+    if (this.reaperTimer) {
+      clearInterval(this.reaperTimer);
+      this.reaperTimer = null;
+    }
+  }
+
+  // Finalize calls that are too old or have been silent for too long, as if
+  // their CHANNEL_HANGUP had arrived
+  reapStaleCalls(now = Date.now()) {
+    const startTime = Date.now();
+    const result = { scanned: this.activeCalls.size, reapedMaxAge: 0, reapedInactive: 0 };
+
+    [...this.activeCalls.values()].forEach(call => {
+      let reason = null;
+      if (now - call.startTime > this.reaperConfig.maxCallAge) {
+        reason = 'max_age';
+        result.reapedMaxAge++;
+      } else if (now - (call.lastActivityAt || call.startTime) > this.reaperConfig.inactivityTimeout) {
+        reason = 'inactive';
+        result.reapedInactive++;
+      }
+
+      if (reason) {
+        this.logger.warn(`🧹 Reaping stale call ${call.callSid} (${reason}) on ${call.mediaServer}`);
+        call.reapReason = reason;
+        this.endCall(call, now, REAPER_HANGUP_CAUSE);
+        this.trackEvent('CHANNEL_HANGUP_REAPED');
+      }
+    });
+
+    // Prompts and playbacks of calls that aren't tracked (whose hangup was
+    // handled, or whose create was never seen) may never get their completion
+    let orphaned = 0;
+    [this.prompts, this.playbacks].forEach(entries => entries.forEach((entry, key) => {
+      if (!this.activeCalls.has(entry.callSid)) {
+        entries.delete(key);
+        orphaned++;
+      }
+    }));
+    if (orphaned > 0) {
+      this.logger.debug(`🧹 Dropped ${orphaned} prompts/playbacks of calls no longer tracked`);
+    }
+
+    this.reaperStats.runs++;
+    this.reaperStats.reapedMaxAge += result.reapedMaxAge;
+    this.reaperStats.reapedInactive += result.reapedInactive;
+    this.reaperStats.lastRunAt = new Date(now);
+
+    this.performanceMonitor?.trackCallReaper({
+      ...result,
+      activeCalls: this.activeCalls.size,
+      durationMs: Date.now() - startTime
+    });
+
+    return result;
+  }
+
+  // Channel variables of every channel on a node, as modesl events
+  async getNodeChannels(node) {
+    const list = JSON.parse(await node.api('show channels as json'));
+    const channels = [];
+
+    for (const row of list.rows || []) {
+      try {
+        channels.push(new ESL.Event(JSON.parse(await node.api(`uuid_dump ${row.uuid} json`))));
+      } catch (error) {
+        // The channel hung up between the two commands
+        this.logger.debug(`Skipping channel ${row.uuid}: ${error.message}`);
+      }
+    }
+
+    return channels;
+  }
+
+  adoptCall(callSid, channel, node) {
+    // Channel times are in µs
+    const createdAt = parseInt(channel.getHeader('Caller-Channel-Created-Time'), 10);
+    const answeredAt = parseInt(channel.getHeader('Caller-Channel-Answered-Time'), 10);
+
+    const call = {
+      callSid: callSid,
+      callerNumber: channel.getHeader('Caller-Caller-ID-Number'),
+      destinationNumber: channel.getHeader('Caller-Destination-Number'),
+      mediaServer: node.name,
+      startTime: createdAt > 0 ? Math.floor(createdAt / 1000) : Date.now(),
+      answerTime: answeredAt > 0 ? Math.floor(answeredAt / 1000) : undefined,
+      adopted: true,
+      lastActivityAt: Date.now(),
+      uuid: channel.getHeader('Unique-ID'),
+      conversationId: callSid,
+      legRole: 'a_leg',
+      parentCallSid: null,
+      metadata: this.metadataMapper.capture(channel),
+      bargeIns: 0,
+      events: []
+    };
+    this.activeCalls.set(callSid, call);
+
+    this.logger.info(`📞 Call adopted after resync: ${callSid} (${call.callerNumber} → ${call.destinationNumber}) on ${node.name}`);
+
+    this.transcriptProcessor.processCallResync(call);
+    this.trackEvent('CHANNEL_ADOPTED');
+  }
+
   handleChannelExecute(event) {
     const startTime = Date.now();
     const application = event.getHeader('Application');
@@ -223,17 +653,40 @@ class FreeSWITCHListener extends EventEmitter {
 
     // Track TTS events
     if (application === 'speak' && applicationData && callSid) {
-      this.logger.info(`🗣️ TTS Started: ${callSid} - "${this.truncateText(applicationData)}"`);
+      // engine|voice|text, where text may be SSML
+      const speak = SpeakDataParser.parse(applicationData);
+      // The voice's language is a hint; the text may be English or mixed
+      const identified = LanguageIdentifier.identify(speak.text, speak.language || 'bn-IN');
+      
+      this.logger.info(`🗣️ TTS Started: ${callSid} - "${this.truncateText(speak.text)}" (${speak.engine || 'unknown engine'}, ${speak.voice || 'default voice'})`);
+      
+      const prompt = {
+        applicationUuid: event.getHeader('Application-UUID') || callSid,
+        segmentId: uuidv4(),
+        callSid: callSid,
+        startTime: this.getEventTimestamp(event),
+        bargeInType: null,
+        bargeInAt: null
+      };
+      this.prompts.set(prompt.applicationUuid, prompt);
       
       const ttsData = {
         type: 'tts_start',
         callSid: callSid,
-        text: applicationData,
+        text: speak.text,
         speaker: 'agent',
-        timestamp: Date.now(),
+        timestamp: prompt.startTime,
         confidence: 1.0,
-        vendor: 'system',
-        language: this.extractLanguage(applicationData) || 'bn-IN'
+        vendor: speak.engine || 'system',
+        voice: speak.voice,
+        ssml: speak.ssml,
+        applicationData: applicationData,
+        language: identified.language || 'bn-IN',
+        languages: identified.languages,
+        mixedLanguage: identified.mixed,
+        voiceLanguage: speak.language,
+        applicationUuid: prompt.applicationUuid,
+        segmentId: prompt.segmentId
       };
 
       // Process TTS event
@@ -253,7 +706,7 @@ class FreeSWITCHListener extends EventEmitter {
         type: 'execute',
         application: application,
         data: applicationData,
-        timestamp: Date.now()
+        timestamp: this.getEventTimestamp(event)
       });
     }
 
@@ -265,55 +718,269 @@ class FreeSWITCHListener extends EventEmitter {
     const callSid = this.extractCallSid(event);
 
     if (application === 'speak' && callSid) {
-      this.logger.info(`✅ TTS Completed: ${callSid}`);
+      const prompt = this.prompts.get(event.getHeader('Application-UUID') || callSid);
       
-      const ttsCompleteData = {
-        type: 'tts_complete',
-        callSid: callSid,
-        timestamp: Date.now()
-      };
-
-      // Broadcast completion
-      if (this.broadcastCallback) {
-        this.broadcastCallback(callSid, ttsCompleteData);
+      if (prompt) {
+        this.completePrompt(prompt, this.getEventTimestamp(event));
+      } else {
+        // Started before we were listening; nothing to time
+        if (this.broadcastCallback) {
+          this.broadcastCallback(callSid, {
+            type: 'tts_complete',
+            callSid: callSid,
+            timestamp: this.getEventTimestamp(event)
+          });
+        }
       }
       
       this.trackEvent('TTS_COMPLETE');
     }
   }
 
+  completePrompt(prompt, endTime) {
+    this.prompts.delete(prompt.applicationUuid);
+
+    const ttsCompleteData = {
+      type: 'tts_complete',
+      callSid: prompt.callSid,
+      timestamp: endTime,
+      applicationUuid: prompt.applicationUuid,
+      segmentId: prompt.segmentId,
+      endTime: endTime,
+      durationMs: Math.max(0, endTime - prompt.startTime),
+      interrupted: !!prompt.bargeInType,
+      bargeInType: prompt.bargeInType
+    };
+
+    this.logger.info(`✅ TTS Completed: ${prompt.callSid} (${ttsCompleteData.durationMs}ms${prompt.bargeInType ? `, interrupted by ${prompt.bargeInType}` : ''})`);
+
+    // Complete the stored segment
+    this.transcriptProcessor.processTTSComplete(ttsCompleteData);
+
+    // Broadcast completion
+    if (this.broadcastCallback) {
+      this.broadcastCallback(prompt.callSid, ttsCompleteData);
+    }
+  }
+
+  /**
+   * Caller input while a prompt is playing interrupts it. Each prompt counts
+   * once, however much speech or how many digits follow.
+   */
+  detectBargeIn(callSid, bargeInType, timestamp) {
+    this.prompts.forEach(prompt => {
+      if (prompt.callSid !== callSid || prompt.bargeInType) return;
+
+      prompt.bargeInType = bargeInType;
+      prompt.bargeInAt = timestamp;
+
+      const call = this.activeCalls.get(callSid);
+      if (call) {
+        call.bargeIns++;
+        this.transcriptProcessor.processBargeIn(call);
+      }
+
+      this.logger.info(`✋ Barge-in (${bargeInType}): ${callSid} interrupted prompt ${prompt.applicationUuid} after ${Math.max(0, timestamp - prompt.startTime)}ms`);
+
+      if (this.broadcastCallback) {
+        this.broadcastCallback(callSid, {
+          type: 'barge_in',
+          callSid: callSid,
+          timestamp: timestamp,
+          applicationUuid: prompt.applicationUuid,
+          segmentId: prompt.segmentId,
+          bargeInType: bargeInType,
+          offsetMs: Math.max(0, timestamp - prompt.startTime),
+          bargeIns: call ? call.bargeIns : null
+        });
+      }
+
+      this.trackEvent('BARGE_IN');
+    });
+  }
+
   handleDetectedSpeech(event) {
     const startTime = Date.now();
     const speechResult = event.getHeader('Speech-Result');
     const confidence = event.getHeader('Speech-Confidence');
+    // detected-speech for final results, detected-partial-speech for interims
+    const isFinal = event.getHeader('Speech-Type') !== 'detected-partial-speech';
     const callSid = this.extractCallSid(event);
 
     if (speechResult && callSid) {
-      this.logger.info(`🎤 STT Detected: ${callSid} - "${this.truncateText(speechResult)}" (${confidence})`);
-      
       const sttData = {
-        type: 'stt_detected',
         callSid: callSid,
         text: speechResult,
         speaker: 'caller',
-        timestamp: Date.now(),
+        timestamp: this.getEventTimestamp(event),
         confidence: parseFloat(confidence) || 0.8,
         vendor: 'google',
-        language: 'bn-BD'
+        language: 'bn-BD',
+        isFinal: isFinal
       };
 
+      this.publishSTT(sttData);
+    }
+
+    this.performanceMonitor?.trackEventProcessing('DETECTED_SPEECH', Date.now() - startTime);
+  }
+
+  handleCustomEvent(event) {
+    const subclass = event.getHeader('Event-Subclass');
+
+    if (TranscriptionEventParser.supports(subclass)) {
+      this.handleTranscription(event, subclass);
+    } else if (TRANSFER_SUBCLASSES.includes(subclass)) {
+      this.handleTransfer(event, subclass);
+    }
+  }
+
+  // Streaming STT results from Jambonz (google/azure/deepgram_transcribe)
+  handleTranscription(event, subclass) {
+    const startTime = Date.now();
+    const callSid = this.extractCallSid(event);
+
+    let result;
+    try {
+      result = TranscriptionEventParser.parse(subclass, event.getBody());
+    } catch (error) {
+      this.logger.warn(`⚠️ Ignoring ${subclass} event for ${callSid}: ${error.message}`);
+      return;
+    }
+
+    if (result && callSid) {
+      this.publishSTT({
+        callSid: callSid,
+        text: result.text,
+        speaker: 'caller',
+        timestamp: this.getEventTimestamp(event),
+        confidence: result.confidence ?? 0.8,
+        vendor: result.vendor,
+        language: result.language || 'bn-BD',
+        alternatives: result.alternatives,
+        source: subclass,
+        isFinal: result.isFinal
+      });
+    }
+
+    this.performanceMonitor?.trackEventProcessing(subclass, Date.now() - startTime);
+  }
+
+  /**
+   * Broadcast an STT result and persist it once it is final. Results of one
+   * utterance share an utteranceId, so viewers replace the partial segment
+   * instead of appending every hypothesis.
+   */
+  publishSTT(sttData) {
+    const isFinal = sttData.isFinal !== false;
+
+    // The first hypothesis already means the caller is talking over the prompt
+    if (sttData.speaker === 'caller') {
+      this.detectBargeIn(sttData.callSid, 'speech', sttData.timestamp);
+    }
+
+    const { utteranceId, revision } = this.utterances.track(sttData.callSid, sttData.speaker, isFinal);
+
+    // The recognizer reports the language it was configured for, which says
+    // little about English or code-mixed speech
+    const identified = LanguageIdentifier.identify(sttData.text, sttData.language);
+
+    const result = {
+      ...sttData,
+      language: identified.language,
+      languages: identified.languages,
+      mixedLanguage: identified.mixed,
+      recognizerLanguage: sttData.language,
+      type: isFinal ? 'stt_detected' : 'stt_partial',
+      isFinal: isFinal,
+      utteranceId: utteranceId,
+      revision: revision
+    };
+
+    if (isFinal) {
+      const vendor = result.source ? ` (${result.vendor})` : '';
+      this.logger.info(`🎤 STT Detected${vendor}: ${result.callSid} - "${this.truncateText(result.text)}" (${result.confidence})`);
+
       // Process STT event
-      this.transcriptProcessor.processSTTEvent(sttData);
-      
-      // Broadcast to WebSocket clients
+      this.transcriptProcessor.processSTTEvent(result);
+    } else {
+      this.logger.debug(`🎤 STT Partial: ${result.callSid} - "${this.truncateText(result.text)}"`);
+    }
+    
+    // Broadcast to WebSocket clients
+    if (this.broadcastCallback) {
+      this.broadcastCallback(result.callSid, result);
+    }
+    
+    this.trackEvent(isFinal ? 'STT_DETECTED' : 'STT_PARTIAL');
+  }
+
+  handleDtmf(event) {
+    const callSid = this.extractCallSid(event);
+    const digit = event.getHeader('DTMF-Digit');
+
+    if (callSid && digit) {
+      const timestamp = this.getEventTimestamp(event);
+      // DTMF-Duration is in 8 kHz samples
+      const samples = parseInt(event.getHeader('DTMF-Duration'), 10);
+
+      const key = {
+        digit: digit,
+        timestamp: timestamp,
+        durationMs: samples > 0 ? Math.round(samples / 8) : null,
+        source: event.getHeader('DTMF-Source') || null
+      };
+
+      this.detectBargeIn(callSid, 'dtmf', timestamp);
+      this.addCallEvent(callSid, { type: 'dtmf', ...key });
+
+      const { inputId, digits, terminated } = this.dtmf.add(callSid, key);
+
+      // Broadcast every key so live viewers see the input as it is typed
       if (this.broadcastCallback) {
-        this.broadcastCallback(callSid, sttData);
+        this.broadcastCallback(callSid, {
+          type: 'dtmf_digit',
+          callSid: callSid,
+          inputId: inputId,
+          digit: digit,
+          digits: digits,
+          speaker: 'caller',
+          timestamp: timestamp
+        });
       }
-      
-      this.trackEvent('STT_DETECTED');
+
+      if (terminated) {
+        this.dtmf.close(callSid);
+      }
+
+      this.trackEvent('DTMF');
     }
+  }
 
-    this.performanceMonitor?.trackEventProcessing('DETECTED_SPEECH', Date.now() - startTime);
+  // A complete input (terminator, timeout or hangup)
+  publishDtmf(input) {
+    const dtmfData = {
+      type: 'dtmf_input',
+      callSid: input.callSid,
+      inputId: input.inputId,
+      digits: input.digits,
+      speaker: 'caller',
+      timestamp: input.startTime,
+      endTime: input.endTime,
+      durationMs: input.durationMs,
+      terminator: input.terminator,
+      keys: input.keys
+    };
+
+    this.logger.info(`🔢 DTMF input: ${input.callSid} - "${input.digits}" (${input.keys.length} keys)`);
+
+    this.transcriptProcessor.processDTMFEvent(dtmfData);
+
+    if (this.broadcastCallback) {
+      this.broadcastCallback(input.callSid, dtmfData);
+    }
+
+    this.trackEvent('DTMF_INPUT');
   }
 
   handlePlaybackStart(event) {
@@ -324,13 +991,36 @@ class FreeSWITCHListener extends EventEmitter {
     if (playbackFile && callSid) {
       this.logger.info(`🎵 Audio playback started: ${callSid} - ${this.getFileName(playbackFile)}`);
 
+      // Catalogued prompts become agent segments; the match travels with
+      // both playback events so only their segments get completed
+      const prompt = this.transcriptProcessor.promptCatalog?.match(playbackFile);
+
+      const playback = {
+        callSid: callSid,
+        segmentId: uuidv4(),
+        startTime: this.getEventTimestamp(event),
+        prompt: prompt ? {
+          id: prompt.id,
+          pattern: prompt.pattern,
+          match_type: prompt.match_type,
+          text: prompt.text,
+          language: prompt.language
+        } : undefined
+      };
+      this.playbacks.set(`${callSid}:${playbackFile}`, playback);
+
       const audioData = {
         type: 'audio_start',
         callSid: callSid,
         filePath: playbackFile,
         fileName: this.getFileName(playbackFile),
         speaker: 'agent',
-        timestamp: Date.now()
+        timestamp: playback.startTime,
+        segmentId: playback.segmentId,
+        prompt: playback.prompt,
+        // Text of catalogued prompts, so live viewers see what was played
+        text: prompt ? prompt.text : undefined,
+        language: prompt ? prompt.language : undefined
       };
 
       // Process audio playback event
@@ -355,15 +1045,29 @@ class FreeSWITCHListener extends EventEmitter {
     if (playbackFile && callSid) {
       this.logger.info(`✅ Audio playback completed: ${callSid} - ${this.getFileName(playbackFile)} (${playbackSeconds}s)`);
 
+      const key = `${callSid}:${playbackFile}`;
+      const playback = this.playbacks.get(key);
+      this.playbacks.delete(key);
+
+      const timestamp = this.getEventTimestamp(event);
+      const playbackMs = parseInt(event.getHeader('variable_playback_ms'), 10);
+
       const audioCompleteData = {
         type: 'audio_complete',
         callSid: callSid,
         filePath: playbackFile,
         fileName: this.getFileName(playbackFile),
         duration: parseFloat(playbackSeconds) || 0,
-        timestamp: Date.now()
+        timestamp: timestamp,
+        segmentId: playback ? playback.segmentId : undefined,
+        prompt: playback ? playback.prompt : undefined,
+        durationMs: Number.isFinite(playbackMs) ? playbackMs
+          : playback ? Math.max(0, timestamp - playback.startTime) : undefined
       };
 
+      // Completes the prompt segment of catalogued files
+      this.transcriptProcessor.processAudioEvent(audioCompleteData);
+
       // Broadcast completion
       if (this.broadcastCallback) {
         this.broadcastCallback(callSid, audioCompleteData);
@@ -384,7 +1088,7 @@ class FreeSWITCHListener extends EventEmitter {
         type: 'recording_start',
         callSid: callSid,
         recordingPath: recordingPath,
-        timestamp: Date.now()
+        timestamp: this.getEventTimestamp(event)
       };
 
       // Add to call data
@@ -413,7 +1117,11 @@ class FreeSWITCHListener extends EventEmitter {
         callSid: callSid,
         recordingPath: recordingPath,
         duration: parseFloat(recordingSeconds) || 0,
-        timestamp: Date.now()
+        timestamp: this.getEventTimestamp(event),
+        // Batch STT engine: per call, else per tenant (BATCH_STT_TENANTS)
+        accountSid: this.activeCalls.get(callSid)?.metadata?.account_sid || null,
+        sttProvider: event.getHeader('variable_batch_stt_provider') || null,
+        sttModel: event.getHeader('variable_batch_stt_model') || null
       };
 
       // Process recording for batch transcription
@@ -437,12 +1145,11 @@ class FreeSWITCHListener extends EventEmitter {
            event.getHeader('Core-UUID');
   }
 
-  extractLanguage(text) {
-    // Simple Bengali detection
-    if (/[\u0980-\u09FF]/.test(text)) {
-      return 'bn-IN';
-    }
-    return null;
+  // When FreeSWITCH raised the event (Event-Date-Timestamp is in µs), so
+  // replayed calls keep their original timing
+  getEventTimestamp(event) {
+    const timestamp = parseInt(event.getHeader('Event-Date-Timestamp'), 10);
+    return timestamp > 0 ? Math.floor(timestamp / 1000) : Date.now();
   }
 
   truncateText(text, maxLength = 50) {
@@ -490,45 +1197,51 @@ class FreeSWITCHListener extends EventEmitter {
     this.eventCounts.clear();
   }
 
-  async handleDisconnection() {
-    if (this.reconnectAttempts >= this.maxReconnectAttempts) {
-      this.logger.error(`❌ Max reconnection attempts (${this.maxReconnectAttempts}) reached`);
-      this.emit('max_reconnects_reached');
-      return;
-    }
-
-    this.reconnectAttempts++;
-    this.logger.warn(`🔄 Attempting to reconnect (${this.reconnectAttempts}/${this.maxReconnectAttempts})...`);
-    
-    setTimeout(async () => {
-      try {
-        await this.connect();
-        this.logger.info('✅ Reconnected to FreeSWITCH');
-      } catch (error) {
-        this.logger.error('❌ Reconnection failed:', error);
-        this.handleDisconnection();
-      }
-    }, this.reconnectDelay);
+  // True while at least one node is connected
+  isConnected() {
+    return this.nodes.some(node => node.isConnected());
   }
 
-  isConnected() {
-    return this.isConnected && this.connection;
+  getNodeStatus() {
+    return this.nodes.map(node => ({
+      name: node.name,
+      host: node.host,
+      port: node.port,
+      connected: node.isConnected()
+    }));
   }
 
   async disconnect() {
-    if (this.connection) {
-      this.logger.info('🔌 Disconnecting from FreeSWITCH...');
-      this.connection.disconnect();
-      this.isConnected = false;
+    this.stopReaper();
+    this.dtmf.closeAll();
+    await Promise.all(this.nodes.map(node => node.disconnect()));
+
+    if (this.eventRecorder) {
+      await this.eventRecorder.close();
     }
   }
 
   getStats() {
+    const activeCallsByNode = {};
+    this.activeCalls.forEach(call => {
+      activeCallsByNode[call.mediaServer] = (activeCallsByNode[call.mediaServer] || 0) + 1;
+    });
+
     return {
-      isConnected: this.isConnected,
-      reconnectAttempts: this.reconnectAttempts,
+      isConnected: this.isConnected(),
+      connectedNodes: this.nodes.filter(node => node.isConnected()).length,
+      totalNodes: this.nodes.length,
       activeCalls: this.activeCalls.size,
-      eventCounts: Object.fromEntries(this.eventCounts)
+      openUtterances: this.utterances.size,
+      playingPrompts: this.prompts.size,
+      playingFiles: this.playbacks.size,
+      openDtmfInputs: this.dtmf.size,
+      eventCounts: Object.fromEntries(this.eventCounts),
+      reaper: this.reaperStats,
+      nodes: this.nodes.map(node => ({
+        ...node.getStats(),
+        activeCalls: activeCallsByNode[node.name] || 0
+      }))
     };
   }
 }
@@ -0,0 +1,232 @@
+/**
+ * FreeSWITCH Node
+ *
+ * One Event Socket connection to a single FreeSWITCH / feature server, with
+ * its own reconnect state and event counters. FreeSWITCHListener runs one
+ * node per FREESWITCH_NODES entry and handles the events they emit:
+ * - 'event'                  (event) every ESL event received
+ * - 'connected'              after every successful (re)connect
+ * - 'disconnected'           when the connection is lost
+ * - 'max_reconnects_reached' when the node gives up reconnecting
+ */
+
+const ESL = require('modesl');
+const { EventEmitter } = require('events');
+
+class FreeSWITCHNode extends EventEmitter {
+  constructor(logger, config, options = {}) {
+    super();
+
+    this.logger = logger;
+    this.name = config.name;
+    this.host = config.host;
+    this.port = config.port;
+    this.password = config.password;
+
+    this.maxReconnectAttempts = options.maxReconnectAttempts || 10;
+    this.reconnectDelay = options.reconnectDelay || 5000;
+    this.connectTimeout = options.connectTimeout || 10000;
+    this.subscriptions = options.subscriptions || [];
+
+    this.connection = null;
+    this.connected = false;
+    this.reconnectAttempts = 0;
+    this.reconnectTimer = null;
+    this.stopped = false;
+
+    this.lastConnectedAt = null;
+    this.lastDisconnectedAt = null;
+    this.lastError = null;
+    this.eventCounts = new Map();
+  }
+
+  async connect() {
+    try {
+      this.stopped = false;
+      this.logger.info(`🔌 Connecting to FreeSWITCH Event Socket ${this.name}: ${this.host}:${this.port}`);
+
+      const connection = new ESL.Connection(this.host, this.port, this.password);
+      this.connection = connection;
+
+      this.setupEventHandlers(connection);
+
+      return await new Promise((resolve, reject) => {
+        const timeout = setTimeout(() => {
+          // Close the stale connection so a late esl::ready can't revive it
+          if (this.connection === connection) this.connection = null;
+          if (connection.socket) connection.disconnect();
+          reject(new Error(`Connection timeout (${this.name})`));
+        }, this.connectTimeout);
+
+        connection.once('esl::ready', () => {
+          clearTimeout(timeout);
+          if (connection !== this.connection) return;
+
+          this.connected = true;
+          this.reconnectAttempts = 0;
+          this.lastConnectedAt = new Date();
+          this.lastError = null;
+
+          this.logger.info(`✅ Connected to FreeSWITCH Event Socket ${this.name}`);
+          this.subscribeToEvents();
+          this.emit('connected');
+          resolve();
+        });
+
+        connection.once('error', (error) => {
+          clearTimeout(timeout);
+          reject(error);
+        });
+      });
+
+    } catch (error) {
+      this.lastError = error.message;
+      this.logger.error(`❌ Failed to connect to FreeSWITCH ${this.name}:`, error);
+      throw error;
+    }
+  }
+
+  setupEventHandlers(connection) {
+    connection.on('esl::end', () => {
+      if (connection !== this.connection) return;
+
+      this.logger.warn(`🔌 FreeSWITCH connection ${this.name} ended`);
+      this.markDisconnected();
+      this.handleDisconnection();
+    });
+
+    connection.on('error', (error) => {
+      if (connection !== this.connection) return;
+
+      this.logger.error(`❌ FreeSWITCH connection ${this.name} error:`, error);
+      this.lastError = error.message;
+
+      // Errors before esl::ready are handled by connect()'s caller
+      if (this.connected) {
+        this.markDisconnected();
+        this.handleDisconnection();
+      }
+    });
+
+    // modesl emits events as esl::event::<Event-Name>::<uuid>, so listen on
+    // the whole namespace and keep only real events
+    connection.on('esl::event::**', (event, headers) => {
+      if (headers && /^text\/event-/.test(headers['Content-Type'])) {
+        const eventName = event.getHeader('Event-Name');
+        this.eventCounts.set(eventName, (this.eventCounts.get(eventName) || 0) + 1);
+        this.emit('event', event);
+      }
+    });
+  }
+
+  subscribeToEvents() {
+    // modesl appends the events it always needs (BACKGROUND_JOB, ...), but
+    // FreeSWITCH reads every name after CUSTOM as a subclass, so they go first
+    const customIndex = this.subscriptions.indexOf('CUSTOM');
+    const events = customIndex === -1 ? this.subscriptions : [
+      ...this.subscriptions.slice(0, customIndex),
+      ...this.connection.reqEvents.filter(name => !this.subscriptions.includes(name)),
+      ...this.subscriptions.slice(customIndex)
+    ];
+
+    this.logger.info(`📡 Subscribing to FreeSWITCH events on ${this.name}: ${events.join(', ')}`);
+
+    this.connection.subscribe(events);
+
+    this.logger.info(`✅ Successfully subscribed to FreeSWITCH events on ${this.name}`);
+  }
+
+  // Run an API command and resolve with its response body
+  api(command, timeoutMs = 5000) {
+    return new Promise((resolve, reject) => {
+      if (!this.isConnected()) {
+        reject(new Error(`FreeSWITCH ${this.name} is not connected`));
+        return;
+      }
+
+      const timeout = setTimeout(() => {
+        reject(new Error(`API command "${command}" timed out on ${this.name}`));
+      }, timeoutMs);
+
+      this.connection.api(command, (response) => {
+        clearTimeout(timeout);
+        const body = response.getBody() || '';
+
+        if (body.startsWith('-ERR')) {
+          reject(new Error(`API command "${command}" failed on ${this.name}: ${body.trim()}`));
+        } else {
+          resolve(body);
+        }
+      });
+    });
+  }
+
+  markDisconnected() {
+    if (this.connected) {
+      this.lastDisconnectedAt = new Date();
+      this.emit('disconnected');
+    }
+    this.connected = false;
+  }
+
+  handleDisconnection() {
+    if (this.stopped || this.reconnectTimer) return;
+
+    if (this.reconnectAttempts >= this.maxReconnectAttempts) {
+      this.logger.error(`❌ Max reconnection attempts (${this.maxReconnectAttempts}) reached for ${this.name}`);
+      this.emit('max_reconnects_reached');
+      return;
+    }
+
+    this.reconnectAttempts++;
+    this.logger.warn(`🔄 Attempting to reconnect to ${this.name} (${this.reconnectAttempts}/${this.maxReconnectAttempts})...`);
+
+    this.reconnectTimer = setTimeout(async () => {
+      this.reconnectTimer = null;
+      try {
+        await this.connect();
+        this.logger.info(`✅ Reconnected to FreeSWITCH ${this.name}`);
+      } catch (error) {
+        this.logger.error(`❌ Reconnection to ${this.name} failed:`, error);
+        this.handleDisconnection();
+      }
+    }, this.reconnectDelay);
+  }
+
+  isConnected() {
+    return this.connected && !!this.connection;
+  }
+
+  async disconnect() {
+    this.stopped = true;
+
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+    }
+
+    if (this.connection) {
+      this.logger.info(`🔌 Disconnecting from FreeSWITCH ${this.name}...`);
+      const connection = this.connection;
+      this.connection = null;
+      this.connected = false;
+      if (connection.socket) connection.disconnect();
+    }
+  }
+
+  getStats() {
+    return {
+      name: this.name,
+      host: this.host,
+      port: this.port,
+      connected: this.isConnected(),
+      reconnectAttempts: this.reconnectAttempts,
+      lastConnectedAt: this.lastConnectedAt,
+      lastDisconnectedAt: this.lastDisconnectedAt,
+      lastError: this.lastError,
+      eventCounts: Object.fromEntries(this.eventCounts)
+    };
+  }
+}
+
+module.exports = FreeSWITCHNode;
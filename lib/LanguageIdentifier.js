@@ -0,0 +1,145 @@
+/**
+ * Language Identifier
+ *
+ * Labels transcript text with its language for Bengali, English and Hindi
+ * callers, including code-mixed speech:
+ * - Bengali script      → bn-BD (or the bn-* locale of the hint)
+ * - Devanagari          → hi-IN (or the hi-* locale of the hint)
+ * - Latin script        → en-US, or romanized Bengali (Banglish, bn-Latn) /
+ *                         romanized Hindi (hi-Latn) when their common words
+ *                         outnumber English ones
+ *
+ * Every word is counted for its language; Latin words found in no word list
+ * count for whichever Latin language the text leans to. Ties go to the
+ * romanized form of the hint's language (Banglish without a hint), never to
+ * English first. identify() returns
+ *   { language, languages, mixed, confidence }
+ * where languages lists every language holding at least MIXED_MIN_SHARE of
+ * the words and one whole word (most frequent first), mixed is true when
+ * there is more than one, and confidence is the share of the main language.
+ * Text without words keeps the hint.
+ */
+
+const MIXED_MIN_SHARE = 0.2;
+
+const DEFAULT_LOCALES = {
+  bn: 'bn-BD',
+  en: 'en-US',
+  hi: 'hi-IN'
+};
+
+const BANGLISH = 'bn-Latn';
+const HINGLISH = 'hi-Latn';
+
+// Frequent function words and verbs; a word shared by the romanized forms of
+// Bengali and Hindi (ki, na, se, thik) counts half for each
+const WORDS = {
+  en: `a about account activate after again all already also am an and any are as at balance be
+    been bill but by call can cancel cannot card check connection could customer data day did do
+    does done for from get give go good has have he hello help her here hi his how i if in
+    internet is issue it its just know like me minute mobile money month my need network no not
+    now number of offer ok okay on or order our out package pay payment phone please problem
+    recharge right service she should sim sir so sorry speak still talk tell thank thanks that
+    the their them then there they this time to today tomorrow want was we week what when where
+    which who why will with working would wrong yes you your`,
+  [BANGLISH]: `ache achen achi acho aj ajke akhon ami amake amar amader amra apnake apnar apni
+    apnader ar ase asche ashe ashche bhai bhalo bolben bolchen bolchi bolen bolo bolte bolun
+    bujhi bujhlam bujhte chacchi chai chaichi chhilo chilo dao den dekhen dekhi dhonnobad din
+    diye dorkar ei ekhon ekta ektu eta geche gelo gese gulo hobe hocche hoilo hoise hoy hoye
+    hoyeche hoyna hoyni jabe jabo jani janen jante jonno kaj kalke keno kemon khub kichu kintu
+    kisu kore korben korbe korbo korche korchen korchi korchhe korechi korena korlam korse korsi
+    koro korte kobe kokhon koto kothao kothay lagbe lagche laglo naki nai nei nin niye oi oita
+    onek pacchi pacchina pai paini parben parbo pari parchi sathe shathe shesh sesh shudhu sudhu
+    ta taka tahole tar theke tomake tomar tumi valo vai ki na se thik`,
+  [HINGLISH]: `aap aapka aapki aapko abhi accha achha aur bahut bataiye batao bhi chahiye chahta
+    chahti chal chalta dhanyavad diya gaya gayi haan hai hain hamara ho hoga hogi hua hui hum
+    humko kaam kab kahan kaise kaisa kar karein karke karna karo karta karti kijiye kitna kitne
+    koi kuch kya kyon kyun lekin liya main mein mera meri mere mujhe nahi nahin namaste nhi paisa
+    raha rahe rahi rupaye sab sakta sakti shukriya tha theek thi tum tumhara wala wali woh yeh
+    ki na se thik`
+};
+
+const LEXICONS = Object.fromEntries(Object.entries(WORDS).map(([language, words]) => [
+  language,
+  new Set(words.split(/\s+/).filter(Boolean))
+]));
+
+const LATIN_LANGUAGES = ['en', BANGLISH, HINGLISH];
+
+class LanguageIdentifier {
+  static get MIXED_MIN_SHARE() {
+    return MIXED_MIN_SHARE;
+  }
+
+  static identify(text, hint = null) {
+    const counts = this.countWords(text, hint);
+    const total = Object.values(counts).reduce((sum, count) => sum + count, 0);
+
+    if (total === 0) {
+      return { language: hint, languages: hint ? [hint] : [], mixed: false, confidence: null };
+    }
+
+    // Native scripts win ties, then the hint's romanized language
+    const preference = this.preference(hint);
+    const ranked = Object.entries(counts)
+      .filter(([, count]) => count > 0)
+      .sort(([a, countA], [b, countB]) => (countB - countA) || (preference.indexOf(a) - preference.indexOf(b)));
+
+    const languages = ranked
+      .filter(([, count], index) => index === 0 || (count >= 1 && count / total >= MIXED_MIN_SHARE))
+      .map(([language]) => this.toLocale(language, hint));
+
+    return {
+      language: languages[0],
+      languages: languages,
+      mixed: languages.length > 1,
+      confidence: Math.round((ranked[0][1] / total) * 100) / 100
+    };
+  }
+
+  // Words per language: bn, hi (native scripts), en, bn-Latn, hi-Latn
+  static countWords(text, hint = null) {
+    const counts = { bn: 0, hi: 0, en: 0, [BANGLISH]: 0, [HINGLISH]: 0 };
+    let unknownLatin = 0;
+
+    (String(text || '').toLowerCase().match(/[\p{L}\p{M}]+/gu) || []).forEach(word => {
+      if (/[\u0980-\u09FF]/.test(word)) {
+        counts.bn++;
+      } else if (/[\u0900-\u097F]/.test(word)) {
+        counts.hi++;
+      } else if (/^[a-z]+$/.test(word)) {
+        const matches = LATIN_LANGUAGES.filter(language => LEXICONS[language].has(word));
+        matches.forEach(language => { counts[language] += 1 / matches.length; });
+        if (matches.length === 0) unknownLatin++;
+      }
+    });
+
+    if (unknownLatin > 0) {
+      const [first, ...others] = this.preference(hint).filter(language => LATIN_LANGUAGES.includes(language));
+      const leaning = others.reduce((best, language) =>
+        counts[language] > counts[best] ? language : best, first);
+      counts[leaning] += unknownLatin;
+    }
+
+    return counts;
+  }
+
+  // Tie-break order: native scripts, the romanized form of the hint's
+  // language (bn-BD → bn-Latn), the other romanized languages, English
+  static preference(hint) {
+    const hinted = { bn: BANGLISH, hi: HINGLISH, en: 'en' }[String(hint || '').split('-')[0].toLowerCase()];
+    return [...new Set(['bn', 'hi', hinted, BANGLISH, HINGLISH, 'en'].filter(Boolean))];
+  }
+
+  // bn → bn-BD, unless the hint names another bn-* locale (bn-IN)
+  static toLocale(language, hint) {
+    if (!DEFAULT_LOCALES[language]) return language;
+
+    const [hintLanguage, hintRegion] = String(hint || '').split('-');
+    return hintLanguage === language && /^[A-Z]{2}$/.test(hintRegion || '')
+      ? `${language}-${hintRegion}`
+      : DEFAULT_LOCALES[language];
+  }
+}
+
+module.exports = LanguageIdentifier;
@@ -0,0 +1,150 @@
+/**
+ * Migration Runner
+ *
+ * Applies numbered schema migrations from database/migrations and records
+ * them in the schema_migrations table. Each migration module exports `up`
+ * and `down` arrays of SQL statements per storage dialect:
+ *
+ *   module.exports = {
+ *     mysql: { up: [...], down: [...] },
+ *     sqlite: { up: [...], down: [...] }
+ *   };
+ *
+ * Statements run through the storage adapter's migration lock, which keeps
+ * concurrent runners from applying the same migration twice.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'database', 'migrations');
+const MIGRATION_FILE_PATTERN = /^(\d+)_([\w-]+)\.js$/;
+
+class MigrationRunner {
+  constructor(logger, storage, migrationsDir = MIGRATIONS_DIR) {
+    this.logger = logger;
+    this.storage = storage;
+    this.migrationsDir = migrationsDir;
+  }
+
+  loadMigrations() {
+    const dialect = this.storage.dialect;
+
+    return fs.readdirSync(this.migrationsDir)
+      .map(file => file.match(MIGRATION_FILE_PATTERN))
+      .filter(Boolean)
+      .map(([file, version, name]) => {
+        const statements = require(path.join(this.migrationsDir, file))[dialect];
+
+        if (!statements || !Array.isArray(statements.up) || !Array.isArray(statements.down)) {
+          throw new Error(`Migration ${file} must export "up" and "down" statement arrays for ${dialect}`);
+        }
+
+        return {
+          version: parseInt(version, 10),
+          name: name,
+          up: statements.up,
+          down: statements.down
+        };
+      })
+      .sort((a, b) => a.version - b.version);
+  }
+
+  async ensureMigrationsTable(run) {
+    // Plain SQL accepted by both MySQL and SQLite
+    await run(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name VARCHAR(255) NOT NULL,
+        applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+  }
+
+  async getAppliedVersions(run) {
+    const rows = await run('SELECT version FROM schema_migrations ORDER BY version ASC');
+    return new Set(rows.map(row => row.version));
+  }
+
+  // Apply every pending migration in version order
+  async migrate() {
+    return this.withLock(async (run) => {
+      const applied = await this.getAppliedVersions(run);
+      const pending = this.loadMigrations().filter(m => !applied.has(m.version));
+
+      if (pending.length === 0) {
+        this.logger.info('✅ Database schema is up to date');
+        return [];
+      }
+
+      for (const migration of pending) {
+        this.logger.info(`⬆️ Applying migration ${this.formatName(migration)}`);
+
+        // MySQL commits DDL implicitly, so the version is recorded only after
+        // every statement has succeeded
+        await this.runStatements(run, migration.up);
+        await run(
+          'INSERT INTO schema_migrations (version, name) VALUES (?, ?)',
+          [migration.version, migration.name]
+        );
+      }
+
+      this.logger.info(`✅ Applied ${pending.length} migration(s)`);
+      return pending.map(m => this.formatName(m));
+    });
+  }
+
+  // Revert the most recently applied migrations
+  async rollback(steps = 1) {
+    return this.withLock(async (run) => {
+      const applied = await this.getAppliedVersions(run);
+      const toRevert = this.loadMigrations()
+        .filter(m => applied.has(m.version))
+        .reverse()
+        .slice(0, steps);
+
+      for (const migration of toRevert) {
+        this.logger.info(`⬇️ Reverting migration ${this.formatName(migration)}`);
+
+        await this.runStatements(run, migration.down);
+        await run('DELETE FROM schema_migrations WHERE version = ?', [migration.version]);
+      }
+
+      this.logger.info(`✅ Reverted ${toRevert.length} migration(s)`);
+      return toRevert.map(m => this.formatName(m));
+    });
+  }
+
+  async status() {
+    return this.withLock(async (run) => {
+      const rows = await run('SELECT version, applied_at FROM schema_migrations');
+      const appliedAt = new Map(rows.map(row => [row.version, row.applied_at]));
+
+      return this.loadMigrations().map(migration => ({
+        version: migration.version,
+        name: migration.name,
+        applied: appliedAt.has(migration.version),
+        applied_at: appliedAt.get(migration.version) || null
+      }));
+    });
+  }
+
+  async runStatements(run, statements) {
+    for (const statement of statements) {
+      await run(statement);
+    }
+  }
+
+  async withLock(callback) {
+    return this.storage.withMigrationLock(async (run) => {
+      await this.ensureMigrationsTable(run);
+      return callback(run);
+    });
+  }
+
+  formatName(migration) {
+    return `${String(migration.version).padStart(3, '0')}_${migration.name}`;
+  }
+}
+
+module.exports = MigrationRunner;
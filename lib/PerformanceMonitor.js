@@ -6,6 +6,7 @@
  * - Memory usage
  * - Queue statistics
  * - Database performance
+ * - Stale call reaper activity
  * - System health
  */
 
@@ -24,6 +25,7 @@ class PerformanceMonitor extends EventEmitter {
       memoryUsage: [],
       queueStats: new Map(),
       databaseStats: [],
+      callReaper: [],
       systemHealth: new Map()
     };
     
@@ -210,6 +212,28 @@ class PerformanceMonitor extends EventEmitter {
     }
   }
 
+  // Stale Call Reaper
+  trackCallReaper(run) {
+    this.metrics.callReaper.push({
+      timestamp: Date.now(),
+      ...run
+    });
+    
+    // Keep only recent metrics
+    if (this.metrics.callReaper.length > this.config.maxMetricHistory) {
+      this.metrics.callReaper.shift();
+    }
+    
+    const reaped = run.reapedMaxAge + run.reapedInactive;
+    if (reaped > 0) {
+      this.emit('performance_warning', {
+        type: 'stale_calls_reaped',
+        reapedMaxAge: run.reapedMaxAge,
+        reapedInactive: run.reapedInactive
+      });
+    }
+  }
+
   // System Health Check
   checkSystemHealth() {
     const timestamp = Date.now();
@@ -302,11 +326,21 @@ class PerformanceMonitor extends EventEmitter {
       slowOperations: recentDbOps.filter(op => op.duration > this.thresholds.databaseResponseMs).length
     } : null;
     
+    // Stale call reaper stats
+    const recentReaperRuns = this.metrics.callReaper.filter(m => m.timestamp > oneMinuteAgo);
+    const callReaperStats = recentReaperRuns.length > 0 ? {
+      runs: recentReaperRuns.length,
+      reapedMaxAge: recentReaperRuns.reduce((sum, run) => sum + run.reapedMaxAge, 0),
+      reapedInactive: recentReaperRuns.reduce((sum, run) => sum + run.reapedInactive, 0),
+      activeCalls: recentReaperRuns[recentReaperRuns.length - 1].activeCalls
+    } : null;
+    
     return {
       eventProcessing: eventStats,
       memory: memoryStats,
       queues: queueStats,
       database: databaseStats,
+      callReaper: callReaperStats,
       uptime: Math.round(process.uptime()),
       timestamp: now
     };
@@ -334,6 +368,9 @@ class PerformanceMonitor extends EventEmitter {
     // Clean database metrics
     this.metrics.databaseStats = this.metrics.databaseStats.filter(m => m.timestamp > cutoffTime);
     
+    // Clean reaper metrics
+    this.metrics.callReaper = this.metrics.callReaper.filter(m => m.timestamp > cutoffTime);
+    
     this.logger.debug('🧹 Cleaned up old performance metrics');
   }
 
@@ -344,6 +381,7 @@ class PerformanceMonitor extends EventEmitter {
       memoryUsage: this.metrics.memoryUsage.slice(-10), // Last 10 entries
       queueStats: Object.fromEntries(this.metrics.queueStats),
       databaseStats: this.metrics.databaseStats.slice(-10), // Last 10 entries
+      callReaper: this.metrics.callReaper.slice(-10), // Last 10 entries
       systemHealth: Object.fromEntries(this.metrics.systemHealth)
     };
   }
@@ -1,8 +1,11 @@
 const fs = require('fs').promises;
 const path = require('path');
-const speech = require('@google-cloud/speech');
 const Bull = require('bull');
 const pino = require('pino');
+const { v4: uuidv4 } = require('uuid');
+const RecordingDownloader = require('./RecordingDownloader');
+const AudioInspector = require('./AudioInspector');
+const SpeechProviders = require('./stt/SpeechProviders');
 
 class PostProcessingService {
   constructor(config, databaseManager) {
@@ -10,11 +13,14 @@ class PostProcessingService {
     this.db = databaseManager;
     this.logger = pino({ name: 'PostProcessingService' });
     
-    // Initialize Google Speech client
-    this.speechClient = new speech.SpeechClient({
-      keyFilename: config.googleCredentials
+    // Batch STT engines (BATCH_STT_PROVIDER, BATCH_STT_TENANTS, per-job stt_provider)
+    this.speechProviders = new SpeechProviders(this.logger, {
+      google: { credentials: config.googleCredentials }
     });
     
+    // Fetches recording_url (auth, limits and retries from RECORDING_DOWNLOAD_*)
+    this.downloader = new RecordingDownloader(this.logger, config.download);
+    
     // Create Bull queue for post-processing jobs
     this.postProcessQueue = new Bull('post-processing', {
       redis: {
@@ -77,7 +83,7 @@ class PostProcessingService {
   setupQueueProcessors() {
     // Process recording files
     this.postProcessQueue.process('process-recording', 3, async (job) => {
-      return await this.processRecording(job.data);
+      return await this.processRecording(job.data, job);
     });
 
     // Queue event handlers
@@ -123,6 +129,8 @@ class PostProcessingService {
         from: recordingData.from,
         to: recordingData.to,
         account_sid: recordingData.account_sid,
+        stt_provider: recordingData.stt_provider,
+        stt_model: recordingData.stt_model,
         timestamp: new Date().toISOString()
       }, {
         delay: this.config.postProcessingDelay * 1000, // Convert to milliseconds
@@ -146,25 +154,41 @@ class PostProcessingService {
     }
   }
 
-  async processRecording(jobData) {
+  async processRecording(jobData, job = null) {
     const startTime = Date.now();
     this.logger.info('🎬 Starting post-processing for call:', {
       callSid: jobData.call_sid,
       recordingUrl: jobData.recording_url
     });
 
+    let audioFilePath = null;
+
     try {
       // Step 1: Download recording file
-      const audioFilePath = await this.downloadRecording(jobData);
+      const download = await this.downloadRecording(jobData);
+      audioFilePath = download.filePath;
+      
+      // Codec, sample rate and channels for the STT request
+      const audio = await this.inspectRecording(audioFilePath, jobData);
+      
+      // Keep what was downloaded with the job, also if a later step fails
+      const recording = {
+        bytes: download.bytes,
+        content_type: download.contentType,
+        sha256: download.sha256,
+        attempts: download.attempts,
+        download_ms: download.durationMs,
+        format: AudioInspector.summary(audio)
+      };
+      if (job) {
+        await job.update({ ...jobData, recording });
+      }
       
       // Step 2: Process with Google Speech-to-Text
-      const transcriptionResult = await this.transcribeAudio(audioFilePath, jobData);
+      const transcriptionResult = await this.transcribeAudio(audioFilePath, jobData, audio);
       
       // Step 3: Save to database
-      const transcriptId = await this.saveTranscription(jobData, transcriptionResult);
-      
-      // Step 4: Cleanup temporary file
-      await this.cleanupFile(audioFilePath);
+      const transcriptId = await this.saveTranscription({ ...jobData, recording }, transcriptionResult);
       
       const duration = Date.now() - startTime;
       
@@ -181,7 +205,8 @@ class PostProcessingService {
         transcriptId,
         duration,
         segments: transcriptionResult.segments?.length || 0,
-        averageConfidence: transcriptionResult.averageConfidence
+        averageConfidence: transcriptionResult.averageConfidence,
+        recording
       };
 
     } catch (error) {
@@ -190,28 +215,43 @@ class PostProcessingService {
         error: error.message
       });
       throw error;
+
+    } finally {
+      // Step 4: Cleanup temporary file, also when a step failed (retries
+      // download it again)
+      if (audioFilePath) {
+        await this.cleanupFile(audioFilePath);
+      }
     }
   }
 
+  // Resolves with { filePath, bytes, contentType, sha256, attempts, durationMs }
   async downloadRecording(jobData) {
-    const fileName = `${jobData.call_sid}_${Date.now()}.wav`;
-    const filePath = path.join(this.config.recordingPath, fileName);
+    // call_sid comes from the webhook: only its safe characters name the file
+    const recordingDir = path.resolve(this.config.recordingPath);
+    const safeSid = String(jobData.call_sid).replace(/[^A-Za-z0-9_-]/g, '_').slice(0, 64);
+    const fileBase = path.join(recordingDir, `${safeSid}_${Date.now()}`);
+
+    if (path.dirname(fileBase) !== recordingDir) {
+      throw new Error(`Invalid recording file name for call ${jobData.call_sid}`);
+    }
     
     this.logger.info('⬇️ Downloading recording:', {
       url: jobData.recording_url,
-      filePath
+      fileBase
     });
 
     try {
-      // For now, simulate download - in production you'd use fetch/axios
-      // const response = await fetch(jobData.recording_url);
-      // const buffer = await response.buffer();
-      // await fs.writeFile(filePath, buffer);
-      
-      // Simulate file creation for testing
-      await fs.writeFile(filePath, 'dummy audio data');
-      
-      return filePath;
+      const download = await this.downloader.download(jobData.recording_url, fileBase);
+
+      this.logger.info('✅ Recording downloaded:', {
+        callSid: jobData.call_sid,
+        bytes: download.bytes,
+        sha256: download.sha256,
+        attempts: download.attempts
+      });
+
+      return download;
       
     } catch (error) {
       this.logger.error('❌ Failed to download recording:', error);
@@ -219,45 +259,44 @@ class PostProcessingService {
     }
   }
 
-  async transcribeAudio(audioFilePath, jobData) {
+  // AudioInspector result, or null when the format is not recognized (the
+  // STT engine then gets the file as it is). A WAV without samples fails
+  // the job.
+  async inspectRecording(audioFilePath, jobData) {
+    const audio = await AudioInspector.inspect(audioFilePath);
+
+    if (audio) {
+      this.logger.info('🔍 Recording format:', { callSid: jobData.call_sid, ...AudioInspector.summary(audio) });
+    } else {
+      this.logger.warn(`⚠️ Unrecognized recording format: ${audioFilePath}`);
+    }
+
+    return audio;
+  }
+
+  async transcribeAudio(audioFilePath, jobData, audio = null) {
     this.logger.info('🎤 Starting batch transcription:', {
       filePath: audioFilePath,
-      callSid: jobData.call_sid
+      callSid: jobData.call_sid,
+      provider: jobData.stt_provider,
+      model: jobData.stt_model
     });
 
     try {
-      // For now, simulate transcription - in production you'd use actual Google Speech API
-      const mockTranscription = {
-        segments: [
-          {
-            text: 'আসসালামু আলাইকুম স্যার, আমি রকমারি ডট কম থেকে রাকিব বলছি।',
-            speaker: 'agent',
-            startTime: 0.0,
-            endTime: 4.2,
-            confidence: 0.95,
-            words: [
-              { word: 'আসসালামু', startTime: 0.0, endTime: 0.8, confidence: 0.98 },
-              { word: 'আলাইকুম', startTime: 0.8, endTime: 1.4, confidence: 0.97 },
-              { word: 'স্যার', startTime: 1.4, endTime: 1.8, confidence: 0.96 }
-            ]
-          },
-          {
-            text: 'কনফার্ম',
-            speaker: 'customer',
-            startTime: 20.5,
-            endTime: 21.2,
-            confidence: 0.89,
-            words: [
-              { word: 'কনফার্ম', startTime: 20.5, endTime: 21.2, confidence: 0.89 }
-            ]
-          }
-        ],
-        averageConfidence: 0.92,
-        language: 'bn-BD',
-        duration: jobData.duration || 25.0
-      };
+      const transcription = await this.speechProviders.transcribe(audioFilePath, {
+        provider: jobData.stt_provider,
+        model: jobData.stt_model,
+        tenant: jobData.account_sid,
+        languageCode: jobData.language,
+        duration: jobData.duration,
+        audio
+      });
+
+      if (transcription.segments.length === 0) {
+        this.logger.warn(`⚠️ No speech detected in recording: ${jobData.call_sid}`);
+      }
 
-      return mockTranscription;
+      return transcription;
 
     } catch (error) {
       this.logger.error('❌ Transcription failed:', error);
@@ -280,29 +319,53 @@ class PostProcessingService {
         duration: transcriptionResult.duration,
         average_confidence: transcriptionResult.averageConfidence,
         segment_count: transcriptionResult.segments?.length || 0,
-        processing_method: 'google_batch',
+        processing_method: `${transcriptionResult.provider}_batch`,
+        metadata: {
+          recording_url: jobData.recording_url,
+          recording: jobData.recording || null,
+          stt_provider: transcriptionResult.provider,
+          stt_model: transcriptionResult.model,
+          recognition_method: transcriptionResult.method || null,
+          speaker_attribution: transcriptionResult.attribution || null,
+          channels: transcriptionResult.channels || null
+        },
         created_at: new Date()
       };
 
       const transcriptResult = await this.db.insertTranscript(transcriptData);
       const transcriptId = transcriptResult.insertId;
 
+      // Segment times are offsets into the recording. The webhook fires when
+      // the recording ends, so the recording started `duration` seconds earlier.
+      const recordingStart = new Date(jobData.timestamp).getTime() -
+        (parseFloat(jobData.duration) || transcriptionResult.duration || 0) * 1000;
+
       // Save individual segments
       for (const segment of transcriptionResult.segments || []) {
         const segmentData = {
-          transcript_id: transcriptId,
+          id: uuidv4(),
           call_sid: jobData.call_sid,
-          segment_type: 'speech',
-          speaker: segment.speaker,
+          segment_type: 'stt_batch',
+          speaker: segment.speaker === 'customer' ? 'caller' : segment.speaker,
           text: segment.text,
-          start_time: segment.startTime,
-          end_time: segment.endTime,
+          start_time: new Date(recordingStart + segment.startTime * 1000),
+          end_time: new Date(recordingStart + segment.endTime * 1000),
           confidence: segment.confidence,
-          language: transcriptionResult.language,
-          vendor: 'google',
-          processing_type: 'batch',
-          word_count: segment.words?.length || 0,
-          created_at: new Date()
+          language: segment.language || transcriptionResult.language,
+          mixed_language: segment.mixedLanguage || false,
+          vendor: transcriptionResult.provider,
+          source_type: 'stt_post_processed',
+          metadata: {
+            transcript_id: transcriptId,
+            processing_type: 'batch',
+            stt_provider: transcriptionResult.provider,
+            stt_model: transcriptionResult.model,
+            word_count: segment.words?.length || 0,
+            speaker_tag: segment.speakerTag || null,
+            channel: segment.channel || null,
+            offset_start: segment.startTime,
+            offset_end: segment.endTime
+          }
         };
 
         await this.db.insertTranscriptSegment(segmentData);
@@ -318,7 +381,7 @@ class PostProcessingService {
               start_time: word.startTime,
               end_time: word.endTime,
               confidence: word.confidence,
-              speaker: segment.speaker
+              speaker: segmentData.speaker
             };
 
             await this.db.insertWordTimestamp(wordData);
@@ -0,0 +1,265 @@
+/**
+ * Prompt Catalog
+ *
+ * Maps pre-recorded prompt files to the text they speak, so audio playbacks
+ * show up in the transcript like TTS prompts. Entries live in the
+ * prompt_catalog table (managed through /api/prompt-catalog) and are kept in
+ * memory for matching; every change made through this class reloads them, and
+ * the table is re-read every PROMPT_CATALOG_REFRESH_INTERVAL ms so other
+ * instances pick up changes too.
+ *
+ * match_type:
+ * - exact  the full playback path, or the file name when the pattern has no "/"
+ * - glob   * and ? within one path segment, ** across segments
+ * - regex  JavaScript regular expression tested against the full path
+ *
+ * Patterns run for every playback, so glob and regex patterns are limited to
+ * MAX_PATTERN_LENGTH characters, and regexes may not repeat a group that
+ * holds a quantifier or alternation ((a+)+, (a|ab)*) or use backreferences:
+ * the shapes that backtrack exponentially.
+ *
+ * Exact entries win over patterns; among patterns the highest priority, then
+ * the longest pattern wins.
+ */
+
+const path = require('path');
+
+const MATCH_TYPES = ['exact', 'glob', 'regex'];
+
+const MAX_PATTERN_LENGTH = 200;
+
+class PromptCatalog {
+  constructor(logger, databaseManager, options = {}) {
+    this.logger = logger;
+    this.db = databaseManager;
+
+    this.refreshInterval = options.refreshInterval || parseInt(process.env.PROMPT_CATALOG_REFRESH_INTERVAL) || 60000;
+    this.refreshTimer = null;
+
+    // Compiled, enabled entries
+    this.exact = new Map();
+    this.patterns = [];
+    this.size = 0;
+    this.loadedAt = null;
+  }
+
+  static get MATCH_TYPES() {
+    return MATCH_TYPES;
+  }
+
+  async initialize() {
+    // Without the catalog playbacks are still recorded as audio events, and
+    // the next refresh retries the load
+    await this.load().catch(() => {});
+
+    this.refreshTimer = setInterval(() => {
+      this.load().catch(() => {});
+    }, this.refreshInterval);
+    this.refreshTimer.unref();
+  }
+
+  stop() {
+    if (this.refreshTimer) {
+      clearInterval(this.refreshTimer);
+      this.refreshTimer = null;
+    }
+  }
+
+  async load() {
+    try {
+      const entries = await this.db.getPromptCatalog();
+      const exact = new Map();
+      const patterns = [];
+
+      entries.filter(entry => entry.enabled).forEach(entry => {
+        if (entry.match_type === 'exact') {
+          if (!exact.has(entry.pattern)) exact.set(entry.pattern, entry);
+          return;
+        }
+
+        try {
+          patterns.push({ entry, regex: PromptCatalog.compile(entry.pattern, entry.match_type) });
+        } catch (error) {
+          this.logger.warn(`⚠️ Skipping prompt catalog entry ${entry.id}: ${error.message}`);
+        }
+      });
+
+      patterns.sort((a, b) => (b.entry.priority - a.entry.priority) ||
+                              (b.entry.pattern.length - a.entry.pattern.length));
+
+      this.exact = exact;
+      this.patterns = patterns;
+      this.size = exact.size + patterns.length;
+      this.loadedAt = new Date();
+
+      this.logger.debug(`📚 Prompt catalog loaded: ${this.size} entries`);
+      return this.size;
+
+    } catch (error) {
+      this.logger.error('❌ Failed to load prompt catalog:', error);
+      throw error;
+    }
+  }
+
+  static compile(pattern, matchType) {
+    if (pattern.length > MAX_PATTERN_LENGTH) {
+      throw new Error(`${matchType} patterns are limited to ${MAX_PATTERN_LENGTH} characters`);
+    }
+
+    if (matchType === 'regex') {
+      const unsafe = PromptCatalog.unsafeRegex(pattern);
+      if (unsafe) {
+        throw new Error(`Unsafe regex pattern: ${unsafe}`);
+      }
+      return new RegExp(pattern);
+    }
+
+    // glob: patterns without a directory match the file name in any directory
+    const source = pattern
+      .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+      .replace(/\*\*/g, '\u0000')
+      .replace(/\*/g, '[^/]*')
+      .replace(/\?/g, '[^/]')
+      .replace(/\u0000/g, '.*');
+
+    return new RegExp(pattern.includes('/') ? `^${source}$` : `(^|/)${source}$`);
+  }
+
+  // Why a regex could backtrack exponentially, or null. Scans the source for
+  // groups repeated by *, + or {n,m} that contain a quantifier or alternation
+  static unsafeRegex(pattern) {
+    const groups = [{ quantified: false, alternation: false }];
+
+    for (let index = 0; index < pattern.length; index++) {
+      const char = pattern[index];
+
+      if (char === '\\') {
+        if (/[1-9k]/.test(pattern[index + 1] || '')) return 'backreferences are not allowed';
+        index++;
+      } else if (char === '[') {
+        // Character class: quantifier characters inside are literals
+        index++;
+        while (index < pattern.length && pattern[index] !== ']') {
+          if (pattern[index] === '\\') index++;
+          index++;
+        }
+      } else if (char === '(') {
+        groups.push({ quantified: false, alternation: false });
+        // (?:  (?=  (?!  (?<=  (?<!  (?<name>
+        if (pattern[index + 1] === '?') {
+          const prefix = pattern.slice(index + 1).match(/^\?(<[A-Za-z_$][\w$]*>|<=|<!|[:=!])/);
+          if (prefix) index += prefix[0].length;
+        }
+      } else if (char === '|') {
+        groups[groups.length - 1].alternation = true;
+      } else if (char === ')' && groups.length > 1) {
+        const group = groups.pop();
+        const repeated = PromptCatalog.quantifierAt(pattern, index + 1, true);
+
+        if (repeated && (group.quantified || group.alternation)) {
+          return 'nested quantifiers are not allowed';
+        }
+        if (group.quantified || PromptCatalog.quantifierAt(pattern, index + 1)) {
+          groups[groups.length - 1].quantified = true;
+        }
+      } else if (PromptCatalog.quantifierAt(pattern, index)) {
+        groups[groups.length - 1].quantified = true;
+      }
+    }
+
+    return null;
+  }
+
+  // Whether a quantifier starts at `index`; `repeating` leaves out ? and {0,1}
+  static quantifierAt(pattern, index, repeating = false) {
+    const char = pattern[index];
+    if (char === '*' || char === '+') return true;
+    if (char === '?') return !repeating;
+
+    const range = char === '{' && pattern.slice(index).match(/^\{(\d+)(,(\d*))?\}/);
+    if (!range) return false;
+
+    const max = range[2] ? (range[3] === '' ? Infinity : parseInt(range[3], 10)) : parseInt(range[1], 10);
+    return repeating ? max > 1 : true;
+  }
+
+  // The catalog entry for a playback file path, or null
+  match(filePath) {
+    if (!filePath || this.size === 0) return null;
+
+    const normalized = PromptCatalog.normalizePath(filePath);
+
+    const exact = this.exact.get(normalized) || this.exact.get(path.basename(normalized));
+    if (exact) return exact;
+
+    const pattern = this.patterns.find(({ regex }) => regex.test(normalized));
+    return pattern ? pattern.entry : null;
+  }
+
+  // {channel=vars}/path/file.wav → /path/file.wav
+  static normalizePath(filePath) {
+    return String(filePath).replace(/^\{[^}]*\}/, '').trim();
+  }
+
+  // Management (used by the API)
+  async list() {
+    return this.db.getPromptCatalog();
+  }
+
+  async get(id) {
+    return this.db.getPromptCatalogEntry(id);
+  }
+
+  async create(entry) {
+    PromptCatalog.validate(entry);
+
+    const result = await this.db.insertPromptCatalogEntry(entry);
+    await this.load();
+
+    return this.db.getPromptCatalogEntry(result.insertId);
+  }
+
+  async update(id, updates) {
+    const current = await this.db.getPromptCatalogEntry(id);
+    if (!current) return null;
+
+    PromptCatalog.validate({ ...current, ...updates });
+
+    await this.db.updatePromptCatalogEntry(id, updates);
+    await this.load();
+
+    return this.db.getPromptCatalogEntry(id);
+  }
+
+  async remove(id) {
+    const result = await this.db.deletePromptCatalogEntry(id);
+    await this.load();
+
+    return result.affectedRows > 0;
+  }
+
+  static validate(entry) {
+    if (!MATCH_TYPES.includes(entry.match_type || 'exact')) {
+      throw new Error(`match_type must be one of ${MATCH_TYPES.join(', ')}`);
+    }
+
+    if (entry.match_type === 'regex' || entry.match_type === 'glob') {
+      try {
+        PromptCatalog.compile(entry.pattern, entry.match_type);
+      } catch (error) {
+        throw new Error(`Invalid ${entry.match_type} pattern: ${error.message}`);
+      }
+    }
+  }
+
+  getStats() {
+    return {
+      entries: this.size,
+      exact: this.exact.size,
+      patterns: this.patterns.length,
+      loadedAt: this.loadedAt
+    };
+  }
+}
+
+module.exports = PromptCatalog;
@@ -0,0 +1,252 @@
+/**
+ * Recording Downloader
+ *
+ * Streams a call recording (e.g. the recording_url of a Jambonz recording
+ * webhook) to disk. The body is written to a .part file while its size is
+ * counted and its SHA-256 computed, and renamed once complete, so a failed
+ * download never leaves a truncated recording behind.
+ *
+ * Options (RECORDING_DOWNLOAD_* environment variables):
+ * - allowedHosts  hosts recordings are fetched from (host, host:port or
+ *                 *.domain); other URLs, and redirects off these hosts, are
+ *                 refused so credentials never go elsewhere. Empty: none
+ * - auth          none | basic | bearer | signed
+ *                 basic:  username / password
+ *                 bearer: token
+ *                 signed: adds expires=<unix time> and
+ *                         signature=hex(HMAC-SHA256(secret, "<path>:<expires>"))
+ *                         valid for signedUrlTtl seconds. URLs that are already
+ *                         pre-signed (S3, GCS) need auth none.
+ * - timeout       ms without progress before the request is aborted
+ * - retries       extra attempts after network errors, timeouts, 429 and 5xx
+ * - retryDelay    ms before the first retry, doubled for every further one
+ * - maxBytes      larger recordings are rejected
+ * - contentTypes  accepted Content-Types; "audio/*" accepts any audio type
+ *
+ * download() resolves with
+ *   { filePath, bytes, contentType, sha256, attempts, durationMs }
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const axios = require('axios');
+
+const AUTH_TYPES = ['none', 'basic', 'bearer', 'signed'];
+
+const EXTENSIONS = {
+  'audio/mpeg': '.mp3',
+  'audio/mp3': '.mp3'
+};
+
+class RecordingDownloader {
+  constructor(logger, options = {}) {
+    this.logger = logger;
+
+    this.allowedHosts = options.allowedHosts ||
+      (process.env.RECORDING_DOWNLOAD_ALLOWED_HOSTS || '')
+        .split(',').map(host => host.trim().toLowerCase()).filter(Boolean);
+    this.auth = options.auth || process.env.RECORDING_DOWNLOAD_AUTH || 'none';
+    this.username = options.username || process.env.RECORDING_DOWNLOAD_USERNAME;
+    this.password = options.password || process.env.RECORDING_DOWNLOAD_PASSWORD;
+    this.token = options.token || process.env.RECORDING_DOWNLOAD_TOKEN;
+    this.signingSecret = options.signingSecret || process.env.RECORDING_DOWNLOAD_SIGNING_SECRET;
+    this.signedUrlTtl = options.signedUrlTtl || parseInt(process.env.RECORDING_DOWNLOAD_SIGNED_URL_TTL) || 300;
+
+    const retries = parseInt(process.env.RECORDING_DOWNLOAD_RETRIES);
+    this.timeout = options.timeout || parseInt(process.env.RECORDING_DOWNLOAD_TIMEOUT) || 30000;
+    this.retries = options.retries ?? (Number.isNaN(retries) ? 3 : retries);
+    this.retryDelay = options.retryDelay ?? (parseInt(process.env.RECORDING_DOWNLOAD_RETRY_DELAY) || 1000);
+    this.maxBytes = options.maxBytes || parseInt(process.env.RECORDING_DOWNLOAD_MAX_BYTES) || 100 * 1024 * 1024;
+    this.contentTypes = options.contentTypes ||
+      (process.env.RECORDING_DOWNLOAD_CONTENT_TYPES || 'audio/*,application/octet-stream')
+        .split(',').map(type => type.trim().toLowerCase()).filter(Boolean);
+
+    if (!AUTH_TYPES.includes(this.auth)) {
+      throw new Error(`Invalid recording download auth "${this.auth}" (expected ${AUTH_TYPES.join(', ')})`);
+    }
+  }
+
+  // `fileBase` is the path without extension; the extension follows the
+  // URL, or the Content-Type when the URL has none
+  async download(url, fileBase) {
+    const startTime = Date.now();
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        const result = await this.attempt(url, fileBase);
+        return { ...result, attempts: attempt, durationMs: Date.now() - startTime };
+
+      } catch (error) {
+        if (!error.retryable || attempt > this.retries) {
+          throw error;
+        }
+
+        const delay = this.retryDelay * 2 ** (attempt - 1);
+        this.logger.warn(`⚠️ Recording download attempt ${attempt} failed (${error.message}), retrying in ${delay}ms`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  }
+
+  async attempt(url, fileBase) {
+    if (!this.isAllowedUrl(url)) {
+      throw this.downloadError(`Recording URL ${url} is not on RECORDING_DOWNLOAD_ALLOWED_HOSTS`, false);
+    }
+
+    const requestUrl = this.signUrl(url);
+
+    let response;
+    let rejectedRedirect = null;
+    try {
+      response = await axios({
+        method: 'get',
+        url: requestUrl,
+        // Uncompressed, so Content-Length is the size written to disk
+        headers: { ...this.authHeaders(), 'Accept-Encoding': 'identity' },
+        decompress: false,
+        responseType: 'stream',
+        timeout: this.timeout,
+        maxRedirects: 5,
+        beforeRedirect: (options) => {
+          if (!this.isAllowedUrl(options.href)) {
+            rejectedRedirect = this.downloadError(`Redirect to ${options.host} is not on RECORDING_DOWNLOAD_ALLOWED_HOSTS`, false);
+            throw rejectedRedirect;
+          }
+        },
+        validateStatus: () => true
+      });
+    } catch (error) {
+      if (rejectedRedirect) throw rejectedRedirect;
+      // Connection refused, DNS failure, timeout before the response
+      throw this.downloadError(error.message, true);
+    }
+
+    const body = response.data;
+
+    try {
+      if (response.status < 200 || response.status >= 300) {
+        throw this.downloadError(`HTTP ${response.status}`, response.status === 429 || response.status >= 500);
+      }
+
+      const contentType = String(response.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+      if (!this.isAcceptedType(contentType)) {
+        throw this.downloadError(`Unexpected content type "${contentType || 'none'}"`, false);
+      }
+
+      const declaredBytes = parseInt(response.headers['content-length'], 10);
+      if (declaredBytes > this.maxBytes) {
+        throw this.downloadError(`Recording is ${declaredBytes} bytes (limit ${this.maxBytes})`, false);
+      }
+
+      const filePath = fileBase + this.extensionFor(url, contentType);
+      const partPath = `${filePath}.part`;
+      const hash = crypto.createHash('sha256');
+      let bytes = 0;
+
+      const meter = new Transform({
+        transform: (chunk, encoding, callback) => {
+          bytes += chunk.length;
+          if (bytes > this.maxBytes) {
+            callback(this.downloadError(`Recording exceeds ${this.maxBytes} bytes`, false));
+            return;
+          }
+          hash.update(chunk);
+          callback(null, chunk);
+        }
+      });
+
+      try {
+        await pipeline(body, meter, fs.createWriteStream(partPath));
+      } catch (error) {
+        await fs.promises.unlink(partPath).catch(() => {});
+        throw error.retryable === undefined ? this.downloadError(error.message, true) : error;
+      }
+
+      if (bytes === 0) {
+        await fs.promises.unlink(partPath).catch(() => {});
+        throw this.downloadError('Recording is empty', true);
+      }
+
+      if (declaredBytes >= 0 && bytes !== declaredBytes) {
+        await fs.promises.unlink(partPath).catch(() => {});
+        throw this.downloadError(`Received ${bytes} of ${declaredBytes} bytes`, true);
+      }
+
+      await fs.promises.rename(partPath, filePath);
+
+      return { filePath, bytes, contentType, sha256: hash.digest('hex') };
+
+    } finally {
+      // Rejected responses still hold the socket until their body is consumed
+      if (!body.destroyed) body.destroy();
+    }
+  }
+
+  // http(s) URL on one of the allowed hosts
+  isAllowedUrl(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      return false;
+    }
+
+    if (!['http:', 'https:'].includes(parsed.protocol)) return false;
+
+    const hostname = parsed.hostname.toLowerCase();
+    return this.allowedHosts.some(allowed => {
+      if (allowed.startsWith('*.')) return hostname.endsWith(allowed.slice(1));
+      return allowed.includes(':') ? allowed === parsed.host.toLowerCase() : allowed === hostname;
+    });
+  }
+
+  authHeaders() {
+    if (this.auth === 'basic') {
+      return { Authorization: `Basic ${Buffer.from(`${this.username || ''}:${this.password || ''}`).toString('base64')}` };
+    }
+    if (this.auth === 'bearer') {
+      return { Authorization: `Bearer ${this.token || ''}` };
+    }
+    return {};
+  }
+
+  signUrl(url) {
+    if (this.auth !== 'signed') return url;
+
+    if (!this.signingSecret) {
+      throw this.downloadError('RECORDING_DOWNLOAD_SIGNING_SECRET is not set', false);
+    }
+
+    const signed = new URL(url);
+    const expires = Math.floor(Date.now() / 1000) + this.signedUrlTtl;
+    const signature = crypto.createHmac('sha256', this.signingSecret)
+      .update(`${signed.pathname}:${expires}`)
+      .digest('hex');
+
+    signed.searchParams.set('expires', String(expires));
+    signed.searchParams.set('signature', signature);
+    return signed.toString();
+  }
+
+  isAcceptedType(contentType) {
+    return this.contentTypes.some(accepted => accepted.endsWith('/*')
+      ? contentType.startsWith(accepted.slice(0, -1))
+      : contentType === accepted);
+  }
+
+  extensionFor(url, contentType) {
+    const extension = path.extname(new URL(url).pathname).toLowerCase();
+    return ['.wav', '.mp3'].includes(extension) ? extension : (EXTENSIONS[contentType] || '.wav');
+  }
+
+  downloadError(message, retryable) {
+    const error = new Error(message);
+    error.retryable = retryable;
+    return error;
+  }
+}
+
+module.exports = RecordingDownloader;
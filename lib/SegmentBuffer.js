@@ -0,0 +1,216 @@
+/**
+ * Segment Buffer
+ *
+ * Write-behind buffer between the Transcript Processor and the Database
+ * Manager. Real-time TTS/STT segments are collected in memory and written
+ * with one multi-row insert when either:
+ * - EVENT_BATCH_SIZE segments are waiting, or
+ * - EVENT_FLUSH_INTERVAL ms have passed since the last flush
+ *
+ * When the database is unavailable (connection, lock and I/O errors) a failed
+ * flush is put back at the front of the buffer and retried on the next flush.
+ * Any other failure means the database rejected a row: the batch is written
+ * again in halves, down to single rows, and only the rejected rows are logged
+ * and dropped. Pending segments are flushed on shutdown. Segments that are
+ * still pending can be completed in place with update().
+ */
+
+// Error codes (mysql2, better-sqlite3, network) that say nothing about the rows
+const UNAVAILABLE_ERROR_CODES = /^(ECONN|ETIMEDOUT|EPIPE|ENOTFOUND|EHOSTUNREACH|EAI_AGAIN|PROTOCOL_|POOL_|ER_CON_COUNT_ERROR|ER_LOCK_|ER_SERVER_SHUTDOWN|ER_ACCESS_DENIED|SQLITE_(BUSY|LOCKED|IOERR|FULL|CANTOPEN|READONLY))/;
+
+class SegmentBuffer {
+  constructor(logger, databaseManager, performanceMonitor, options = {}) {
+    this.logger = logger;
+    this.db = databaseManager;
+    this.performanceMonitor = performanceMonitor;
+
+    this.batchSize = options.batchSize || parseInt(process.env.EVENT_BATCH_SIZE) || 50;
+    this.flushInterval = options.flushInterval || parseInt(process.env.EVENT_FLUSH_INTERVAL) || 5000;
+    // Upper bound while the database is unavailable; oldest segments are dropped beyond it
+    this.maxBufferSize = options.maxBufferSize || this.batchSize * 100;
+
+    this.segments = [];
+    this.flushTimer = null;
+    this.activeFlush = null;
+
+    this.stats = {
+      flushes: 0,
+      failedFlushes: 0,
+      flushedSegments: 0,
+      droppedSegments: 0,
+      rejectedSegments: 0,
+      lastFlushMs: null
+    };
+  }
+
+  start() {
+    if (this.flushTimer) return;
+
+    this.flushTimer = setInterval(() => {
+      this.flush().catch(() => {});
+    }, this.flushInterval);
+
+    this.logger.info(`✅ Segment buffer started (batch size ${this.batchSize}, flush every ${this.flushInterval}ms)`);
+  }
+
+  async stop() {
+    if (this.flushTimer) {
+      clearInterval(this.flushTimer);
+      this.flushTimer = null;
+    }
+
+    // Drain everything that is still pending; a failing database gets one
+    // final attempt rather than blocking shutdown forever
+    if (this.activeFlush) await this.activeFlush.catch(() => {});
+    if (this.segments.length > 0) {
+      await this.flush().catch(() => {});
+    }
+
+    if (this.segments.length > 0) {
+      this.logger.error(`❌ Segment buffer stopped with ${this.segments.length} unsaved segments`);
+    } else {
+      this.logger.info('✅ Segment buffer flushed and stopped');
+    }
+  }
+
+  add(segment) {
+    this.segments.push(segment);
+
+    if (this.segments.length > this.maxBufferSize) {
+      const dropped = this.segments.splice(0, this.segments.length - this.maxBufferSize);
+      this.stats.droppedSegments += dropped.length;
+      this.logger.error(`❌ Segment buffer full, dropped ${dropped.length} oldest segments`);
+    }
+
+    if (this.segments.length >= this.batchSize && !this.activeFlush) {
+      this.flush().catch(() => {});
+    }
+  }
+
+  /**
+   * Apply updates to a segment that has not been written yet. Resolves to
+   * false once the segment is in the database (or was never buffered), in
+   * which case the caller updates the stored row instead.
+   */
+  async update(id, updates) {
+    if (this.patch(id, updates)) return true;
+
+    // The segment may be part of the batch being written right now; a
+    // failed write puts it back in the buffer
+    if (this.activeFlush) {
+      await this.activeFlush.catch(() => {});
+      return this.patch(id, updates);
+    }
+
+    return false;
+  }
+
+  patch(id, updates) {
+    const segment = this.segments.find(s => s.id === id);
+    if (!segment) return false;
+
+    Object.assign(segment, updates);
+    return true;
+  }
+
+  async flush() {
+    // Only one flush at a time; callers wait for the running one
+    if (this.activeFlush) return this.activeFlush;
+    if (this.segments.length === 0) return { affectedRows: 0 };
+
+    const batch = this.segments.splice(0, this.segments.length);
+
+    this.activeFlush = this.writeBatch(batch).finally(() => {
+      this.activeFlush = null;
+    });
+
+    return this.activeFlush;
+  }
+
+  async writeBatch(batch) {
+    const startTime = Date.now();
+
+    try {
+      const result = await this.db.insertTranscriptSegments(batch);
+      const duration = Date.now() - startTime;
+
+      this.stats.flushes++;
+      this.stats.flushedSegments += batch.length;
+      this.stats.lastFlushMs = duration;
+      this.performanceMonitor?.trackDatabaseOperation('segment_batch_flush', duration);
+
+      this.logger.debug(`💾 Flushed ${batch.length} buffered segments in ${duration}ms`);
+      return result;
+
+    } catch (error) {
+      this.stats.failedFlushes++;
+      this.performanceMonitor?.trackDatabaseOperation('segment_batch_flush_failed', Date.now() - startTime);
+
+      if (SegmentBuffer.isUnavailable(error)) {
+        this.requeue(batch, error);
+        throw error;
+      }
+
+      this.logger.warn(`⚠️ Database rejected a batch of ${batch.length} segments (${error.message}), writing it in parts`);
+
+      // Written or dropped rows; the rest goes back if the database goes away
+      const settled = new Set();
+      try {
+        const affectedRows = await this.salvage(batch, settled);
+        return { affectedRows };
+      } catch (salvageError) {
+        this.requeue(batch.filter(segment => !settled.has(segment)), salvageError);
+        throw salvageError;
+      }
+    }
+  }
+
+  // Writes the halves of rows that failed together, down to single rows;
+  // a single row that still fails is dropped. Resolves with the rows written.
+  async salvage(rows, settled) {
+    if (rows.length === 1) {
+      settled.add(rows[0]);
+      this.stats.rejectedSegments++;
+      this.logger.error(`❌ Dropped segment ${rows[0].id} of call ${rows[0].call_sid}, rejected by the database`);
+      return 0;
+    }
+
+    const middle = Math.ceil(rows.length / 2);
+    let affectedRows = 0;
+
+    for (const half of [rows.slice(0, middle), rows.slice(middle)]) {
+      try {
+        const result = await this.db.insertTranscriptSegments(half);
+        half.forEach(segment => settled.add(segment));
+        this.stats.flushedSegments += half.length;
+        affectedRows += result?.affectedRows ?? half.length;
+      } catch (error) {
+        if (SegmentBuffer.isUnavailable(error)) throw error;
+        affectedRows += await this.salvage(half, settled);
+      }
+    }
+
+    return affectedRows;
+  }
+
+  // Put unsaved segments back ahead of anything that arrived meanwhile
+  requeue(segments, error) {
+    this.segments.unshift(...segments);
+    this.logger.error(`❌ Failed to flush ${segments.length} buffered segments, will retry:`, error);
+  }
+
+  static isUnavailable(error) {
+    return !!error && (error.fatal === true || UNAVAILABLE_ERROR_CODES.test(String(error.code || '')));
+  }
+
+  getStats() {
+    return {
+      pending: this.segments.length,
+      batchSize: this.batchSize,
+      flushInterval: this.flushInterval,
+      ...this.stats
+    };
+  }
+}
+
+module.exports = SegmentBuffer;
@@ -0,0 +1,106 @@
+/**
+ * Speak Data Parser
+ *
+ * FreeSWITCH formats the Application-Data of the speak application as
+ * engine|voice|text, e.g.
+ *   google_tts|bn-IN-Wavenet-A|<speak>আপনার <break time="300ms"/>বিল ...</speak>
+ * The text may be SSML (and may itself contain "|").
+ *
+ * parse() returns
+ *   { engine, voice, language, text, ssml, raw }
+ * where text is plain, speakable text with the markup removed and ssml keeps
+ * the original markup (null when the text was not SSML).
+ */
+
+const ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  nbsp: ' '
+};
+
+// Tags whose content is not spoken as written
+const DROPPED_ELEMENTS = ['audio', 'desc', 'mark'];
+
+class SpeakDataParser {
+  static parse(applicationData) {
+    const raw = applicationData || '';
+    const parts = raw.split('|');
+
+    // Without engine and voice the whole string is the text
+    const [engine, voice, text] = parts.length >= 3
+      ? [parts[0].trim(), parts[1].trim(), parts.slice(2).join('|')]
+      : [null, null, raw];
+
+    const ssml = this.isSsml(text) ? text.trim() : null;
+
+    return {
+      engine: engine || null,
+      voice: voice || null,
+      language: this.languageFromVoice(voice) || this.languageFromSsml(ssml),
+      text: ssml ? this.ssmlToText(ssml) : this.normalizeWhitespace(text),
+      ssml: ssml,
+      raw: raw
+    };
+  }
+
+  static isSsml(text) {
+    return /<\s*(speak|break|prosody|say-as|sub|emphasis|phoneme|voice|lang|p|s|audio)\b[^>]*>/i.test(text);
+  }
+
+  static ssmlToText(ssml) {
+    let text = ssml
+      // <sub alias="...">...</sub> is spoken as its alias
+      .replace(/<sub\b[^>]*\balias\s*=\s*("([^"]*)"|'([^']*)')[^>]*>[\s\S]*?<\/sub\s*>/gi,
+        (match, quoted, double, single) => double ?? single)
+      // Comments and CDATA wrappers; CDATA content is escaped so a "<" in it
+      // isn't taken for a tag
+      .replace(/<!--[\s\S]*?-->/g, '')
+      .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g,
+        (match, content) => content.replace(/&/g, '&amp;').replace(/</g, '&lt;'));
+
+    DROPPED_ELEMENTS.forEach(element => {
+      text = text.replace(new RegExp(`<${element}\\b[^>]*\\/>|<${element}\\b[^>]*>[\\s\\S]*?<\\/${element}\\s*>`, 'gi'), ' ');
+    });
+
+    text = text
+      // Pauses and block elements separate words
+      .replace(/<\s*(break|p|s)\b[^>]*\/?>|<\/\s*(p|s)\s*>/gi, ' ')
+      // Every other tag is dropped, keeping its content
+      .replace(/<[^>]+>/g, '');
+
+    return this.normalizeWhitespace(this.decodeEntities(text));
+  }
+
+  static decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+      if (entity[0] === '#') {
+        const code = entity[1].toLowerCase() === 'x'
+          ? parseInt(entity.substring(2), 16)
+          : parseInt(entity.substring(1), 10);
+        return Number.isFinite(code) ? String.fromCodePoint(code) : match;
+      }
+      return ENTITIES[entity.toLowerCase()] ?? match;
+    });
+  }
+
+  static normalizeWhitespace(text) {
+    return (text || '').replace(/\s+/g, ' ').replace(/\s+([,.!?।])/g, '$1').trim();
+  }
+
+  // bn-IN-Wavenet-A → bn-IN, en-US-Neural2-C → en-US
+  static languageFromVoice(voice) {
+    const match = /^([a-z]{2,3})-([A-Z]{2})\b/.exec(voice || '');
+    return match ? `${match[1]}-${match[2]}` : null;
+  }
+
+  // <speak xml:lang="bn-IN">
+  static languageFromSsml(ssml) {
+    const match = /<speak\b[^>]*\bxml:lang\s*=\s*["']([^"']+)["']/i.exec(ssml || '');
+    return match ? match[1] : null;
+  }
+}
+
+module.exports = SpeakDataParser;
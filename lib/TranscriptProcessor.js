@@ -6,23 +6,46 @@
  * - Background job queuing
  * - Batch processing for recordings
  * - Performance optimization with Bull queues
+ * - Write-behind batching of real-time segments (SegmentBuffer)
+ * - Redis-backed cache of active call transcripts (CallTranscriptCache)
+ * - Agent segments for catalogued pre-recorded prompts (PromptCatalog)
+ * - Batch STT of recordings with the selected engine (SpeechProviders)
  */
 
 const Bull = require('bull');
 const { v4: uuidv4 } = require('uuid');
 const moment = require('moment');
+const SegmentBuffer = require('./SegmentBuffer');
+const CallTranscriptCache = require('./CallTranscriptCache');
+const PromptCatalog = require('./PromptCatalog');
+const AudioInspector = require('./AudioInspector');
+const SpeechProviders = require('./stt/SpeechProviders');
 
 class TranscriptProcessor {
-  constructor(logger, databaseManager) {
+  constructor(logger, databaseManager, performanceMonitor = null) {
     this.logger = logger;
     this.db = databaseManager;
+    this.performanceMonitor = performanceMonitor;
     
     // Bull queues for async processing
     this.queues = {};
     this.isInitialized = false;
     
-    // In-memory cache for active calls
-    this.activeCallTranscripts = new Map();
+    // Batches real-time segment inserts (EVENT_BATCH_SIZE / EVENT_FLUSH_INTERVAL)
+    this.segmentBuffer = new SegmentBuffer(logger, databaseManager, performanceMonitor);
+    
+    // Shared cache of active call transcripts, created with the Redis config
+    this.callCache = null;
+    
+    // Pending call row inserts by call SID; later lifecycle writes of a call
+    // wait for its row, so an answer right after the create isn't lost
+    this.callStarts = new Map();
+    
+    // Known text of pre-recorded prompt files
+    this.promptCatalog = new PromptCatalog(logger, databaseManager);
+    
+    // Batch STT engines for completed recordings
+    this.speechProviders = new SpeechProviders(logger);
     
     // Performance tracking
     this.processedEvents = 0;
@@ -48,12 +71,21 @@ class TranscriptProcessor {
       this.queues.recording = new Bull('recording-processing', { redis: redisConfig });
       this.queues.batch = new Bull('batch-processing', { redis: redisConfig });
 
+      // Active call transcripts live in the same Redis as the queues
+      this.callCache = new CallTranscriptCache(this.logger, redisConfig);
+      await this.callCache.initialize();
+
+      await this.promptCatalog.initialize();
+
       // Setup queue processors
       this.setupQueueProcessors();
       
       // Setup queue monitoring
       this.setupQueueMonitoring();
 
+      // Start periodic segment flushing
+      this.segmentBuffer.start();
+
       this.isInitialized = true;
       this.logger.info('✅ Transcript Processor initialized');
 
@@ -71,11 +103,20 @@ class TranscriptProcessor {
       return await this.processTTSJob(job.data);
     });
 
+    this.queues.tts.process('tts-complete', maxConcurrency, async (job) => {
+      return await this.processTTSCompleteJob(job.data);
+    });
+
     // STT event processor
     this.queues.stt.process('stt-event', maxConcurrency, async (job) => {
       return await this.processSTTJob(job.data);
     });
 
+    // DTMF inputs share the caller-input queue
+    this.queues.stt.process('dtmf-event', maxConcurrency, async (job) => {
+      return await this.processDTMFJob(job.data);
+    });
+
     // Audio event processor
     this.queues.audio.process('audio-event', maxConcurrency, async (job) => {
       return await this.processAudioJob(job.data);
@@ -112,15 +153,15 @@ class TranscriptProcessor {
   // Public methods for event processing
   async processTTSEvent(eventData) {
     try {
+      // Cache first, so a hangup handled right after this event sees it
+      await this.addToCallCache(eventData.callSid, eventData);
+
       // Add to queue for async processing
       await this.queues.tts.add('tts-event', eventData, {
         priority: 10, // High priority for real-time events
         attempts: 3,
         backoff: { type: 'exponential', delay: 1000 }
       });
-
-      // Also store in memory cache for immediate access
-      this.addToCallCache(eventData.callSid, eventData);
       
       this.trackProcessedEvent('TTS');
 
@@ -129,17 +170,48 @@ class TranscriptProcessor {
     }
   }
 
+  // Keeps the live barge-in count of an active call on its row
+  async processBargeIn(callData) {
+    try {
+      await this.updateCallRow(callData.callSid, {
+        barge_in_count: callData.bargeIns
+      }, 'barge-in count');
+
+      this.trackProcessedEvent('BARGE_IN');
+
+    } catch (error) {
+      this.logger.error('❌ Failed to process barge-in:', error);
+    }
+  }
+
+  // A prompt finished playing (or was cut short); completes its TTS segment
+  async processTTSComplete(eventData) {
+    try {
+      // Queued behind its tts-event; retried while the segment doesn't exist yet
+      await this.queues.tts.add('tts-complete', eventData, {
+        priority: 10,
+        attempts: 5,
+        backoff: { type: 'exponential', delay: 1000 }
+      });
+      
+      this.trackProcessedEvent('TTS_COMPLETE');
+
+    } catch (error) {
+      this.logger.error('❌ Failed to process TTS completion:', error);
+    }
+  }
+
   async processSTTEvent(eventData) {
     try {
+      // Cache first, so a hangup handled right after this event sees it
+      await this.addToCallCache(eventData.callSid, eventData);
+
       // Add to queue for async processing
       await this.queues.stt.add('stt-event', eventData, {
         priority: 10, // High priority for real-time events
         attempts: 3,
         backoff: { type: 'exponential', delay: 1000 }
       });
-
-      // Also store in memory cache for immediate access
-      this.addToCallCache(eventData.callSid, eventData);
       
       this.trackProcessedEvent('STT');
 
@@ -148,6 +220,24 @@ class TranscriptProcessor {
     }
   }
 
+  async processDTMFEvent(eventData) {
+    try {
+      // Cache first, so a hangup handled right after this event sees it
+      await this.addToCallCache(eventData.callSid, eventData);
+
+      await this.queues.stt.add('dtmf-event', eventData, {
+        priority: 10,
+        attempts: 3,
+        backoff: { type: 'exponential', delay: 1000 }
+      });
+      
+      this.trackProcessedEvent('DTMF');
+
+    } catch (error) {
+      this.logger.error('❌ Failed to process DTMF event:', error);
+    }
+  }
+
   async processAudioEvent(eventData) {
     try {
       // Add to queue for async processing
@@ -181,28 +271,144 @@ class TranscriptProcessor {
     }
   }
 
+  // Call lifecycle: the call_transcripts row is created as 'active' when the
+  // channel is created, so segments link to it as they arrive and
+  // /api/transcripts shows calls that are still in progress
+  async processCallStart(callData) {
+    const started = this.insertCallStart(callData);
+    this.callStarts.set(callData.callSid, started);
+    await started;
+  }
+
+  async insertCallStart(callData) {
+    try {
+      await this.db.insertCallTranscript({
+        id: uuidv4(),
+        call_sid: callData.callSid,
+        conversation_id: callData.conversationId,
+        leg_role: callData.legRole,
+        parent_call_sid: callData.parentCallSid,
+        caller_number: callData.callerNumber,
+        metadata: callData.metadata,
+        destination_number: callData.destinationNumber,
+        media_server: callData.mediaServer,
+        start_time: new Date(callData.startTime),
+        status: 'active'
+      });
+
+      this.trackProcessedEvent('CALL_START');
+
+    } catch (error) {
+      this.logger.error('❌ Failed to process call start:', error);
+    }
+  }
+
+  // Waits for the pending insert of a call's row, then updates it. A row
+  // that is still missing is logged, as the update is lost.
+  async updateCallRow(callSid, updates, description) {
+    await this.callStarts.get(callSid);
+
+    const result = await this.db.updateCallTranscript(callSid, updates);
+    if (result && result.affectedRows === 0) {
+      this.logger.warn(`⚠️ No call row for ${callSid}, ${description} not stored`);
+    }
+    return result;
+  }
+
+  async processCallAnswer(callData) {
+    try {
+      await this.updateCallRow(callData.callSid, {
+        answer_time: new Date(callData.answerTime),
+        metadata: callData.metadata
+      }, 'answer');
+
+      this.trackProcessedEvent('CALL_ANSWER');
+
+    } catch (error) {
+      this.logger.error('❌ Failed to process call answer:', error);
+    }
+  }
+
+  // A leg joined another leg's conversation (bridge, transfer). A row that
+  // doesn't exist yet picks the link up when it is inserted.
+  async processCallLink(callData) {
+    try {
+      await this.db.updateCallTranscript(callData.callSid, {
+        conversation_id: callData.conversationId,
+        leg_role: callData.legRole,
+        parent_call_sid: callData.parentCallSid
+      });
+
+      this.trackProcessedEvent('CALL_LINK');
+
+    } catch (error) {
+      this.logger.error('❌ Failed to process call link:', error);
+    }
+  }
+
+  // A call found on FreeSWITCH after a reconnect or restart. Its row exists
+  // if we saw CHANNEL_CREATE before the outage; otherwise create it now.
+  async processCallResync(callData) {
+    try {
+      const updated = await this.db.updateCallTranscript(callData.callSid, {
+        media_server: callData.mediaServer,
+        answer_time: callData.answerTime ? new Date(callData.answerTime) : undefined,
+        metadata: callData.metadata,
+        status: 'active'
+      });
+
+      if (updated.affectedRows === 0) {
+        await this.db.insertCallTranscript({
+          id: uuidv4(),
+          call_sid: callData.callSid,
+          conversation_id: callData.conversationId,
+          leg_role: callData.legRole,
+          parent_call_sid: callData.parentCallSid,
+          caller_number: callData.callerNumber,
+          metadata: callData.metadata,
+          destination_number: callData.destinationNumber,
+          media_server: callData.mediaServer,
+          start_time: new Date(callData.startTime),
+          answer_time: callData.answerTime ? new Date(callData.answerTime) : null,
+          status: 'active'
+        });
+      }
+
+      this.trackProcessedEvent('CALL_RESYNC');
+
+    } catch (error) {
+      this.logger.error('❌ Failed to process call resync:', error);
+    }
+  }
+
   async processCallComplete(callData) {
     try {
       this.logger.info(`📊 Processing call completion: ${callData.callSid}`);
 
-      // Get cached transcript data
-      const cachedTranscript = this.activeCallTranscripts.get(callData.callSid);
-      
-      if (cachedTranscript && cachedTranscript.length > 0) {
-        // Batch insert all transcript segments
-        await this.queues.batch.add('batch-insert', {
-          type: 'call_complete',
-          callSid: callData.callSid,
-          callData: callData,
-          transcriptSegments: cachedTranscript
-        }, {
-          priority: 8,
-          attempts: 3
-        });
+      // The call_complete job updates the row, so it must exist first
+      const started = this.callStarts.get(callData.callSid);
+      await started;
+      if (this.callStarts.get(callData.callSid) === started) {
+        this.callStarts.delete(callData.callSid);
       }
 
-      // Clean up memory cache
-      this.activeCallTranscripts.delete(callData.callSid);
+      // Get cached transcript data, removing it from the shared cache
+      // If Redis is unreachable the call is still finalized, just without languages
+      const cachedTranscript = await this.callCache.takeEvents(callData.callSid).catch((error) => {
+        this.logger.error('❌ Failed to read cached call transcript:', error);
+        return [];
+      });
+      
+      // Finalize the call row, even for calls without any speech
+      await this.queues.batch.add('batch-insert', {
+        type: 'call_complete',
+        callSid: callData.callSid,
+        callData: callData,
+        transcriptSegments: cachedTranscript
+      }, {
+        priority: 8,
+        attempts: 3
+      });
       
       this.trackProcessedEvent('CALL_COMPLETE');
 
@@ -218,7 +424,7 @@ class TranscriptProcessor {
     try {
       // Create transcript segment
       const segment = {
-        id: uuidv4(),
+        id: eventData.segmentId || uuidv4(),
         call_sid: eventData.callSid,
         segment_type: 'tts',
         text: eventData.text,
@@ -227,20 +433,27 @@ class TranscriptProcessor {
         end_time: null, // Will be updated when TTS completes
         confidence: eventData.confidence || 1.0,
         language: eventData.language || 'bn-IN',
+        mixed_language: !!eventData.mixedLanguage,
         vendor: eventData.vendor || 'system',
         source_type: 'tts_generated',
         metadata: JSON.stringify({
-          voice: eventData.voice,
+          voice: eventData.voice || null,
           vendor: eventData.vendor,
-          language: eventData.language
+          language: eventData.language,
+          languages: eventData.languages || [],
+          voice_language: eventData.voiceLanguage || null,
+          application_uuid: eventData.applicationUuid || null,
+          // Original markup and speak arguments; text holds the spoken words
+          ssml: eventData.ssml || null,
+          application_data: eventData.applicationData || null
         }),
         created_at: new Date()
       };
 
-      // Store in database
-      await this.db.insertTranscriptSegment(segment);
+      // Buffer for the next batched insert
+      this.segmentBuffer.add(segment);
       
-      this.logger.debug(`✅ TTS segment stored: ${eventData.callSid}`);
+      this.logger.debug(`✅ TTS segment buffered: ${eventData.callSid}`);
       
       return {
         processed: true,
@@ -254,6 +467,35 @@ class TranscriptProcessor {
     }
   }
 
+  async processTTSCompleteJob(eventData) {
+    const startTime = Date.now();
+
+    try {
+      const completed = await this.completeSegment(eventData.segmentId, {
+        end_time: eventData.endTime,
+        duration_ms: eventData.durationMs,
+        interrupted: !!eventData.interrupted,
+        barge_in_type: eventData.bargeInType || null
+      });
+
+      if (!completed) {
+        throw new Error(`TTS segment ${eventData.segmentId} not stored yet`);
+      }
+
+      this.logger.debug(`✅ TTS segment completed: ${eventData.callSid} (${eventData.durationMs}ms${eventData.interrupted ? ', interrupted' : ''})`);
+
+      return {
+        processed: true,
+        segmentId: eventData.segmentId,
+        processingTime: Date.now() - startTime
+      };
+
+    } catch (error) {
+      this.logger.error('❌ TTS completion processing failed:', error);
+      throw error;
+    }
+  }
+
   async processSTTJob(eventData) {
     const startTime = Date.now();
     
@@ -269,20 +511,27 @@ class TranscriptProcessor {
         end_time: eventData.timestamp, // STT is instantaneous
         confidence: eventData.confidence || 0.8,
         language: eventData.language || 'bn-BD',
+        mixed_language: !!eventData.mixedLanguage,
         vendor: eventData.vendor || 'google',
         source_type: 'stt_realtime',
         metadata: JSON.stringify({
           vendor: eventData.vendor,
           language: eventData.language,
-          model: 'streaming'
+          languages: eventData.languages || [],
+          recognizer_language: eventData.recognizerLanguage || null,
+          model: 'streaming',
+          source: eventData.source || 'DETECTED_SPEECH',
+          alternatives: eventData.alternatives || [],
+          utterance_id: eventData.utteranceId || null,
+          revision: eventData.revision || null
         }),
         created_at: new Date()
       };
 
-      // Store in database
-      await this.db.insertTranscriptSegment(segment);
+      // Buffer for the next batched insert
+      this.segmentBuffer.add(segment);
       
-      this.logger.debug(`✅ STT segment stored: ${eventData.callSid}`);
+      this.logger.debug(`✅ STT segment buffered: ${eventData.callSid}`);
       
       return {
         processed: true,
@@ -296,10 +545,98 @@ class TranscriptProcessor {
     }
   }
 
+  async processDTMFJob(eventData) {
+    const startTime = Date.now();
+    
+    try {
+      // One segment per grouped input; the keys keep their own timing
+      const segment = {
+        id: eventData.inputId || uuidv4(),
+        call_sid: eventData.callSid,
+        segment_type: 'dtmf',
+        text: eventData.digits,
+        speaker: 'caller',
+        start_time: eventData.timestamp,
+        end_time: eventData.endTime,
+        duration_ms: eventData.durationMs,
+        confidence: 1.0,
+        language: null,
+        vendor: 'dtmf',
+        source_type: 'dtmf',
+        metadata: JSON.stringify({
+          digits: eventData.digits,
+          terminator: eventData.terminator,
+          keys: (eventData.keys || []).map(key => ({
+            digit: key.digit,
+            timestamp: key.timestamp,
+            duration_ms: key.durationMs,
+            source: key.source
+          }))
+        }),
+        created_at: new Date()
+      };
+
+      // Buffer for the next batched insert
+      this.segmentBuffer.add(segment);
+      
+      this.logger.debug(`✅ DTMF segment buffered: ${eventData.callSid}`);
+      
+      return {
+        processed: true,
+        segmentId: segment.id,
+        processingTime: Date.now() - startTime
+      };
+
+    } catch (error) {
+      this.logger.error('❌ DTMF job processing failed:', error);
+      throw error;
+    }
+  }
+
   async processAudioJob(eventData) {
     const startTime = Date.now();
 
     try {
+      // Catalogued prompts (matched by the listener) become agent segments;
+      // buffered before any await so the matching audio_complete job finds
+      // the segment
+      const prompt = eventData.prompt || null;
+      if (prompt && eventData.type === 'audio_start') {
+        this.segmentBuffer.add({
+          id: eventData.segmentId || uuidv4(),
+          call_sid: eventData.callSid,
+          segment_type: 'audio',
+          text: prompt.text,
+          speaker: eventData.speaker || 'agent',
+          start_time: eventData.timestamp,
+          end_time: null, // Set by the audio_complete event
+          confidence: 1.0,
+          language: prompt.language || 'bn-BD',
+          vendor: 'prompt_catalog',
+          source_type: 'prompt_catalog',
+          metadata: JSON.stringify({
+            prompt_id: prompt.id,
+            pattern: prompt.pattern,
+            match_type: prompt.match_type,
+            file_path: eventData.filePath
+          }),
+          created_at: new Date()
+        });
+      }
+
+      // Other playbacks have no segment. The start job may still be queued,
+      // so a segment that isn't stored yet fails the job for a retry
+      if (prompt && eventData.type === 'audio_complete' && eventData.segmentId) {
+        const completed = await this.completeSegment(eventData.segmentId, {
+          end_time: eventData.timestamp,
+          duration_ms: eventData.durationMs
+        });
+
+        if (!completed) {
+          throw new Error(`Prompt segment ${eventData.segmentId} not stored yet`);
+        }
+      }
+
       // Create audio event record
       const audioEvent = {
         id: uuidv4(),
@@ -311,7 +648,8 @@ class TranscriptProcessor {
         timestamp: eventData.timestamp,
         metadata: JSON.stringify({
           speaker: eventData.speaker,
-          type: eventData.type
+          type: eventData.type,
+          prompt_id: prompt ? prompt.id : undefined
         }),
         created_at: new Date()
       };
@@ -339,14 +677,18 @@ class TranscriptProcessor {
     try {
       this.logger.info(`🎙️ Processing recording for batch STT: ${recordingData.callSid}`);
 
-      // Check if Google Cloud Speech is available
-      if (!process.env.GOOGLE_APPLICATION_CREDENTIALS) {
-        this.logger.warn('⚠️ Google Cloud credentials not configured, skipping batch STT');
-        return { processed: false, reason: 'No Google Cloud credentials' };
+      const selected = this.speechProviders.select({
+        provider: recordingData.sttProvider,
+        model: recordingData.sttModel,
+        tenant: recordingData.accountSid
+      });
+
+      // Check if the STT engine can run here
+      if (!selected.provider.isAvailable()) {
+        this.logger.warn(`⚠️ STT provider ${selected.provider.name} not configured, skipping batch STT`);
+        return { processed: false, reason: `STT provider ${selected.provider.name} not configured` };
       }
 
-      const speech = require('@google-cloud/speech');
-      const client = new speech.SpeechClient();
       const fs = require('fs').promises;
 
       // Check if recording file exists
@@ -357,89 +699,69 @@ class TranscriptProcessor {
         return { processed: false, reason: 'Recording file not found' };
       }
 
-      // Read audio file
-      const audioBytes = await fs.readFile(recordingData.recordingPath);
-
-      // Configure STT request for Bengali phone calls
-      const request = {
-        audio: {
-          content: audioBytes.toString('base64')
-        },
-        config: {
-          encoding: 'LINEAR16',
-          sampleRateHertz: 8000,
-          languageCode: 'bn-BD',
-          model: 'phone_call',
-          useEnhanced: true,
-          enableWordTimeOffsets: true,
-          enableSpeakerDiarization: true,
-          diarizationSpeakerCount: 2,
-          maxAlternatives: 1,
-          profanityFilter: false,
-          enableAutomaticPunctuation: true
-        }
-      };
+      // Codec, sample rate and channels for the STT request
+      const audio = await AudioInspector.inspect(recordingData.recordingPath);
+      if (!audio) {
+        this.logger.warn(`⚠️ Unrecognized recording format: ${recordingData.recordingPath}`);
+      }
 
-      // Process with Google STT
-      const [response] = await client.recognize(request);
+      const transcription = await this.speechProviders.transcribe(recordingData.recordingPath, {
+        provider: selected.provider.name,
+        model: selected.model,
+        duration: recordingData.duration,
+        audio
+      });
 
-      if (!response.results || response.results.length === 0) {
+      if (transcription.segments.length === 0) {
         this.logger.warn(`⚠️ No speech detected in recording: ${recordingData.callSid}`);
         return { processed: true, segments: 0 };
       }
 
-      // Process results and create enhanced transcript segments
-      const segments = [];
-      let segmentIndex = 0;
-
-      for (const result of response.results) {
-        const alternative = result.alternatives[0];
-
-        if (alternative.transcript && alternative.transcript.trim()) {
-          // Determine speaker (simplified - could be enhanced with better diarization)
-          const speakerTag = result.speakerTag || (segmentIndex % 2 === 0 ? 1 : 2);
-          const speaker = speakerTag === 1 ? 'caller' : 'agent';
-
-          const segment = {
-            id: uuidv4(),
-            call_sid: recordingData.callSid,
-            segment_type: 'stt_batch',
-            text: alternative.transcript,
-            speaker: speaker,
-            start_time: recordingData.timestamp + (alternative.words?.[0]?.startTime?.seconds || 0) * 1000,
-            end_time: recordingData.timestamp + (alternative.words?.[alternative.words.length - 1]?.endTime?.seconds || 0) * 1000,
-            confidence: alternative.confidence || 0.9,
-            language: 'bn-BD',
-            vendor: 'google',
-            source_type: 'stt_batch',
-            metadata: JSON.stringify({
-              vendor: 'google',
-              model: 'phone_call',
-              enhanced: true,
-              speakerTag: speakerTag,
-              wordCount: alternative.words?.length || 0,
-              recordingPath: recordingData.recordingPath,
-              recordingDuration: recordingData.duration
-            }),
-            created_at: new Date()
-          };
-
-          segments.push(segment);
-          segmentIndex++;
-        }
-      }
+      // Segment times are offsets into the recording, which ended at the
+      // RECORD_STOP event
+      const recordingStart = recordingData.timestamp - (recordingData.duration || transcription.duration) * 1000;
+
+      const segments = transcription.segments.map(segment => ({
+        id: uuidv4(),
+        call_sid: recordingData.callSid,
+        segment_type: 'stt_batch',
+        text: segment.text,
+        speaker: segment.speaker,
+        start_time: new Date(recordingStart + segment.startTime * 1000),
+        end_time: new Date(recordingStart + segment.endTime * 1000),
+        confidence: segment.confidence,
+        language: segment.language,
+        mixed_language: segment.mixedLanguage,
+        vendor: transcription.provider,
+        source_type: 'stt_batch',
+        metadata: JSON.stringify({
+          vendor: transcription.provider,
+          stt_provider: transcription.provider,
+          stt_model: transcription.model,
+          speakerTag: segment.speakerTag,
+          channel: segment.channel || null,
+          speakerAttribution: transcription.attribution,
+          wordCount: segment.words.length,
+          recordingPath: recordingData.recordingPath,
+          recordingDuration: recordingData.duration,
+          recordingFormat: AudioInspector.summary(audio)
+        }),
+        created_at: new Date()
+      }));
 
       // Batch insert all segments
-      if (segments.length > 0) {
-        await this.db.insertTranscriptSegments(segments);
-        this.logger.info(`✅ Batch STT completed: ${recordingData.callSid} - ${segments.length} segments`);
-      }
+      await this.db.insertTranscriptSegments(segments);
+      this.logger.info(`✅ Batch STT completed: ${recordingData.callSid} - ${segments.length} segments`);
 
       return {
         processed: true,
         segments: segments.length,
+        provider: transcription.provider,
+        model: transcription.model,
+        speakerAttribution: transcription.attribution,
         processingTime: Date.now() - startTime,
-        recordingDuration: recordingData.duration
+        recordingDuration: recordingData.duration,
+        recordingFormat: AudioInspector.summary(audio)
       };
 
     } catch (error) {
@@ -476,46 +798,41 @@ class TranscriptProcessor {
     const { callSid, callData, transcriptSegments } = batchData;
 
     try {
-      // Create call transcript record
-      const callTranscript = {
-        id: uuidv4(),
-        call_sid: callSid,
-        caller_number: callData.callerNumber,
-        destination_number: callData.destinationNumber,
-        start_time: new Date(callData.startTime),
-        answer_time: callData.answerTime ? new Date(callData.answerTime) : null,
+      const completion = {
+        answer_time: callData.answerTime ? new Date(callData.answerTime) : undefined,
         end_time: new Date(callData.endTime),
         duration: Math.round((callData.endTime - callData.startTime) / 1000),
         hangup_cause: callData.hangupCause,
-        total_segments: transcriptSegments.length,
-        languages: [...new Set(transcriptSegments.map(s => s.language))].join(','),
-        status: 'completed',
-        created_at: new Date()
+        barge_in_count: callData.bargeIns || 0,
+        languages: this.callLanguages(transcriptSegments).join(',')
       };
 
-      // Insert call transcript
-      await this.db.insertCallTranscript(callTranscript);
+      // Calls that were never answered did not complete
+      const status = callData.answerTime ? 'completed' : 'failed';
+
+      const updated = await this.db.updateCallTranscript(callSid, completion);
 
-      // Batch insert all cached segments
-      if (transcriptSegments.length > 0) {
-        const segments = transcriptSegments.map(segment => ({
+      if (updated.affectedRows > 0) {
+        await this.db.updateCallTranscriptStatus(callSid, status, transcriptSegments.length);
+      } else {
+        // The row from CHANNEL_CREATE is missing (e.g. the database was
+        // unavailable then), so create it now. Stored segments are linked
+        // to it by the insert.
+        await this.db.insertCallTranscript({
           id: uuidv4(),
-          call_transcript_id: callTranscript.id,
           call_sid: callSid,
-          segment_type: segment.type === 'tts_start' ? 'tts' : segment.type.replace('_detected', ''),
-          text: segment.text,
-          speaker: segment.speaker,
-          start_time: new Date(segment.timestamp),
-          end_time: new Date(segment.timestamp),
-          confidence: segment.confidence,
-          language: segment.language,
-          vendor: segment.vendor,
-          source_type: segment.type,
-          metadata: JSON.stringify(segment),
-          created_at: new Date()
-        }));
-
-        await this.db.insertTranscriptSegments(segments);
+          conversation_id: callData.conversationId,
+          leg_role: callData.legRole,
+          parent_call_sid: callData.parentCallSid,
+          caller_number: callData.callerNumber,
+          metadata: callData.metadata,
+          destination_number: callData.destinationNumber,
+          media_server: callData.mediaServer,
+          start_time: new Date(callData.startTime),
+          ...completion,
+          total_segments: transcriptSegments.length,
+          status: status
+        });
       }
 
       this.logger.info(`✅ Call transcript completed: ${callSid} - ${transcriptSegments.length} segments`);
@@ -527,23 +844,51 @@ class TranscriptProcessor {
   }
 
   // Utility methods
-  addToCallCache(callSid, eventData) {
-    if (!this.activeCallTranscripts.has(callSid)) {
-      this.activeCallTranscripts.set(callSid, []);
-    }
-    
-    this.activeCallTranscripts.get(callSid).push({
-      ...eventData,
-      cached_at: Date.now()
+
+  // Languages spoken in a call, most used first; code-mixed segments count
+  // for each of their languages
+  callLanguages(transcriptSegments) {
+    const counts = new Map();
+
+    transcriptSegments.forEach(segment => {
+      const languages = segment.languages?.length > 0 ? segment.languages : [segment.language];
+      languages.filter(Boolean).forEach(language => {
+        counts.set(language, (counts.get(language) || 0) + 1);
+      });
     });
 
-    // Limit cache size per call (keep last 100 events)
-    const cache = this.activeCallTranscripts.get(callSid);
-    if (cache.length > 100) {
-      cache.splice(0, cache.length - 100);
+    return [...counts.entries()]
+      .sort(([, a], [, b]) => b - a)
+      .map(([language]) => language);
+  }
+
+  // Fill in the end of a segment, whether it is still buffered or already
+  // stored; false when no such segment exists (yet)
+  async completeSegment(segmentId, updates) {
+    if (await this.segmentBuffer.update(segmentId, updates)) return true;
+
+    const updated = await this.db.updateTranscriptSegment(segmentId, updates);
+    return updated.affectedRows > 0;
+  }
+
+  // A failed cache write only costs the live transcript; the event is still
+  // queued and stored by its job
+  async addToCallCache(callSid, eventData) {
+    try {
+      await this.callCache.addEvent(callSid, eventData);
+    } catch (error) {
+      this.logger.warn(`⚠️ Failed to cache event of ${callSid}: ${error.message}`);
     }
   }
 
+  async getCachedTranscript(callSid) {
+    return this.callCache.getEvents(callSid);
+  }
+
+  async getActiveCallCount() {
+    return this.callCache ? this.callCache.getActiveCallCount().catch(() => null) : 0;
+  }
+
   trackProcessedEvent(eventType) {
     this.processedEvents++;
     
@@ -554,7 +899,7 @@ class TranscriptProcessor {
     }
   }
 
-  reportPerformance() {
+  async reportPerformance() {
     const queueStats = {};
     
     Object.entries(this.queues).forEach(([name, queue]) => {
@@ -568,7 +913,7 @@ class TranscriptProcessor {
 
     this.logger.info(`📊 Transcript Processor Performance:`, {
       processedEvents: this.processedEvents,
-      activeCalls: this.activeCallTranscripts.size,
+      activeCalls: await this.getActiveCallCount(),
       queueStats: queueStats
     });
 
@@ -588,14 +933,21 @@ class TranscriptProcessor {
       await queue.close();
       this.logger.info(`✅ ${name} queue closed`);
     }
+
+    // Write out segments buffered by the jobs that just finished
+    await this.segmentBuffer.stop();
     
-    // Clear memory cache
-    this.activeCallTranscripts.clear();
+    this.promptCatalog.stop();
+    
+    // Cached transcripts stay in Redis for the calls still in progress
+    if (this.callCache) {
+      await this.callCache.close();
+    }
     
     this.logger.info('✅ Transcript Processor shutdown complete');
   }
 
-  getStats() {
+  async getStats() {
     const queueStats = {};
     
     Object.entries(this.queues).forEach(([name, queue]) => {
@@ -609,9 +961,12 @@ class TranscriptProcessor {
 
     return {
       isInitialized: this.isInitialized,
-      activeCalls: this.activeCallTranscripts.size,
+      activeCalls: await this.getActiveCallCount(),
+      callCacheConnected: this.callCache?.isConnected() || false,
       processedEvents: this.processedEvents,
-      queueStats: queueStats
+      queueStats: queueStats,
+      segmentBuffer: this.segmentBuffer.getStats(),
+      promptCatalog: this.promptCatalog.getStats()
     };
   }
 }
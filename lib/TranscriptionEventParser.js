@@ -0,0 +1,118 @@
+/**
+ * Transcription Event Parser
+ *
+ * Jambonz streams STT results through CUSTOM events whose JSON body is
+ * vendor specific:
+ * - google_transcribe::transcription    (mod_google_transcribe)
+ * - azure_transcribe::transcription     (mod_azure_transcribe)
+ * - deepgram_transcribe::transcription  (mod_deepgram_transcribe)
+ *
+ * parse() turns a body into one shape:
+ *   { vendor, text, confidence, language, isFinal, alternatives: [{ text, confidence }] }
+ * and returns null when the body holds no transcript.
+ */
+
+const PARSERS = {
+  'google_transcribe::transcription': 'parseGoogle',
+  'azure_transcribe::transcription': 'parseAzure',
+  'deepgram_transcribe::transcription': 'parseDeepgram'
+};
+
+class TranscriptionEventParser {
+  static get SUBCLASSES() {
+    return Object.keys(PARSERS);
+  }
+
+  static supports(subclass) {
+    return Object.prototype.hasOwnProperty.call(PARSERS, subclass);
+  }
+
+  static parse(subclass, body) {
+    if (!this.supports(subclass) || !body) return null;
+
+    let data;
+    try {
+      data = JSON.parse(body);
+    } catch (error) {
+      throw new Error(`Invalid ${subclass} body: ${error.message}`);
+    }
+
+    const result = this[PARSERS[subclass]](data);
+    if (!result || result.alternatives.length === 0 || !result.alternatives[0].text) {
+      return null;
+    }
+
+    return {
+      ...result,
+      text: result.alternatives[0].text,
+      confidence: result.alternatives[0].confidence
+    };
+  }
+
+  // {"is_final":true,"alternatives":[{"transcript":"...","confidence":0.93}],"language_code":"bn-bd"}
+  // Older module versions send an array of such results.
+  static parseGoogle(data) {
+    const result = Array.isArray(data) ? data[0] : data;
+    if (!result) return null;
+
+    return {
+      vendor: 'google',
+      language: this.normalizeLanguage(result.language_code),
+      isFinal: result.is_final === true,
+      alternatives: (result.alternatives || []).map(alternative => ({
+        text: (alternative.transcript || '').trim(),
+        confidence: this.toConfidence(alternative.confidence)
+      }))
+    };
+  }
+
+  // Final: {"RecognitionStatus":"Success","DisplayText":"...","NBest":[{"Display":"...","Confidence":0.97}],...}
+  // Interim: {"Text":"...","Offset":...,"Duration":...}
+  static parseAzure(data) {
+    if (data.RecognitionStatus && data.RecognitionStatus !== 'Success') return null;
+
+    const alternatives = Array.isArray(data.NBest) && data.NBest.length > 0
+      ? data.NBest.map(best => ({
+        text: (best.Display || best.Lexical || '').trim(),
+        confidence: this.toConfidence(best.Confidence)
+      }))
+      : [{ text: (data.DisplayText || data.Text || '').trim(), confidence: null }];
+
+    return {
+      vendor: 'azure',
+      language: this.normalizeLanguage(data.PrimaryLanguage?.Language),
+      isFinal: !!data.RecognitionStatus,
+      alternatives: alternatives
+    };
+  }
+
+  // {"type":"Results","is_final":true,"channel":{"alternatives":[{"transcript":"...","confidence":0.99}]}}
+  static parseDeepgram(data) {
+    if (data.type && data.type !== 'Results') return null;
+
+    return {
+      vendor: 'deepgram',
+      language: this.normalizeLanguage(data.channel?.detected_language || data.metadata?.language),
+      isFinal: data.is_final === true,
+      alternatives: (data.channel?.alternatives || []).map(alternative => ({
+        text: (alternative.transcript || '').trim(),
+        confidence: this.toConfidence(alternative.confidence)
+      }))
+    };
+  }
+
+  // bn-bd → bn-BD
+  static normalizeLanguage(language) {
+    if (!language) return null;
+
+    const [lang, region] = String(language).split(/[-_]/);
+    return region ? `${lang.toLowerCase()}-${region.toUpperCase()}` : lang.toLowerCase();
+  }
+
+  static toConfidence(value) {
+    const confidence = parseFloat(value);
+    return Number.isFinite(confidence) ? confidence : null;
+  }
+}
+
+module.exports = TranscriptionEventParser;
@@ -0,0 +1,53 @@
+/**
+ * Utterance Tracker
+ *
+ * Streaming recognizers send several interim hypotheses for one utterance
+ * before its final result. The tracker gives every utterance a stable id:
+ * interim results reuse the open utterance of their call/speaker, and the
+ * final result closes it so the next hypothesis starts a new one.
+ *
+ * Each result also gets a revision number, so WebSocket clients can replace
+ * a partial segment in place and ignore results that arrive out of order.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+
+class UtteranceTracker {
+  constructor() {
+    // `${callSid}:${speaker}` → { id, revision }
+    this.open = new Map();
+  }
+
+  track(callSid, speaker, isFinal) {
+    const key = `${callSid}:${speaker}`;
+    let utterance = this.open.get(key);
+
+    if (!utterance) {
+      utterance = { id: uuidv4(), revision: 0 };
+      this.open.set(key, utterance);
+    }
+
+    utterance.revision++;
+
+    if (isFinal) {
+      this.open.delete(key);
+    }
+
+    return { utteranceId: utterance.id, revision: utterance.revision };
+  }
+
+  // Forget open utterances of a finished call; their interims never got a final
+  clear(callSid) {
+    for (const key of this.open.keys()) {
+      if (key.startsWith(`${callSid}:`)) {
+        this.open.delete(key);
+      }
+    }
+  }
+
+  get size() {
+    return this.open.size;
+  }
+}
+
+module.exports = UtteranceTracker;
@@ -0,0 +1,693 @@
+/**
+ * MySQL Storage
+ *
+ * Production storage backend for transcripts
+ * Uses mysql2 connection pooling for optimal performance
+ */
+
+const mysql = require('mysql2/promise');
+const { v4: uuidv4 } = require('uuid');
+const StorageAdapter = require('./StorageAdapter');
+
+const SEGMENT_COLUMNS = StorageAdapter.SEGMENT_COLUMNS;
+
+// Keep multi-row INSERT statements well below max_allowed_packet
+const SEGMENT_BATCH_CHUNK_SIZE = 500;
+
+const MIGRATION_LOCK_NAME = 'voiceerp_transcripts_schema_migrations';
+const MIGRATION_LOCK_TIMEOUT_SECONDS = 60;
+
+class MySQLStorage extends StorageAdapter {
+  constructor(logger) {
+    super(logger);
+    this.dialect = 'mysql';
+    this.pool = null;
+  }
+
+  async connect() {
+    // Create connection pool
+    this.pool = mysql.createPool({
+      host: process.env.DB_HOST || 'localhost',
+      port: parseInt(process.env.DB_PORT) || 3306,
+      user: process.env.DB_USER || 'transcript_user',
+      password: process.env.DB_PASSWORD !== undefined ? process.env.DB_PASSWORD : 'transcript_password_2024!',
+      database: process.env.DB_NAME || 'voiceerp_transcripts',
+      connectionLimit: parseInt(process.env.DB_CONNECTION_LIMIT) || 10,
+      queueLimit: 0,
+      charset: 'utf8mb4',
+      timezone: '+00:00',
+      // MySQL2 specific options
+      waitForConnections: true,
+      idleTimeout: 300000,
+      enableKeepAlive: true,
+      keepAliveInitialDelay: 0
+    });
+  }
+
+  async ping() {
+    const connection = await this.pool.getConnection();
+    try {
+      await connection.ping();
+    } finally {
+      connection.release();
+    }
+  }
+
+  // A MySQL named lock serializes runners, so several listener instances can
+  // start at once without applying the same migration twice
+  async withMigrationLock(callback) {
+    const connection = await this.pool.getConnection();
+
+    try {
+      const [[{ acquired }]] = await connection.query(
+        'SELECT GET_LOCK(?, ?) AS acquired',
+        [MIGRATION_LOCK_NAME, MIGRATION_LOCK_TIMEOUT_SECONDS]
+      );
+
+      if (acquired !== 1) {
+        throw new Error(`Timed out waiting for migration lock after ${MIGRATION_LOCK_TIMEOUT_SECONDS}s`);
+      }
+
+      try {
+        // query() rather than execute(): CREATE PROCEDURE and friends are not
+        // supported by the prepared statement protocol
+        return await callback(async (sql, params = []) => {
+          const [rows] = await connection.query(sql, params);
+          return rows;
+        });
+      } finally {
+        await connection.query('SELECT RELEASE_LOCK(?)', [MIGRATION_LOCK_NAME]);
+      }
+
+    } finally {
+      connection.release();
+    }
+  }
+
+  // Call Transcript Operations
+  async insertCallTranscript(callTranscript) {
+    const id = callTranscript.id || uuidv4();
+    const connection = await this.pool.getConnection();
+
+    try {
+      await connection.beginTransaction();
+
+      const query = `
+        INSERT INTO call_transcripts (
+          id, call_sid, conversation_id, leg_role, parent_call_sid,
+          caller_number, destination_number, media_server,
+          start_time, answer_time, end_time, duration, hangup_cause,
+          total_segments, barge_in_count, languages, status, metadata
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `;
+
+      const values = [
+        id,
+        callTranscript.call_sid,
+        callTranscript.conversation_id || callTranscript.call_sid,
+        callTranscript.leg_role || null,
+        callTranscript.parent_call_sid || null,
+        callTranscript.caller_number || null,
+        callTranscript.destination_number || null,
+        callTranscript.media_server || null,
+        this.formatDateTime(callTranscript.start_time),
+        this.formatDateTime(callTranscript.answer_time),
+        this.formatDateTime(callTranscript.end_time),
+        callTranscript.duration ?? null,
+        callTranscript.hangup_cause || null,
+        callTranscript.total_segments || 0,
+        callTranscript.barge_in_count || 0,
+        callTranscript.languages || null,
+        callTranscript.status || 'active',
+        this.formatJson(callTranscript.metadata)
+      ];
+
+      const [result] = await connection.execute(query, values);
+
+      // Real-time segments may have been stored before the call row existed
+      const [linked] = await connection.execute(
+        `UPDATE transcript_segments SET call_transcript_id = ?
+         WHERE call_sid = ? AND call_transcript_id IS NULL`,
+        [id, callTranscript.call_sid]
+      );
+
+      await connection.commit();
+
+      this.logger.debug(`📝 Call transcript stored: ${callTranscript.call_sid}`, {
+        id,
+        linkedSegments: linked.affectedRows
+      });
+
+      return { insertId: id, affectedRows: result.affectedRows };
+
+    } catch (error) {
+      await connection.rollback();
+      this.logger.error('❌ Failed to insert call transcript:', error);
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  async getCallTranscript(callSid) {
+    try {
+      const query = `
+        SELECT * FROM call_transcripts 
+        WHERE call_sid = ?
+      `;
+
+      const [rows] = await this.pool.execute(query, [callSid]);
+      return rows[0] || null;
+
+    } catch (error) {
+      this.logger.error('❌ Failed to get call transcript:', error);
+      throw error;
+    }
+  }
+
+  async updateCallTranscriptStatus(callSid, status, totalSegments = null) {
+    try {
+      let query = `UPDATE call_transcripts SET status = ?`;
+      let values = [status];
+
+      if (totalSegments !== null) {
+        query += `, total_segments = ?`;
+        values.push(totalSegments);
+      }
+
+      query += ` WHERE call_sid = ?`;
+      values.push(callSid);
+
+      const [result] = await this.pool.execute(query, values);
+      return result;
+
+    } catch (error) {
+      this.logger.error('❌ Failed to update call transcript status:', error);
+      throw error;
+    }
+  }
+
+  async updateCallTranscript(callSid, updates) {
+    try {
+      const { assignments, values } = this.buildCallTranscriptUpdate(updates);
+      if (!assignments) return { affectedRows: 0 };
+
+      const [result] = await this.pool.execute(
+        `UPDATE call_transcripts SET ${assignments} WHERE call_sid = ?`,
+        [...values, callSid]
+      );
+      return result;
+
+    } catch (error) {
+      this.logger.error('❌ Failed to update call transcript:', error);
+      throw error;
+    }
+  }
+
+  async getConversationCalls(conversationId) {
+    try {
+      const query = `
+        SELECT * FROM call_transcripts
+        WHERE conversation_id = ? OR call_sid = ?
+        ORDER BY start_time ASC
+      `;
+
+      const [rows] = await this.pool.execute(query, [conversationId, conversationId]);
+      return rows;
+
+    } catch (error) {
+      this.logger.error('❌ Failed to get conversation calls:', error);
+      throw error;
+    }
+  }
+
+  // Transcript Segment Operations
+  async insertTranscriptSegment(segment) {
+    try {
+      const row = this.buildSegmentRow(segment);
+
+      // Link to the call transcript row when the caller doesn't know its id yet
+      const query = `
+        INSERT INTO transcript_segments (${SEGMENT_COLUMNS.join(', ')})
+        VALUES (?, COALESCE(?, (SELECT id FROM call_transcripts WHERE call_sid = ?)), ${SEGMENT_COLUMNS.slice(2).map(() => '?').join(', ')})
+      `;
+
+      const values = [row[0], row[1], segment.call_sid, ...row.slice(2)];
+      const [result] = await this.pool.execute(query, values);
+
+      return { insertId: row[0], affectedRows: result.affectedRows };
+
+    } catch (error) {
+      this.logger.error('❌ Failed to insert transcript segment:', error);
+      throw error;
+    }
+  }
+
+  async insertTranscriptSegments(segments) {
+    if (!segments || segments.length === 0) return { affectedRows: 0 };
+
+    const connection = await this.pool.getConnection();
+
+    try {
+      await connection.beginTransaction();
+
+      // Resolve call_transcript_id for segments that were built without it
+      const unlinkedSids = [...new Set(
+        segments.filter(s => !s.call_transcript_id).map(s => s.call_sid)
+      )];
+      const transcriptIds = new Map();
+
+      if (unlinkedSids.length > 0) {
+        const [rows] = await connection.query(
+          'SELECT id, call_sid FROM call_transcripts WHERE call_sid IN (?)',
+          [unlinkedSids]
+        );
+        rows.forEach(row => transcriptIds.set(row.call_sid, row.id));
+      }
+
+      const rows = segments.map(segment => this.buildSegmentRow({
+        ...segment,
+        call_transcript_id: segment.call_transcript_id || transcriptIds.get(segment.call_sid) || null
+      }));
+
+      let affectedRows = 0;
+      for (let i = 0; i < rows.length; i += SEGMENT_BATCH_CHUNK_SIZE) {
+        const chunk = rows.slice(i, i + SEGMENT_BATCH_CHUNK_SIZE);
+        const [result] = await connection.query(
+          `INSERT INTO transcript_segments (${SEGMENT_COLUMNS.join(', ')}) VALUES ?`,
+          [chunk]
+        );
+        affectedRows += result.affectedRows;
+      }
+
+      await connection.commit();
+
+      this.logger.debug(`📝 Batch stored ${affectedRows} segments`, {
+        callSids: [...new Set(segments.map(s => s.call_sid))]
+      });
+
+      return { affectedRows, ids: rows.map(row => row[0]) };
+
+    } catch (error) {
+      await connection.rollback();
+      this.logger.error('❌ Failed to batch insert transcript segments:', error);
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  async getTranscriptSegments(callSid, limit = 1000) {
+    try {
+      const query = `
+        SELECT * FROM transcript_segments
+        WHERE call_sid = ?
+        ORDER BY start_time ASC
+        LIMIT ?
+      `;
+
+      // Prepared statements reject numeric LIMIT parameters on MySQL 8.0.22+
+      const [rows] = await this.pool.query(query, [callSid, limit]);
+      return rows;
+
+    } catch (error) {
+      this.logger.error('❌ Failed to get transcript segments:', error);
+      throw error;
+    }
+  }
+
+  async updateTranscriptSegment(id, updates) {
+    try {
+      const { assignments, values } = this.buildSegmentUpdate(updates);
+      if (!assignments) return { affectedRows: 0 };
+
+      const [result] = await this.pool.execute(
+        `UPDATE transcript_segments SET ${assignments} WHERE id = ?`,
+        [...values, id]
+      );
+      return result;
+
+    } catch (error) {
+      this.logger.error('❌ Failed to update transcript segment:', error);
+      throw error;
+    }
+  }
+
+  // Audio Event Operations
+  async insertAudioEvent(audioEvent) {
+    try {
+      const id = audioEvent.id || uuidv4();
+      const query = `
+        INSERT INTO audio_events (
+          id, call_sid, event_type, file_path, file_name,
+          duration, timestamp, metadata
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      `;
+
+      const values = [
+        id,
+        audioEvent.call_sid,
+        audioEvent.event_type,
+        audioEvent.file_path || null,
+        audioEvent.file_name || null,
+        audioEvent.duration ?? null,
+        this.formatDateTime(audioEvent.timestamp),
+        this.formatJson(audioEvent.metadata)
+      ];
+
+      const [result] = await this.pool.execute(query, values);
+      return { insertId: id, affectedRows: result.affectedRows };
+
+    } catch (error) {
+      this.logger.error('❌ Failed to insert audio event:', error);
+      throw error;
+    }
+  }
+
+  // Search and Query Operations
+  async searchTranscripts(searchText, startDate, endDate, limit = 50, filters = {}) {
+    try {
+      const metadata = this.buildMetadataFilter(filters, 'ct.metadata');
+
+      // The SearchTranscripts procedure, plus the call metadata and filters
+      const query = `
+        SELECT DISTINCT
+          ct.call_sid,
+          ct.caller_number,
+          ct.start_time,
+          ct.duration,
+          ct.metadata,
+          ts.text,
+          ts.speaker,
+          MATCH(ts.text) AGAINST(? IN NATURAL LANGUAGE MODE) as relevance
+        FROM call_transcripts ct
+        JOIN transcript_segments ts ON ct.id = ts.call_transcript_id
+        WHERE MATCH(ts.text) AGAINST(? IN NATURAL LANGUAGE MODE)
+        AND ct.start_time BETWEEN ? AND ?
+        ${metadata.conditions.map(condition => `AND ${condition}`).join(' ')}
+        ORDER BY relevance DESC, ct.start_time DESC
+        LIMIT ?
+      `;
+
+      const [rows] = await this.pool.query(query, [
+        searchText, searchText, startDate, endDate, ...metadata.values, limit
+      ]);
+      return rows;
+
+    } catch (error) {
+      this.logger.error('❌ Failed to search transcripts:', error);
+      throw error;
+    }
+  }
+
+  async getRecentTranscripts(limit = 50, filters = {}) {
+    try {
+      const { conditions, values } = this.buildMetadataFilter(filters);
+      const query = `
+        SELECT * FROM v_recent_transcripts 
+        ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+        ORDER BY start_time DESC 
+        LIMIT ?
+      `;
+
+      // Prepared statements reject numeric LIMIT parameters on MySQL 8.0.22+
+      const [rows] = await this.pool.query(query, [...values, limit]);
+      return rows;
+
+    } catch (error) {
+      this.logger.error('❌ Failed to get recent transcripts:', error);
+      throw error;
+    }
+  }
+
+  async getTranscriptSummary(callSid) {
+    try {
+      const query = `
+        SELECT * FROM v_transcript_summary 
+        WHERE call_sid = ?
+      `;
+
+      const [rows] = await this.pool.execute(query, [callSid]);
+      return rows[0] || null;
+
+    } catch (error) {
+      this.logger.error('❌ Failed to get transcript summary:', error);
+      throw error;
+    }
+  }
+
+  // Prompt Catalog Operations
+  async getPromptCatalog() {
+    try {
+      const [rows] = await this.pool.execute(
+        'SELECT * FROM prompt_catalog ORDER BY priority DESC, created_at ASC'
+      );
+      return rows;
+
+    } catch (error) {
+      this.logger.error('❌ Failed to get prompt catalog:', error);
+      throw error;
+    }
+  }
+
+  async getPromptCatalogEntry(id) {
+    try {
+      const [rows] = await this.pool.execute('SELECT * FROM prompt_catalog WHERE id = ?', [id]);
+      return rows[0] || null;
+
+    } catch (error) {
+      this.logger.error('❌ Failed to get prompt catalog entry:', error);
+      throw error;
+    }
+  }
+
+  async insertPromptCatalogEntry(entry) {
+    try {
+      const row = this.buildPromptCatalogRow(entry);
+      const [result] = await this.pool.execute(`
+        INSERT INTO prompt_catalog (
+          id, pattern, match_type, text, language, description, priority, enabled
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      `, row);
+
+      return { insertId: row[0], affectedRows: result.affectedRows };
+
+    } catch (error) {
+      this.logger.error('❌ Failed to insert prompt catalog entry:', error);
+      throw error;
+    }
+  }
+
+  async updatePromptCatalogEntry(id, updates) {
+    try {
+      const { assignments, values } = this.buildPromptCatalogUpdate(updates);
+      if (!assignments) return { affectedRows: 0 };
+
+      const [result] = await this.pool.execute(
+        `UPDATE prompt_catalog SET ${assignments} WHERE id = ?`,
+        [...values, id]
+      );
+      return result;
+
+    } catch (error) {
+      this.logger.error('❌ Failed to update prompt catalog entry:', error);
+      throw error;
+    }
+  }
+
+  async deletePromptCatalogEntry(id) {
+    try {
+      const [result] = await this.pool.execute('DELETE FROM prompt_catalog WHERE id = ?', [id]);
+      return result;
+
+    } catch (error) {
+      this.logger.error('❌ Failed to delete prompt catalog entry:', error);
+      throw error;
+    }
+  }
+
+  // Performance and Health Operations
+  async insertPerformanceMetric(metricType, metricName, value, unit, metadata = null) {
+    try {
+      const query = `
+        INSERT INTO performance_metrics (
+          metric_type, metric_name, metric_value, metric_unit, 
+          timestamp, metadata
+        ) VALUES (?, ?, ?, ?, NOW(), ?)
+      `;
+
+      const values = [metricType, metricName, value, unit, JSON.stringify(metadata)];
+      const [result] = await this.pool.execute(query, values);
+      return result;
+
+    } catch (error) {
+      this.logger.error('❌ Failed to insert performance metric:', error);
+      throw error;
+    }
+  }
+
+  async updateSystemHealth(serviceName, status, responseTime = null, errorCount = 0, lastError = null) {
+    try {
+      const query = `
+        INSERT INTO system_health (
+          service_name, status, response_time_ms, error_count, 
+          last_error, checked_at
+        ) VALUES (?, ?, ?, ?, ?, NOW())
+        ON DUPLICATE KEY UPDATE
+          status = VALUES(status),
+          response_time_ms = VALUES(response_time_ms),
+          error_count = VALUES(error_count),
+          last_error = VALUES(last_error),
+          checked_at = VALUES(checked_at)
+      `;
+
+      const values = [serviceName, status, responseTime, errorCount, lastError];
+      const [result] = await this.pool.execute(query, values);
+      return result;
+
+    } catch (error) {
+      this.logger.error('❌ Failed to update system health:', error);
+      throw error;
+    }
+  }
+
+  // Statistics and Analytics
+  async getTranscriptStats(startDate, endDate) {
+    try {
+      const query = `
+        SELECT 
+          COUNT(*) as total_calls,
+          SUM(duration) as total_duration,
+          AVG(duration) as avg_duration,
+          SUM(total_segments) as total_segments,
+          AVG(total_segments) as avg_segments_per_call,
+          COUNT(DISTINCT languages) as unique_languages
+        FROM call_transcripts 
+        WHERE start_time BETWEEN ? AND ?
+        AND status = 'completed'
+      `;
+
+      const [rows] = await this.pool.execute(query, [startDate, endDate]);
+      return rows[0] || {};
+
+    } catch (error) {
+      this.logger.error('❌ Failed to get transcript stats:', error);
+      throw error;
+    }
+  }
+
+  // Utility Methods
+  async close() {
+    if (this.pool) {
+      await this.pool.end();
+      this.pool = null;
+    }
+  }
+
+  async getConnectionStats() {
+    if (!this.pool) return null;
+
+    return {
+      driver: this.dialect,
+      totalConnections: this.pool.pool.config.connectionLimit,
+      activeConnections: this.pool.pool._allConnections.length,
+      freeConnections: this.pool.pool._freeConnections.length,
+      queuedRequests: this.pool.pool._connectionQueue.length
+    };
+  }
+
+  // Post-Processing Methods
+
+  // Insert main transcript record (for post-processing)
+  async insertTranscript(transcript) {
+    try {
+      const id = transcript.id || uuidv4();
+      const query = `
+        INSERT INTO transcripts (
+          id, call_transcript_id, call_sid, transcript_type, language,
+          duration, average_confidence, segment_count, processing_method,
+          metadata
+        ) VALUES (?, (SELECT id FROM call_transcripts WHERE call_sid = ?), ?, ?, ?, ?, ?, ?, ?, ?)
+      `;
+
+      const values = [
+        id,
+        transcript.call_sid,
+        transcript.call_sid,
+        transcript.transcript_type,
+        transcript.language || null,
+        transcript.duration ?? null,
+        transcript.average_confidence ?? null,
+        transcript.segment_count || 0,
+        transcript.processing_method || null,
+        this.formatJson(transcript.metadata)
+      ];
+
+      const [result] = await this.pool.execute(query, values);
+      return { insertId: id, affectedRows: result.affectedRows };
+
+    } catch (error) {
+      this.logger.error('❌ Failed to insert transcript:', error);
+      throw error;
+    }
+  }
+
+  // Insert word-level timestamps (for post-processing)
+  async insertWordTimestamp(wordData) {
+    try {
+      const id = wordData.id || uuidv4();
+      const query = `
+        INSERT INTO word_timestamps (
+          id, transcript_id, segment_id, call_sid, word, speaker,
+          start_time, end_time, confidence
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `;
+
+      // start_time / end_time are offsets in seconds from the recording start
+      const values = [
+        id,
+        wordData.transcript_id,
+        wordData.segment_id || null,
+        wordData.call_sid,
+        wordData.word,
+        wordData.speaker || null,
+        wordData.start_time,
+        wordData.end_time,
+        wordData.confidence ?? null
+      ];
+
+      const [result] = await this.pool.execute(query, values);
+      return { insertId: id, affectedRows: result.affectedRows };
+
+    } catch (error) {
+      this.logger.error('❌ Failed to insert word timestamp:', error);
+      throw error;
+    }
+  }
+
+  // Get post-processed transcripts
+  async getPostProcessedTranscripts(callSid = null, limit = 10) {
+    try {
+      const query = `
+        SELECT * FROM transcripts
+        WHERE transcript_type = 'post_processed'
+        AND (? IS NULL OR call_sid = ?)
+        ORDER BY created_at DESC
+        LIMIT ?
+      `;
+
+      const [rows] = await this.pool.query(query, [callSid, callSid, limit]);
+      return rows;
+
+    } catch (error) {
+      this.logger.error('❌ Failed to get post-processed transcripts:', error);
+      throw error;
+    }
+  }
+
+  jsonValueSql(column) {
+    return `JSON_UNQUOTE(JSON_EXTRACT(${column}, ?))`;
+  }
+}
+
+module.exports = MySQLStorage;
@@ -0,0 +1,601 @@
+/**
+ * SQLite Storage
+ *
+ * Embedded storage backend for development and integration tests
+ * Runs the full transcript pipeline (including search and stats) with no
+ * database server. Requires the optional `better-sqlite3` dependency.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const StorageAdapter = require('./StorageAdapter');
+
+const SEGMENT_COLUMNS = StorageAdapter.SEGMENT_COLUMNS;
+
+const DEFAULT_SQLITE_PATH = path.join(__dirname, '..', '..', 'data', 'transcripts.sqlite');
+
+class SQLiteStorage extends StorageAdapter {
+  constructor(logger) {
+    super(logger);
+    this.dialect = 'sqlite';
+    this.db = null;
+    this.filename = process.env.SQLITE_PATH || DEFAULT_SQLITE_PATH;
+  }
+
+  async connect() {
+    let Database;
+    try {
+      Database = require('better-sqlite3');
+    } catch (error) {
+      throw new Error('DB_DRIVER=sqlite requires the optional "better-sqlite3" package (npm install better-sqlite3)');
+    }
+
+    if (this.filename !== ':memory:') {
+      fs.mkdirSync(path.dirname(this.filename), { recursive: true });
+    }
+
+    this.db = new Database(this.filename);
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('foreign_keys = ON');
+  }
+
+  async ping() {
+    this.db.prepare('SELECT 1').get();
+  }
+
+  // The driver is synchronous and the database belongs to this process, so
+  // statements are already serialized; no extra lock is needed
+  async withMigrationLock(callback) {
+    return callback(async (sql, params = []) => {
+      const statement = this.db.prepare(sql);
+      if (statement.reader) return statement.all(params);
+      statement.run(params);
+      return [];
+    });
+  }
+
+  // Call Transcript Operations
+  async insertCallTranscript(callTranscript) {
+    try {
+      const id = callTranscript.id || uuidv4();
+
+      const insert = this.db.prepare(`
+        INSERT INTO call_transcripts (
+          id, call_sid, conversation_id, leg_role, parent_call_sid,
+          caller_number, destination_number, media_server,
+          start_time, answer_time, end_time, duration, hangup_cause,
+          total_segments, barge_in_count, languages, status, metadata
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `);
+
+      // Real-time segments may have been stored before the call row existed
+      const link = this.db.prepare(`
+        UPDATE transcript_segments SET call_transcript_id = ?
+        WHERE call_sid = ? AND call_transcript_id IS NULL
+      `);
+
+      const result = this.db.transaction(() => {
+        const inserted = insert.run(
+          id,
+          callTranscript.call_sid,
+          callTranscript.conversation_id || callTranscript.call_sid,
+          callTranscript.leg_role || null,
+          callTranscript.parent_call_sid || null,
+          callTranscript.caller_number || null,
+          callTranscript.destination_number || null,
+          callTranscript.media_server || null,
+          this.formatDateTime(callTranscript.start_time),
+          this.formatDateTime(callTranscript.answer_time),
+          this.formatDateTime(callTranscript.end_time),
+          callTranscript.duration ?? null,
+          callTranscript.hangup_cause || null,
+          callTranscript.total_segments || 0,
+          callTranscript.barge_in_count || 0,
+          callTranscript.languages || null,
+          callTranscript.status || 'active',
+          this.formatJson(callTranscript.metadata)
+        );
+        link.run(id, callTranscript.call_sid);
+        return inserted;
+      })();
+
+      return { insertId: id, affectedRows: result.changes };
+
+    } catch (error) {
+      this.logger.error('❌ Failed to insert call transcript:', error);
+      throw error;
+    }
+  }
+
+  async getCallTranscript(callSid) {
+    try {
+      return this.db.prepare('SELECT * FROM call_transcripts WHERE call_sid = ?').get(callSid) || null;
+
+    } catch (error) {
+      this.logger.error('❌ Failed to get call transcript:', error);
+      throw error;
+    }
+  }
+
+  async updateCallTranscriptStatus(callSid, status, totalSegments = null) {
+    try {
+      let query = 'UPDATE call_transcripts SET status = ?';
+      const values = [status];
+
+      if (totalSegments !== null) {
+        query += ', total_segments = ?';
+        values.push(totalSegments);
+      }
+
+      query += ' WHERE call_sid = ?';
+      values.push(callSid);
+
+      const result = this.db.prepare(query).run(values);
+      return { affectedRows: result.changes };
+
+    } catch (error) {
+      this.logger.error('❌ Failed to update call transcript status:', error);
+      throw error;
+    }
+  }
+
+  async updateCallTranscript(callSid, updates) {
+    try {
+      const { assignments, values } = this.buildCallTranscriptUpdate(updates);
+      if (!assignments) return { affectedRows: 0 };
+
+      const result = this.db.prepare(`UPDATE call_transcripts SET ${assignments} WHERE call_sid = ?`)
+        .run([...values, callSid]);
+      return { affectedRows: result.changes };
+
+    } catch (error) {
+      this.logger.error('❌ Failed to update call transcript:', error);
+      throw error;
+    }
+  }
+
+  async getConversationCalls(conversationId) {
+    try {
+      return this.db.prepare(`
+        SELECT * FROM call_transcripts
+        WHERE conversation_id = ? OR call_sid = ?
+        ORDER BY start_time ASC
+      `).all(conversationId, conversationId);
+
+    } catch (error) {
+      this.logger.error('❌ Failed to get conversation calls:', error);
+      throw error;
+    }
+  }
+
+  // Transcript Segment Operations
+  async insertTranscriptSegment(segment) {
+    try {
+      const row = this.buildSegmentRow(segment);
+
+      const query = `
+        INSERT INTO transcript_segments (${SEGMENT_COLUMNS.join(', ')})
+        VALUES (?, COALESCE(?, (SELECT id FROM call_transcripts WHERE call_sid = ?)), ${SEGMENT_COLUMNS.slice(2).map(() => '?').join(', ')})
+      `;
+
+      const result = this.db.prepare(query).run([row[0], row[1], segment.call_sid, ...row.slice(2)]);
+      return { insertId: row[0], affectedRows: result.changes };
+
+    } catch (error) {
+      this.logger.error('❌ Failed to insert transcript segment:', error);
+      throw error;
+    }
+  }
+
+  async insertTranscriptSegments(segments) {
+    if (!segments || segments.length === 0) return { affectedRows: 0 };
+
+    try {
+      const lookup = this.db.prepare('SELECT id FROM call_transcripts WHERE call_sid = ?');
+      const insert = this.db.prepare(`
+        INSERT INTO transcript_segments (${SEGMENT_COLUMNS.join(', ')})
+        VALUES (${SEGMENT_COLUMNS.map(() => '?').join(', ')})
+      `);
+
+      const ids = this.db.transaction(() => {
+        const transcriptIds = new Map();
+
+        return segments.map(segment => {
+          let callTranscriptId = segment.call_transcript_id;
+          if (!callTranscriptId) {
+            if (!transcriptIds.has(segment.call_sid)) {
+              transcriptIds.set(segment.call_sid, lookup.get(segment.call_sid)?.id || null);
+            }
+            callTranscriptId = transcriptIds.get(segment.call_sid);
+          }
+
+          const row = this.buildSegmentRow({ ...segment, call_transcript_id: callTranscriptId });
+          insert.run(row);
+          return row[0];
+        });
+      })();
+
+      return { affectedRows: ids.length, ids };
+
+    } catch (error) {
+      this.logger.error('❌ Failed to batch insert transcript segments:', error);
+      throw error;
+    }
+  }
+
+  async getTranscriptSegments(callSid, limit = 1000) {
+    try {
+      return this.db.prepare(`
+        SELECT * FROM transcript_segments
+        WHERE call_sid = ?
+        ORDER BY start_time ASC
+        LIMIT ?
+      `).all(callSid, limit);
+
+    } catch (error) {
+      this.logger.error('❌ Failed to get transcript segments:', error);
+      throw error;
+    }
+  }
+
+  async updateTranscriptSegment(id, updates) {
+    try {
+      const { assignments, values } = this.buildSegmentUpdate(updates);
+      if (!assignments) return { affectedRows: 0 };
+
+      const result = this.db.prepare(`UPDATE transcript_segments SET ${assignments} WHERE id = ?`)
+        .run([...values, id]);
+      return { affectedRows: result.changes };
+
+    } catch (error) {
+      this.logger.error('❌ Failed to update transcript segment:', error);
+      throw error;
+    }
+  }
+
+  // Audio Event Operations
+  async insertAudioEvent(audioEvent) {
+    try {
+      const id = audioEvent.id || uuidv4();
+      const result = this.db.prepare(`
+        INSERT INTO audio_events (
+          id, call_sid, event_type, file_path, file_name,
+          duration, timestamp, metadata
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      `).run(
+        id,
+        audioEvent.call_sid,
+        audioEvent.event_type,
+        audioEvent.file_path || null,
+        audioEvent.file_name || null,
+        audioEvent.duration ?? null,
+        this.formatDateTime(audioEvent.timestamp),
+        this.formatJson(audioEvent.metadata)
+      );
+
+      return { insertId: id, affectedRows: result.changes };
+
+    } catch (error) {
+      this.logger.error('❌ Failed to insert audio event:', error);
+      throw error;
+    }
+  }
+
+  // Search and Query Operations
+  async searchTranscripts(searchText, startDate, endDate, limit = 50, filters = {}) {
+    try {
+      // Quote every term so user input can't inject FTS5 query syntax;
+      // OR-ing them mirrors MySQL's natural language mode
+      const match = searchText
+        .split(/\s+/)
+        .filter(Boolean)
+        .map(term => `"${term.replace(/"/g, '""')}"`)
+        .join(' OR ');
+
+      if (!match) return [];
+
+      const metadata = this.buildMetadataFilter(filters, 'ct.metadata');
+
+      return this.db.prepare(`
+        SELECT
+          ct.call_sid,
+          ct.caller_number,
+          ct.start_time,
+          ct.duration,
+          ct.metadata,
+          ts.text,
+          ts.speaker,
+          -bm25(transcript_segments_fts) as relevance
+        FROM transcript_segments_fts
+        JOIN transcript_segments ts ON ts.rowid = transcript_segments_fts.rowid
+        JOIN call_transcripts ct ON ct.id = ts.call_transcript_id
+        WHERE transcript_segments_fts MATCH ?
+        AND ct.start_time BETWEEN ? AND ?
+        ${metadata.conditions.map(condition => `AND ${condition}`).join(' ')}
+        ORDER BY relevance DESC, ct.start_time DESC
+        LIMIT ?
+      `).all(match, this.formatDateTime(startDate), this.formatDateTime(endDate), ...metadata.values, limit);
+
+    } catch (error) {
+      this.logger.error('❌ Failed to search transcripts:', error);
+      throw error;
+    }
+  }
+
+  async getRecentTranscripts(limit = 50, filters = {}) {
+    try {
+      const { conditions, values } = this.buildMetadataFilter(filters);
+
+      return this.db.prepare(`
+        SELECT * FROM v_recent_transcripts
+        ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+        ORDER BY start_time DESC
+        LIMIT ?
+      `).all(...values, limit);
+
+    } catch (error) {
+      this.logger.error('❌ Failed to get recent transcripts:', error);
+      throw error;
+    }
+  }
+
+  async getTranscriptSummary(callSid) {
+    try {
+      return this.db.prepare('SELECT * FROM v_transcript_summary WHERE call_sid = ?').get(callSid) || null;
+
+    } catch (error) {
+      this.logger.error('❌ Failed to get transcript summary:', error);
+      throw error;
+    }
+  }
+
+  // Prompt Catalog Operations
+  async getPromptCatalog() {
+    try {
+      return this.db.prepare('SELECT * FROM prompt_catalog ORDER BY priority DESC, created_at ASC').all();
+
+    } catch (error) {
+      this.logger.error('❌ Failed to get prompt catalog:', error);
+      throw error;
+    }
+  }
+
+  async getPromptCatalogEntry(id) {
+    try {
+      return this.db.prepare('SELECT * FROM prompt_catalog WHERE id = ?').get(id) || null;
+
+    } catch (error) {
+      this.logger.error('❌ Failed to get prompt catalog entry:', error);
+      throw error;
+    }
+  }
+
+  async insertPromptCatalogEntry(entry) {
+    try {
+      const row = this.buildPromptCatalogRow(entry);
+      const result = this.db.prepare(`
+        INSERT INTO prompt_catalog (
+          id, pattern, match_type, text, language, description, priority, enabled
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      `).run(row);
+
+      return { insertId: row[0], affectedRows: result.changes };
+
+    } catch (error) {
+      this.logger.error('❌ Failed to insert prompt catalog entry:', error);
+      throw error;
+    }
+  }
+
+  async updatePromptCatalogEntry(id, updates) {
+    try {
+      const { assignments, values } = this.buildPromptCatalogUpdate(updates);
+      if (!assignments) return { affectedRows: 0 };
+
+      // No ON UPDATE clause in SQLite
+      const result = this.db.prepare(`
+        UPDATE prompt_catalog SET ${assignments}, updated_at = strftime('%Y-%m-%dT%H:%M:%fZ', 'now')
+        WHERE id = ?
+      `).run([...values, id]);
+      return { affectedRows: result.changes };
+
+    } catch (error) {
+      this.logger.error('❌ Failed to update prompt catalog entry:', error);
+      throw error;
+    }
+  }
+
+  async deletePromptCatalogEntry(id) {
+    try {
+      const result = this.db.prepare('DELETE FROM prompt_catalog WHERE id = ?').run(id);
+      return { affectedRows: result.changes };
+
+    } catch (error) {
+      this.logger.error('❌ Failed to delete prompt catalog entry:', error);
+      throw error;
+    }
+  }
+
+  // Performance and Health Operations
+  async insertPerformanceMetric(metricType, metricName, value, unit, metadata = null) {
+    try {
+      const result = this.db.prepare(`
+        INSERT INTO performance_metrics (
+          metric_type, metric_name, metric_value, metric_unit,
+          timestamp, metadata
+        ) VALUES (?, ?, ?, ?, ?, ?)
+      `).run(metricType, metricName, value, unit, this.formatDateTime(new Date()), this.formatJson(metadata));
+
+      return { insertId: result.lastInsertRowid, affectedRows: result.changes };
+
+    } catch (error) {
+      this.logger.error('❌ Failed to insert performance metric:', error);
+      throw error;
+    }
+  }
+
+  async updateSystemHealth(serviceName, status, responseTime = null, errorCount = 0, lastError = null) {
+    try {
+      const checkedAt = this.formatDateTime(new Date());
+      const values = [status, responseTime, errorCount, lastError, checkedAt, serviceName];
+
+      const result = this.db.transaction(() => {
+        const updated = this.db.prepare(`
+          UPDATE system_health
+          SET status = ?, response_time_ms = ?, error_count = ?, last_error = ?, checked_at = ?
+          WHERE service_name = ?
+        `).run(values);
+
+        if (updated.changes > 0) return updated;
+
+        return this.db.prepare(`
+          INSERT INTO system_health (
+            status, response_time_ms, error_count, last_error, checked_at, service_name
+          ) VALUES (?, ?, ?, ?, ?, ?)
+        `).run(values);
+      })();
+
+      return { affectedRows: result.changes };
+
+    } catch (error) {
+      this.logger.error('❌ Failed to update system health:', error);
+      throw error;
+    }
+  }
+
+  // Statistics and Analytics
+  async getTranscriptStats(startDate, endDate) {
+    try {
+      return this.db.prepare(`
+        SELECT
+          COUNT(*) as total_calls,
+          SUM(duration) as total_duration,
+          AVG(duration) as avg_duration,
+          SUM(total_segments) as total_segments,
+          AVG(total_segments) as avg_segments_per_call,
+          COUNT(DISTINCT languages) as unique_languages
+        FROM call_transcripts
+        WHERE start_time BETWEEN ? AND ?
+        AND status = 'completed'
+      `).get(this.formatDateTime(startDate), this.formatDateTime(endDate)) || {};
+
+    } catch (error) {
+      this.logger.error('❌ Failed to get transcript stats:', error);
+      throw error;
+    }
+  }
+
+  // Utility Methods
+  async close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+
+  async getConnectionStats() {
+    if (!this.db) return null;
+
+    return {
+      driver: this.dialect,
+      filename: this.filename,
+      inTransaction: this.db.inTransaction
+    };
+  }
+
+  // Post-Processing Methods
+
+  // Insert main transcript record (for post-processing)
+  async insertTranscript(transcript) {
+    try {
+      const id = transcript.id || uuidv4();
+      const result = this.db.prepare(`
+        INSERT INTO transcripts (
+          id, call_transcript_id, call_sid, transcript_type, language,
+          duration, average_confidence, segment_count, processing_method,
+          metadata
+        ) VALUES (?, (SELECT id FROM call_transcripts WHERE call_sid = ?), ?, ?, ?, ?, ?, ?, ?, ?)
+      `).run(
+        id,
+        transcript.call_sid,
+        transcript.call_sid,
+        transcript.transcript_type,
+        transcript.language || null,
+        transcript.duration ?? null,
+        transcript.average_confidence ?? null,
+        transcript.segment_count || 0,
+        transcript.processing_method || null,
+        this.formatJson(transcript.metadata)
+      );
+
+      return { insertId: id, affectedRows: result.changes };
+
+    } catch (error) {
+      this.logger.error('❌ Failed to insert transcript:', error);
+      throw error;
+    }
+  }
+
+  // Insert word-level timestamps (for post-processing)
+  async insertWordTimestamp(wordData) {
+    try {
+      const id = wordData.id || uuidv4();
+      const result = this.db.prepare(`
+        INSERT INTO word_timestamps (
+          id, transcript_id, segment_id, call_sid, word, speaker,
+          start_time, end_time, confidence
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `).run(
+        id,
+        wordData.transcript_id,
+        wordData.segment_id || null,
+        wordData.call_sid,
+        wordData.word,
+        wordData.speaker || null,
+        wordData.start_time,
+        wordData.end_time,
+        wordData.confidence ?? null
+      );
+
+      return { insertId: id, affectedRows: result.changes };
+
+    } catch (error) {
+      this.logger.error('❌ Failed to insert word timestamp:', error);
+      throw error;
+    }
+  }
+
+  // Get post-processed transcripts
+  async getPostProcessedTranscripts(callSid = null, limit = 10) {
+    try {
+      return this.db.prepare(`
+        SELECT * FROM transcripts
+        WHERE transcript_type = 'post_processed'
+        AND (? IS NULL OR call_sid = ?)
+        ORDER BY created_at DESC
+        LIMIT ?
+      `).all(callSid, callSid, limit);
+
+    } catch (error) {
+      this.logger.error('❌ Failed to get post-processed transcripts:', error);
+      throw error;
+    }
+  }
+
+  // json_extract returns JSON numbers as numbers, which never equal the
+  // text the filter binds, and booleans as 1/0 where MySQL gives true/false.
+  // The path is bound once and read twice through the subquery.
+  jsonValueSql(column) {
+    return `(SELECT CASE json_type(${column}, path) WHEN 'true' THEN 'true' WHEN 'false' THEN 'false' ` +
+      `ELSE CAST(json_extract(${column}, path) AS TEXT) END FROM (SELECT ? AS path))`;
+  }
+
+  // SQLite stores timestamps as ISO-8601 UTC text
+  formatDateTime(value) {
+    const date = super.formatDateTime(value);
+    return date ? date.toISOString() : null;
+  }
+}
+
+module.exports = SQLiteStorage;
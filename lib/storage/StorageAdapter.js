@@ -0,0 +1,215 @@
+/**
+ * Storage Adapter
+ *
+ * Base class for transcript storage backends. DatabaseManager delegates every
+ * read and write to one adapter, selected by DB_DRIVER:
+ * - MySQLStorage  (default, production)
+ * - SQLiteStorage (embedded, for development and integration tests)
+ *
+ * Rows passed in and returned use the column names of the transcript schema
+ * in database/migrations, so callers don't depend on the backend in use.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+
+// Column order for transcript_segments rows (shared by single and batch inserts)
+const SEGMENT_COLUMNS = [
+  'id', 'call_transcript_id', 'call_sid', 'segment_type', 'text', 'speaker',
+  'start_time', 'end_time', 'duration_ms', 'interrupted', 'barge_in_type',
+  'confidence', 'language', 'mixed_language', 'vendor', 'source_type', 'metadata'
+];
+
+// call_transcripts columns that may change after the row is created
+const CALL_TRANSCRIPT_UPDATABLE_COLUMNS = [
+  'conversation_id', 'leg_role', 'parent_call_sid',
+  'caller_number', 'destination_number', 'media_server', 'answer_time', 'end_time',
+  'duration', 'hangup_cause', 'total_segments', 'barge_in_count', 'languages', 'status',
+  'metadata'
+];
+
+const CALL_TRANSCRIPT_DATETIME_COLUMNS = new Set(['answer_time', 'end_time']);
+
+// transcript_segments columns completed after the segment is created (TTS
+// prompts get their end time once playback finishes)
+const SEGMENT_UPDATABLE_COLUMNS = ['end_time', 'duration_ms', 'interrupted', 'barge_in_type', 'metadata'];
+
+const SEGMENT_DATETIME_COLUMNS = new Set(['end_time']);
+
+// prompt_catalog columns that may be changed through the API
+const PROMPT_CATALOG_COLUMNS = [
+  'pattern', 'match_type', 'text', 'language', 'description', 'priority', 'enabled'
+];
+
+class StorageAdapter {
+  constructor(logger) {
+    this.logger = logger;
+    this.dialect = null;
+  }
+
+  static get SEGMENT_COLUMNS() {
+    return SEGMENT_COLUMNS;
+  }
+
+  // Lifecycle
+  async connect() { this.notImplemented('connect'); }
+  async ping() { this.notImplemented('ping'); }
+  async close() { this.notImplemented('close'); }
+  async getConnectionStats() { this.notImplemented('getConnectionStats'); }
+
+  // Runs `callback(run)` while holding the schema migration lock, where
+  // `run(sql, params)` resolves to the rows returned by the statement
+  async withMigrationLock(callback) { this.notImplemented('withMigrationLock'); }
+
+  // Call transcripts
+  async insertCallTranscript(callTranscript) { this.notImplemented('insertCallTranscript'); }
+  async getCallTranscript(callSid) { this.notImplemented('getCallTranscript'); }
+  async updateCallTranscriptStatus(callSid, status, totalSegments) { this.notImplemented('updateCallTranscriptStatus'); }
+  async updateCallTranscript(callSid, updates) { this.notImplemented('updateCallTranscript'); }
+  // Every leg linked to a conversation, oldest first
+  async getConversationCalls(conversationId) { this.notImplemented('getConversationCalls'); }
+
+  // Transcript segments
+  async insertTranscriptSegment(segment) { this.notImplemented('insertTranscriptSegment'); }
+  async insertTranscriptSegments(segments) { this.notImplemented('insertTranscriptSegments'); }
+  async getTranscriptSegments(callSid, limit) { this.notImplemented('getTranscriptSegments'); }
+  async updateTranscriptSegment(id, updates) { this.notImplemented('updateTranscriptSegment'); }
+
+  // Audio events
+  async insertAudioEvent(audioEvent) { this.notImplemented('insertAudioEvent'); }
+
+  // Search and queries
+  // `filters` ({ field: value }) match call metadata fields exactly
+  async searchTranscripts(searchText, startDate, endDate, limit, filters) { this.notImplemented('searchTranscripts'); }
+  async getRecentTranscripts(limit, filters) { this.notImplemented('getRecentTranscripts'); }
+  async getTranscriptSummary(callSid) { this.notImplemented('getTranscriptSummary'); }
+  async getTranscriptStats(startDate, endDate) { this.notImplemented('getTranscriptStats'); }
+
+  // Prompt catalog
+  async getPromptCatalog() { this.notImplemented('getPromptCatalog'); }
+  async getPromptCatalogEntry(id) { this.notImplemented('getPromptCatalogEntry'); }
+  async insertPromptCatalogEntry(entry) { this.notImplemented('insertPromptCatalogEntry'); }
+  async updatePromptCatalogEntry(id, updates) { this.notImplemented('updatePromptCatalogEntry'); }
+  async deletePromptCatalogEntry(id) { this.notImplemented('deletePromptCatalogEntry'); }
+
+  // Performance and health
+  async insertPerformanceMetric(metricType, metricName, value, unit, metadata) { this.notImplemented('insertPerformanceMetric'); }
+  async updateSystemHealth(serviceName, status, responseTime, errorCount, lastError) { this.notImplemented('updateSystemHealth'); }
+
+  // Post-processed transcripts
+  async insertTranscript(transcript) { this.notImplemented('insertTranscript'); }
+  async insertWordTimestamp(wordData) { this.notImplemented('insertWordTimestamp'); }
+  async getPostProcessedTranscripts(callSid, limit) { this.notImplemented('getPostProcessedTranscripts'); }
+
+  // Row helpers
+  buildSegmentRow(segment) {
+    return [
+      segment.id || uuidv4(),
+      segment.call_transcript_id || null,
+      segment.call_sid,
+      segment.segment_type,
+      segment.text,
+      segment.speaker,
+      this.formatDateTime(segment.start_time),
+      this.formatDateTime(segment.end_time),
+      segment.duration_ms ?? null,
+      segment.interrupted ? 1 : 0,
+      segment.barge_in_type || null,
+      segment.confidence ?? null,
+      segment.language || null,
+      segment.mixed_language ? 1 : 0,
+      segment.vendor || null,
+      segment.source_type || null,
+      this.formatJson(segment.metadata)
+    ];
+  }
+
+  // SET clause and values for a partial call_transcripts update. Unknown and
+  // undefined fields are ignored.
+  buildCallTranscriptUpdate(updates) {
+    return this.buildUpdate({
+      ...updates,
+      metadata: updates.metadata === undefined ? undefined : this.formatJson(updates.metadata)
+    }, CALL_TRANSCRIPT_UPDATABLE_COLUMNS, CALL_TRANSCRIPT_DATETIME_COLUMNS);
+  }
+
+  // Same for transcript_segments
+  buildSegmentUpdate(updates) {
+    return this.buildUpdate({
+      ...updates,
+      interrupted: updates.interrupted === undefined ? undefined : (updates.interrupted ? 1 : 0),
+      metadata: updates.metadata === undefined ? undefined : this.formatJson(updates.metadata)
+    }, SEGMENT_UPDATABLE_COLUMNS, SEGMENT_DATETIME_COLUMNS);
+  }
+
+  // Same for prompt_catalog
+  buildPromptCatalogUpdate(updates) {
+    return this.buildUpdate({
+      ...updates,
+      enabled: updates.enabled === undefined ? undefined : (updates.enabled ? 1 : 0)
+    }, PROMPT_CATALOG_COLUMNS, new Set());
+  }
+
+  buildPromptCatalogRow(entry) {
+    return [
+      entry.id || uuidv4(),
+      entry.pattern,
+      entry.match_type || 'exact',
+      entry.text,
+      entry.language || null,
+      entry.description || null,
+      entry.priority || 0,
+      entry.enabled === false || entry.enabled === 0 ? 0 : 1
+    ];
+  }
+
+  buildUpdate(updates, updatableColumns, datetimeColumns) {
+    const columns = updatableColumns.filter(column => updates[column] !== undefined);
+
+    return {
+      assignments: columns.map(column => `${column} = ?`).join(', '),
+      values: columns.map(column => datetimeColumns.has(column)
+        ? this.formatDateTime(updates[column])
+        : updates[column])
+    };
+  }
+
+  // WHERE conditions (joined with AND) and values matching call metadata
+  // fields of `column` exactly
+  buildMetadataFilter(filters, column = 'metadata') {
+    const entries = Object.entries(filters || {});
+
+    entries.forEach(([name]) => {
+      if (!/^[A-Za-z0-9_]+$/.test(name)) {
+        throw new Error(`Invalid metadata field "${name}"`);
+      }
+    });
+
+    return {
+      conditions: entries.map(() => `${this.jsonValueSql(column)} = ?`),
+      values: entries.flatMap(([name, value]) => [`$.${name}`, String(value)])
+    };
+  }
+
+  // SQL for the text value at the JSON path bound to the next parameter
+  jsonValueSql(column) { this.notImplemented('jsonValueSql'); }
+
+  // Event timestamps arrive as epoch millis, ISO strings or Date objects;
+  // missing or unparsable ones are stored as NULL
+  formatDateTime(value) {
+    if (value === null || value === undefined) return null;
+    const date = value instanceof Date ? value : new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date;
+  }
+
+  // Callers pass metadata either pre-serialized or as plain objects
+  formatJson(value) {
+    if (value === null || value === undefined) return null;
+    return typeof value === 'string' ? value : JSON.stringify(value);
+  }
+
+  notImplemented(method) {
+    throw new Error(`${this.constructor.name} does not implement ${method}()`);
+  }
+}
+
+module.exports = StorageAdapter;
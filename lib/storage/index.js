@@ -0,0 +1,25 @@
+/**
+ * Storage backend factory
+ *
+ * Maps the DB_DRIVER setting to a StorageAdapter implementation.
+ */
+
+const MySQLStorage = require('./MySQLStorage');
+const SQLiteStorage = require('./SQLiteStorage');
+
+const DRIVERS = {
+  mysql: MySQLStorage,
+  sqlite: SQLiteStorage
+};
+
+function createStorage(driver, logger) {
+  const Storage = DRIVERS[(driver || 'mysql').toLowerCase()];
+
+  if (!Storage) {
+    throw new Error(`Unknown DB_DRIVER "${driver}" (expected one of: ${Object.keys(DRIVERS).join(', ')})`);
+  }
+
+  return new Storage(logger);
+}
+
+module.exports = { createStorage };
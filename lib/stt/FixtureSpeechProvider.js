@@ -0,0 +1,71 @@
+/**
+ * Fixture Speech Provider
+ *
+ * Deterministic transcripts for tests and local development: the model names
+ * a JSON file in the fixture directory (STT_FIXTURE_DIR, by default
+ * lib/testing/transcripts), which is returned for every recording:
+ *   { "language": "bn-BD",
+ *     "segments": [{ "text", "speaker": "agent"|"caller", "startTime",
+ *                    "endTime", "confidence", "words"? }] }
+ * Segments without words get their words spread evenly over the segment.
+ * A request for one speaker (a channel of a split recording) only gets that
+ * speaker's segments.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const SpeechProvider = require('./SpeechProvider');
+
+// Fixture names become file names
+const FIXTURE_NAME = /^[A-Za-z0-9._-]+$/;
+
+class FixtureSpeechProvider extends SpeechProvider {
+  constructor(logger, options = {}) {
+    super(logger, options);
+    this.name = 'fixture';
+    this.defaultModel = 'default';
+
+    this.fixtureDir = options.fixtureDir || process.env.STT_FIXTURE_DIR ||
+      path.join(__dirname, '..', 'testing', 'transcripts');
+  }
+
+  async transcribe(audioFilePath, { model, languageCode, duration, speaker = null }) {
+    if (!FIXTURE_NAME.test(model || '')) {
+      throw new Error(`Invalid STT fixture "${model}"`);
+    }
+
+    // The recording must exist, as for the real engines
+    await fs.access(audioFilePath);
+
+    const fixture = JSON.parse(await fs.readFile(path.join(this.fixtureDir, `${model}.json`), 'utf8'));
+
+    // One channel of a split recording only holds its speaker's segments
+    const segments = (fixture.segments || [])
+      .filter(segment => !speaker || segment.speaker === speaker)
+      .map(segment => ({
+        ...segment,
+        speakerTag: segment.speaker === 'agent' ? 2 : 1,
+        words: segment.words || FixtureSpeechProvider.spreadWords(segment)
+      }));
+
+    return this.buildResult(segments, {
+      language: fixture.language || languageCode,
+      duration: duration || fixture.duration,
+      model
+    });
+  }
+
+  static spreadWords(segment) {
+    const words = String(segment.text || '').split(/\s+/).filter(Boolean);
+    const step = ((segment.endTime || 0) - (segment.startTime || 0)) / (words.length || 1);
+
+    return words.map((word, index) => ({
+      word,
+      startTime: (segment.startTime || 0) + index * step,
+      endTime: (segment.startTime || 0) + (index + 1) * step,
+      confidence: segment.confidence ?? null
+    }));
+  }
+}
+
+module.exports = FixtureSpeechProvider;
@@ -0,0 +1,242 @@
+/**
+ * Google Speech Provider
+ *
+ * Google Cloud Speech-to-Text with word time offsets and, unless the request
+ * names the speaker, two-speaker diarization. Recordings known to be under a
+ * minute use recognize(), every other one longRunningRecognize(). Encoding,
+ * sample rate and channels follow the AudioInspector result. Audio is sent
+ * inline, so recordings over 10 MB (after conversion) are rejected. Credentials
+ * come from GOOGLE_APPLICATION_CREDENTIALS; the model defaults to phone_call.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const speech = require('@google-cloud/speech');
+const SpeechProvider = require('./SpeechProvider');
+
+// Synchronous recognize() only accepts up to a minute of audio
+const SYNC_RECOGNIZE_MAX_SECONDS = 55;
+
+// Audio sent inline in the request (not from Cloud Storage) is limited to 10 MB
+const INLINE_AUDIO_MAX_BYTES = 10 * 1024 * 1024;
+
+class GoogleSpeechProvider extends SpeechProvider {
+  constructor(logger, options = {}) {
+    super(logger, options);
+    this.name = 'google';
+    this.defaultModel = 'phone_call';
+
+    this.credentials = options.credentials || process.env.GOOGLE_APPLICATION_CREDENTIALS;
+    this.sampleRate = options.sampleRate || parseInt(process.env.BATCH_STT_SAMPLE_RATE) || 8000;
+    this.speechClient = options.client || null;
+  }
+
+  isAvailable() {
+    return !!(this.credentials || this.options.client);
+  }
+
+  // Created on first use, so other providers run without Google credentials
+  get client() {
+    if (!this.speechClient) {
+      this.speechClient = new speech.SpeechClient({ keyFilename: this.credentials });
+    }
+    return this.speechClient;
+  }
+
+  async transcribe(audioFilePath, { model, languageCode, duration, audio = null, speaker = null }) {
+    const method = duration && duration <= SYNC_RECOGNIZE_MAX_SECONDS ? 'recognize' : 'longRunningRecognize';
+    const { content, encoding } = await this.audioContent(audioFilePath, audio);
+    if (content.length > INLINE_AUDIO_MAX_BYTES) {
+      throw new Error(`Audio of ${path.basename(audioFilePath)} is ${content.length} bytes, over Google's ` +
+        `${INLINE_AUDIO_MAX_BYTES} byte limit for inline audio`);
+    }
+
+    const request = {
+      audio: { content: content.toString('base64') },
+      config: { ...this.recognitionConfig(audioFilePath, model, languageCode, !speaker), ...encoding }
+    };
+
+    // recognize() rejects audio longer than a minute
+    let response;
+    if (method === 'recognize') {
+      [response] = await this.client.recognize(request);
+    } else {
+      const [operation] = await this.client.longRunningRecognize(request);
+      [response] = await operation.promise();
+    }
+
+    const results = (response.results || []).filter(result => result.alternatives?.[0]);
+    const language = GoogleSpeechProvider.normalizeLanguageCode(
+      results.find(result => result.languageCode)?.languageCode) || languageCode;
+    const lastEnd = Math.max(0, ...results.map(result => GoogleSpeechProvider.toSeconds(result.resultEndTime)));
+
+    const transcription = this.buildResult(this.segmentResults(results), {
+      language,
+      duration: duration || lastEnd,
+      model
+    });
+    transcription.method = method;
+
+    return transcription;
+  }
+
+  // The audio to send and how to describe it, from the AudioInspector result.
+  // WAV is sent as bare samples: LINEAR16 and MULAW as recorded, every other
+  // PCM variant converted to LINEAR16. Without an inspection the whole file
+  // is sent and described by recognitionConfig().
+  async audioContent(audioFilePath, audio) {
+    const file = await fs.readFile(audioFilePath);
+
+    if (!audio) {
+      return { content: file, encoding: {} };
+    }
+
+    const channels = audio.channels > 1 ? { audioChannelCount: audio.channels } : {};
+
+    if (audio.container === 'mp3') {
+      if (audio.codec !== 'mp3') {
+        throw new Error(`Unsupported audio codec ${audio.codec}`);
+      }
+      return { content: file, encoding: { encoding: 'MP3', sampleRateHertz: audio.sampleRate, ...channels } };
+    }
+
+    const samples = file.subarray(audio.dataOffset, audio.dataOffset + audio.dataBytes);
+
+    if (audio.codec === 'pcm_mulaw') {
+      return { content: samples, encoding: { encoding: 'MULAW', sampleRateHertz: audio.sampleRate, ...channels } };
+    }
+
+    const linear16 = GoogleSpeechProvider.toLinear16(samples, audio.codec);
+    if (!linear16) {
+      throw new Error(`Unsupported audio codec ${audio.codec}`);
+    }
+
+    return { content: linear16, encoding: { encoding: 'LINEAR16', sampleRateHertz: audio.sampleRate, ...channels } };
+  }
+
+  // Little-endian 16-bit PCM of other WAV sample formats, or null
+  static toLinear16(samples, codec) {
+    const convert = {
+      pcm_s16le: null,
+      pcm_u8: (buffer, i) => (buffer[i] - 128) << 8,
+      pcm_s24le: (buffer, i) => buffer.readInt16LE(i + 1),
+      pcm_s32le: (buffer, i) => buffer.readInt16LE(i + 2),
+      pcm_f32le: (buffer, i) => Math.round(Math.max(-1, Math.min(1, buffer.readFloatLE(i))) * 32767),
+      pcm_alaw: (buffer, i) => GoogleSpeechProvider.alawToLinear(buffer[i])
+    };
+
+    if (!(codec in convert)) return null;
+    if (codec === 'pcm_s16le') return samples;
+
+    const width = { pcm_u8: 1, pcm_alaw: 1, pcm_s24le: 3, pcm_s32le: 4, pcm_f32le: 4 }[codec];
+    const count = Math.floor(samples.length / width);
+    const output = Buffer.alloc(count * 2);
+
+    for (let index = 0; index < count; index++) {
+      output.writeInt16LE(convert[codec](samples, index * width), index * 2);
+    }
+    return output;
+  }
+
+  // G.711 A-law sample → 16-bit linear
+  static alawToLinear(value) {
+    const alaw = value ^ 0x55;
+    const segment = (alaw & 0x70) >> 4;
+    let linear = (alaw & 0x0F) << 4;
+
+    if (segment === 0) {
+      linear += 8;
+    } else {
+      linear = (linear + 0x108) << (segment - 1);
+    }
+
+    return alaw & 0x80 ? linear : -linear;
+  }
+
+  // Diarization is left out for single-speaker audio (one channel of a
+  // split recording). Without an inspection: WAV headers carry encoding and
+  // sample rate, MP3 needs both spelled out
+  recognitionConfig(audioFilePath, model, languageCode, diarize = true) {
+    const config = {
+      languageCode,
+      model,
+      enableWordTimeOffsets: true,
+      enableWordConfidence: true,
+      enableAutomaticPunctuation: true,
+      maxAlternatives: 1,
+      profanityFilter: false
+    };
+
+    if (diarize) {
+      config.enableSpeakerDiarization = true;
+      config.diarizationSpeakerCount = 2;
+    }
+
+    if (path.extname(audioFilePath).toLowerCase() === '.mp3') {
+      config.encoding = 'MP3';
+      config.sampleRateHertz = this.sampleRate;
+    }
+
+    return config;
+  }
+
+  // With diarization the last result repeats every word of the recording with
+  // its speakerTag, so segments are the speaker turns of that word list;
+  // without tags each result is a segment
+  segmentResults(results) {
+    const toWord = (word, fallbackConfidence) => ({
+      word: word.word,
+      startTime: GoogleSpeechProvider.toSeconds(word.startTime),
+      endTime: GoogleSpeechProvider.toSeconds(word.endTime),
+      confidence: word.confidence || fallbackConfidence || null,
+      speakerTag: word.speakerTag || null
+    });
+
+    const lastAlternative = results[results.length - 1]?.alternatives[0];
+    const taggedWords = (lastAlternative?.words || []).filter(word => word.speakerTag);
+
+    if (taggedWords.length > 0) {
+      const turns = [];
+      taggedWords.map(word => toWord(word)).forEach(word => {
+        const current = turns[turns.length - 1];
+        if (current && current.speakerTag === word.speakerTag) {
+          current.words.push(word);
+        } else {
+          turns.push({ speakerTag: word.speakerTag, words: [word] });
+        }
+      });
+      return turns;
+    }
+
+    let previousEnd = 0;
+    return results.map(result => {
+      const alternative = result.alternatives[0];
+      const words = (alternative.words || []).map(word => toWord(word, alternative.confidence));
+      const endTime = GoogleSpeechProvider.toSeconds(result.resultEndTime) || words[words.length - 1]?.endTime || previousEnd;
+      const segment = {
+        text: (alternative.transcript || '').trim(),
+        startTime: words[0]?.startTime ?? previousEnd,
+        endTime,
+        confidence: alternative.confidence || null,
+        words
+      };
+      previousEnd = endTime;
+      return segment;
+    });
+  }
+
+  // protobuf Duration { seconds: string|Long|number, nanos } → seconds
+  static toSeconds(duration) {
+    if (!duration) return 0;
+    return Number(String(duration.seconds || 0)) + (duration.nanos || 0) / 1e9;
+  }
+
+  // Google returns lower-case codes (bn-bd)
+  static normalizeLanguageCode(code) {
+    if (!code) return null;
+    const [language, region] = code.split('-');
+    return region ? `${language.toLowerCase()}-${region.toUpperCase()}` : language.toLowerCase();
+  }
+}
+
+module.exports = GoogleSpeechProvider;
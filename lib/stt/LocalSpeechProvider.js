@@ -0,0 +1,125 @@
+/**
+ * Local Speech Provider
+ *
+ * Offline transcription with a whisper.cpp binary, run as
+ *   <binary> -m <model dir>/<model>.bin -l <language> -f <recording> -ojf -of <output>
+ * and read back from its full JSON output (segments with token offsets and
+ * probabilities). Any engine can be used through a wrapper that accepts these
+ * arguments and writes the same JSON.
+ *
+ * Options (LOCAL_STT_* environment variables):
+ * - binary    executable, looked up on PATH             (whisper-cli)
+ * - modelDir  directory holding the <model>.bin files   (./models)
+ * - model     default model                             (ggml-base)
+ * - threads   threads passed to the binary              (engine default)
+ * - timeout   ms before the process is killed           (600000)
+ *
+ * The recording is transcribed as one channel, so every segment is
+ * attributed to the caller.
+ */
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const SpeechProvider = require('./SpeechProvider');
+
+const execFileAsync = promisify(execFile);
+
+// Model names become file names
+const MODEL_NAME = /^[A-Za-z0-9._-]+$/;
+
+class LocalSpeechProvider extends SpeechProvider {
+  constructor(logger, options = {}) {
+    super(logger, options);
+    this.name = 'local';
+
+    this.binary = options.binary || process.env.LOCAL_STT_BINARY || 'whisper-cli';
+    this.modelDir = options.modelDir || process.env.LOCAL_STT_MODEL_DIR || './models';
+    this.defaultModel = options.model || process.env.LOCAL_STT_MODEL || 'ggml-base';
+    this.threads = options.threads || parseInt(process.env.LOCAL_STT_THREADS) || null;
+    this.timeout = options.timeout || parseInt(process.env.LOCAL_STT_TIMEOUT) || 600000;
+  }
+
+  async transcribe(audioFilePath, { model, languageCode, duration }) {
+    const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'stt-'));
+    const outputBase = path.join(workDir, 'transcript');
+
+    try {
+      const args = [
+        '-m', this.modelPath(model),
+        '-l', SpeechProvider.baseLanguage(languageCode) || 'auto',
+        '-f', audioFilePath,
+        '-ojf',
+        '-of', outputBase,
+        '-np'
+      ];
+      if (this.threads) args.push('-t', String(this.threads));
+
+      try {
+        await execFileAsync(this.binary, args, { timeout: this.timeout, maxBuffer: 10 * 1024 * 1024 });
+      } catch (error) {
+        const detail = error.killed ? `timed out after ${this.timeout}ms` : (error.stderr || error.message).trim();
+        throw new Error(`${this.binary} failed: ${detail}`);
+      }
+
+      const output = JSON.parse(await fs.readFile(`${outputBase}.json`, 'utf8'));
+
+      return this.buildResult(this.segmentOutput(output), {
+        language: languageCode,
+        duration,
+        model
+      });
+
+    } finally {
+      await fs.rm(workDir, { recursive: true, force: true }).catch(() => {});
+    }
+  }
+
+  modelPath(model) {
+    if (!MODEL_NAME.test(model || '')) {
+      throw new Error(`Invalid local STT model "${model}"`);
+    }
+    return path.resolve(this.modelDir, model.endsWith('.bin') ? model : `${model}.bin`);
+  }
+
+  // whisper.cpp offsets are in ms; tokens are word pieces, and a piece that
+  // starts with a space starts a new word. [_BEG_]-style tokens are markers.
+  segmentOutput(output) {
+    return (output.transcription || []).map(entry => {
+      const words = [];
+
+      (entry.tokens || []).filter(token => !/^\s*\[_/.test(token.text || '')).forEach(token => {
+        const text = token.text || '';
+        const current = words[words.length - 1];
+
+        if (!current || /^\s/.test(text)) {
+          if (!text.trim()) return;
+          words.push({
+            word: text.trim(),
+            startTime: token.offsets.from / 1000,
+            endTime: token.offsets.to / 1000,
+            probabilities: [token.p]
+          });
+        } else {
+          current.word += text;
+          current.endTime = token.offsets.to / 1000;
+          current.probabilities.push(token.p);
+        }
+      });
+
+      return {
+        text: (entry.text || '').trim(),
+        startTime: entry.offsets.from / 1000,
+        endTime: entry.offsets.to / 1000,
+        words: words.map(({ probabilities, ...word }) => {
+          const known = probabilities.filter(p => typeof p === 'number');
+          return { ...word, confidence: known.length ? known.reduce((sum, p) => sum + p, 0) / known.length : null };
+        })
+      };
+    });
+  }
+}
+
+module.exports = LocalSpeechProvider;
@@ -0,0 +1,87 @@
+/**
+ * Speech Provider
+ *
+ * Base class for batch speech-to-text engines. Batch transcription
+ * (PostProcessingService, TranscriptProcessor.processRecordingJob) goes
+ * through SpeechProviders, which picks one of:
+ * - GoogleSpeechProvider   Google Cloud Speech-to-Text (default)
+ * - LocalSpeechProvider    offline engine run as a CLI (whisper.cpp)
+ * - FixtureSpeechProvider  canned transcripts, for tests
+ *
+ * transcribe(audioFilePath, { model, languageCode, duration, audio, speaker })
+ * resolves with
+ *   { segments, averageConfidence, language, duration, provider, model }
+ * where segments are
+ *   { text, speaker, startTime, endTime, confidence, language, mixedLanguage,
+ *     speakerTag, words: [{ word, startTime, endTime, confidence }] }
+ * with times in seconds from the start of the recording. `speaker` is set
+ * when the audio holds one speaker only (a channel of a split recording).
+ */
+
+const LanguageIdentifier = require('../LanguageIdentifier');
+
+class SpeechProvider {
+  constructor(logger, options = {}) {
+    this.logger = logger;
+    this.options = options;
+    this.name = null;
+    this.defaultModel = null;
+  }
+
+  // Whether the engine can run here (credentials, binaries)
+  isAvailable() {
+    return true;
+  }
+
+  async transcribe(audioFilePath, request) { this.notImplemented('transcribe'); }
+
+  // Completes the segments an engine recognized into the shared result shape.
+  // Segments need words or text, and may carry startTime, endTime,
+  // confidence and speakerTag (1 = caller, 2 = agent).
+  buildResult(rawSegments, { language, duration, model }) {
+    const average = values => values.length
+      ? values.reduce((sum, value) => sum + value, 0) / values.length
+      : null;
+
+    const segments = rawSegments.map(segment => {
+      const words = segment.words || [];
+      const text = segment.text || words.map(word => word.word).join(' ');
+      const identified = LanguageIdentifier.identify(text, language);
+
+      return {
+        text,
+        speaker: segment.speakerTag === 2 ? 'agent' : 'caller',
+        startTime: segment.startTime ?? words[0]?.startTime ?? 0,
+        endTime: segment.endTime ?? words[words.length - 1]?.endTime ?? 0,
+        confidence: segment.confidence ??
+          average(words.map(word => word.confidence).filter(confidence => confidence !== null && confidence !== undefined)),
+        language: identified.language,
+        mixedLanguage: identified.mixed,
+        speakerTag: segment.speakerTag || null,
+        words: words.map(({ word, startTime, endTime, confidence }) => ({
+          word, startTime, endTime, confidence: confidence ?? null
+        }))
+      };
+    }).filter(segment => segment.text);
+
+    return {
+      segments,
+      averageConfidence: average(segments.map(segment => segment.confidence).filter(confidence => confidence !== null)),
+      language,
+      duration: duration || Math.max(0, ...segments.map(segment => segment.endTime)),
+      provider: this.name,
+      model
+    };
+  }
+
+  // bn-BD → bn
+  static baseLanguage(languageCode) {
+    return String(languageCode || '').split('-')[0].toLowerCase() || null;
+  }
+
+  notImplemented(method) {
+    throw new Error(`${this.constructor.name} does not implement ${method}()`);
+  }
+}
+
+module.exports = SpeechProvider;
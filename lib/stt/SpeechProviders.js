@@ -0,0 +1,193 @@
+/**
+ * Speech Providers
+ *
+ * Picks the batch STT provider and model for a recording. Settings on the
+ * request win over the tenant's, which win over the defaults:
+ * - request   stt_provider / stt_model of the recording webhook, or the
+ *             batch_stt_provider / batch_stt_model channel variables
+ * - tenant    BATCH_STT_TENANTS="<account_sid>=<provider>[:<model>],..."
+ * - default   BATCH_STT_PROVIDER (google) and BATCH_STT_MODEL
+ * A model only carries over with its provider; otherwise the provider's own
+ * default model is used. Providers are created once and reused.
+ *
+ * Multi-channel WAV recordings are split by channel and every channel is
+ * transcribed on its own, with the speaker role RECORDING_CHANNEL_ROLES gives
+ * it (default "caller,agent": FreeSWITCH records the caller on the left
+ * channel). The channels are merged into one time-ordered transcript. With
+ * an empty setting, or audio that can't be split, the recording is
+ * transcribed as one and speakers come from the engine (diarization).
+ */
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const ChannelSplitter = require('../ChannelSplitter');
+const AudioInspector = require('../AudioInspector');
+const { createSpeechProvider, providerNames } = require('./index');
+
+const SPEAKER_ROLES = ['caller', 'agent', 'system'];
+
+class SpeechProviders {
+  constructor(logger, options = {}) {
+    this.logger = logger;
+    this.options = options;
+
+    this.defaultProvider = options.provider || process.env.BATCH_STT_PROVIDER || 'google';
+    this.defaultModel = options.model || process.env.BATCH_STT_MODEL || null;
+    this.language = options.language || process.env.BATCH_STT_LANGUAGE || 'bn-BD';
+    this.tenants = SpeechProviders.parseTenants(options.tenants ?? process.env.BATCH_STT_TENANTS ?? '');
+    this.channelRoles = SpeechProviders.parseChannelRoles(
+      options.channelRoles ?? process.env.RECORDING_CHANNEL_ROLES ?? 'caller,agent');
+
+    [this.defaultProvider, ...[...this.tenants.values()].map(tenant => tenant.provider)].forEach(name => {
+      if (!this.has(name)) {
+        throw new Error(`Unknown STT provider "${name}" (expected one of: ${providerNames.join(', ')})`);
+      }
+    });
+
+    this.instances = new Map();
+  }
+
+  static parseTenants(setting) {
+    const tenants = new Map();
+
+    setting.split(',').map(entry => entry.trim()).filter(Boolean).forEach(entry => {
+      const [tenant, choice] = entry.split('=').map(part => part && part.trim());
+      if (!tenant || !choice) {
+        throw new Error(`Invalid BATCH_STT_TENANTS entry "${entry}" (expected account_sid=provider[:model])`);
+      }
+
+      const separator = choice.indexOf(':');
+      tenants.set(tenant, separator === -1
+        ? { provider: choice, model: null }
+        : { provider: choice.slice(0, separator), model: choice.slice(separator + 1) || null });
+    });
+
+    return tenants;
+  }
+
+  // "caller,agent" → ['caller', 'agent'] (role of channel 1, 2, ...)
+  static parseChannelRoles(setting) {
+    const roles = setting.split(',').map(role => role.trim()).filter(Boolean);
+
+    roles.forEach(role => {
+      if (!SPEAKER_ROLES.includes(role)) {
+        throw new Error(`Invalid RECORDING_CHANNEL_ROLES role "${role}" (expected one of: ${SPEAKER_ROLES.join(', ')})`);
+      }
+    });
+
+    return roles;
+  }
+
+  has(name) {
+    return providerNames.includes(name);
+  }
+
+  get(name) {
+    if (!this.instances.has(name)) {
+      this.instances.set(name, createSpeechProvider(name, this.logger, this.options[name]));
+    }
+    return this.instances.get(name);
+  }
+
+  // { provider, model, tenant } → { provider: SpeechProvider, model }
+  select({ provider = null, model = null, tenant = null } = {}) {
+    const tenantChoice = tenant ? this.tenants.get(tenant) : null;
+    const name = provider || tenantChoice?.provider || this.defaultProvider;
+
+    if (!this.has(name)) {
+      throw new Error(`Unknown STT provider "${name}" (expected one of: ${providerNames.join(', ')})`);
+    }
+
+    let chosenModel = model;
+    if (!chosenModel && tenantChoice && tenantChoice.provider === name) chosenModel = tenantChoice.model;
+    if (!chosenModel && name === this.defaultProvider) chosenModel = this.defaultModel;
+
+    const instance = this.get(name);
+    return { provider: instance, model: chosenModel || instance.defaultModel };
+  }
+
+  // Transcribes with the selected provider; see SpeechProvider for the result,
+  // which also gets attribution ('channel', 'diarization' or 'none') and, for
+  // split recordings, channels [{ channel, role }] and a channel per segment.
+  // `audio` is the AudioInspector result for the recording; its duration wins
+  // over the reported one.
+  async transcribe(audioFilePath, { provider, model, tenant, languageCode, duration, audio = null } = {}) {
+    const selected = this.select({ provider, model, tenant });
+
+    if (!selected.provider.isAvailable()) {
+      throw new Error(`STT provider "${selected.provider.name}" is not configured`);
+    }
+
+    this.logger.debug(`🎤 Batch STT with ${selected.provider.name} (${selected.model})`);
+
+    const request = {
+      model: selected.model,
+      languageCode: languageCode || this.language,
+      duration: audio?.duration || parseFloat(duration) || null,
+      audio
+    };
+
+    if (audio?.channels > 1 && this.channelRoles.length > 0) {
+      if (ChannelSplitter.canSplit(audio)) {
+        return this.transcribeChannels(selected.provider, audioFilePath, request);
+      }
+      this.logger.warn(`⚠️ ${audio.container}/${audio.codec} recordings can't be split by channel, using diarization`);
+    }
+
+    const transcription = await selected.provider.transcribe(audioFilePath, request);
+    transcription.attribution = transcription.segments.some(segment => segment.speakerTag) ? 'diarization' : 'none';
+    return transcription;
+  }
+
+  // One transcription per channel that has a role, merged by start time
+  async transcribeChannels(provider, audioFilePath, request) {
+    const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'channels-'));
+
+    try {
+      const channels = (await ChannelSplitter.split(audioFilePath, request.audio, workDir))
+        .filter(({ channel }) => {
+          if (this.channelRoles[channel - 1]) return true;
+          this.logger.warn(`⚠️ No RECORDING_CHANNEL_ROLES role for channel ${channel}, skipping it`);
+          return false;
+        });
+
+      const results = [];
+      for (const { channel, filePath } of channels) {
+        const role = this.channelRoles[channel - 1];
+        const audio = await AudioInspector.inspect(filePath);
+        const result = await provider.transcribe(filePath, { ...request, audio, speaker: role });
+
+        results.push({ channel, role, result });
+      }
+
+      const segments = results
+        .flatMap(({ channel, role, result }) => result.segments.map(segment => ({
+          ...segment,
+          speaker: role,
+          speakerTag: null,
+          channel
+        })))
+        .sort((a, b) => (a.startTime - b.startTime) || (a.channel - b.channel));
+
+      const confidences = segments.map(segment => segment.confidence).filter(confidence => confidence !== null);
+      const [first] = results.map(({ result }) => result);
+
+      return {
+        ...first,
+        segments,
+        averageConfidence: confidences.length
+          ? confidences.reduce((sum, confidence) => sum + confidence, 0) / confidences.length
+          : null,
+        duration: request.duration || Math.max(0, ...results.map(({ result }) => result.duration || 0)),
+        attribution: 'channel',
+        channels: results.map(({ channel, role }) => ({ channel, role }))
+      };
+
+    } finally {
+      await fs.rm(workDir, { recursive: true, force: true }).catch(() => {});
+    }
+  }
+}
+
+module.exports = SpeechProviders;
@@ -0,0 +1,28 @@
+/**
+ * Speech provider factory
+ *
+ * Maps a provider name (BATCH_STT_PROVIDER, per-tenant or per-request
+ * settings) to a SpeechProvider implementation.
+ */
+
+const GoogleSpeechProvider = require('./GoogleSpeechProvider');
+const LocalSpeechProvider = require('./LocalSpeechProvider');
+const FixtureSpeechProvider = require('./FixtureSpeechProvider');
+
+const PROVIDERS = {
+  google: GoogleSpeechProvider,
+  local: LocalSpeechProvider,
+  fixture: FixtureSpeechProvider
+};
+
+function createSpeechProvider(name, logger, options = {}) {
+  const Provider = PROVIDERS[name];
+
+  if (!Provider) {
+    throw new Error(`Unknown STT provider "${name}" (expected one of: ${Object.keys(PROVIDERS).join(', ')})`);
+  }
+
+  return new Provider(logger, options);
+}
+
+module.exports = { createSpeechProvider, providerNames: Object.keys(PROVIDERS) };
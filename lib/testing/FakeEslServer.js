@@ -0,0 +1,355 @@
+/**
+ * Fake FreeSWITCH Event Socket Server
+ *
+ * In-process ESL server for integration tests and local development. It
+ * speaks the part of the inbound Event Socket protocol that modesl uses:
+ * - auth/request → auth <password> → command/reply
+ * - event json <names...> subscriptions (only subscribed events are sent)
+ * - api <command> → api/response (status, show channels as json,
+ *   uuid_dump <uuid> json, plus any canned options.apiResponses)
+ * - exit → disconnect notice
+ *
+ * Events are pushed with sendEvent() or by playing a scenario file (see
+ * lib/testing/scenarios). dropConnections() closes every client socket, which
+ * exercises the listener's reconnect logic. Channels are tracked from the
+ * CHANNEL_CREATE / CHANNEL_ANSWER / CHANNEL_HANGUP events sent, also while no
+ * client is connected, so a reconnecting listener can resync against them.
+ */
+
+const net = require('net');
+const fs = require('fs');
+const path = require('path');
+const { EventEmitter } = require('events');
+const { v4: uuidv4 } = require('uuid');
+
+const SCENARIOS_DIR = path.join(__dirname, 'scenarios');
+
+class FakeEslServer extends EventEmitter {
+  constructor(logger, options = {}) {
+    super();
+
+    this.logger = logger;
+    this.host = options.host || '127.0.0.1';
+    this.port = options.port || 0;
+    this.password = options.password || 'ClueCon';
+    this.apiResponses = {
+      status: 'UP 0 years, 0 days, 0 hours, 0 minutes, 1 second\nFreeSWITCH (fake) is ready\n',
+      ...options.apiResponses
+    };
+
+    this.server = null;
+    this.clients = new Set();
+    this.channels = new Map();
+    this.coreUuid = uuidv4();
+    this.eventSequence = 0;
+  }
+
+  async start() {
+    this.server = net.createServer(socket => this.handleConnection(socket));
+
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.host, () => {
+        this.server.removeListener('error', reject);
+        resolve();
+      });
+    });
+
+    this.port = this.server.address().port;
+    this.logger.info(`🧪 Fake FreeSWITCH Event Socket listening on ${this.host}:${this.port}`);
+    return this.port;
+  }
+
+  async stop() {
+    if (!this.server) return;
+
+    this.dropConnections();
+    await new Promise(resolve => this.server.close(() => resolve()));
+    this.server = null;
+
+    this.logger.info('✅ Fake FreeSWITCH Event Socket stopped');
+  }
+
+  // Connection handling
+  handleConnection(socket) {
+    const client = {
+      socket: socket,
+      buffer: '',
+      authenticated: false,
+      subscriptions: new Set()
+    };
+    this.clients.add(client);
+
+    socket.setEncoding('utf8');
+    socket.on('data', (data) => {
+      client.buffer += data;
+      this.processCommands(client);
+    });
+    socket.on('close', () => {
+      this.clients.delete(client);
+      this.emit('disconnect', client);
+    });
+    socket.on('error', () => {});
+
+    this.write(client, { 'Content-Type': 'auth/request' });
+    this.emit('connection', client);
+  }
+
+  processCommands(client) {
+    let end;
+    while ((end = client.buffer.indexOf('\n\n')) !== -1) {
+      const [command, ...headerLines] = client.buffer.substring(0, end).split('\n');
+      client.buffer = client.buffer.substring(end + 2);
+
+      const headers = {};
+      headerLines.forEach(line => {
+        const separator = line.indexOf(': ');
+        if (separator > 0) headers[line.substring(0, separator)] = line.substring(separator + 2);
+      });
+
+      this.handleCommand(client, command.trim(), headers);
+    }
+  }
+
+  handleCommand(client, command, headers) {
+    const [name, ...args] = command.split(' ');
+    this.emit('command', client, command, headers);
+
+    if (name === 'auth') {
+      client.authenticated = args.join(' ') === this.password;
+      this.reply(client, client.authenticated ? '+OK accepted' : '-ERR invalid');
+      if (client.authenticated) {
+        this.emit('authenticated', client);
+      } else {
+        client.socket.end();
+      }
+      return;
+    }
+
+    if (!client.authenticated) {
+      this.reply(client, '-ERR command not found');
+      return;
+    }
+
+    switch (name) {
+      case 'event': {
+        // event <plain|json|xml> <names...>; every format is answered as JSON
+        const [format, ...names] = args;
+        names.forEach(eventName => client.subscriptions.add(eventName.toUpperCase()));
+        this.reply(client, `+OK event listener enabled ${format}`);
+        this.emit('subscribe', client, [...client.subscriptions]);
+        break;
+      }
+
+      case 'noevents':
+        client.subscriptions.clear();
+        this.reply(client, '+OK no longer listening for events');
+        break;
+
+      case 'api':
+        this.write(client, { 'Content-Type': 'api/response' }, this.handleApi(args));
+        break;
+
+      case 'exit':
+        this.reply(client, '+OK bye');
+        this.write(client, { 'Content-Type': 'text/disconnect-notice' }, 'Disconnected, goodbye.\n');
+        client.socket.end();
+        break;
+
+      default:
+        this.reply(client, '+OK');
+    }
+  }
+
+  handleApi([command, ...args]) {
+    const canned = this.apiResponses[command];
+    if (canned !== undefined) {
+      return typeof canned === 'function' ? canned(args) : canned;
+    }
+
+    if (command === 'show' && args[0] === 'channels') {
+      const rows = [...this.channels.values()].map(channel => ({
+        uuid: channel['Unique-ID'],
+        name: channel['Channel-Name'] || '',
+        cid_num: channel['Caller-Caller-ID-Number'] || '',
+        dest: channel['Caller-Destination-Number'] || '',
+        callstate: channel['Caller-Channel-Answered-Time'] !== '0' ? 'ACTIVE' : 'RINGING',
+        created_epoch: String(Math.floor(parseInt(channel['Caller-Channel-Created-Time'], 10) / 1e6))
+      }));
+      return JSON.stringify(rows.length > 0 ? { row_count: rows.length, rows } : { row_count: 0 });
+    }
+
+    if (command === 'uuid_dump') {
+      const channel = this.channels.get(args[0]);
+      return channel ? JSON.stringify(channel) : '-ERR No such channel!\n';
+    }
+
+    return `-ERR ${command} Command not found!\n`;
+  }
+
+  // Keep channel state in step with the lifecycle events that are sent
+  trackChannel(event) {
+    const uuid = event['Unique-ID'];
+    if (!uuid) return;
+
+    switch (event['Event-Name']) {
+      case 'CHANNEL_CREATE':
+        this.channels.set(uuid, {
+          ...event,
+          'Caller-Channel-Created-Time': event['Event-Date-Timestamp'],
+          'Caller-Channel-Answered-Time': '0'
+        });
+        break;
+
+      case 'CHANNEL_ANSWER':
+        if (this.channels.has(uuid)) {
+          this.channels.get(uuid)['Caller-Channel-Answered-Time'] = event['Event-Date-Timestamp'];
+        }
+        break;
+
+      case 'CHANNEL_HANGUP':
+      case 'CHANNEL_DESTROY':
+        this.channels.delete(uuid);
+        break;
+    }
+  }
+
+  reply(client, replyText) {
+    this.write(client, { 'Content-Type': 'command/reply', 'Reply-Text': replyText });
+  }
+
+  write(client, headers, body = '') {
+    const lines = Object.entries(headers).map(([name, value]) => `${name}: ${value}`);
+    if (body) {
+      lines.unshift(`Content-Length: ${Buffer.byteLength(body, 'utf8')}`);
+    }
+
+    client.socket.write(`${lines.join('\n')}\n\n${body}`);
+  }
+
+  isSubscribed(client, eventName, subclass) {
+    const subscriptions = client.subscriptions;
+    return subscriptions.has('ALL') ||
+           subscriptions.has(eventName) ||
+           (eventName === 'CUSTOM' && !!subclass && subscriptions.has(subclass.toUpperCase()));
+  }
+
+  // Send an event to every authenticated client subscribed to it
+  sendEvent(headers, body = '') {
+    const eventName = headers['Event-Name'];
+    const event = {
+      'Core-UUID': this.coreUuid,
+      'FreeSWITCH-Hostname': 'fake-freeswitch',
+      'Event-Date-Timestamp': String(Date.now() * 1000),
+      'Event-Sequence': String(++this.eventSequence),
+      ...headers
+    };
+    if (body) event._body = body;
+    this.trackChannel(event);
+
+    const json = JSON.stringify(event);
+    let delivered = 0;
+
+    this.clients.forEach(client => {
+      if (client.authenticated && this.isSubscribed(client, eventName, event['Event-Subclass'])) {
+        this.write(client, { 'Content-Type': 'text/event-json' }, json);
+        delivered++;
+      }
+    });
+
+    return delivered;
+  }
+
+  // Close every client socket without the exit handshake, like a crash
+  dropConnections() {
+    this.clients.forEach(client => client.socket.destroy());
+    this.clients.clear();
+  }
+
+  // Resolve once a client has subscribed to events; rejects after timeoutMs
+  waitForSubscriber(timeoutMs = 10000) {
+    const subscribed = [...this.clients].some(client => client.subscriptions.size > 0);
+    if (subscribed) return Promise.resolve();
+
+    return new Promise((resolve, reject) => {
+      // setTimeout treats Infinity as 1ms, so "wait forever" needs no timer
+      const timeout = Number.isFinite(timeoutMs) ? setTimeout(() => {
+        this.removeListener('subscribe', onSubscribe);
+        reject(new Error('No client subscribed to events'));
+      }, timeoutMs) : null;
+
+      const onSubscribe = () => {
+        clearTimeout(timeout);
+        resolve();
+      };
+      this.once('subscribe', onSubscribe);
+    });
+  }
+
+  // Scenarios
+  static loadScenario(nameOrPath) {
+    const filePath = fs.existsSync(nameOrPath)
+      ? nameOrPath
+      : path.join(SCENARIOS_DIR, `${nameOrPath.replace(/\.json$/, '')}.json`);
+
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  }
+
+  static listScenarios() {
+    return fs.readdirSync(SCENARIOS_DIR)
+      .filter(file => file.endsWith('.json'))
+      .map(file => file.replace(/\.json$/, ''));
+  }
+
+  /**
+   * Play a scenario: every step is sent after `delay` ms (divided by speed).
+   * Channel headers are merged into every event; a fresh Unique-ID is
+   * generated per play unless the scenario fixes one.
+   *
+   * Multi-leg scenarios name their other channels in `legs` ({ b: headers })
+   * and send a step on one with "leg": "b". Header values "{{a}}", "{{b}}"
+   * are replaced by that leg's Unique-ID.
+   */
+  async playScenario(scenario, options = {}) {
+    const speed = options.speed || 1;
+    const channel = {
+      'Unique-ID': uuidv4(),
+      ...scenario.channel
+    };
+    const callSid = channel['variable_call_sid'] || channel['Unique-ID'];
+
+    const legs = { a: channel };
+    Object.entries(scenario.legs || {}).forEach(([name, headers]) => {
+      legs[name] = { 'Unique-ID': uuidv4(), ...headers };
+    });
+    const withLegIds = (headers = {}) => Object.fromEntries(Object.entries(headers).map(([name, value]) => [
+      name,
+      typeof value === 'string'
+        ? value.replace(/\{\{(\w+)\}\}/g, (match, leg) => legs[leg] ? legs[leg]['Unique-ID'] : match)
+        : value
+    ]));
+
+    this.logger.info(`🎬 Playing scenario "${scenario.name}" as call ${callSid}`);
+
+    for (const step of scenario.steps) {
+      if (step.delay) {
+        await new Promise(resolve => setTimeout(resolve, step.delay / speed));
+      }
+
+      if (step.action === 'drop_connections') {
+        this.dropConnections();
+        continue;
+      }
+
+      this.sendEvent({
+        ...withLegIds(legs[step.leg || 'a']),
+        'Event-Name': step.event,
+        ...withLegIds(step.headers)
+      }, step.body);
+    }
+
+    return callSid;
+  }
+}
+
+module.exports = FakeEslServer;
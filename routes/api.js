@@ -6,13 +6,18 @@
  * - Searching transcripts
  * - Getting statistics
  * - System monitoring
+ * - Managing the prompt catalog (text of pre-recorded prompts)
  */
 
 const express = require('express');
 const Joi = require('joi');
 const moment = require('moment');
+const PromptCatalog = require('../lib/PromptCatalog');
 const router = express.Router();
 
+// Call metadata filters: ?metadata[account_sid]=AC123&metadata[direction]=inbound
+const metadataFilter = Joi.object().pattern(/^[A-Za-z0-9_]+$/, Joi.string().max(255)).optional();
+
 // Validation schemas
 const schemas = {
   getTranscript: Joi.object({
@@ -23,12 +28,44 @@ const schemas = {
     q: Joi.string().required().min(1).max(500),
     start_date: Joi.date().optional(),
     end_date: Joi.date().optional(),
-    limit: Joi.number().integer().min(1).max(100).default(50)
+    limit: Joi.number().integer().min(1).max(100).default(50),
+    metadata: metadataFilter
+  }),
+
+  listTranscripts: Joi.object({
+    limit: Joi.number().integer().min(1).default(50),
+    metadata: metadataFilter
   }),
   
   getStats: Joi.object({
     start_date: Joi.date().optional(),
     end_date: Joi.date().optional()
+  }),
+
+  promptCatalogEntry: Joi.object({
+    id: Joi.string().max(36).optional(),
+    pattern: Joi.string().required().min(1).max(500),
+    match_type: Joi.string().valid('exact', 'glob', 'regex').default('exact'),
+    text: Joi.string().required().min(1),
+    language: Joi.string().max(10).default('bn-BD'),
+    description: Joi.string().max(255).allow('', null).optional(),
+    priority: Joi.number().integer().default(0),
+    enabled: Joi.boolean().default(true)
+  }),
+
+  promptCatalogUpdate: Joi.object({
+    id: Joi.string().required().max(36),
+    pattern: Joi.string().min(1).max(500),
+    match_type: Joi.string().valid('exact', 'glob', 'regex'),
+    text: Joi.string().min(1),
+    language: Joi.string().max(10),
+    description: Joi.string().max(255).allow('', null),
+    priority: Joi.number().integer(),
+    enabled: Joi.boolean()
+  }),
+
+  matchPrompt: Joi.object({
+    file_path: Joi.string().required().min(1)
   })
 };
 
@@ -50,6 +87,56 @@ const validate = (schema) => {
   };
 };
 
+// Search transcripts (registered before /transcripts/:call_sid, which would
+// otherwise take "search" as a call SID)
+router.get('/transcripts/search', validate(schemas.searchTranscripts), async (req, res) => {
+  try {
+    const { q, start_date, end_date, limit, metadata } = req.validated;
+    const { logger } = req.app.locals;
+    
+    logger.info(`🔍 API: Searching transcripts for "${q}"`);
+    
+    const db = req.app.locals.databaseManager;
+    
+    // Set default date range if not provided
+    const startDate = start_date || moment().subtract(30, 'days').toDate();
+    const endDate = end_date || new Date();
+    
+    // Search transcripts
+    const results = await db.searchTranscripts(q, startDate, endDate, limit, metadata);
+    
+    // Format response
+    const response = {
+      query: q,
+      date_range: {
+        start: startDate,
+        end: endDate
+      },
+      filters: metadata || {},
+      total_results: results.length,
+      results: results.map(result => ({
+        call_sid: result.call_sid,
+        caller_number: result.caller_number,
+        start_time: result.start_time,
+        duration: result.duration,
+        metadata: parseJson(result.metadata),
+        matched_text: result.text,
+        speaker: result.speaker,
+        relevance: parseFloat(result.relevance || 0)
+      }))
+    };
+    
+    res.json(response);
+    
+  } catch (error) {
+    req.app.locals.logger.error('❌ API: Failed to search transcripts:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to search transcripts'
+    });
+  }
+});
+
 // Get transcript for a specific call
 router.get('/transcripts/:call_sid', validate(schemas.getTranscript), async (req, res) => {
   try {
@@ -77,6 +164,9 @@ router.get('/transcripts/:call_sid', validate(schemas.getTranscript), async (req
     const response = {
       call: {
         call_sid: callTranscript.call_sid,
+        conversation_id: callTranscript.conversation_id || callTranscript.call_sid,
+        leg_role: callTranscript.leg_role || null,
+        parent_call_sid: callTranscript.parent_call_sid || null,
         caller_number: callTranscript.caller_number,
         destination_number: callTranscript.destination_number,
         start_time: callTranscript.start_time,
@@ -84,23 +174,15 @@ router.get('/transcripts/:call_sid', validate(schemas.getTranscript), async (req
         duration: callTranscript.duration,
         status: callTranscript.status,
         total_segments: callTranscript.total_segments,
-        languages: callTranscript.languages?.split(',') || []
+        barge_in_count: callTranscript.barge_in_count || 0,
+        languages: callTranscript.languages?.split(',') || [],
+        metadata: parseJson(callTranscript.metadata)
       },
-      transcript: segments.map(segment => ({
-        id: segment.id,
-        speaker: segment.speaker,
-        text: segment.text,
-        start_time: segment.start_time,
-        end_time: segment.end_time,
-        confidence: parseFloat(segment.confidence),
-        language: segment.language,
-        source_type: segment.source_type,
-        metadata: segment.metadata ? JSON.parse(segment.metadata) : null
-      })),
+      transcript: segments.map(formatSegment),
       summary: {
         total_segments: segments.length,
         speakers: [...new Set(segments.map(s => s.speaker))],
-        languages: [...new Set(segments.map(s => s.language))],
+        languages: [...new Set(segments.map(s => s.language).filter(Boolean))],
         sources: [...new Set(segments.map(s => s.source_type))],
         avg_confidence: segments.length > 0 ? 
           segments.reduce((sum, s) => sum + parseFloat(s.confidence), 0) / segments.length : 0
@@ -118,66 +200,20 @@ router.get('/transcripts/:call_sid', validate(schemas.getTranscript), async (req
   }
 });
 
-// Search transcripts
-router.get('/transcripts/search', validate(schemas.searchTranscripts), async (req, res) => {
-  try {
-    const { q, start_date, end_date, limit } = req.validated;
-    const { logger } = req.app.locals;
-    
-    logger.info(`🔍 API: Searching transcripts for "${q}"`);
-    
-    const db = req.app.locals.databaseManager;
-    
-    // Set default date range if not provided
-    const startDate = start_date || moment().subtract(30, 'days').toDate();
-    const endDate = end_date || new Date();
-    
-    // Search transcripts
-    const results = await db.searchTranscripts(q, startDate, endDate, limit);
-    
-    // Format response
-    const response = {
-      query: q,
-      date_range: {
-        start: startDate,
-        end: endDate
-      },
-      total_results: results.length,
-      results: results.map(result => ({
-        call_sid: result.call_sid,
-        caller_number: result.caller_number,
-        start_time: result.start_time,
-        duration: result.duration,
-        matched_text: result.text,
-        speaker: result.speaker,
-        relevance: parseFloat(result.relevance || 0)
-      }))
-    };
-    
-    res.json(response);
-    
-  } catch (error) {
-    req.app.locals.logger.error('❌ API: Failed to search transcripts:', error);
-    res.status(500).json({
-      error: 'Internal server error',
-      message: 'Failed to search transcripts'
-    });
-  }
-});
-
 // Get recent transcripts
-router.get('/transcripts', async (req, res) => {
+router.get('/transcripts', validate(schemas.listTranscripts), async (req, res) => {
   try {
-    const limit = parseInt(req.query.limit) || 50;
+    const { limit, metadata } = req.validated;
     const { logger } = req.app.locals;
     
     logger.info(`📋 API: Getting recent transcripts (limit: ${limit})`);
     
     const db = req.app.locals.databaseManager;
-    const transcripts = await db.getRecentTranscripts(limit);
+    const transcripts = await db.getRecentTranscripts(limit, metadata);
     
     const response = {
       total: transcripts.length,
+      filters: metadata || {},
       transcripts: transcripts.map(transcript => ({
         call_sid: transcript.call_sid,
         caller_number: transcript.caller_number,
@@ -188,6 +224,7 @@ router.get('/transcripts', async (req, res) => {
         status: transcript.status,
         total_segments: transcript.total_segments,
         actual_segments: transcript.actual_segments,
+        metadata: parseJson(transcript.metadata),
         languages: transcript.detected_languages?.split(',') || [],
         speakers: transcript.speakers?.split(',') || []
       }))
@@ -267,12 +304,13 @@ router.get('/status', async (req, res) => {
       uptime: process.uptime(),
       components: {
         freeswitch_listener: {
-          status: freeswitchListener?.isConnected() ? 'connected' : 'disconnected',
+          status: getListenerStatus(freeswitchListener),
+          nodes: freeswitchListener?.getNodeStatus() || [],
           stats: freeswitchListener?.getStats() || null
         },
         transcript_processor: {
           status: transcriptProcessor?.isRedisConnected() ? 'connected' : 'disconnected',
-          stats: transcriptProcessor?.getStats() || null
+          stats: await transcriptProcessor?.getStats() || null
         },
         database: {
           status: databaseManager?.isConnected() ? 'connected' : 'disconnected',
@@ -334,16 +372,17 @@ router.get('/transcripts/:call_sid/export', validate(schemas.getTranscript), asy
     
     if (format === 'csv') {
       // Generate CSV
-      const csvHeader = 'Speaker,Text,Start Time,End Time,Confidence,Language,Source\n';
+      const csvHeader = 'Type,Speaker,Text,Start Time,End Time,Confidence,Language,Source\n';
       const csvRows = segments.map(segment => {
         const text = `"${segment.text.replace(/"/g, '""')}"`;
         return [
+          segment.segment_type,
           segment.speaker,
           text,
           segment.start_time,
           segment.end_time || '',
           segment.confidence,
-          segment.language,
+          segment.language || '',
           segment.source_type
         ].join(',');
       }).join('\n');
@@ -393,6 +432,52 @@ router.get('/post-processed/:callSid?', async (req, res) => {
   }
 });
 
+// Merged timeline of all legs of a bridged or transferred call; the id is the
+// conversation id or the call SID of any leg
+router.get('/conversations/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const conversation = await req.app.locals.databaseManager.getConversationTimeline(id);
+    if (!conversation) {
+      return res.status(404).json({
+        error: 'Conversation not found',
+        message: `No call found for conversation ${id}`
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        conversation_id: conversation.conversation_id,
+        legs: conversation.legs.map(leg => ({
+          call_sid: leg.call_sid,
+          leg_role: leg.leg_role || 'a_leg',
+          parent_call_sid: leg.parent_call_sid || null,
+          caller_number: leg.caller_number,
+          destination_number: leg.destination_number,
+          media_server: leg.media_server,
+          start_time: leg.start_time,
+          end_time: leg.end_time,
+          status: leg.status,
+          metadata: parseJson(leg.metadata)
+        })),
+        timeline: conversation.timeline.map(segment => ({
+          call_sid: segment.call_sid,
+          leg_role: segment.leg_role,
+          ...formatSegment(segment)
+        }))
+      }
+    });
+  } catch (error) {
+    req.app.locals.logger.error('❌ Failed to get conversation:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 // Get transcript comparison (real-time vs post-processed)
 router.get('/comparison/:callSid', async (req, res) => {
   try {
@@ -441,6 +526,173 @@ router.get('/post-processing/stats', async (req, res) => {
   }
 });
 
+// Prompt catalog
+router.get('/prompt-catalog', async (req, res) => {
+  try {
+    const promptCatalog = getPromptCatalog(req, res);
+    if (!promptCatalog) return;
+
+    const entries = await promptCatalog.list();
+
+    res.json({
+      success: true,
+      data: entries.map(formatPromptCatalogEntry),
+      count: entries.length
+    });
+  } catch (error) {
+    req.app.locals.logger.error('❌ Failed to list prompt catalog:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Which entry a playback file would use
+router.get('/prompt-catalog/match', validate(schemas.matchPrompt), async (req, res) => {
+  try {
+    const promptCatalog = getPromptCatalog(req, res);
+    if (!promptCatalog) return;
+
+    const entry = promptCatalog.match(req.validated.file_path);
+
+    res.json({
+      success: true,
+      matched: !!entry,
+      data: entry ? formatPromptCatalogEntry(entry) : null
+    });
+  } catch (error) {
+    req.app.locals.logger.error('❌ Failed to match prompt catalog:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+router.get('/prompt-catalog/:id', async (req, res) => {
+  try {
+    const promptCatalog = getPromptCatalog(req, res);
+    if (!promptCatalog) return;
+
+    const entry = await promptCatalog.get(req.params.id);
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        error: `No prompt catalog entry ${req.params.id}`
+      });
+    }
+
+    res.json({
+      success: true,
+      data: formatPromptCatalogEntry(entry)
+    });
+  } catch (error) {
+    req.app.locals.logger.error('❌ Failed to get prompt catalog entry:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+router.post('/prompt-catalog', validate(schemas.promptCatalogEntry), async (req, res) => {
+  try {
+    const promptCatalog = getPromptCatalog(req, res);
+    if (!promptCatalog) return;
+
+    const invalid = validatePromptPattern(req.validated);
+    if (invalid) {
+      return res.status(400).json({ error: 'Validation error', details: [invalid] });
+    }
+
+    const entry = await promptCatalog.create(req.validated);
+    req.app.locals.logger.info(`📚 API: Prompt catalog entry created: ${entry.match_type} ${entry.pattern}`);
+
+    res.status(201).json({
+      success: true,
+      data: formatPromptCatalogEntry(entry)
+    });
+  } catch (error) {
+    if (isDuplicateError(error)) {
+      return res.status(409).json({
+        success: false,
+        error: 'An entry with this pattern and match_type already exists'
+      });
+    }
+
+    req.app.locals.logger.error('❌ Failed to create prompt catalog entry:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+router.put('/prompt-catalog/:id', validate(schemas.promptCatalogUpdate), async (req, res) => {
+  try {
+    const promptCatalog = getPromptCatalog(req, res);
+    if (!promptCatalog) return;
+
+    const { id, ...updates } = req.validated;
+
+    const current = await promptCatalog.get(id);
+    const invalid = current && validatePromptPattern({ ...current, ...updates });
+    if (invalid) {
+      return res.status(400).json({ error: 'Validation error', details: [invalid] });
+    }
+
+    const entry = current ? await promptCatalog.update(id, updates) : null;
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        error: `No prompt catalog entry ${id}`
+      });
+    }
+
+    res.json({
+      success: true,
+      data: formatPromptCatalogEntry(entry)
+    });
+  } catch (error) {
+    if (isDuplicateError(error)) {
+      return res.status(409).json({
+        success: false,
+        error: 'An entry with this pattern and match_type already exists'
+      });
+    }
+
+    req.app.locals.logger.error('❌ Failed to update prompt catalog entry:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+router.delete('/prompt-catalog/:id', async (req, res) => {
+  try {
+    const promptCatalog = getPromptCatalog(req, res);
+    if (!promptCatalog) return;
+
+    const removed = await promptCatalog.remove(req.params.id);
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        error: `No prompt catalog entry ${req.params.id}`
+      });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    req.app.locals.logger.error('❌ Failed to delete prompt catalog entry:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 // Utility functions
 function formatDuration(seconds) {
   const hours = Math.floor(seconds / 3600);
@@ -456,4 +708,72 @@ function formatDuration(seconds) {
   }
 }
 
+function formatSegment(segment) {
+  return {
+    id: segment.id,
+    type: segment.segment_type,
+    speaker: segment.speaker,
+    text: segment.text,
+    start_time: segment.start_time,
+    end_time: segment.end_time,
+    duration_ms: segment.duration_ms ?? null,
+    interrupted: !!segment.interrupted,
+    barge_in_type: segment.barge_in_type || null,
+    confidence: parseFloat(segment.confidence),
+    language: segment.language,
+    mixed_language: !!segment.mixed_language,
+    source_type: segment.source_type,
+    metadata: parseJson(segment.metadata)
+  };
+}
+
+// mysql2 already decodes JSON columns; other drivers hand back strings
+function parseJson(value) {
+  return typeof value === 'string' ? JSON.parse(value) : value || null;
+}
+
+// The catalog is owned by the transcript processor; answers 503 without it
+function getPromptCatalog(req, res) {
+  const promptCatalog = req.app.locals.transcriptProcessor?.promptCatalog;
+
+  if (!promptCatalog) {
+    res.status(503).json({
+      success: false,
+      error: 'Prompt catalog not available'
+    });
+  }
+  return promptCatalog;
+}
+
+// Error message for a regex pattern that doesn't compile
+function validatePromptPattern(entry) {
+  try {
+    PromptCatalog.validate(entry);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+function isDuplicateError(error) {
+  return error.code === 'ER_DUP_ENTRY' || error.code === 'SQLITE_CONSTRAINT_UNIQUE';
+}
+
+function formatPromptCatalogEntry(entry) {
+  return {
+    ...entry,
+    priority: Number(entry.priority),
+    enabled: !!entry.enabled
+  };
+}
+
+// connected (all nodes), degraded (some nodes) or disconnected
+function getListenerStatus(freeswitchListener) {
+  const nodes = freeswitchListener?.getNodeStatus() || [];
+  const connected = nodes.filter(node => node.connected).length;
+
+  if (nodes.length > 0 && connected === nodes.length) return 'connected';
+  return connected > 0 ? 'degraded' : 'disconnected';
+}
+
 module.exports = router;
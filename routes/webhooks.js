@@ -50,6 +50,23 @@ router.post('/recording-complete', async (req, res) => {
       });
     }
 
+    // Recordings are only fetched from RECORDING_DOWNLOAD_ALLOWED_HOSTS
+    if (!postProcessingService.downloader.isAllowedUrl(recordingData.recording_url)) {
+      logger.warn(`⚠️ Rejected recording_url: ${recordingData.recording_url}`);
+      return res.status(400).json({
+        success: false,
+        error: 'recording_url must be an http(s) URL on an allowed host'
+      });
+    }
+
+    // Optional per-request STT engine
+    if (recordingData.stt_provider && !postProcessingService.speechProviders.has(recordingData.stt_provider)) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown stt_provider: ${recordingData.stt_provider}`
+      });
+    }
+
     // Queue the recording for post-processing
     const result = await postProcessingService.handleRecordingComplete(recordingData);
     
@@ -93,7 +110,9 @@ router.post('/call-status', async (req, res) => {
       logger.info('🎬 Call completed with recording, triggering post-processing');
       
       const postProcessingService = req.app.get('postProcessingService');
-      if (postProcessingService) {
+      if (postProcessingService && !postProcessingService.downloader.isAllowedUrl(callData.recording_url)) {
+        logger.warn(`⚠️ Rejected recording_url: ${callData.recording_url}`);
+      } else if (postProcessingService) {
         await postProcessingService.handleRecordingComplete({
           call_sid: callData.call_sid,
           recording_url: callData.recording_url,
@@ -136,8 +155,10 @@ router.post('/transcript', async (req, res) => {
     if (transcriptData.speech?.alternatives?.[0]?.transcript) {
       const transcript = transcriptData.speech.alternatives[0].transcript;
       const confidence = transcriptData.speech.alternatives[0].confidence;
+      // Jambonz sends is_final: false for interim hypotheses
+      const isFinal = transcriptData.speech.is_final !== false;
       
-      logger.info('🎤 Real-time transcript captured:', {
+      logger.info(`🎤 Real-time ${isFinal ? 'final' : 'interim'} transcript captured:`, {
         callSid: transcriptData.call_sid,
         transcript: transcript,
         confidence: confidence,
@@ -145,20 +166,30 @@ router.post('/transcript', async (req, res) => {
         vendor: transcriptData.speech.vendor?.name
       });
 
-      // Get transcript processor from app context
-      const transcriptProcessor = req.app.get('transcriptProcessor');
+      const sttData = {
+        callSid: transcriptData.call_sid,
+        text: transcript,
+        speaker: 'caller',
+        timestamp: Date.now(),
+        confidence: confidence,
+        language: transcriptData.speech.language_code,
+        vendor: transcriptData.speech.vendor?.name || 'google',
+        alternatives: transcriptData.speech.alternatives.map(alternative => ({
+          text: alternative.transcript,
+          confidence: alternative.confidence ?? null
+        })),
+        source: 'webhook',
+        isFinal: isFinal
+      };
+
+      // The listener tracks utterances, broadcasts partials and persists finals
+      const freeswitchListener = req.app.locals.freeswitchListener;
+      const transcriptProcessor = req.app.locals.transcriptProcessor;
       
-      if (transcriptProcessor) {
-        // Process the real-time transcript
-        await transcriptProcessor.processSTTEvent({
-          call_sid: transcriptData.call_sid,
-          text: transcript,
-          confidence: confidence,
-          language: transcriptData.speech.language_code,
-          vendor: transcriptData.speech.vendor?.name || 'google',
-          is_final: transcriptData.speech.is_final,
-          timestamp: new Date().toISOString()
-        });
+      if (freeswitchListener) {
+        freeswitchListener.publishSTT(sttData);
+      } else if (transcriptProcessor && isFinal) {
+        await transcriptProcessor.processSTTEvent(sttData);
       }
     }
 
@@ -203,12 +234,19 @@ router.post('/test-recording', async (req, res) => {
       duration: req.body.duration || 25.5,
       from: req.body.from || '01521206630',
       to: req.body.to || '01757158044',
-      account_sid: req.body.account_sid || 'test-account'
+      account_sid: req.body.account_sid || 'test-account',
+      stt_provider: req.body.stt_provider,
+      stt_model: req.body.stt_model
     };
 
     const postProcessingService = req.app.get('postProcessingService');
     
-    if (postProcessingService) {
+    if (postProcessingService && !postProcessingService.downloader.isAllowedUrl(testData.recording_url)) {
+      res.status(400).json({
+        success: false,
+        error: 'recording_url must be an http(s) URL on an allowed host'
+      });
+    } else if (postProcessingService) {
       const result = await postProcessingService.handleRecordingComplete(testData);
       
       res.json({
@@ -0,0 +1,78 @@
+#!/usr/bin/env node
+
+/**
+ * Run the fake FreeSWITCH Event Socket server
+ *
+ * Usage:
+ *   node scripts/fake-freeswitch.js [scenario...] [--port N] [--password P] [--speed N] [--loop]
+ *
+ *   scenario     Name from lib/testing/scenarios or a path to a scenario file
+ *                (default: call-with-prompts)
+ *   --port N     Port to listen on (default: FREESWITCH_PORT or 8021)
+ *   --password   Event Socket password (default: FREESWITCH_PASSWORD)
+ *   --speed N    Play scenarios N times faster (default 1)
+ *   --loop       Replay the scenarios until stopped
+ *
+ * Point the listener at it with FREESWITCH_HOST=127.0.0.1.
+ */
+
+require('dotenv').config();
+const pino = require('pino');
+const FakeEslServer = require('../lib/testing/FakeEslServer');
+
+const logger = pino({ name: 'FakeFreeSWITCH' });
+
+function parseArgs(argv) {
+  const args = {
+    scenarios: [],
+    port: parseInt(process.env.FREESWITCH_PORT) || 8021,
+    password: process.env.FREESWITCH_PASSWORD || 'JambonzR0ck$$',
+    speed: 1,
+    loop: false
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case '--port': args.port = parseInt(argv[++i], 10); break;
+      case '--password': args.password = argv[++i]; break;
+      case '--speed': args.speed = parseFloat(argv[++i]) || 1; break;
+      case '--loop': args.loop = true; break;
+      default: args.scenarios.push(argv[i]);
+    }
+  }
+
+  if (args.scenarios.length === 0) args.scenarios.push('call-with-prompts');
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const scenarios = args.scenarios.map(name => FakeEslServer.loadScenario(name));
+
+  const server = new FakeEslServer(logger, { port: args.port, password: args.password });
+  await server.start();
+
+  const shutdown = async () => {
+    await server.stop();
+    process.exit(0);
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+
+  logger.info(`⏳ Waiting for a listener to subscribe (scenarios: ${scenarios.map(s => s.name).join(', ')})`);
+
+  do {
+    await server.waitForSubscriber(Infinity);
+    for (const scenario of scenarios) {
+      await server.waitForSubscriber(Infinity);
+      await server.playScenario(scenario, { speed: args.speed });
+    }
+  } while (args.loop);
+
+  logger.info('✅ All scenarios played; press Ctrl+C to stop');
+}
+
+main().catch(error => {
+  logger.error('❌ Fake FreeSWITCH failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,61 @@
+#!/usr/bin/env node
+
+/**
+ * Schema migration command
+ *
+ * Usage:
+ *   node scripts/migrate.js up              Apply all pending migrations
+ *   node scripts/migrate.js down [steps]    Revert the last N migrations (default 1)
+ *   node scripts/migrate.js status          List migrations and whether they are applied
+ */
+
+require('dotenv').config();
+const pino = require('pino');
+const DatabaseManager = require('../lib/DatabaseManager');
+
+const logger = pino({ name: 'Migrate' });
+
+async function main() {
+  const [command = 'up', arg] = process.argv.slice(2);
+
+  // This command applies migrations itself; don't let initialize() do it too
+  process.env.DB_AUTO_MIGRATE = 'false';
+
+  const db = new DatabaseManager(logger);
+  await db.initialize();
+
+  try {
+    switch (command) {
+      case 'up':
+        await db.runMigrations();
+        break;
+
+      case 'down': {
+        const steps = parseInt(arg, 10) || 1;
+        await db.rollbackMigrations(steps);
+        break;
+      }
+
+      case 'status': {
+        const migrations = await db.getMigrationStatus();
+        migrations.forEach(m => {
+          const marker = m.applied ? '✅' : '⏳';
+          const version = String(m.version).padStart(3, '0');
+          const appliedAt = m.applied_at instanceof Date ? m.applied_at.toISOString() : m.applied_at;
+          console.log(`${marker} ${version}_${m.name}${m.applied ? ` (applied ${appliedAt})` : ''}`);
+        });
+        break;
+      }
+
+      default:
+        throw new Error(`Unknown command "${command}" (expected up, down or status)`);
+    }
+  } finally {
+    await db.close();
+  }
+}
+
+main().catch(error => {
+  logger.error('❌ Migration command failed:', error);
+  process.exit(1);
+});
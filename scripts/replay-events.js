@@ -0,0 +1,120 @@
+#!/usr/bin/env node
+
+/**
+ * Replay captured FreeSWITCH events
+ *
+ * Usage:
+ *   node scripts/replay-events.js <capture.ndjson> [--speed N] [--dry-run]
+ *
+ *   --speed N    1 = real time (default), 10 = ten times faster, 0 = no delay
+ *   --dry-run    Don't touch Redis or the database; print every call the
+ *                listener makes to the transcript processor as NDJSON
+ *
+ * Captures are written by the listener when ESL_CAPTURE_FILE is set.
+ */
+
+require('dotenv').config();
+const pino = require('pino');
+const DatabaseManager = require('../lib/DatabaseManager');
+const PerformanceMonitor = require('../lib/PerformanceMonitor');
+const TranscriptProcessor = require('../lib/TranscriptProcessor');
+const FreeSWITCHListener = require('../lib/FreeSWITCHListener');
+const EslEventReplayer = require('../lib/EslEventReplayer');
+
+// Processor methods the listener calls; dry runs print them instead
+const PROCESSOR_METHODS = [
+  'processCallStart',
+  'processCallAnswer',
+  'processCallComplete',
+  'processCallLink',
+  'processTTSEvent',
+  'processTTSComplete',
+  'processBargeIn',
+  'processSTTEvent',
+  'processDTMFEvent',
+  'processAudioEvent',
+  'processRecordingComplete'
+];
+
+function parseArgs(argv) {
+  const args = { file: null, speed: 1, dryRun: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--speed') {
+      args.speed = parseFloat(argv[++i]);
+    } else if (argv[i] === '--dry-run') {
+      args.dryRun = true;
+    } else {
+      args.file = argv[i];
+    }
+  }
+
+  if (!args.file || Number.isNaN(args.speed) || args.speed < 0) {
+    throw new Error('Usage: replay-events.js <capture.ndjson> [--speed N] [--dry-run]');
+  }
+  return args;
+}
+
+function createPrintingProcessor() {
+  const processor = {};
+  PROCESSOR_METHODS.forEach(method => {
+    processor[method] = async (data) => {
+      const { events, ...rest } = data;
+      console.log(JSON.stringify({ call: method, data: rest }));
+    };
+  });
+  return processor;
+}
+
+// Wait until the queued jobs of the replayed calls have been processed
+async function waitForQueues(transcriptProcessor, timeoutMs = 30000) {
+  const deadline = Date.now() + timeoutMs;
+
+  while (Date.now() < deadline) {
+    const counts = await Promise.all(
+      Object.values(transcriptProcessor.queues).map(queue => queue.getJobCounts())
+    );
+    const pending = counts.reduce((sum, c) => sum + c.waiting + c.active + c.delayed, 0);
+    if (pending === 0) return;
+
+    await new Promise(resolve => setTimeout(resolve, 500));
+  }
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  // Dry runs write NDJSON to stdout, so keep logs on stderr
+  const logger = pino({ name: 'Replay', level: process.env.LOG_LEVEL || 'info' }, pino.destination(2));
+
+  // Never capture a replay into a new capture file
+  delete process.env.ESL_CAPTURE_FILE;
+
+  if (args.dryRun) {
+    const listener = new FreeSWITCHListener(logger, createPrintingProcessor(), null, null);
+    await new EslEventReplayer(logger, listener).replay(args.file, { speed: args.speed });
+    return;
+  }
+
+  const db = new DatabaseManager(logger);
+  await db.initialize();
+
+  const performanceMonitor = new PerformanceMonitor(logger);
+  const transcriptProcessor = new TranscriptProcessor(logger, db, performanceMonitor);
+  await transcriptProcessor.initialize();
+
+  try {
+    const listener = new FreeSWITCHListener(logger, transcriptProcessor, performanceMonitor, null);
+    await new EslEventReplayer(logger, listener).replay(args.file, { speed: args.speed });
+
+    await waitForQueues(transcriptProcessor);
+  } finally {
+    await transcriptProcessor.shutdown();
+    await db.close();
+  }
+}
+
+main().catch(error => {
+  console.error(`❌ Replay failed: ${error.message}`);
+  process.exit(1);
+});
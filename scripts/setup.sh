@@ -198,7 +198,7 @@ echo "🎉 Setup completed successfully!"
 echo ""
 print_info "Next steps:"
 echo "1. Review and update .env file if needed"
-echo "2. Initialize database: mysql -h\$DB_HOST -u\$DB_USER -p\$DB_PASSWORD < ../infrastructure/mysql/transcript_init.sql"
+echo "2. Initialize database: mysql -h\$DB_HOST -u root -p < database/schema.sql && npm run db-migrate"
 echo "3. Start the service: npm start"
 echo "4. Check health: curl http://localhost:3012/health"
 echo ""
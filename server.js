@@ -84,6 +84,7 @@ class TranscriptListenerServer {
         memory: process.memoryUsage(),
         connections: {
           freeswitch: this.freeswitchListener?.isConnected() || false,
+          freeswitch_nodes: this.freeswitchListener?.getNodeStatus() || [],
           database: this.dbManager?.isConnected() || false,
           redis: this.transcriptProcessor?.isRedisConnected() || false
         }
@@ -93,6 +94,11 @@ class TranscriptListenerServer {
                        health.connections.database && 
                        health.connections.redis;
 
+      // Still serving calls from the remaining nodes, but not fully healthy
+      if (isHealthy && health.connections.freeswitch_nodes.some(node => !node.connected)) {
+        health.status = 'degraded';
+      }
+
       res.status(isHealthy ? 200 : 503).json(health);
     });
 
@@ -190,8 +196,9 @@ class TranscriptListenerServer {
     });
 
     this.wsServer.clients.forEach(client => {
+      // Clients watching a conversation get the updates of all its legs
       if (client.readyState === WebSocket.OPEN && 
-          (client.callSid === callSid || !client.callSid)) {
+          (client.callSid === callSid || client.callSid === transcriptData.conversationId || !client.callSid)) {
         client.send(message);
       }
     });
@@ -204,18 +211,21 @@ class TranscriptListenerServer {
       // Initialize database manager
       this.dbManager = new DatabaseManager(logger);
       await this.dbManager.initialize();
+      this.app.locals.databaseManager = this.dbManager;
       logger.info('✅ Database manager initialized');
 
-      // Initialize transcript processor
-      this.transcriptProcessor = new TranscriptProcessor(logger, this.dbManager);
-      await this.transcriptProcessor.initialize();
-      logger.info('✅ Transcript processor initialized');
-
       // Initialize performance monitor
       this.performanceMonitor = new PerformanceMonitor(logger);
       this.performanceMonitor.start();
+      this.app.locals.performanceMonitor = this.performanceMonitor;
       logger.info('✅ Performance monitor started');
 
+      // Initialize transcript processor
+      this.transcriptProcessor = new TranscriptProcessor(logger, this.dbManager, this.performanceMonitor);
+      await this.transcriptProcessor.initialize();
+      this.app.locals.transcriptProcessor = this.transcriptProcessor;
+      logger.info('✅ Transcript processor initialized');
+
       // Initialize post-processing service (if enabled)
       if (process.env.ENABLE_POST_PROCESSING === 'true') {
         const postProcessingConfig = {
@@ -246,6 +256,7 @@ class TranscriptListenerServer {
         this.performanceMonitor,
         this.broadcastTranscriptUpdate.bind(this)
       );
+      this.app.locals.freeswitchListener = this.freeswitchListener;
       await this.freeswitchListener.connect();
       logger.info('✅ FreeSWITCH listener connected');
 
@@ -267,7 +278,7 @@ class TranscriptListenerServer {
       logger.info(`🎯 VoiceERP Transcript Listener running on ${host}:${port}`);
       logger.info(`📊 Health check: http://localhost:${port}/health`);
       logger.info(`🔌 WebSocket: ws://localhost:${port}/ws/transcripts`);
-      logger.info(`📡 FreeSWITCH: ${process.env.FREESWITCH_HOST}:${process.env.FREESWITCH_PORT}`);
+      logger.info(`📡 FreeSWITCH: ${this.freeswitchListener.nodes.map(node => `${node.name} (${node.host}:${node.port})`).join(', ')}`);
     });
   }
 
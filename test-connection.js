@@ -2,9 +2,14 @@
 
 const modesl = require('modesl');
 
-console.log('🔌 Testing FreeSWITCH Event Socket Connection...');
+// Defaults match the original local setup; override to test e.g. the fake server
+const host = process.env.FREESWITCH_HOST || 'localhost';
+const port = parseInt(process.env.FREESWITCH_PORT) || 8022;
+const password = process.env.FREESWITCH_PASSWORD || 'JambonzR0ck$';
 
-const connection = new modesl.Connection('localhost', 8022, 'JambonzR0ck$', () => {
+console.log(`🔌 Testing FreeSWITCH Event Socket Connection (${host}:${port})...`);
+
+const connection = new modesl.Connection(host, port, password, () => {
   console.log('✅ Connected to FreeSWITCH Event Socket!');
   
   // Subscribe to events
@@ -0,0 +1,134 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const AudioInspector = require('../lib/AudioInspector');
+const { wav, interleaved, mp3 } = require('./helpers/audio');
+
+describe('AudioInspector', () => {
+  let workDir;
+
+  beforeAll(async () => {
+    workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'audio-inspector-'));
+  });
+
+  afterAll(async () => {
+    await fs.rm(workDir, { recursive: true, force: true });
+  });
+
+  async function inspect(name, buffer) {
+    const filePath = path.join(workDir, name);
+    await fs.writeFile(filePath, buffer);
+    return AudioInspector.inspect(filePath);
+  }
+
+  describe('WAV', () => {
+    it('reads the format and data chunk of a PCM recording', async () => {
+      const info = await inspect('s16.wav', wav({ data: interleaved(1, 8000) }));
+
+      expect(info).toEqual({
+        container: 'wav',
+        codec: 'pcm_s16le',
+        sampleRate: 8000,
+        channels: 1,
+        bitsPerSample: 16,
+        bitrate: 128000,
+        duration: 1,
+        dataOffset: 44,
+        dataBytes: 16000
+      });
+    });
+
+    it('skips other chunks, including odd-sized ones', async () => {
+      const info = await inspect('list.wav', wav({ sampleRate: 16000, channels: 2, data: interleaved(2, 4000), list: true }));
+
+      expect(info).toMatchObject({ channels: 2, sampleRate: 16000, duration: 0.25, dataOffset: 56, dataBytes: 16000 });
+    });
+
+    it('names A-law, μ-law and float codecs', async () => {
+      expect((await inspect('mulaw.wav', wav({ formatTag: 7, bitsPerSample: 8, data: Buffer.alloc(800) }))).codec)
+        .toBe('pcm_mulaw');
+      expect((await inspect('f32.wav', wav({ formatTag: 3, bitsPerSample: 32, data: Buffer.alloc(3200) }))).codec)
+        .toBe('pcm_f32le');
+      expect((await inspect('u8.wav', wav({ bitsPerSample: 8, data: Buffer.alloc(800) }))).codec)
+        .toBe('pcm_u8');
+      expect((await inspect('adpcm.wav', wav({ formatTag: 0x11, bitsPerSample: 4, data: Buffer.alloc(100) }))).codec)
+        .toBe('wav_0x0011');
+    });
+
+    it('reads the sub-format of WAVE_FORMAT_EXTENSIBLE', async () => {
+      const info = await inspect('alaw.wav', wav({ formatTag: 6, bitsPerSample: 8, data: Buffer.alloc(8000), ext: true }));
+
+      expect(info).toMatchObject({ codec: 'pcm_alaw', duration: 1, dataOffset: 68, dataBytes: 8000 });
+    });
+
+    it('measures recordings still being written by the file size', async () => {
+      const info = await inspect('streaming.wav', wav({ data: interleaved(1, 4000), streaming: true }));
+
+      expect(info).toMatchObject({ dataOffset: 44, dataBytes: 8000, duration: 0.5 });
+    });
+
+    it('caps a data size beyond the end of the file', async () => {
+      const file = wav({ data: interleaved(1, 100) });
+      const info = await inspect('truncated.wav', file.subarray(0, file.length - 50));
+
+      expect(info.dataBytes).toBe(150);
+    });
+
+    it('rejects a file with a fmt chunk but no data chunk', async () => {
+      const headerOnly = wav({ data: Buffer.alloc(0) }).subarray(0, 36);
+
+      await expect(inspect('no-data.wav', headerOnly)).rejects.toThrow('Malformed WAV file: fmt chunk without a data chunk');
+    });
+  });
+
+  describe('MP3', () => {
+    it('estimates the duration of a CBR file from the bitrate', async () => {
+      const info = await inspect('cbr.mp3', mp3({ frames: 100 }));
+
+      expect(info).toMatchObject({
+        container: 'mp3',
+        codec: 'mp3',
+        sampleRate: 44100,
+        channels: 2,
+        bitsPerSample: null,
+        bitrate: 128000,
+        dataOffset: 0,
+        dataBytes: 41700
+      });
+      expect(info.duration).toBeCloseTo(2.606, 3);
+    });
+
+    it('skips an ID3v2 tag and counts frames from the Xing header', async () => {
+      const info = await inspect('xing.mp3', mp3({ frames: 200, xing: true, id3: true }));
+
+      expect(info.dataOffset).toBe(310);
+      expect(info.duration).toBeCloseTo(200 * 1152 / 44100, 6);
+    });
+
+    it('reads MPEG-2 mono frames', async () => {
+      const info = await inspect('mpeg2.mp3', mp3({ frames: 50, mono: true, mpeg2: true }));
+
+      expect(info).toMatchObject({ sampleRate: 16000, channels: 1, bitrate: 32000, duration: 1.8 });
+    });
+  });
+
+  it('returns null for anything else', async () => {
+    expect(await inspect('notes.txt', Buffer.from('hello world, not audio'))).toBeNull();
+    expect(await inspect('empty.wav', Buffer.alloc(0))).toBeNull();
+  });
+
+  it('summarizes an inspection for the recording metadata', async () => {
+    const info = await inspect('summary.mp3', mp3({ frames: 100 }));
+
+    expect(AudioInspector.summary(info)).toEqual({
+      container: 'mp3',
+      codec: 'mp3',
+      sample_rate: 44100,
+      channels: 2,
+      bits_per_sample: null,
+      bitrate: 128000,
+      duration: 2.606
+    });
+    expect(AudioInspector.summary(null)).toBeNull();
+  });
+});
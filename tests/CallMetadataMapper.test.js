@@ -0,0 +1,83 @@
+const pino = require('pino');
+const CallMetadataMapper = require('../lib/CallMetadataMapper');
+const { createStorage } = require('../lib/storage');
+const MigrationRunner = require('../lib/MigrationRunner');
+
+const logger = pino({ level: 'silent' });
+
+const eslEvent = headers => ({ getHeader: name => headers[name] });
+
+describe('CallMetadataMapper', () => {
+  test('captures the first source present per field', () => {
+    const mapper = new CallMetadataMapper(CallMetadataMapper.parseFields(
+      'account_sid=account_sid,direction=direction|Call-Direction,campaign_id=sip_h_X-Campaign-Id'));
+
+    const captured = mapper.capture(eslEvent({
+      variable_account_sid: ' AC1 ',
+      'Call-Direction': 'inbound',
+      'variable_sip_h_X-Campaign-Id': ''
+    }));
+
+    expect(captured).toEqual({ account_sid: 'AC1', direction: 'inbound' });
+    expect(mapper.fieldNames).toEqual(['account_sid', 'direction', 'campaign_id']);
+  });
+
+  test('keeps fields captured from earlier events', () => {
+    const mapper = new CallMetadataMapper(CallMetadataMapper.parseFields('direction=Call-Direction'));
+
+    expect(mapper.capture(eslEvent({ 'Call-Direction': 'outbound' }), { direction: 'inbound' })).toEqual({});
+  });
+
+  test('captures the Jambonz defaults without a setting and nothing with an empty one', () => {
+    expect(CallMetadataMapper.parseFields(undefined).map(field => field.name))
+      .toEqual(['account_sid', 'application_sid', 'direction']);
+    expect(CallMetadataMapper.parseFields('')).toEqual([]);
+  });
+
+  test('rejects field names that are not safe JSON paths', () => {
+    expect(() => CallMetadataMapper.parseFields('bad.name=x')).toThrow('Invalid CALL_METADATA_FIELDS entry');
+    expect(() => CallMetadataMapper.parseFields('name')).toThrow('Invalid CALL_METADATA_FIELDS entry');
+  });
+});
+
+describe('call metadata storage', () => {
+  let storage;
+
+  beforeEach(async () => {
+    process.env.SQLITE_PATH = ':memory:';
+    storage = createStorage('sqlite', logger);
+    await storage.connect();
+    await new MigrationRunner(logger, storage).migrate();
+  });
+
+  afterEach(async () => {
+    await storage.close();
+  });
+
+  test('filters listings on text and number metadata values', async () => {
+    await storage.insertCallTranscript({
+      call_sid: 'CA1', start_time: new Date(), metadata: { account_sid: 'AC1', campaign_id: 42 }
+    });
+    await storage.insertCallTranscript({
+      call_sid: 'CA2', start_time: new Date(), metadata: { account_sid: 'AC2', campaign_id: 7 }
+    });
+
+    const sids = async filters => (await storage.getRecentTranscripts(50, filters)).map(row => row.call_sid);
+
+    await expect(sids({ account_sid: 'AC1' })).resolves.toEqual(['CA1']);
+    await expect(sids({ campaign_id: '42' })).resolves.toEqual(['CA1']);
+    await expect(sids({ campaign_id: 7 })).resolves.toEqual(['CA2']);
+    await expect(sids({ account_sid: 'AC1', campaign_id: '7' })).resolves.toEqual([]);
+    await expect(sids({ 'bad.name': 'x' })).rejects.toThrow('Invalid metadata field "bad.name"');
+  });
+
+  test('stores missing or invalid timestamps as NULL', async () => {
+    expect(storage.formatDateTime(undefined)).toBeNull();
+    expect(storage.formatDateTime('not a date')).toBeNull();
+    expect(storage.formatDateTime(NaN)).toBeNull();
+    expect(storage.formatDateTime(Date.parse('2026-01-05T10:00:00Z'))).toBe('2026-01-05T10:00:00.000Z');
+
+    await storage.insertCallTranscript({ call_sid: 'CA1', start_time: new Date(), answer_time: 'garbage' });
+    await expect(storage.getCallTranscript('CA1')).resolves.toMatchObject({ answer_time: null });
+  });
+});
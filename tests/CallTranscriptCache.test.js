@@ -0,0 +1,111 @@
+const pino = require('pino');
+const CallTranscriptCache = require('../lib/CallTranscriptCache');
+
+const logger = pino({ level: 'silent' });
+
+// The node-redis commands the cache uses, on a clock the test moves
+const createRedis = () => {
+  const redis = { now: 0, keys: new Map() };
+
+  const live = key => {
+    const entry = redis.keys.get(key);
+    if (entry && entry.expiresAt !== null && entry.expiresAt <= redis.now) redis.keys.delete(key);
+    return redis.keys.get(key);
+  };
+  const entry = (key, create) => live(key) || redis.keys.set(key, { value: create(), expiresAt: null }).get(key);
+
+  const commands = {
+    rPush: (key, value) => entry(key, () => []).value.push(value),
+    lRange: key => [...(live(key)?.value || [])],
+    sAdd: (key, member) => entry(key, () => new Set()).value.add(member) && 1,
+    sRem: (key, members) => [].concat(members).filter(member => live(key)?.value.delete(member)).length,
+    sMembers: key => [...(live(key)?.value || [])],
+    sCard: key => live(key)?.value.size || 0,
+    exists: key => (live(key) ? 1 : 0),
+    del: key => (redis.keys.delete(key) ? 1 : 0),
+    expire: (key, seconds) => {
+      const found = live(key);
+      if (found) found.expiresAt = redis.now + seconds * 1000;
+      return found ? 1 : 0;
+    }
+  };
+
+  redis.client = Object.fromEntries(Object.entries(commands).map(([name, command]) => [
+    name, async (...args) => command(...args)
+  ]));
+  redis.client.isReady = true;
+  redis.client.multi = () => {
+    const queued = [];
+    const multi = Object.fromEntries(Object.entries(commands).map(([name, command]) => [
+      name, (...args) => { queued.push(() => command(...args)); return multi; }
+    ]));
+    multi.exec = async () => queued.map(command => command());
+    return multi;
+  };
+
+  return redis;
+};
+
+describe('CallTranscriptCache', () => {
+  let redis;
+  let cache;
+
+  beforeEach(() => {
+    redis = createRedis();
+    cache = new CallTranscriptCache(logger, {}, { keyPrefix: 'test:', ttl: 60 });
+    cache.client = redis.client;
+  });
+
+  test('keeps events per call in arrival order', async () => {
+    await cache.addEvent('CA1', { type: 'tts', text: 'hello' });
+    await cache.addEvent('CA1', { type: 'stt', text: 'hi' });
+    await cache.addEvent('CA2', { type: 'tts', text: 'other call' });
+
+    expect((await cache.getEvents('CA1')).map(event => event.text)).toEqual(['hello', 'hi']);
+    await expect(cache.getActiveCallCount()).resolves.toBe(2);
+  });
+
+  test('takes a call out of the cache when it is finalized', async () => {
+    await cache.addEvent('CA1', { type: 'tts', text: 'hello' });
+
+    expect(await cache.takeEvents('CA1')).toHaveLength(1);
+    await expect(cache.getEvents('CA1')).resolves.toEqual([]);
+    await expect(cache.getActiveCallCount()).resolves.toBe(0);
+  });
+
+  test('drops calls whose events expired without a hangup', async () => {
+    await cache.addEvent('CA1', { type: 'tts' });
+    redis.now = 30000;
+    await cache.addEvent('CA2', { type: 'tts' });
+
+    // CA1's list has expired, CA2's has not
+    redis.now = 70000;
+    await expect(cache.getActiveCallCount()).resolves.toBe(1);
+    expect(await redis.client.sMembers('test:calls:active')).toEqual(['CA2']);
+  });
+
+  test('expires the active call set with the last event', async () => {
+    await cache.addEvent('CA1', { type: 'tts' });
+    expect(redis.keys.get('test:calls:active').expiresAt).toBe(60000);
+
+    redis.now = 45000;
+    await cache.addEvent('CA2', { type: 'tts' });
+    expect(redis.keys.get('test:calls:active').expiresAt).toBe(105000);
+
+    redis.now = 105000;
+    await expect(cache.getActiveCallCount()).resolves.toBe(0);
+  });
+
+  test('fails commands right away while Redis is unreachable', async () => {
+    const offline = new CallTranscriptCache(logger, { host: '127.0.0.1', port: 1 }, { keyPrefix: 'test:' });
+    await offline.initialize();
+
+    try {
+      await expect(offline.addEvent('CA1', { type: 'tts' })).rejects.toThrow('not connected to Redis');
+      await expect(offline.takeEvents('CA1')).rejects.toThrow('not connected to Redis');
+      await expect(offline.getEvents('CA1')).rejects.toThrow('The client is offline');
+    } finally {
+      await offline.close();
+    }
+  });
+});
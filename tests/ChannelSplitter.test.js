@@ -0,0 +1,114 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const AudioInspector = require('../lib/AudioInspector');
+const ChannelSplitter = require('../lib/ChannelSplitter');
+const { wav, interleaved, mp3 } = require('./helpers/audio');
+
+describe('ChannelSplitter', () => {
+  let workDir;
+
+  beforeEach(async () => {
+    workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'channel-splitter-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(workDir, { recursive: true, force: true });
+  });
+
+  async function writeRecording(name, buffer) {
+    const filePath = path.join(workDir, name);
+    await fs.writeFile(filePath, buffer);
+    return { filePath, audio: await AudioInspector.inspect(filePath) };
+  }
+
+  function samples(file, audio) {
+    return file.subarray(audio.dataOffset, audio.dataOffset + audio.dataBytes);
+  }
+
+  it('splits a stereo recording into one mono file per channel', async () => {
+    const { filePath, audio } = await writeRecording('call.wav', wav({ channels: 2, data: interleaved(2, 500) }));
+    const outputDir = path.join(workDir, 'out');
+    await fs.mkdir(outputDir);
+
+    const channels = await ChannelSplitter.split(filePath, audio, outputDir);
+
+    expect(channels).toEqual([
+      { channel: 1, filePath: path.join(outputDir, 'channel-1.wav') },
+      { channel: 2, filePath: path.join(outputDir, 'channel-2.wav') }
+    ]);
+
+    for (const { channel, filePath: channelPath } of channels) {
+      const info = await AudioInspector.inspect(channelPath);
+      expect(info).toMatchObject({ container: 'wav', codec: 'pcm_s16le', channels: 1, sampleRate: 8000, dataBytes: 1000 });
+
+      const data = samples(await fs.readFile(channelPath), info);
+      for (let frame = 0; frame < 500; frame++) {
+        expect(data.readInt16LE(frame * 2)).toBe((channel - 1) * 1000 + frame);
+      }
+    }
+  });
+
+  it('keeps frames that straddle two reads intact', async () => {
+    // 9 byte frames never line up with the 64 KiB read size
+    const frames = 30000;
+    const data = Buffer.alloc(frames * 9);
+    for (let frame = 0; frame < frames; frame++) {
+      for (let channel = 0; channel < 3; channel++) {
+        data.writeIntLE(channel * 100000 + frame, frame * 9 + channel * 3, 3);
+      }
+    }
+    const { filePath, audio } = await writeRecording('three.wav', wav({ channels: 3, bitsPerSample: 24, data }));
+
+    const channels = await ChannelSplitter.split(filePath, audio, workDir);
+
+    expect(channels).toHaveLength(3);
+    for (const { channel, filePath: channelPath } of channels) {
+      const info = await AudioInspector.inspect(channelPath);
+      expect(info).toMatchObject({ codec: 'pcm_s24le', channels: 1, dataBytes: frames * 3 });
+
+      const channelData = samples(await fs.readFile(channelPath), info);
+      const mismatch = [...Array(frames).keys()]
+        .find(frame => channelData.readIntLE(frame * 3, 3) !== (channel - 1) * 100000 + frame);
+      expect(mismatch).toBeUndefined();
+    }
+  });
+
+  it('drops a trailing partial frame', async () => {
+    const data = Buffer.concat([interleaved(2, 10), Buffer.from([1, 2, 3])]);
+    const { filePath, audio } = await writeRecording('partial.wav', wav({ channels: 2, data }));
+
+    const [left, right] = await ChannelSplitter.split(filePath, audio, workDir);
+
+    expect((await AudioInspector.inspect(left.filePath)).dataBytes).toBe(20);
+    expect((await fs.stat(right.filePath)).size).toBe(44 + 20);
+  });
+
+  it('keeps the format tag of μ-law recordings', async () => {
+    const data = Buffer.from([0x10, 0x20, 0x11, 0x21, 0x12, 0x22]);
+    const { filePath, audio } = await writeRecording('mulaw.wav', wav({ formatTag: 7, channels: 2, bitsPerSample: 8, data }));
+
+    const [left, right] = await ChannelSplitter.split(filePath, audio, workDir);
+
+    const leftInfo = await AudioInspector.inspect(left.filePath);
+    expect(leftInfo.codec).toBe('pcm_mulaw');
+    expect([...samples(await fs.readFile(left.filePath), leftInfo)]).toEqual([0x10, 0x11, 0x12]);
+    expect([...(await fs.readFile(right.filePath)).subarray(44)]).toEqual([0x20, 0x21, 0x22]);
+  });
+
+  it('only splits multi-channel WAV recordings of a known codec', async () => {
+    const mono = await writeRecording('mono.wav', wav({ data: interleaved(1, 10) }));
+    const adpcm = await writeRecording('adpcm.wav', wav({ formatTag: 0x11, channels: 2, bitsPerSample: 4, data: Buffer.alloc(100) }));
+    const stereoMp3 = await writeRecording('call.mp3', mp3({ frames: 10 }));
+
+    expect(ChannelSplitter.canSplit(mono.audio)).toBe(false);
+    expect(ChannelSplitter.canSplit(adpcm.audio)).toBe(false);
+    expect(ChannelSplitter.canSplit(stereoMp3.audio)).toBe(false);
+    expect(ChannelSplitter.canSplit(null)).toBe(false);
+
+    await expect(ChannelSplitter.split(stereoMp3.filePath, stereoMp3.audio, workDir))
+      .rejects.toThrow('Cannot split mp3/mp3 audio by channel');
+    await expect(ChannelSplitter.split(mono.filePath, null, workDir))
+      .rejects.toThrow('Cannot split unrecognized audio by channel');
+  });
+});
@@ -0,0 +1,118 @@
+const pino = require('pino');
+const DatabaseManager = require('../lib/DatabaseManager');
+
+const logger = pino({ level: 'silent' });
+
+describe('DatabaseManager', () => {
+  let db;
+
+  beforeEach(async () => {
+    process.env.DB_DRIVER = 'sqlite';
+    process.env.SQLITE_PATH = ':memory:';
+    db = new DatabaseManager(logger);
+    await db.initialize();
+  });
+
+  afterEach(async () => {
+    await db.close();
+    delete process.env.DB_DRIVER;
+  });
+
+  test('migrates the embedded database on initialize', async () => {
+    expect(db.connected).toBe(true);
+
+    const status = await db.getMigrationStatus();
+    expect(status.length).toBeGreaterThan(0);
+    expect(status.every(migration => migration.applied)).toBe(true);
+  });
+
+  test('stores a call with its segments and audio events', async () => {
+    const start = new Date('2026-01-05T10:00:00Z');
+
+    await db.insertCallTranscript({
+      call_sid: 'CA1',
+      caller_number: '01700000000',
+      destination_number: '16000',
+      start_time: start,
+      status: 'active'
+    });
+    await db.insertTranscriptSegments([
+      {
+        call_sid: 'CA1',
+        segment_type: 'tts',
+        text: 'Welcome to VoiceERP',
+        speaker: 'agent',
+        start_time: start,
+        end_time: new Date(start.getTime() + 2000)
+      },
+      {
+        call_sid: 'CA1',
+        segment_type: 'stt',
+        text: 'amar bill',
+        speaker: 'caller',
+        start_time: new Date(start.getTime() + 3000),
+        confidence: 0.9,
+        language: 'bn-BD'
+      }
+    ]);
+    await db.insertAudioEvent({
+      call_sid: 'CA1',
+      event_type: 'playback_start',
+      file_path: '/prompts/welcome.wav',
+      timestamp: start.getTime()
+    });
+    await db.updateCallTranscript('CA1', {
+      end_time: new Date(start.getTime() + 60000),
+      duration: 60,
+      hangup_cause: 'NORMAL_CLEARING',
+      status: 'completed'
+    });
+
+    const call = await db.getCallTranscript('CA1');
+    expect(call).toMatchObject({ call_sid: 'CA1', status: 'completed', hangup_cause: 'NORMAL_CLEARING', duration: 60 });
+
+    const segments = await db.getTranscriptSegments('CA1');
+    expect(segments.map(segment => [segment.speaker, segment.text])).toEqual([
+      ['agent', 'Welcome to VoiceERP'],
+      ['caller', 'amar bill']
+    ]);
+    expect(segments.every(segment => segment.call_transcript_id === call.id)).toBe(true);
+  });
+
+  test('compares real-time and post-processed transcripts', async () => {
+    await db.insertCallTranscript({ call_sid: 'CA2', start_time: new Date(), status: 'completed' });
+    await db.insertTranscriptSegment({
+      call_sid: 'CA2', segment_type: 'stt', text: 'hello', speaker: 'caller', start_time: new Date(), confidence: 0.5
+    });
+
+    const { insertId: transcriptId } = await db.insertTranscript({
+      call_sid: 'CA2',
+      transcript_type: 'post_processed',
+      language: 'bn-BD',
+      duration: 12,
+      average_confidence: 0.9,
+      segment_count: 1,
+      processing_method: 'fixture_batch',
+      metadata: { stt_provider: 'fixture' }
+    });
+    await db.insertTranscriptSegment({
+      call_sid: 'CA2',
+      segment_type: 'stt_batch',
+      text: 'hello there',
+      speaker: 'caller',
+      start_time: new Date(),
+      confidence: 0.9,
+      source_type: 'stt_post_processed'
+    });
+    await db.insertWordTimestamp({
+      transcript_id: transcriptId, call_sid: 'CA2', word: 'hello', start_time: 0.1, end_time: 0.4, confidence: 0.9, speaker: 'caller'
+    });
+
+    const comparison = await db.getTranscriptComparison('CA2');
+    expect(comparison.real_time).toMatchObject({ segments: 1, text: 'hello' });
+    expect(comparison.post_processed).toMatchObject({
+      segments: 1, text: 'hello there', transcript_id: transcriptId, processing_method: 'fixture_batch'
+    });
+    expect(comparison.improvement.confidence_gain).toBeCloseTo(0.4);
+  });
+});
@@ -0,0 +1,98 @@
+const DtmfCollector = require('../lib/DtmfCollector');
+
+const key = (digit, timestamp, durationMs = 100) => ({ digit, timestamp, durationMs, source: 'rfc2833' });
+
+describe('DtmfCollector', () => {
+  let inputs;
+  let collector;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    inputs = [];
+    collector = new DtmfCollector(input => inputs.push(input), { interDigitTimeout: 3000, terminators: '#' });
+  });
+
+  afterEach(() => {
+    collector.closeAll();
+    jest.useRealTimers();
+  });
+
+  it('groups keys into one input and reports the terminator', () => {
+    const first = collector.add('CA1', key('1', 1000));
+    const second = collector.add('CA1', key('2', 1500));
+    const terminator = collector.add('CA1', key('#', 2000, 80));
+
+    expect(second).toEqual({ inputId: first.inputId, digits: '12', terminated: false });
+    expect(terminator).toEqual({ inputId: first.inputId, digits: '12#', terminated: true });
+    expect(inputs).toHaveLength(0);
+
+    const input = collector.close('CA1');
+
+    expect(input).toMatchObject({
+      inputId: first.inputId,
+      callSid: 'CA1',
+      digits: '12#',
+      startTime: 1000,
+      endTime: 2080,
+      durationMs: 1080,
+      terminator: '#'
+    });
+    expect(input.keys.map(k => k.digit)).toEqual(['1', '2', '#']);
+    expect(inputs).toEqual([input]);
+    expect(collector.size).toBe(0);
+  });
+
+  it('starts a new input after a gap between event timestamps', () => {
+    const first = collector.add('CA1', key('1', 1000));
+    const second = collector.add('CA1', key('2', 4500));
+
+    expect(second.inputId).not.toBe(first.inputId);
+    expect(second.digits).toBe('2');
+    expect(inputs).toHaveLength(1);
+    expect(inputs[0]).toMatchObject({ digits: '1', terminator: null });
+  });
+
+  it('closes the last input once no key follows', () => {
+    collector.add('CA1', key('5', 1000));
+
+    jest.advanceTimersByTime(2999);
+    expect(inputs).toHaveLength(0);
+
+    jest.advanceTimersByTime(1);
+    expect(inputs).toHaveLength(1);
+    expect(inputs[0].digits).toBe('5');
+  });
+
+  it('keeps the inputs of different calls apart', () => {
+    collector.add('CA1', key('1', 1000));
+    collector.add('CA2', key('9', 1100));
+    collector.add('CA1', key('2', 1200));
+
+    expect(collector.size).toBe(2);
+    collector.closeAll();
+    expect(inputs.map(input => [input.callSid, input.digits])).toEqual([['CA1', '12'], ['CA2', '9']]);
+  });
+
+  it('returns null when the call has no open input', () => {
+    expect(collector.close('CA1')).toBeNull();
+    expect(inputs).toHaveLength(0);
+  });
+
+  it('reads its settings from the environment', () => {
+    process.env.DTMF_INTER_DIGIT_TIMEOUT = '5000';
+    process.env.DTMF_TERMINATORS = '#*';
+
+    try {
+      const configured = new DtmfCollector(() => {});
+      expect(configured.interDigitTimeout).toBe(5000);
+      expect(configured.add('CA1', key('*', 0)).terminated).toBe(true);
+      configured.closeAll();
+
+      // An empty setting turns terminators off
+      expect(new DtmfCollector(() => {}, { terminators: '' }).add('CA1', key('#', 0)).terminated).toBe(false);
+    } finally {
+      delete process.env.DTMF_INTER_DIGIT_TIMEOUT;
+      delete process.env.DTMF_TERMINATORS;
+    }
+  });
+});
@@ -0,0 +1,170 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const pino = require('pino');
+const ESL = require('modesl');
+const EslEventRecorder = require('../lib/EslEventRecorder');
+const EslEventReplayer = require('../lib/EslEventReplayer');
+const FreeSWITCHListener = require('../lib/FreeSWITCHListener');
+
+const execFileAsync = promisify(execFile);
+const logger = pino({ level: 'silent' });
+
+const CAPTURE = path.join(__dirname, 'fixtures', 'call-capture.ndjson');
+
+const PROCESSOR_METHODS = [
+  'processCallStart',
+  'processCallAnswer',
+  'processCallComplete',
+  'processTTSEvent',
+  'processTTSComplete',
+  'processBargeIn',
+  'processSTTEvent',
+  'processDTMFEvent'
+];
+
+describe('EslEventReplayer', () => {
+  let workDir;
+  let processor;
+  let listener;
+  let replayer;
+
+  // [method, data] of every processor call, in order
+  let calls;
+
+  beforeAll(async () => {
+    process.env.FREESWITCH_NODES = 'fs1=127.0.0.1:1';
+    workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'esl-replay-'));
+  });
+
+  afterAll(async () => {
+    delete process.env.FREESWITCH_NODES;
+    await fs.rm(workDir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    calls = [];
+    processor = { promptCatalog: null };
+    PROCESSOR_METHODS.forEach(method => {
+      processor[method] = jest.fn(async data => { calls.push([method, data]); });
+    });
+    listener = new FreeSWITCHListener(logger, processor, null, null);
+    replayer = new EslEventReplayer(logger, listener);
+  });
+
+  afterEach(async () => {
+    await listener.disconnect();
+  });
+
+  it('replays a capture into the listener as transcript segments', async () => {
+    const stats = await replayer.replay(CAPTURE, { speed: 0 });
+
+    expect(stats).toEqual({ events: 10, handled: 9, skipped: 1 });
+    expect(calls.map(([method]) => method)).toEqual([
+      'processCallStart',
+      'processCallAnswer',
+      'processTTSEvent',
+      'processTTSComplete',
+      'processSTTEvent',
+      'processSTTEvent',
+      'processDTMFEvent',
+      'processCallComplete'
+    ]);
+
+    const data = method => calls.filter(([name]) => name === method).map(([, value]) => value);
+
+    expect(data('processCallStart')[0]).toMatchObject({
+      callSid: 'CA0001',
+      callerNumber: '01712345678',
+      mediaServer: 'fs-capture-1',
+      startTime: 1700000000000
+    });
+    expect(data('processTTSEvent')).toEqual([expect.objectContaining({
+      callSid: 'CA0001',
+      speaker: 'agent',
+      text: 'আপনার অর্ডার নম্বর বলুন।',
+      voice: 'bn-IN-Wavenet-A',
+      timestamp: 1700000000300
+    })]);
+    expect(data('processTTSComplete')).toEqual([expect.objectContaining({
+      segmentId: data('processTTSEvent')[0].segmentId,
+      durationMs: 2500,
+      interrupted: false
+    })]);
+    expect(data('processSTTEvent').map(stt => [stt.speaker, stt.text, stt.language, stt.timestamp])).toEqual([
+      ['caller', 'আমার অর্ডার নম্বর চার সাত', 'bn-BD', 1700000005000],
+      ['caller', 'ami bill dite chai', 'bn-Latn', 1700000007000]
+    ]);
+    expect(data('processDTMFEvent')).toEqual([expect.objectContaining({
+      digits: '1#',
+      terminator: '#',
+      timestamp: 1700000008000
+    })]);
+    expect(data('processCallComplete')).toEqual([expect.objectContaining({
+      callSid: 'CA0001',
+      hangupCause: 'NORMAL_CLEARING',
+      endTime: 1700000009000
+    })]);
+  });
+
+  it('keeps the gaps between events, divided by the speed', async () => {
+    const sleep = jest.spyOn(replayer, 'sleep').mockResolvedValue();
+
+    await replayer.replay(CAPTURE, { speed: 10 });
+
+    expect(sleep.mock.calls.map(([ms]) => ms)).toEqual([20, 10, 250, 220, 100, 100, 100, 30, 70]);
+  });
+
+  it('reads back what the recorder captured', async () => {
+    const capturePath = path.join(workDir, 'nested', 'capture.ndjson');
+    const recorder = new EslEventRecorder(logger, capturePath);
+    const body = '{"is_final":true,"alternatives":[{"transcript":"hello"}]}';
+
+    recorder.record(new ESL.Event({ 'Event-Name': 'CHANNEL_CREATE', 'Unique-ID': 'u1' }));
+    recorder.record(new ESL.Event({ 'Event-Name': 'CUSTOM', 'Event-Subclass': 'google_transcribe::transcription' }, body));
+    await recorder.close();
+
+    const events = [];
+    for await (const { receivedAt, event } of replayer.readEvents(capturePath)) {
+      events.push({ receivedAt, name: event.getHeader('Event-Name'), body: event.getBody() });
+    }
+
+    expect(events).toEqual([
+      { receivedAt: expect.any(Number), name: 'CHANNEL_CREATE', body: '' },
+      { receivedAt: expect.any(Number), name: 'CUSTOM', body }
+    ]);
+  });
+
+  it('names the line of an invalid capture', async () => {
+    const capturePath = path.join(workDir, 'broken.ndjson');
+    await fs.writeFile(capturePath, '{"received_at":1,"headers":{"Event-Name":"HEARTBEAT"},"body":""}\n\n{oops\n');
+
+    await expect(replayer.replay(capturePath, { speed: 0 })).rejects.toThrow(`Invalid capture line 3 in ${capturePath}`);
+  });
+
+  it('prints the processor calls of a dry run', async () => {
+    const { stdout } = await execFileAsync(process.execPath, [
+      path.join(__dirname, '..', 'scripts', 'replay-events.js'), CAPTURE, '--speed', '0', '--dry-run'
+    ], {
+      cwd: workDir,
+      env: { PATH: process.env.PATH, FREESWITCH_NODES: 'fs1=127.0.0.1:1', LOG_LEVEL: 'silent' },
+      timeout: 30000
+    });
+
+    const printed = stdout.trim().split('\n').map(line => JSON.parse(line));
+    expect(printed.map(line => line.call)).toEqual([
+      'processCallStart',
+      'processCallAnswer',
+      'processTTSEvent',
+      'processTTSComplete',
+      'processSTTEvent',
+      'processSTTEvent',
+      'processDTMFEvent',
+      'processCallComplete'
+    ]);
+    expect(printed[7].data).toMatchObject({ callSid: 'CA0001', hangupCause: 'NORMAL_CLEARING' });
+    expect(printed[7].data.events).toBeUndefined();
+  });
+});
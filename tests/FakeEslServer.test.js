@@ -0,0 +1,201 @@
+const pino = require('pino');
+const FakeEslServer = require('../lib/testing/FakeEslServer');
+const FreeSWITCHListener = require('../lib/FreeSWITCHListener');
+
+const logger = pino({ level: 'silent' });
+
+// Processor methods the listener calls
+const PROCESSOR_METHODS = [
+  'processCallStart',
+  'processCallAnswer',
+  'processCallComplete',
+  'processCallResync',
+  'processCallLink',
+  'processTTSEvent',
+  'processTTSComplete',
+  'processBargeIn',
+  'processSTTEvent',
+  'processDTMFEvent',
+  'processAudioEvent',
+  'processRecordingComplete'
+];
+
+// Scenarios are played this many times faster than written
+const SPEED = 10;
+
+function createProcessor() {
+  const processor = { promptCatalog: null };
+  PROCESSOR_METHODS.forEach(method => {
+    processor[method] = jest.fn().mockResolvedValue();
+  });
+  return processor;
+}
+
+async function waitFor(condition, timeoutMs = 5000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!condition()) {
+    if (Date.now() > deadline) throw new Error('Timed out waiting for condition');
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+describe('FakeEslServer with FreeSWITCHListener', () => {
+  let server;
+  let listener;
+  let processor;
+
+  // Data passed to each call of a processor method
+  const calls = method => processor[method].mock.calls.map(([data]) => data);
+
+  beforeAll(async () => {
+    server = new FakeEslServer(logger, { password: 'ClueCon' });
+    const port = await server.start();
+
+    process.env.FREESWITCH_NODES = `fs1=127.0.0.1:${port}`;
+    process.env.FREESWITCH_PASSWORD = 'ClueCon';
+    process.env.RECONNECT_DELAY = '200';
+  });
+
+  afterAll(async () => {
+    await server.stop();
+
+    delete process.env.FREESWITCH_NODES;
+    delete process.env.FREESWITCH_PASSWORD;
+    delete process.env.RECONNECT_DELAY;
+  });
+
+  beforeEach(async () => {
+    processor = createProcessor();
+    listener = new FreeSWITCHListener(logger, processor, null, null);
+    await listener.connect();
+    await server.waitForSubscriber();
+  });
+
+  afterEach(async () => {
+    await listener.disconnect();
+    server.dropConnections();
+  });
+
+  async function play(name) {
+    const callSid = await server.playScenario(FakeEslServer.loadScenario(name), { speed: SPEED });
+    await waitFor(() => calls('processCallComplete').some(call => call.callSid === callSid));
+    return callSid;
+  }
+
+  it('lists the bundled scenarios', () => {
+    expect(FakeEslServer.listScenarios()).toEqual(expect.arrayContaining([
+      'bridged-call',
+      'call-with-prompts',
+      'connection-drop-mid-call',
+      'hangup-during-outage',
+      'ivr-dtmf-confirmation',
+      'jambonz-streaming-stt',
+      'unanswered-call'
+    ]));
+  });
+
+  it('call-with-prompts: prompts, caller speech and the recording reach the processor', async () => {
+    const callSid = await play('call-with-prompts');
+
+    expect(calls('processCallStart')).toEqual([expect.objectContaining({
+      callSid, callerNumber: '01712345678', destinationNumber: '16789', mediaServer: 'fs1'
+    })]);
+    expect(calls('processCallAnswer')).toHaveLength(1);
+    expect(calls('processTTSEvent').map(tts => tts.text)).toEqual([
+      'আসসালামু আলাইকুম, ভয়েস ইআরপি-তে আপনাকে স্বাগতম।',
+      'আপনার অর্ডার নম্বর বলুন।',
+      'ধন্যবাদ। আপনার অর্ডারটি আগামীকাল পৌঁছাবে। আর কিছু জানতে চান?'
+    ]);
+    expect(calls('processTTSComplete').map(tts => tts.interrupted)).toEqual([false, false, false]);
+    expect(calls('processSTTEvent').map(stt => [stt.speaker, stt.text, stt.confidence])).toEqual([
+      ['caller', 'আমার অর্ডার নম্বর চার পাঁচ ছয়', 0.91],
+      ['caller', 'না, ধন্যবাদ', 0.87]
+    ]);
+    expect(calls('processRecordingComplete')).toEqual([expect.objectContaining({
+      callSid, recordingPath: '/var/lib/freeswitch/recordings/call-with-prompts.wav', duration: 13
+    })]);
+    expect(calls('processCallComplete')).toEqual([expect.objectContaining({ callSid, hangupCause: 'NORMAL_CLEARING' })]);
+    expect(processor.processBargeIn).not.toHaveBeenCalled();
+    expect(listener.activeCalls.size).toBe(0);
+  });
+
+  it('unanswered-call: the call completes without an answer', async () => {
+    const callSid = await play('unanswered-call');
+
+    expect(calls('processCallStart').map(call => call.callSid)).toEqual([callSid]);
+    expect(processor.processCallAnswer).not.toHaveBeenCalled();
+    expect(calls('processCallComplete')).toEqual([expect.objectContaining({ callSid, hangupCause: 'NO_ANSWER' })]);
+  });
+
+  it('ivr-dtmf-confirmation: key presses are grouped into inputs and interrupt the prompt', async () => {
+    const callSid = await play('ivr-dtmf-confirmation');
+
+    expect(calls('processDTMFEvent').map(input => [input.digits, input.terminator])).toEqual([
+      ['4719#', '#'],
+      ['1', null]
+    ]);
+    expect(calls('processBargeIn').map(call => call.callSid)).toEqual([callSid]);
+    expect(calls('processTTSComplete').map(tts => tts.interrupted)).toEqual([false, true]);
+  });
+
+  it('jambonz-streaming-stt: only final transcription results are stored', async () => {
+    await play('jambonz-streaming-stt');
+
+    expect(calls('processSTTEvent').map(stt => [stt.vendor, stt.language, stt.text])).toEqual([
+      ['google', 'bn-BD', 'আমার বিল কত টাকা'],
+      ['azure', 'en-US', 'I want to pay my bill.'],
+      ['deepgram', 'bn-BD', 'ধন্যবাদ']
+    ]);
+  });
+
+  it('bridged-call: both legs join one conversation', async () => {
+    const callSid = await play('bridged-call');
+    await waitFor(() => calls('processCallComplete').length === 2);
+
+    const [aLeg, bLeg] = calls('processCallStart');
+    expect(aLeg).toMatchObject({ callSid, legRole: 'a_leg', conversationId: callSid });
+    expect(bLeg).toMatchObject({ legRole: 'b_leg', parentCallSid: callSid, conversationId: callSid });
+
+    expect(calls('processSTTEvent').map(stt => stt.callSid)).toEqual([bLeg.callSid, callSid]);
+    expect(calls('processCallComplete').map(call => call.callSid)).toEqual([bLeg.callSid, callSid]);
+  });
+
+  it('connection-drop-mid-call: the listener reconnects and keeps the call', async () => {
+    const callSid = await play('connection-drop-mid-call');
+
+    expect(listener.isConnected()).toBe(true);
+    expect(listener.nodes[0].reconnectAttempts).toBe(0);
+    expect(processor.processCallResync).not.toHaveBeenCalled();
+    expect(calls('processSTTEvent').map(stt => stt.text)).toEqual(['I want to check my balance']);
+    expect(calls('processCallComplete')).toEqual([expect.objectContaining({ callSid, hangupCause: 'NORMAL_CLEARING' })]);
+  });
+
+  it('hangup-during-outage: resync ends the call that hung up while disconnected', async () => {
+    const callSid = await play('hangup-during-outage');
+
+    expect(calls('processCallComplete')).toEqual([expect.objectContaining({ callSid, hangupCause: 'LISTENER_RESYNC' })]);
+    expect(listener.activeCalls.size).toBe(0);
+  });
+
+  it('adopts calls created while disconnected', async () => {
+    server.dropConnections();
+    server.sendEvent({
+      'Event-Name': 'CHANNEL_CREATE',
+      'Unique-ID': 'uuid-adopted',
+      variable_call_sid: 'CA-adopted',
+      'Caller-Caller-ID-Number': '01700000000',
+      'Caller-Destination-Number': '16789'
+    });
+
+    try {
+      await waitFor(() => processor.processCallResync.mock.calls.length > 0);
+
+      expect(calls('processCallResync')).toEqual([expect.objectContaining({
+        callSid: 'CA-adopted', uuid: 'uuid-adopted', adopted: true, callerNumber: '01700000000', mediaServer: 'fs1'
+      })]);
+      expect(processor.processCallStart).not.toHaveBeenCalled();
+    } finally {
+      server.sendEvent({ 'Event-Name': 'CHANNEL_HANGUP', 'Unique-ID': 'uuid-adopted', 'Hangup-Cause': 'NORMAL_CLEARING' });
+    }
+  });
+});
@@ -0,0 +1,80 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const pino = require('pino');
+const FixtureSpeechProvider = require('../lib/stt/FixtureSpeechProvider');
+
+const logger = pino({ level: 'silent' });
+
+describe('FixtureSpeechProvider', () => {
+  let workDir;
+  let recording;
+
+  beforeAll(async () => {
+    workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'fixture-stt-'));
+    recording = path.join(workDir, 'call.wav');
+    await fs.writeFile(recording, 'RIFF');
+  });
+
+  afterAll(async () => {
+    await fs.rm(workDir, { recursive: true, force: true });
+  });
+
+  const provider = new FixtureSpeechProvider(logger);
+
+  it('returns the named fixture in the shared result shape', async () => {
+    const result = await provider.transcribe(recording, { model: 'default', languageCode: 'en-US' });
+
+    expect(result).toMatchObject({ provider: 'fixture', model: 'default', language: 'bn-BD', duration: 25 });
+    expect(result.segments).toHaveLength(2);
+    expect(result.segments[0]).toMatchObject({ speaker: 'agent', speakerTag: 2, startTime: 0, endTime: 4.2, confidence: 0.95, language: 'bn-BD' });
+    expect(result.segments[0].words[0]).toEqual({ word: 'আসসালামু', startTime: 0, endTime: 0.8, confidence: 0.98 });
+    expect(result.segments[1]).toMatchObject({ speaker: 'caller', speakerTag: 1 });
+    expect(result.averageConfidence).toBeCloseTo(0.92, 6);
+  });
+
+  it('spreads words over segments without word timings', async () => {
+    const result = await provider.transcribe(recording, { model: 'code-mixed', duration: 14 });
+    const caller = result.segments[3];
+
+    expect(result.duration).toBe(14);
+    expect(caller.text).toBe('the monthly one please');
+    expect(caller.words.map(word => word.word)).toEqual(['the', 'monthly', 'one', 'please']);
+    expect(caller.words[1].startTime).toBeCloseTo(11.6, 6);
+    expect(caller.words[3].endTime).toBeCloseTo(13.4, 6);
+    expect(caller.words.every(word => word.confidence === 0.88)).toBe(true);
+    expect(result.segments[1]).toMatchObject({ language: 'bn-Latn', mixedLanguage: true });
+  });
+
+  it("only returns one speaker's segments for a channel", async () => {
+    const result = await provider.transcribe(recording, { model: 'code-mixed', speaker: 'caller' });
+
+    expect(result.segments.map(segment => segment.speaker)).toEqual(['caller', 'caller']);
+  });
+
+  it('reads fixtures from the configured directory', async () => {
+    await fs.writeFile(path.join(workDir, 'custom.json'), JSON.stringify({
+      segments: [{ text: 'hello there', speaker: 'caller', startTime: 1, endTime: 2 }]
+    }));
+    const custom = new FixtureSpeechProvider(logger, { fixtureDir: workDir });
+
+    const result = await custom.transcribe(recording, { model: 'custom', languageCode: 'en-US' });
+
+    expect(result.language).toBe('en-US');
+    expect(result.duration).toBe(2);
+    expect(result.segments[0].words).toEqual([
+      { word: 'hello', startTime: 1, endTime: 1.5, confidence: null },
+      { word: 'there', startTime: 1.5, endTime: 2, confidence: null }
+    ]);
+  });
+
+  it('rejects fixture names that are not plain file names', async () => {
+    await expect(provider.transcribe(recording, { model: '../secrets' })).rejects.toThrow('Invalid STT fixture "../secrets"');
+    await expect(provider.transcribe(recording, { model: undefined })).rejects.toThrow('Invalid STT fixture');
+  });
+
+  it('fails for a missing recording or fixture', async () => {
+    await expect(provider.transcribe(path.join(workDir, 'missing.wav'), { model: 'default' })).rejects.toThrow('ENOENT');
+    await expect(provider.transcribe(recording, { model: 'missing' })).rejects.toThrow('ENOENT');
+  });
+});
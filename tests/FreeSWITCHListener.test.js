@@ -0,0 +1,181 @@
+const pino = require('pino');
+const ESL = require('modesl');
+const FreeSWITCHListener = require('../lib/FreeSWITCHListener');
+
+const logger = pino({ level: 'silent' });
+
+function event(headers) {
+  return new ESL.Event({ 'Event-Date-Timestamp': String(Date.now() * 1000), ...headers });
+}
+
+function createProcessor(overrides = {}) {
+  return {
+    processCallStart: jest.fn(),
+    processCallAnswer: jest.fn(),
+    processCallComplete: jest.fn().mockResolvedValue(),
+    processCallLink: jest.fn(),
+    processAudioEvent: jest.fn(),
+    promptCatalog: null,
+    ...overrides
+  };
+}
+
+describe('FreeSWITCHListener', () => {
+  beforeAll(() => {
+    process.env.FREESWITCH_NODES = 'fs1=127.0.0.1:1';
+  });
+
+  afterAll(() => {
+    delete process.env.FREESWITCH_NODES;
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('call completion', () => {
+    it('logs a failed completion instead of leaving the rejection unhandled', async () => {
+      const processor = createProcessor({
+        processCallComplete: jest.fn().mockRejectedValue(new Error('queue down'))
+      });
+      const listener = new FreeSWITCHListener(logger, processor, null, null);
+      const errorLog = jest.spyOn(logger, 'error');
+      const unhandled = jest.fn();
+      process.on('unhandledRejection', unhandled);
+
+      try {
+        listener.handleEvent(event({ 'Event-Name': 'CHANNEL_CREATE', 'Unique-ID': 'uuid-1', variable_call_sid: 'CA1' }));
+        listener.handleEvent(event({
+          'Event-Name': 'CHANNEL_HANGUP',
+          'Unique-ID': 'uuid-1',
+          variable_call_sid: 'CA1',
+          'Hangup-Cause': 'NORMAL_CLEARING'
+        }));
+
+        await new Promise(resolve => setImmediate(resolve));
+
+        expect(processor.processCallComplete).toHaveBeenCalledWith(expect.objectContaining({ callSid: 'CA1' }));
+        expect(errorLog).toHaveBeenCalledWith('❌ Failed to process completed call CA1:', expect.any(Error));
+        expect(unhandled).not.toHaveBeenCalled();
+        expect(listener.activeCalls.has('CA1')).toBe(false);
+      } finally {
+        process.off('unhandledRejection', unhandled);
+      }
+    });
+  });
+
+  describe('connect', () => {
+    afterEach(() => {
+      process.env.FREESWITCH_NODES = 'fs1=127.0.0.1:1';
+    });
+
+    it('stops every node when none of them is reachable', async () => {
+      process.env.FREESWITCH_NODES = 'fs1=127.0.0.1:1,fs2=127.0.0.1:2';
+      const listener = new FreeSWITCHListener(logger, createProcessor(), null, null);
+
+      await expect(listener.connect()).rejects.toThrow('Could not connect to any FreeSWITCH node (fs1, fs2)');
+
+      listener.nodes.forEach(node => {
+        expect(node.stopped).toBe(true);
+        expect(node.reconnectTimer).toBeNull();
+      });
+      expect(listener.reaperTimer).toBeFalsy();
+    });
+  });
+
+  describe('parseNodes', () => {
+    afterEach(() => {
+      delete process.env.FREESWITCH_HOST;
+      delete process.env.FREESWITCH_PORT;
+      delete process.env.FREESWITCH_PASSWORD;
+    });
+
+    it('reads named and unnamed nodes, defaulting the port', () => {
+      process.env.FREESWITCH_PASSWORD = 'secret';
+
+      expect(FreeSWITCHListener.parseNodes('fs1=10.0.0.1:8022, 10.0.0.2')).toEqual([
+        { name: 'fs1', host: '10.0.0.1', port: 8022, password: 'secret' },
+        { name: '10.0.0.2:8021', host: '10.0.0.2', port: 8021, password: 'secret' }
+      ]);
+    });
+
+    it('falls back to FREESWITCH_HOST and FREESWITCH_PORT', () => {
+      process.env.FREESWITCH_HOST = '192.168.1.5';
+      process.env.FREESWITCH_PORT = '9000';
+
+      expect(FreeSWITCHListener.parseNodes('')).toEqual([
+        { name: '192.168.1.5:9000', host: '192.168.1.5', port: 9000, password: 'JambonzR0ck$$' }
+      ]);
+    });
+
+    it('rejects malformed entries', () => {
+      expect(() => FreeSWITCHListener.parseNodes('fs1=host:port')).toThrow('Invalid FREESWITCH_NODES entry "fs1=host:port"');
+    });
+  });
+
+  describe('stale call reaper', () => {
+    it('ends calls that are too old or silent for too long', () => {
+      const processor = createProcessor();
+      const performanceMonitor = { trackCallReaper: jest.fn() };
+      const listener = new FreeSWITCHListener(logger, processor, performanceMonitor, null);
+      const now = Date.now();
+      listener.reaperConfig.maxCallAge = 60000;
+      listener.reaperConfig.inactivityTimeout = 10000;
+
+      ['CA-old', 'CA-silent', 'CA-live'].forEach(callSid => {
+        listener.handleEvent(event({ 'Event-Name': 'CHANNEL_CREATE', 'Unique-ID': `uuid-${callSid}`, variable_call_sid: callSid }));
+      });
+      listener.activeCalls.get('CA-old').startTime = now - 61000;
+      listener.activeCalls.get('CA-silent').lastActivityAt = now - 11000;
+
+      const result = listener.reapStaleCalls(now);
+
+      expect(result).toEqual({ scanned: 3, reapedMaxAge: 1, reapedInactive: 1 });
+      expect([...listener.activeCalls.keys()]).toEqual(['CA-live']);
+      expect(processor.processCallComplete.mock.calls.map(([call]) => [call.callSid, call.hangupCause, call.reapReason]))
+        .toEqual([['CA-old', 'LISTENER_TIMEOUT', 'max_age'], ['CA-silent', 'LISTENER_TIMEOUT', 'inactive']]);
+      expect(listener.reaperStats).toMatchObject({ runs: 1, reapedMaxAge: 1, reapedInactive: 1 });
+      expect(performanceMonitor.trackCallReaper).toHaveBeenCalledWith(expect.objectContaining({ activeCalls: 1 }));
+    });
+
+    it('drops prompts of ended and untracked calls', () => {
+      const processor = createProcessor({ processTTSEvent: jest.fn(), processTTSComplete: jest.fn() });
+      const listener = new FreeSWITCHListener(logger, processor, null, null);
+      const speak = (callSid, applicationUuid) => listener.handleEvent(event({
+        'Event-Name': 'CHANNEL_EXECUTE',
+        'Unique-ID': `uuid-${callSid}`,
+        variable_call_sid: callSid,
+        Application: 'speak',
+        'Application-Data': 'google_tts|en-US-Wavenet-A|Hello',
+        'Application-UUID': applicationUuid
+      }));
+
+      listener.handleEvent(event({ 'Event-Name': 'CHANNEL_CREATE', 'Unique-ID': 'uuid-CA1', variable_call_sid: 'CA1' }));
+      listener.handleEvent(event({ 'Event-Name': 'CHANNEL_CREATE', 'Unique-ID': 'uuid-CA2', variable_call_sid: 'CA2' }));
+      speak('CA1', 'app-1');
+      speak('CA2', 'app-2');
+      speak('CA-unknown', 'app-3');
+
+      listener.handleEvent(event({
+        'Event-Name': 'CHANNEL_HANGUP', 'Unique-ID': 'uuid-CA1', variable_call_sid: 'CA1', 'Hangup-Cause': 'NORMAL_CLEARING'
+      }));
+      expect([...listener.prompts.keys()]).toEqual(['app-2', 'app-3']);
+
+      listener.reapStaleCalls();
+      expect([...listener.prompts.keys()]).toEqual(['app-2']);
+    });
+
+    it('keeps calls with recent events', () => {
+      const processor = createProcessor();
+      const listener = new FreeSWITCHListener(logger, processor, null, null);
+      listener.reaperConfig.inactivityTimeout = 10000;
+
+      listener.handleEvent(event({ 'Event-Name': 'CHANNEL_CREATE', 'Unique-ID': 'uuid-1', variable_call_sid: 'CA1' }));
+      listener.activeCalls.get('CA1').lastActivityAt = Date.now() - 11000;
+      listener.handleEvent(event({ 'Event-Name': 'HEARTBEAT', 'Unique-ID': 'uuid-1', variable_call_sid: 'CA1' }));
+
+      expect(listener.reapStaleCalls()).toMatchObject({ reapedInactive: 0 });
+      expect(listener.activeCalls.has('CA1')).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,49 @@
+const net = require('net');
+const pino = require('pino');
+const FreeSWITCHNode = require('../lib/FreeSWITCHNode');
+
+const logger = pino({ level: 'silent' });
+
+describe('FreeSWITCHNode', () => {
+  let server;
+  let sockets;
+  let port;
+
+  // Accepts connections but never sends auth/request
+  beforeEach(async () => {
+    sockets = [];
+    server = net.createServer(socket => {
+      socket.ended = new Promise(resolve => socket.once('end', resolve));
+      socket.resume();
+      sockets.push(socket);
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    port = server.address().port;
+  });
+
+  afterEach(async () => {
+    sockets.forEach(socket => socket.destroy());
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  it('closes a connection that times out and ignores its late esl::ready', async () => {
+    const node = new FreeSWITCHNode(logger, { name: 'fs1', host: '127.0.0.1', port, password: 'ClueCon' }, {
+      connectTimeout: 100
+    });
+    const connected = jest.fn();
+    node.on('connected', connected);
+
+    const connecting = node.connect();
+    const connection = node.connection;
+    await expect(connecting).rejects.toThrow('Connection timeout (fs1)');
+
+    expect(node.connection).toBeNull();
+    expect(connection.socket).toBeNull();
+    await sockets[0].ended;
+
+    connection.emit('esl::ready');
+
+    expect(node.isConnected()).toBe(false);
+    expect(connected).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,181 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const pino = require('pino');
+const AudioInspector = require('../lib/AudioInspector');
+const GoogleSpeechProvider = require('../lib/stt/GoogleSpeechProvider');
+const { wav, interleaved, mp3 } = require('./helpers/audio');
+
+const logger = pino({ level: 'silent' });
+
+const seconds = value => ({ seconds: String(Math.floor(value)), nanos: Math.round((value % 1) * 1e9) });
+const word = (text, start, end, extra = {}) => ({ word: text, startTime: seconds(start), endTime: seconds(end), ...extra });
+
+function createClient(results) {
+  return {
+    recognize: jest.fn().mockResolvedValue([{ results }]),
+    longRunningRecognize: jest.fn().mockResolvedValue([{ promise: async () => [{ results }] }])
+  };
+}
+
+describe('GoogleSpeechProvider', () => {
+  let workDir;
+
+  beforeAll(async () => {
+    workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'google-stt-'));
+  });
+
+  afterAll(async () => {
+    await fs.rm(workDir, { recursive: true, force: true });
+  });
+
+  async function writeRecording(name, buffer) {
+    const filePath = path.join(workDir, name);
+    await fs.writeFile(filePath, buffer);
+    return filePath;
+  }
+
+  it('uses recognize() for recordings under a minute and splits diarized speaker turns', async () => {
+    const client = createClient([
+      { alternatives: [{ transcript: 'hello how can I help', confidence: 0.9 }], resultEndTime: seconds(3), languageCode: 'bn-bd' },
+      {
+        alternatives: [{
+          transcript: '',
+          words: [
+            word('hello', 0, 0.5, { speakerTag: 2, confidence: 0.9 }),
+            word('how', 0.5, 1, { speakerTag: 2, confidence: 0.8 }),
+            word('internet', 1.5, 2.25, { speakerTag: 1, confidence: 0.7 }),
+            word('chai', 2.25, 3, { speakerTag: 1, confidence: 0.6 })
+          ]
+        }]
+      }
+    ]);
+    const provider = new GoogleSpeechProvider(logger, { client });
+    const filePath = await writeRecording('short.wav', wav({ data: interleaved(1, 800) }));
+
+    const result = await provider.transcribe(filePath, { model: 'phone_call', languageCode: 'en-US', duration: 30 });
+
+    expect(client.recognize).toHaveBeenCalledTimes(1);
+    expect(client.longRunningRecognize).not.toHaveBeenCalled();
+    expect(result).toMatchObject({ provider: 'google', model: 'phone_call', method: 'recognize', language: 'bn-BD', duration: 30 });
+    expect(result.segments.map(segment => [segment.speaker, segment.text, segment.startTime, segment.endTime])).toEqual([
+      ['agent', 'hello how', 0, 1],
+      ['caller', 'internet chai', 1.5, 3]
+    ]);
+    expect(result.segments[1].confidence).toBeCloseTo(0.65, 6);
+
+    const [request] = client.recognize.mock.calls[0];
+    expect(request.config).toMatchObject({ languageCode: 'en-US', model: 'phone_call', enableSpeakerDiarization: true, diarizationSpeakerCount: 2 });
+  });
+
+  it('uses longRunningRecognize() for long or unknown durations, one segment per result', async () => {
+    const client = createClient([
+      { alternatives: [{ transcript: ' first part ', confidence: 0.8, words: [word('first', 0.5, 1), word('part', 1, 2)] }], resultEndTime: seconds(2) },
+      { alternatives: [{ transcript: 'second part', confidence: 0.6 }], resultEndTime: seconds(4.5) }
+    ]);
+    const provider = new GoogleSpeechProvider(logger, { client });
+    const filePath = await writeRecording('long.wav', wav({ data: interleaved(1, 800) }));
+
+    const result = await provider.transcribe(filePath, { model: 'latest_long', languageCode: 'bn-BD' });
+
+    expect(client.longRunningRecognize).toHaveBeenCalledTimes(1);
+    expect(result.method).toBe('longRunningRecognize');
+    expect(result.language).toBe('bn-BD');
+    expect(result.duration).toBe(4.5);
+    expect(result.segments.map(segment => [segment.text, segment.startTime, segment.endTime, segment.confidence])).toEqual([
+      ['first part', 0.5, 2, 0.8],
+      ['second part', 2, 4.5, 0.6]
+    ]);
+    expect(result.segments[0].words[0]).toEqual({ word: 'first', startTime: 0.5, endTime: 1, confidence: 0.8 });
+  });
+
+  it('leaves diarization out for one speaker', async () => {
+    const client = createClient([]);
+    const provider = new GoogleSpeechProvider(logger, { client });
+    const filePath = await writeRecording('channel.wav', wav({ data: interleaved(1, 800) }));
+
+    await provider.transcribe(filePath, { model: 'phone_call', languageCode: 'bn-BD', duration: 5, speaker: 'caller' });
+
+    expect(client.recognize.mock.calls[0][0].config.enableSpeakerDiarization).toBeUndefined();
+  });
+
+  describe('audio', () => {
+    async function sentRequest(name, buffer) {
+      const client = createClient([]);
+      const provider = new GoogleSpeechProvider(logger, { client });
+      const filePath = await writeRecording(name, buffer);
+      const audio = await AudioInspector.inspect(filePath);
+
+      await provider.transcribe(filePath, { model: 'phone_call', languageCode: 'bn-BD', duration: 5, audio });
+
+      const [request] = client.recognize.mock.calls[0];
+      return { config: request.config, content: Buffer.from(request.audio.content, 'base64') };
+    }
+
+    it('sends the samples of 16-bit PCM with their rate and channels', async () => {
+      const data = interleaved(2, 400);
+      const { config, content } = await sentRequest('stereo.wav', wav({ sampleRate: 16000, channels: 2, data }));
+
+      expect(config).toMatchObject({ encoding: 'LINEAR16', sampleRateHertz: 16000, audioChannelCount: 2 });
+      expect(content.equals(data)).toBe(true);
+    });
+
+    it('sends μ-law as recorded and converts A-law to LINEAR16', async () => {
+      const mulaw = await sentRequest('mulaw.wav', wav({ formatTag: 7, bitsPerSample: 8, data: Buffer.alloc(100, 0xFF) }));
+      expect(mulaw.config).toMatchObject({ encoding: 'MULAW', sampleRateHertz: 8000 });
+      expect(mulaw.content.length).toBe(100);
+
+      const alaw = await sentRequest('alaw.wav', wav({ formatTag: 6, bitsPerSample: 8, data: Buffer.from([0xD5, 0x55]) }));
+      expect(alaw.config).toMatchObject({ encoding: 'LINEAR16' });
+      expect([alaw.content.readInt16LE(0), alaw.content.readInt16LE(2)]).toEqual([8, -8]);
+    });
+
+    it('sends MP3 files whole', async () => {
+      const file = mp3({ frames: 20, mono: true, mpeg2: true });
+      const { config, content } = await sentRequest('call.mp3', file);
+
+      expect(config).toMatchObject({ encoding: 'MP3', sampleRateHertz: 16000 });
+      expect(config.audioChannelCount).toBeUndefined();
+      expect(content.equals(file)).toBe(true);
+    });
+
+    it('rejects audio over the inline request limit before calling Google', async () => {
+      const client = createClient([]);
+      const provider = new GoogleSpeechProvider(logger, { client });
+      const filePath = await writeRecording('large.wav', wav({ data: Buffer.alloc(10 * 1024 * 1024 + 2) }));
+      const audio = await AudioInspector.inspect(filePath);
+
+      await expect(provider.transcribe(filePath, { model: 'phone_call', languageCode: 'bn-BD', audio }))
+        .rejects.toThrow("Audio of large.wav is 10485762 bytes, over Google's 10485760 byte limit for inline audio");
+      expect(client.longRunningRecognize).not.toHaveBeenCalled();
+    });
+
+    it('rejects codecs Google does not take', async () => {
+      await expect(sentRequest('adpcm.wav', wav({ formatTag: 0x11, bitsPerSample: 4, data: Buffer.alloc(100) })))
+        .rejects.toThrow('Unsupported audio codec wav_0x0011');
+    });
+  });
+
+  it('converts other PCM sample formats to LINEAR16', () => {
+    const float = Buffer.alloc(12);
+    [0.5, -2, 1].forEach((value, index) => float.writeFloatLE(value, index * 4));
+    const converted = GoogleSpeechProvider.toLinear16(float, 'pcm_f32le');
+
+    expect([0, 1, 2].map(index => converted.readInt16LE(index * 2))).toEqual([16384, -32767, 32767]);
+    expect(GoogleSpeechProvider.toLinear16(Buffer.from([128, 255]), 'pcm_u8').readInt16LE(2)).toBe(127 << 8);
+    expect(GoogleSpeechProvider.toLinear16(Buffer.alloc(2), 'opus')).toBeNull();
+  });
+
+  it('is only available with credentials or a client', () => {
+    const previous = process.env.GOOGLE_APPLICATION_CREDENTIALS;
+    delete process.env.GOOGLE_APPLICATION_CREDENTIALS;
+
+    try {
+      expect(new GoogleSpeechProvider(logger).isAvailable()).toBe(false);
+      expect(new GoogleSpeechProvider(logger, { credentials: '/etc/key.json' }).isAvailable()).toBe(true);
+      expect(new GoogleSpeechProvider(logger, { client: createClient([]) }).isAvailable()).toBe(true);
+    } finally {
+      if (previous !== undefined) process.env.GOOGLE_APPLICATION_CREDENTIALS = previous;
+    }
+  });
+});
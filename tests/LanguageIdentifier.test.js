@@ -0,0 +1,53 @@
+const LanguageIdentifier = require('../lib/LanguageIdentifier');
+
+describe('LanguageIdentifier', () => {
+  test('labels native scripts with the hint locale', () => {
+    expect(LanguageIdentifier.identify('আমার বিল কত টাকা', 'bn-IN')).toMatchObject({
+      language: 'bn-IN', mixed: false, confidence: 1
+    });
+    expect(LanguageIdentifier.identify('मेरा बिल कितना है').language).toBe('hi-IN');
+  });
+
+  test('labels English text', () => {
+    expect(LanguageIdentifier.identify('my internet is not working', 'bn-BD')).toMatchObject({
+      language: 'en-US', languages: ['en-US'], mixed: false
+    });
+  });
+
+  test('labels Banglish with unlisted words', () => {
+    expect(LanguageIdentifier.identify('amar internet kaj korche na')).toMatchObject({
+      language: 'bn-Latn', languages: ['bn-Latn', 'en-US'], mixed: true
+    });
+  });
+
+  test('labels Hinglish', () => {
+    expect(LanguageIdentifier.identify('mera internet kaam nahi kar raha', 'hi-IN').language).toBe('hi-Latn');
+  });
+
+  test('breaks ties toward the romanized form of the hint, not English', () => {
+    expect(LanguageIdentifier.identify('amar internet', 'bn-BD').language).toBe('bn-Latn');
+    expect(LanguageIdentifier.identify('dslr router', 'bn-BD').language).toBe('bn-Latn');
+    expect(LanguageIdentifier.identify('dslr router', 'hi-IN').language).toBe('hi-Latn');
+    expect(LanguageIdentifier.identify('dslr router', 'en-US').language).toBe('en-US');
+    expect(LanguageIdentifier.identify('dslr router').language).toBe('bn-Latn');
+  });
+
+  test('counts words shared by Banglish and Hinglish half for each', () => {
+    expect(LanguageIdentifier.countWords('thik na')).toMatchObject({ 'bn-Latn': 1, 'hi-Latn': 1, en: 0 });
+    expect(LanguageIdentifier.identify('thik ache').mixed).toBe(false);
+  });
+
+  test('flags code-mixed text and lists languages by frequency', () => {
+    const result = LanguageIdentifier.identify('আমার bill payment হয়নি please check', 'bn-BD');
+
+    expect(result.languages).toEqual(['en-US', 'bn-BD']);
+    expect(result.mixed).toBe(true);
+    expect(result.confidence).toBe(0.67);
+  });
+
+  test('keeps the hint for text without words', () => {
+    expect(LanguageIdentifier.identify('... 123', 'bn-BD')).toEqual({
+      language: 'bn-BD', languages: ['bn-BD'], mixed: false, confidence: null
+    });
+  });
+});
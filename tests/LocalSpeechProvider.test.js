@@ -0,0 +1,95 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const pino = require('pino');
+const LocalSpeechProvider = require('../lib/stt/LocalSpeechProvider');
+
+const logger = pino({ level: 'silent' });
+
+// Stand-in for whisper-cli: records its arguments next to itself, fails while
+// a "fail" file is there, else writes the full JSON output for -of
+const FAKE_CLI = `#!/usr/bin/env node
+const fs = require('fs');
+const path = require('path');
+const args = process.argv.slice(2);
+fs.writeFileSync(path.join(__dirname, 'args.json'), JSON.stringify(args));
+if (fs.existsSync(path.join(__dirname, 'fail'))) {
+  process.stderr.write('model not found\\n');
+  process.exit(2);
+}
+const tokens = [
+  { text: '[_BEG_]', offsets: { from: 0, to: 0 }, p: 0.9 },
+  { text: ' ami', offsets: { from: 0, to: 400 }, p: 0.9 },
+  { text: ' inter', offsets: { from: 400, to: 700 }, p: 0.8 },
+  { text: 'net', offsets: { from: 700, to: 1000 }, p: 0.6 },
+  { text: ' chai', offsets: { from: 1000, to: 2000 }, p: 0.7 }
+];
+fs.writeFileSync(args[args.indexOf('-of') + 1] + '.json', JSON.stringify({
+  transcription: [{ offsets: { from: 500, to: 2000 }, text: ' ami internet chai', tokens }]
+}));
+`;
+
+describe('LocalSpeechProvider', () => {
+  let workDir;
+  let binary;
+  let recording;
+
+  beforeAll(async () => {
+    workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'local-stt-'));
+    binary = path.join(workDir, 'whisper-cli');
+    recording = path.join(workDir, 'call.wav');
+    await fs.writeFile(binary, FAKE_CLI, { mode: 0o755 });
+    await fs.writeFile(recording, 'RIFF');
+  });
+
+  afterAll(async () => {
+    await fs.rm(workDir, { recursive: true, force: true });
+  });
+
+  const createProvider = (options = {}) => new LocalSpeechProvider(logger, { binary, modelDir: '/models', ...options });
+
+  it('runs the engine and reads its JSON output back', async () => {
+    const provider = createProvider({ threads: 2 });
+
+    const result = await provider.transcribe(recording, { model: 'ggml-small', languageCode: 'bn-BD', duration: 12 });
+
+    const args = JSON.parse(await fs.readFile(path.join(workDir, 'args.json'), 'utf8'));
+    expect(args.slice(0, 6)).toEqual(['-m', '/models/ggml-small.bin', '-l', 'bn', '-f', recording]);
+    expect(args).toEqual(expect.arrayContaining(['-ojf', '-np', '-t', '2']));
+
+    expect(result).toMatchObject({ provider: 'local', model: 'ggml-small', language: 'bn-BD', duration: 12 });
+    expect(result.segments).toHaveLength(1);
+    expect(result.segments[0]).toMatchObject({ text: 'ami internet chai', speaker: 'caller', startTime: 0.5, endTime: 2 });
+    expect(result.segments[0].words).toEqual([
+      { word: 'ami', startTime: 0, endTime: 0.4, confidence: 0.9 },
+      { word: 'internet', startTime: 0.4, endTime: 1, confidence: expect.closeTo(0.7, 6) },
+      { word: 'chai', startTime: 1, endTime: 2, confidence: 0.7 }
+    ]);
+  });
+
+  it('removes its output directory afterwards', async () => {
+    const before = (await fs.readdir(os.tmpdir())).filter(name => name.startsWith('stt-')).length;
+
+    await createProvider().transcribe(recording, { model: 'ggml-base', languageCode: 'en-US' });
+
+    const after = (await fs.readdir(os.tmpdir())).filter(name => name.startsWith('stt-')).length;
+    expect(after).toBe(before);
+  });
+
+  it('reports the output of a failed run', async () => {
+    await fs.writeFile(path.join(workDir, 'fail'), '');
+
+    try {
+      await expect(createProvider().transcribe(recording, { model: 'ggml-base', languageCode: 'bn-BD' }))
+        .rejects.toThrow(`${binary} failed: model not found`);
+    } finally {
+      await fs.rm(path.join(workDir, 'fail'));
+    }
+  });
+
+  it('rejects model names that are not plain file names', async () => {
+    await expect(createProvider().transcribe(recording, { model: '../ggml-base', languageCode: 'bn-BD' }))
+      .rejects.toThrow('Invalid local STT model "../ggml-base"');
+    expect(createProvider().modelPath('ggml-tiny.bin')).toBe('/models/ggml-tiny.bin');
+  });
+});
@@ -0,0 +1,90 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const pino = require('pino');
+const SQLiteStorage = require('../lib/storage/SQLiteStorage');
+const MigrationRunner = require('../lib/MigrationRunner');
+
+const logger = pino({ level: 'silent' });
+
+const createStorage = async () => {
+  process.env.SQLITE_PATH = ':memory:';
+  const storage = new SQLiteStorage(logger);
+  await storage.connect();
+  return storage;
+};
+
+const tables = storage => storage.db
+  .prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%' AND name NOT LIKE '%_fts%'")
+  .all()
+  .map(row => row.name)
+  .sort();
+
+describe('MigrationRunner', () => {
+  let storage;
+  let runner;
+  const migrationCount = fs.readdirSync(path.join(__dirname, '..', 'database', 'migrations'))
+    .filter(file => /^\d+_[\w-]+\.js$/.test(file)).length;
+
+  beforeEach(async () => {
+    storage = await createStorage();
+    runner = new MigrationRunner(logger, storage);
+  });
+
+  afterEach(async () => {
+    await storage.close();
+  });
+
+  test('applies every migration in order and records it', async () => {
+    const applied = await runner.migrate();
+
+    expect(applied).toHaveLength(migrationCount);
+    expect(applied[0]).toBe('001_initial_schema');
+    expect(applied).toEqual([...applied].sort());
+    expect(tables(storage)).toEqual(expect.arrayContaining([
+      'call_transcripts', 'transcript_segments', 'audio_events', 'prompt_catalog', 'schema_migrations'
+    ]));
+
+    const status = await runner.status();
+    expect(status.every(migration => migration.applied)).toBe(true);
+  });
+
+  test('is a no-op when the schema is up to date', async () => {
+    await runner.migrate();
+    await expect(runner.migrate()).resolves.toEqual([]);
+  });
+
+  test('rolls back the latest migrations and re-applies them', async () => {
+    await runner.migrate();
+
+    const reverted = await runner.rollback(2);
+    expect(reverted).toHaveLength(2);
+
+    const status = await runner.status();
+    expect(status.filter(migration => !migration.applied).map(migration => migration.version))
+      .toEqual(status.slice(-2).map(migration => migration.version));
+
+    await expect(runner.migrate()).resolves.toEqual(reverted.reverse());
+  });
+
+  test('rolls back to an empty schema and migrates again', async () => {
+    await runner.migrate();
+    await runner.rollback(migrationCount);
+
+    expect(tables(storage)).toEqual(['schema_migrations']);
+    await expect(runner.migrate()).resolves.toHaveLength(migrationCount);
+  });
+
+  test('rejects migrations without statements for the dialect', async () => {
+    const migrationsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'migrations-'));
+    fs.writeFileSync(path.join(migrationsDir, '001_mysql_only.js'),
+      'module.exports = { mysql: { up: [], down: [] } };');
+
+    try {
+      await expect(new MigrationRunner(logger, storage, migrationsDir).migrate())
+        .rejects.toThrow('Migration 001_mysql_only.js must export "up" and "down" statement arrays for sqlite');
+    } finally {
+      fs.rmSync(migrationsDir, { recursive: true, force: true });
+    }
+  });
+});
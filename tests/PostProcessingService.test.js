@@ -0,0 +1,59 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const pino = require('pino');
+const PostProcessingService = require('../lib/PostProcessingService');
+
+// The constructor opens a Bull queue; these tests only need the processing steps
+const createService = (recordingPath, downloader) => {
+  const service = Object.create(PostProcessingService.prototype);
+  service.config = { recordingPath };
+  service.logger = pino({ level: 'silent' });
+  service.downloader = downloader;
+  return service;
+};
+
+describe('PostProcessingService', () => {
+  let recordingPath;
+
+  beforeEach(() => {
+    recordingPath = fs.mkdtempSync(path.join(os.tmpdir(), 'post-processing-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(recordingPath, { recursive: true, force: true });
+  });
+
+  test('keeps recording files inside the recording directory', async () => {
+    const fileBases = [];
+    const service = createService(recordingPath, {
+      download: async (url, fileBase) => {
+        fileBases.push(fileBase);
+        return { filePath: `${fileBase}.wav` };
+      }
+    });
+
+    await service.downloadRecording({ call_sid: '../../etc/cron.d/job', recording_url: 'https://r.example.com/a.wav' });
+    await service.downloadRecording({ call_sid: 'CA-123_abc', recording_url: 'https://r.example.com/a.wav' });
+
+    expect(path.dirname(fileBases[0])).toBe(path.resolve(recordingPath));
+    expect(path.basename(fileBases[0])).toMatch(/^______etc_cron_d_job_\d+$/);
+    expect(path.basename(fileBases[1])).toMatch(/^CA-123_abc_\d+$/);
+  });
+
+  test('removes the downloaded recording when a later step fails', async () => {
+    const service = createService(recordingPath, {
+      download: async (url, fileBase) => {
+        fs.writeFileSync(`${fileBase}.wav`, Buffer.alloc(100));
+        return { filePath: `${fileBase}.wav`, bytes: 100 };
+      }
+    });
+    service.transcribeAudio = async () => {
+      throw new Error('Transcription failed: quota exceeded');
+    };
+
+    await expect(service.processRecording({ call_sid: 'CA1', recording_url: 'https://r.example.com/a.wav' }))
+      .rejects.toThrow('quota exceeded');
+    expect(fs.readdirSync(recordingPath)).toEqual([]);
+  });
+});
@@ -0,0 +1,88 @@
+const pino = require('pino');
+const PromptCatalog = require('../lib/PromptCatalog');
+
+const logger = pino({ level: 'silent' });
+
+const entry = (id, pattern, match_type, extra = {}) => ({
+  id, pattern, match_type, text: `prompt ${id}`, language: 'bn-BD', priority: 0, enabled: 1, ...extra
+});
+
+const catalogWith = async entries => {
+  const catalog = new PromptCatalog(logger, { getPromptCatalog: async () => entries });
+  await catalog.load();
+  return catalog;
+};
+
+describe('PromptCatalog', () => {
+  test('matches exact paths and file names', async () => {
+    const catalog = await catalogWith([
+      entry('1', '/var/prompts/welcome.wav', 'exact'),
+      entry('2', 'goodbye.wav', 'exact')
+    ]);
+
+    expect(catalog.match('/var/prompts/welcome.wav').id).toBe('1');
+    expect(catalog.match('{volume=2}/var/prompts/welcome.wav').id).toBe('1');
+    expect(catalog.match('/other/dir/goodbye.wav').id).toBe('2');
+    expect(catalog.match('/other/dir/welcome.wav')).toBeNull();
+  });
+
+  test('matches globs within and across path segments', async () => {
+    const catalog = await catalogWith([
+      entry('1', 'menu_*.wav', 'glob'),
+      entry('2', '/var/prompts/**/hold.wav', 'glob'),
+      entry('3', '/var/prompts/?/x.wav', 'glob')
+    ]);
+
+    expect(catalog.match('/any/where/menu_main.wav').id).toBe('1');
+    expect(catalog.match('/var/prompts/bn/music/hold.wav').id).toBe('2');
+    expect(catalog.match('/var/prompts/a/x.wav').id).toBe('3');
+    expect(catalog.match('/var/prompts/ab/x.wav')).toBeNull();
+  });
+
+  test('prefers exact entries, then priority, then the longest pattern', async () => {
+    const catalog = await catalogWith([
+      entry('short', '*.wav', 'glob'),
+      entry('long', 'menu_*.wav', 'glob'),
+      entry('priority', '.*menu.*', 'regex', { priority: 10 }),
+      entry('exact', 'menu_main.wav', 'exact'),
+      entry('disabled', 'menu_other.wav', 'exact', { enabled: 0 })
+    ]);
+
+    expect(catalog.match('/p/menu_main.wav').id).toBe('exact');
+    expect(catalog.match('/p/menu_other.wav').id).toBe('priority');
+    expect(catalog.match('/p/other.wav').id).toBe('short');
+  });
+
+  test('skips stored entries that no longer compile', async () => {
+    const catalog = await catalogWith([
+      entry('1', '(a+)+$', 'regex'),
+      entry('2', 'x'.repeat(300), 'glob'),
+      entry('3', 'ok.wav', 'exact')
+    ]);
+
+    expect(catalog.getStats()).toMatchObject({ entries: 1, exact: 1, patterns: 0 });
+  });
+
+  test('rejects regexes that backtrack exponentially', () => {
+    ['(a+)+$', '(a|aa)*b', '(?:x*)+y', '([a-z]+){2,}', '((ab)*c)+', '(a)\\1'].forEach(pattern => {
+      expect(() => PromptCatalog.validate({ pattern, match_type: 'regex' })).toThrow('Invalid regex pattern: Unsafe');
+    });
+  });
+
+  test('accepts ordinary regexes', () => {
+    ['^/prompts/(welcome|greeting)_\\d+\\.wav$', '(\\w+\\.)?wav', '[(+)]+\\.wav', '(?<lang>bn|en)/menu\\.wav']
+      .forEach(pattern => {
+        expect(() => PromptCatalog.validate({ pattern, match_type: 'regex' })).not.toThrow();
+      });
+  });
+
+  test('rejects long and invalid patterns', () => {
+    expect(() => PromptCatalog.validate({ pattern: 'a'.repeat(201), match_type: 'regex' }))
+      .toThrow('limited to 200 characters');
+    expect(() => PromptCatalog.validate({ pattern: '*'.repeat(201), match_type: 'glob' }))
+      .toThrow('limited to 200 characters');
+    expect(() => PromptCatalog.validate({ pattern: '(', match_type: 'regex' })).toThrow('Invalid regex pattern');
+    expect(() => PromptCatalog.validate({ pattern: 'x', match_type: 'fuzzy' })).toThrow('match_type must be one of');
+    expect(() => PromptCatalog.validate({ pattern: '/a/'.repeat(100), match_type: 'exact' })).not.toThrow();
+  });
+});
@@ -0,0 +1,187 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const crypto = require('crypto');
+const pino = require('pino');
+const RecordingDownloader = require('../lib/RecordingDownloader');
+
+const logger = pino({ level: 'silent' });
+const recording = Buffer.alloc(50000, 7);
+const recordingSha256 = crypto.createHash('sha256').update(recording).digest('hex');
+
+describe('RecordingDownloader', () => {
+  let server;
+  let base;
+  let host;
+  let workDir;
+  let flakyRequests;
+  let redirectedAuth;
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      const url = new URL(req.url, 'http://stub');
+      const send = (headers, body = recording) => {
+        res.writeHead(200, headers);
+        res.end(body);
+      };
+
+      switch (url.pathname) {
+        case '/basic.wav':
+          if (req.headers.authorization !== `Basic ${Buffer.from('user:pass').toString('base64')}`) {
+            res.writeHead(401);
+            return res.end();
+          }
+          return send({ 'Content-Type': 'audio/x-wav', 'Content-Length': recording.length });
+        case '/bearer':
+          if (req.headers.authorization !== 'Bearer token') {
+            res.writeHead(403);
+            return res.end();
+          }
+          return send({ 'Content-Type': 'audio/mpeg' });
+        case '/signed.wav': {
+          const expires = url.searchParams.get('expires');
+          const signature = crypto.createHmac('sha256', 'secret').update(`${url.pathname}:${expires}`).digest('hex');
+          if (signature !== url.searchParams.get('signature')) {
+            res.writeHead(403);
+            return res.end();
+          }
+          return send({ 'Content-Type': 'audio/wav' });
+        }
+        case '/flaky.wav':
+          if (flakyRequests++ < 2) {
+            res.writeHead(503);
+            return res.end();
+          }
+          return send({ 'Content-Type': 'audio/wav' });
+        case '/html':
+          return send({ 'Content-Type': 'text/html' }, '<html></html>');
+        case '/truncated.wav':
+          res.writeHead(200, { 'Content-Type': 'audio/wav', 'Content-Length': recording.length });
+          res.write(recording.subarray(0, 1000));
+          return res.socket.destroy();
+        case '/redirect-same':
+          res.writeHead(302, { Location: `${base}/basic.wav` });
+          return res.end();
+        case '/redirect-other':
+          res.writeHead(302, { Location: `http://localhost:${server.address().port}/leak.wav` });
+          return res.end();
+        case '/leak.wav':
+          redirectedAuth = req.headers.authorization || null;
+          return send({ 'Content-Type': 'audio/wav' });
+        default:
+          res.writeHead(404);
+          return res.end();
+      }
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    host = `127.0.0.1:${server.address().port}`;
+    base = `http://${host}`;
+  });
+
+  afterAll(async () => {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'recordings-'));
+    flakyRequests = 0;
+    redirectedAuth = undefined;
+  });
+
+  afterEach(() => {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  });
+
+  const downloader = (options = {}) => new RecordingDownloader(logger, {
+    allowedHosts: [host],
+    retryDelay: 10,
+    timeout: 1000,
+    ...options
+  });
+
+  test('downloads with basic auth and reports size, type and checksum', async () => {
+    const result = await downloader({ auth: 'basic', username: 'user', password: 'pass' })
+      .download(`${base}/basic.wav`, path.join(workDir, 'call'));
+
+    expect(result).toMatchObject({
+      filePath: path.join(workDir, 'call.wav'),
+      bytes: recording.length,
+      contentType: 'audio/x-wav',
+      sha256: recordingSha256,
+      attempts: 1
+    });
+    expect(fs.readFileSync(result.filePath)).toEqual(recording);
+  });
+
+  test('rejects wrong credentials without retrying', async () => {
+    await expect(downloader({ auth: 'basic', username: 'user', password: 'wrong' })
+      .download(`${base}/basic.wav`, path.join(workDir, 'call')))
+      .rejects.toMatchObject({ message: 'HTTP 401', retryable: false });
+  });
+
+  test('names the file after the Content-Type when the URL has no extension', async () => {
+    const result = await downloader({ auth: 'bearer', token: 'token' })
+      .download(`${base}/bearer`, path.join(workDir, 'call'));
+
+    expect(result.filePath).toBe(path.join(workDir, 'call.mp3'));
+  });
+
+  test('signs URLs with an expiring HMAC', async () => {
+    const result = await downloader({ auth: 'signed', signingSecret: 'secret' })
+      .download(`${base}/signed.wav`, path.join(workDir, 'call'));
+
+    expect(result.sha256).toBe(recordingSha256);
+  });
+
+  test('signed auth without a secret fails without retrying', async () => {
+    await expect(downloader({ auth: 'signed' }).download(`${base}/signed.wav`, path.join(workDir, 'call')))
+      .rejects.toMatchObject({ retryable: false });
+  });
+
+  test('retries 5xx responses', async () => {
+    const result = await downloader().download(`${base}/flaky.wav`, path.join(workDir, 'call'));
+
+    expect(result.attempts).toBe(3);
+  });
+
+  test('rejects unexpected content types and oversized recordings', async () => {
+    await expect(downloader().download(`${base}/html`, path.join(workDir, 'call')))
+      .rejects.toThrow('Unexpected content type "text/html"');
+    await expect(downloader({ maxBytes: 1000 }).download(`${base}/basic.wav`, path.join(workDir, 'call')))
+      .rejects.toMatchObject({ retryable: false });
+  });
+
+  test('leaves no partial file behind after a truncated download', async () => {
+    await expect(downloader({ retries: 1 }).download(`${base}/truncated.wav`, path.join(workDir, 'call')))
+      .rejects.toMatchObject({ retryable: true });
+    expect(fs.readdirSync(workDir)).toEqual([]);
+  });
+
+  test('refuses URLs off the allowed hosts', async () => {
+    const strict = downloader({ allowedHosts: ['recordings.example.com'] });
+
+    await expect(strict.download(`${base}/basic.wav`, path.join(workDir, 'call')))
+      .rejects.toMatchObject({ retryable: false });
+    expect(strict.isAllowedUrl('https://recordings.example.com/a.wav')).toBe(true);
+    expect(strict.isAllowedUrl('ftp://recordings.example.com/a.wav')).toBe(false);
+    expect(strict.isAllowedUrl('https://recordings.example.com.evil.test/a.wav')).toBe(false);
+    expect(strict.isAllowedUrl('not a url')).toBe(false);
+    expect(new RecordingDownloader(logger, { allowedHosts: ['*.example.com'] })
+      .isAllowedUrl('https://eu.recordings.example.com/a.wav')).toBe(true);
+    expect(new RecordingDownloader(logger).isAllowedUrl('https://recordings.example.com/a.wav')).toBe(false);
+  });
+
+  test('follows redirects on allowed hosts only', async () => {
+    const credentials = { auth: 'basic', username: 'user', password: 'pass' };
+
+    const result = await downloader(credentials).download(`${base}/redirect-same`, path.join(workDir, 'call'));
+    expect(result.bytes).toBe(recording.length);
+
+    await expect(downloader(credentials).download(`${base}/redirect-other`, path.join(workDir, 'other')))
+      .rejects.toMatchObject({ retryable: false });
+    expect(redirectedAuth).toBeUndefined();
+  });
+});
@@ -0,0 +1,88 @@
+const pino = require('pino');
+const { createStorage } = require('../lib/storage');
+const MigrationRunner = require('../lib/MigrationRunner');
+
+const logger = pino({ level: 'silent' });
+
+describe('SQLiteStorage', () => {
+  let storage;
+
+  beforeEach(async () => {
+    process.env.SQLITE_PATH = ':memory:';
+    storage = createStorage('sqlite', logger);
+    await storage.connect();
+    await new MigrationRunner(logger, storage).migrate();
+  });
+
+  afterEach(async () => {
+    await storage.close();
+  });
+
+  test('is selected by DB_DRIVER', () => {
+    expect(storage.dialect).toBe('sqlite');
+    expect(createStorage('MySQL', logger).dialect).toBe('mysql');
+    expect(() => createStorage('postgres', logger)).toThrow('Unknown DB_DRIVER "postgres"');
+  });
+
+  test('links segments stored before their call row', async () => {
+    await storage.insertTranscriptSegment({
+      call_sid: 'CA1', segment_type: 'tts', text: 'early prompt', speaker: 'agent', start_time: new Date()
+    });
+    const { insertId } = await storage.insertCallTranscript({ call_sid: 'CA1', start_time: new Date() });
+
+    const [segment] = await storage.getTranscriptSegments('CA1');
+    expect(segment.call_transcript_id).toBe(insertId);
+  });
+
+  test('updates stored segments', async () => {
+    const { insertId } = await storage.insertTranscriptSegment({
+      call_sid: 'CA1', segment_type: 'tts', text: 'prompt', speaker: 'agent', start_time: '2026-01-05T10:00:00Z'
+    });
+
+    await storage.updateTranscriptSegment(insertId, { end_time: Date.parse('2026-01-05T10:00:04Z'), duration_ms: 4000 });
+
+    const [segment] = await storage.getTranscriptSegments('CA1');
+    expect(segment).toMatchObject({ end_time: '2026-01-05T10:00:04.000Z', duration_ms: 4000 });
+  });
+
+  test('searches segment text within a time range', async () => {
+    await storage.insertCallTranscript({ call_sid: 'CA1', start_time: '2026-01-05T10:00:00Z' });
+    await storage.insertTranscriptSegments([
+      { call_sid: 'CA1', segment_type: 'stt', text: 'my internet is down', speaker: 'caller', start_time: '2026-01-05T10:00:05Z' },
+      { call_sid: 'CA1', segment_type: 'tts', text: 'please hold', speaker: 'agent', start_time: '2026-01-05T10:00:09Z' }
+    ]);
+
+    const results = await storage.searchTranscripts('internet', '2026-01-05T00:00:00Z', '2026-01-06T00:00:00Z');
+    expect(results.map(result => [result.call_sid, result.text])).toEqual([['CA1', 'my internet is down']]);
+
+    await expect(storage.searchTranscripts('internet', '2026-01-06T00:00:00Z', '2026-01-07T00:00:00Z'))
+      .resolves.toEqual([]);
+    // FTS5 syntax in the search text is matched literally
+    await expect(storage.searchTranscripts('internet" OR "x', '2026-01-05T00:00:00Z', '2026-01-06T00:00:00Z'))
+      .resolves.toHaveLength(1);
+  });
+
+  test('filters calls by metadata values as MySQL compares them', async () => {
+    await storage.insertCallTranscript({ call_sid: 'CA1', start_time: new Date(), metadata: { vip: true, attempts: 2 } });
+    await storage.insertCallTranscript({ call_sid: 'CA2', start_time: new Date(), metadata: { vip: false, attempts: '2' } });
+
+    const callSids = async filters => (await storage.getRecentTranscripts(50, filters)).map(call => call.call_sid);
+
+    await expect(callSids({ vip: true })).resolves.toEqual(['CA1']);
+    await expect(callSids({ vip: 'false' })).resolves.toEqual(['CA2']);
+    await expect(callSids({ vip: 1 })).resolves.toEqual([]);
+    await expect(callSids({ attempts: 2, vip: false })).resolves.toEqual(['CA2']);
+  });
+
+  test('keeps prompt catalog entries', async () => {
+    const { insertId } = await storage.insertPromptCatalogEntry({
+      pattern: '*/welcome.wav', match_type: 'glob', text: 'Welcome', priority: 5
+    });
+
+    await storage.updatePromptCatalogEntry(insertId, { enabled: 0 });
+    expect(await storage.getPromptCatalogEntry(insertId)).toMatchObject({ pattern: '*/welcome.wav', enabled: 0 });
+
+    await storage.deletePromptCatalogEntry(insertId);
+    await expect(storage.getPromptCatalog()).resolves.toEqual([]);
+  });
+});
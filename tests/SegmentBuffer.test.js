@@ -0,0 +1,133 @@
+const pino = require('pino');
+const SegmentBuffer = require('../lib/SegmentBuffer');
+
+const logger = pino({ level: 'silent' });
+
+const segment = (id, extra = {}) => ({ id, call_sid: 'CA1', text: `segment ${id}`, ...extra });
+
+// Stores segments like insertTranscriptSegments, rejecting whole batches
+// that hold a poison row, or everything while `down` is set
+const createDatabase = () => {
+  const database = {
+    rows: [],
+    calls: 0,
+    down: false,
+    async insertTranscriptSegments(segments) {
+      database.calls++;
+      if (database.down) {
+        throw Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' });
+      }
+      if (segments.some(s => s.poison)) {
+        throw Object.assign(new Error("Data too long for column 'text'"), { code: 'ER_DATA_TOO_LONG' });
+      }
+      database.rows.push(...segments);
+      return { affectedRows: segments.length };
+    }
+  };
+  return database;
+};
+
+describe('SegmentBuffer', () => {
+  test('flushes once a batch is full', async () => {
+    const db = createDatabase();
+    const buffer = new SegmentBuffer(logger, db, null, { batchSize: 3, flushInterval: 60000 });
+
+    buffer.add(segment(1));
+    buffer.add(segment(2));
+    expect(db.calls).toBe(0);
+
+    buffer.add(segment(3));
+    await buffer.activeFlush;
+
+    expect(db.rows.map(row => row.id)).toEqual([1, 2, 3]);
+    expect(buffer.getStats()).toMatchObject({ pending: 0, flushes: 1, flushedSegments: 3 });
+  });
+
+  test('updates segments that are still pending in place', async () => {
+    const db = createDatabase();
+    const buffer = new SegmentBuffer(logger, db, null, { batchSize: 10 });
+
+    buffer.add(segment(1));
+    await expect(buffer.update(1, { end_time: 'later' })).resolves.toBe(true);
+    await expect(buffer.update(2, { end_time: 'later' })).resolves.toBe(false);
+
+    await buffer.flush();
+    expect(db.rows[0].end_time).toBe('later');
+    await expect(buffer.update(1, { end_time: 'again' })).resolves.toBe(false);
+  });
+
+  test('keeps the batch while the database is unavailable', async () => {
+    const db = createDatabase();
+    const buffer = new SegmentBuffer(logger, db, null, { batchSize: 10 });
+
+    db.down = true;
+    buffer.add(segment(1));
+    buffer.add(segment(2));
+    await expect(buffer.flush()).rejects.toThrow('ECONNREFUSED');
+    buffer.add(segment(3));
+
+    expect(buffer.getStats()).toMatchObject({ pending: 3, failedFlushes: 1, rejectedSegments: 0 });
+
+    db.down = false;
+    await buffer.flush();
+    expect(db.rows.map(row => row.id)).toEqual([1, 2, 3]);
+  });
+
+  test('drops only the rows the database rejects', async () => {
+    const db = createDatabase();
+    const buffer = new SegmentBuffer(logger, db, null, { batchSize: 100 });
+
+    for (let id = 1; id <= 8; id++) {
+      buffer.add(segment(id, { poison: id === 3 || id === 6 }));
+    }
+
+    await expect(buffer.flush()).resolves.toEqual({ affectedRows: 6 });
+    expect(db.rows.map(row => row.id)).toEqual([1, 2, 4, 5, 7, 8]);
+    expect(buffer.getStats()).toMatchObject({ pending: 0, rejectedSegments: 2, flushedSegments: 6 });
+
+    // Later batches are no longer held up
+    buffer.add(segment(9));
+    await buffer.flush();
+    expect(db.rows.map(row => row.id)).toContain(9);
+  });
+
+  test('requeues unwritten rows when the database goes away while salvaging', async () => {
+    const db = createDatabase();
+    const buffer = new SegmentBuffer(logger, db, null, { batchSize: 100 });
+    const insert = db.insertTranscriptSegments;
+
+    // The full batch and its first half are written to, then the connection drops
+    db.insertTranscriptSegments = async (segments) => {
+      if (db.calls === 2) db.down = true;
+      return insert(segments);
+    };
+
+    [1, 2, 3, 4].forEach(id => buffer.add(segment(id, { poison: id === 4 })));
+    await expect(buffer.flush()).rejects.toThrow('ECONNREFUSED');
+
+    expect(db.rows.map(row => row.id)).toEqual([1, 2]);
+    expect(buffer.segments.map(s => s.id)).toEqual([3, 4]);
+  });
+
+  test('drops the oldest segments beyond maxBufferSize', () => {
+    const db = createDatabase();
+    const buffer = new SegmentBuffer(logger, db, null, { batchSize: 10, maxBufferSize: 2 });
+    buffer.activeFlush = new Promise(() => {});
+
+    [1, 2, 3].forEach(id => buffer.add(segment(id)));
+
+    expect(buffer.segments.map(s => s.id)).toEqual([2, 3]);
+    expect(buffer.getStats().droppedSegments).toBe(1);
+  });
+
+  test('classifies connection, lock and I/O errors as unavailability', () => {
+    expect(SegmentBuffer.isUnavailable({ code: 'PROTOCOL_CONNECTION_LOST' })).toBe(true);
+    expect(SegmentBuffer.isUnavailable({ code: 'ER_LOCK_DEADLOCK' })).toBe(true);
+    expect(SegmentBuffer.isUnavailable({ code: 'SQLITE_BUSY' })).toBe(true);
+    expect(SegmentBuffer.isUnavailable({ code: 'SQLITE_IOERR_WRITE' })).toBe(true);
+    expect(SegmentBuffer.isUnavailable({ code: 'SOMETHING', fatal: true })).toBe(true);
+    expect(SegmentBuffer.isUnavailable({ code: 'ER_DUP_ENTRY' })).toBe(false);
+    expect(SegmentBuffer.isUnavailable({ code: 'SQLITE_CONSTRAINT_PRIMARYKEY' })).toBe(false);
+    expect(SegmentBuffer.isUnavailable(new TypeError('bad segment'))).toBe(false);
+  });
+});
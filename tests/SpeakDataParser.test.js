@@ -0,0 +1,48 @@
+const SpeakDataParser = require('../lib/SpeakDataParser');
+
+describe('SpeakDataParser', () => {
+  it('splits engine, voice and plain text', () => {
+    expect(SpeakDataParser.parse('google_tts|en-US-Neural2-C| Your  bill is  ready . ')).toEqual({
+      engine: 'google_tts',
+      voice: 'en-US-Neural2-C',
+      language: 'en-US',
+      text: 'Your bill is ready.',
+      ssml: null,
+      raw: 'google_tts|en-US-Neural2-C| Your  bill is  ready . '
+    });
+  });
+
+  it('keeps "|" inside the text', () => {
+    expect(SpeakDataParser.parse('polly|Joanna|press 1 | or 2').text).toBe('press 1 | or 2');
+  });
+
+  it('treats data without engine and voice as text', () => {
+    expect(SpeakDataParser.parse('hello there')).toMatchObject({ engine: null, voice: null, language: null, text: 'hello there' });
+    expect(SpeakDataParser.parse(null)).toMatchObject({ text: '', raw: '' });
+  });
+
+  it('turns SSML into speakable text and keeps the markup', () => {
+    const ssml = '<speak>আপনার <break time="300ms"/>বিল <emphasis>১২০০</emphasis> টাকা।</speak>';
+    const parsed = SpeakDataParser.parse(`google_tts|bn-IN-Wavenet-A|${ssml}`);
+
+    expect(parsed).toMatchObject({ language: 'bn-IN', text: 'আপনার বিল ১২০০ টাকা।', ssml });
+  });
+
+  it('speaks aliases and drops audio, descriptions and marks', () => {
+    const ssml = '<speak><sub alias="World Wide Web">WWW</sub><audio src="beep.wav"><desc>beep</desc>fallback</audio>' +
+      '<mark name="m1"/><p>one</p><p>two</p><s>three</s></speak>';
+
+    expect(SpeakDataParser.parse(`tts|v|${ssml}`).text).toBe('World Wide Web one two three');
+  });
+
+  it('decodes entities, comments and CDATA', () => {
+    const ssml = '<speak>Tom &amp; Jerry &#2438;&#x9AE;&#x9BF; <!-- note --><![CDATA[5 < 6]]> &unknown;</speak>';
+
+    expect(SpeakDataParser.parse(`tts|v|${ssml}`).text).toBe('Tom & Jerry আমি 5 < 6 &unknown;');
+  });
+
+  it('takes the language from xml:lang without a locale voice', () => {
+    expect(SpeakDataParser.parse('tts|Aditi|<speak xml:lang="hi-IN">नमस्ते</speak>').language).toBe('hi-IN');
+    expect(SpeakDataParser.parse('tts|Aditi|<b>not ssml</b>')).toMatchObject({ language: null, ssml: null, text: '<b>not ssml</b>' });
+  });
+});
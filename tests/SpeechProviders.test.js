@@ -0,0 +1,138 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const pino = require('pino');
+const AudioInspector = require('../lib/AudioInspector');
+const SpeechProviders = require('../lib/stt/SpeechProviders');
+const { wav, interleaved } = require('./helpers/audio');
+
+const logger = pino({ level: 'silent' });
+
+describe('SpeechProviders', () => {
+  let workDir;
+  let recording;
+
+  beforeAll(async () => {
+    workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'speech-providers-'));
+    recording = path.join(workDir, 'call.wav');
+    await fs.writeFile(recording, wav({ data: interleaved(1, 800) }));
+  });
+
+  afterAll(async () => {
+    await fs.rm(workDir, { recursive: true, force: true });
+  });
+
+  describe('select', () => {
+    const providers = new SpeechProviders(logger, {
+      provider: 'google',
+      model: 'latest_long',
+      tenants: 'AClocal=local:ggml-small, ACfixture=fixture'
+    });
+    const select = options => {
+      const { provider, model } = providers.select(options);
+      return `${provider.name}:${model}`;
+    };
+
+    it('uses the default provider and model', () => {
+      expect(select()).toBe('google:latest_long');
+      expect(select({ tenant: 'ACunknown' })).toBe('google:latest_long');
+    });
+
+    it("uses the tenant's provider, with its model or the provider's default", () => {
+      expect(select({ tenant: 'AClocal' })).toBe('local:ggml-small');
+      expect(select({ tenant: 'ACfixture' })).toBe('fixture:default');
+    });
+
+    it('lets the request override the tenant', () => {
+      expect(select({ tenant: 'AClocal', provider: 'fixture' })).toBe('fixture:default');
+      expect(select({ tenant: 'AClocal', model: 'ggml-tiny' })).toBe('local:ggml-tiny');
+      expect(select({ tenant: 'AClocal', provider: 'google' })).toBe('google:latest_long');
+      expect(select({ provider: 'google', model: 'phone_call' })).toBe('google:phone_call');
+    });
+
+    it('reuses provider instances', () => {
+      expect(providers.select({ tenant: 'AClocal' }).provider).toBe(providers.select({ provider: 'local' }).provider);
+    });
+
+    it('rejects unknown providers', () => {
+      expect(() => select({ provider: 'nope' })).toThrow('Unknown STT provider "nope" (expected one of: google, local, fixture)');
+      expect(() => new SpeechProviders(logger, { provider: 'nope' })).toThrow('Unknown STT provider "nope"');
+      expect(() => new SpeechProviders(logger, { tenants: 'AC1=nope' })).toThrow('Unknown STT provider "nope"');
+    });
+  });
+
+  describe('settings', () => {
+    it('parses tenant choices', () => {
+      expect([...SpeechProviders.parseTenants('AC1=local, AC2=google:phone_call,AC3=fixture:')]).toEqual([
+        ['AC1', { provider: 'local', model: null }],
+        ['AC2', { provider: 'google', model: 'phone_call' }],
+        ['AC3', { provider: 'fixture', model: null }]
+      ]);
+      expect(() => SpeechProviders.parseTenants('AC1')).toThrow('Invalid BATCH_STT_TENANTS entry "AC1"');
+    });
+
+    it('parses channel roles', () => {
+      expect(SpeechProviders.parseChannelRoles('caller, agent')).toEqual(['caller', 'agent']);
+      expect(SpeechProviders.parseChannelRoles('')).toEqual([]);
+      expect(() => SpeechProviders.parseChannelRoles('caller,bot')).toThrow('Invalid RECORDING_CHANNEL_ROLES role "bot"');
+    });
+  });
+
+  describe('transcribe', () => {
+    it('transcribes with the selected provider and reports diarized speakers', async () => {
+      const providers = new SpeechProviders(logger, { provider: 'fixture', language: 'bn-BD' });
+
+      const result = await providers.transcribe(recording, { model: 'default' });
+
+      expect(result).toMatchObject({ provider: 'fixture', model: 'default', language: 'bn-BD', duration: 25, attribution: 'diarization' });
+      expect(result.segments.map(segment => segment.speaker)).toEqual(['agent', 'caller']);
+    });
+
+    it('refuses a provider that is not configured', async () => {
+      const providers = new SpeechProviders(logger, { provider: 'google', google: { credentials: null } });
+      const previous = process.env.GOOGLE_APPLICATION_CREDENTIALS;
+      delete process.env.GOOGLE_APPLICATION_CREDENTIALS;
+
+      try {
+        await expect(providers.transcribe(recording, {})).rejects.toThrow('STT provider "google" is not configured');
+      } finally {
+        if (previous !== undefined) process.env.GOOGLE_APPLICATION_CREDENTIALS = previous;
+      }
+    });
+
+    it('transcribes each channel of a stereo recording with its role', async () => {
+      const stereo = path.join(workDir, 'stereo.wav');
+      await fs.writeFile(stereo, wav({ channels: 2, data: interleaved(2, 800) }));
+      const audio = await AudioInspector.inspect(stereo);
+      const providers = new SpeechProviders(logger, { provider: 'fixture', channelRoles: 'caller,agent' });
+      const fixture = providers.get('fixture');
+      const transcribe = jest.spyOn(fixture, 'transcribe');
+
+      const result = await providers.transcribe(stereo, { model: 'code-mixed', audio });
+
+      expect(transcribe.mock.calls.map(([, request]) => request.speaker)).toEqual(['caller', 'agent']);
+      expect(transcribe.mock.calls.every(([, request]) => request.audio.channels === 1)).toBe(true);
+      expect(result.attribution).toBe('channel');
+      expect(result.channels).toEqual([{ channel: 1, role: 'caller' }, { channel: 2, role: 'agent' }]);
+      expect(result.segments.map(segment => [segment.channel, segment.speaker, segment.startTime])).toEqual([
+        [2, 'agent', 0],
+        [1, 'caller', 3.6],
+        [2, 'agent', 7.8],
+        [1, 'caller', 11]
+      ]);
+      expect(result.duration).toBe(0.1);
+    });
+
+    it('transcribes stereo recordings as one without channel roles', async () => {
+      const stereo = path.join(workDir, 'stereo-diarized.wav');
+      await fs.writeFile(stereo, wav({ channels: 2, data: interleaved(2, 800) }));
+      const audio = await AudioInspector.inspect(stereo);
+      const providers = new SpeechProviders(logger, { provider: 'fixture', channelRoles: '' });
+
+      const result = await providers.transcribe(stereo, { model: 'default', audio });
+
+      expect(result.attribution).toBe('diarization');
+      expect(result.channels).toBeUndefined();
+    });
+  });
+});
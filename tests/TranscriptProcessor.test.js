@@ -0,0 +1,142 @@
+const pino = require('pino');
+const DatabaseManager = require('../lib/DatabaseManager');
+const TranscriptProcessor = require('../lib/TranscriptProcessor');
+
+const logger = pino({ level: 'silent' });
+
+const prompt = { id: 'p1', pattern: 'welcome.wav', match_type: 'exact', text: 'Welcome to VoiceERP', language: 'en-US' };
+
+const playback = (type, extra = {}) => ({
+  type,
+  callSid: 'CA1',
+  filePath: '/var/prompts/welcome.wav',
+  fileName: 'welcome.wav',
+  speaker: 'agent',
+  segmentId: 'seg-1',
+  ...extra
+});
+
+describe('TranscriptProcessor', () => {
+  let db;
+  let processor;
+
+  beforeEach(async () => {
+    process.env.DB_DRIVER = 'sqlite';
+    process.env.SQLITE_PATH = ':memory:';
+    db = new DatabaseManager(logger);
+    await db.initialize();
+    // Queues and Redis are only created by initialize()
+    processor = new TranscriptProcessor(logger, db);
+  });
+
+  afterEach(async () => {
+    await db.close();
+    delete process.env.DB_DRIVER;
+  });
+
+  describe('processAudioJob', () => {
+    test('turns catalogued playbacks into completed agent segments', async () => {
+      const start = Date.parse('2026-01-05T10:00:00Z');
+
+      await processor.processAudioJob(playback('audio_start', { prompt, timestamp: start }));
+      await processor.processAudioJob(playback('audio_complete', { prompt, timestamp: start + 2500, durationMs: 2500 }));
+      await processor.segmentBuffer.flush();
+
+      const [segment] = await db.getTranscriptSegments('CA1');
+      expect(segment).toMatchObject({
+        id: 'seg-1',
+        speaker: 'agent',
+        text: 'Welcome to VoiceERP',
+        source_type: 'prompt_catalog',
+        end_time: '2026-01-05T10:00:02.500Z',
+        duration_ms: 2500
+      });
+    });
+
+    test('completes stored prompt segments', async () => {
+      await processor.processAudioJob(playback('audio_start', { prompt, timestamp: Date.now() }));
+      await processor.segmentBuffer.flush();
+
+      await processor.processAudioJob(playback('audio_complete', { prompt, timestamp: Date.now(), durationMs: 900 }));
+
+      const [segment] = await db.getTranscriptSegments('CA1');
+      expect(segment.duration_ms).toBe(900);
+    });
+
+    test('leaves uncatalogued playbacks without segment updates', async () => {
+      const update = jest.spyOn(db, 'updateTranscriptSegment');
+
+      await processor.processAudioJob(playback('audio_start', { timestamp: Date.now() }));
+      await processor.processAudioJob(playback('audio_complete', { timestamp: Date.now(), durationMs: 900 }));
+      await processor.segmentBuffer.flush();
+
+      expect(update).not.toHaveBeenCalled();
+      await expect(db.getTranscriptSegments('CA1')).resolves.toEqual([]);
+    });
+
+    test('fails the completion job until the prompt segment exists', async () => {
+      const insertAudioEvent = jest.spyOn(db, 'insertAudioEvent');
+
+      await expect(processor.processAudioJob(playback('audio_complete', { prompt, timestamp: Date.now() })))
+        .rejects.toThrow('Prompt segment seg-1 not stored yet');
+      expect(insertAudioEvent).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('call lifecycle', () => {
+    const call = {
+      callSid: 'CA9',
+      conversationId: 'CA9',
+      legRole: 'a_leg',
+      parentCallSid: null,
+      callerNumber: '01712345678',
+      destinationNumber: '16789',
+      mediaServer: 'fs1',
+      startTime: Date.parse('2026-01-05T10:00:00Z'),
+      metadata: {}
+    };
+
+    test('stores an answer that arrives while the call row is still being inserted', async () => {
+      const insert = db.insertCallTranscript.bind(db);
+      jest.spyOn(db, 'insertCallTranscript').mockImplementation(async (row) => {
+        await new Promise(resolve => setTimeout(resolve, 20));
+        return insert(row);
+      });
+
+      const answerTime = call.startTime + 1200;
+      await Promise.all([
+        processor.processCallStart(call),
+        processor.processCallAnswer({ ...call, answerTime, metadata: { account_sid: 'AC1' } }),
+        processor.processBargeIn({ ...call, bargeIns: 1 })
+      ]);
+
+      const row = await db.getCallTranscript('CA9');
+      expect(new Date(row.answer_time).getTime()).toBe(answerTime);
+      expect(JSON.parse(row.metadata)).toEqual({ account_sid: 'AC1' });
+      expect(row.barge_in_count).toBe(1);
+    });
+
+    test('warns when an update finds no call row', async () => {
+      const warn = jest.spyOn(logger, 'warn');
+
+      await processor.processCallAnswer({ ...call, callSid: 'CA-missing', answerTime: Date.now() });
+
+      expect(warn).toHaveBeenCalledWith('⚠️ No call row for CA-missing, answer not stored');
+      warn.mockRestore();
+    });
+  });
+
+  describe('live events', () => {
+    test('queues TTS, STT and DTMF events when the call cache is down', async () => {
+      const add = jest.fn().mockResolvedValue();
+      processor.queues = { tts: { add }, stt: { add } };
+      processor.callCache = { addEvent: jest.fn().mockRejectedValue(new Error('The client is offline')) };
+
+      await processor.processTTSEvent({ callSid: 'CA1', text: 'Welcome' });
+      await processor.processSTTEvent({ callSid: 'CA1', text: 'Hello' });
+      await processor.processDTMFEvent({ callSid: 'CA1', digits: '1' });
+
+      expect(add.mock.calls.map(([name]) => name)).toEqual(['tts-event', 'stt-event', 'dtmf-event']);
+    });
+  });
+});
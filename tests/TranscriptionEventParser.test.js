@@ -0,0 +1,92 @@
+const TranscriptionEventParser = require('../lib/TranscriptionEventParser');
+
+const GOOGLE = 'google_transcribe::transcription';
+const AZURE = 'azure_transcribe::transcription';
+const DEEPGRAM = 'deepgram_transcribe::transcription';
+
+describe('TranscriptionEventParser', () => {
+  it('lists the supported subclasses', () => {
+    expect(TranscriptionEventParser.SUBCLASSES).toEqual([GOOGLE, AZURE, DEEPGRAM]);
+    expect(TranscriptionEventParser.supports(GOOGLE)).toBe(true);
+    expect(TranscriptionEventParser.supports('toString')).toBe(false);
+  });
+
+  describe('google', () => {
+    it('parses a final result', () => {
+      const body = JSON.stringify({
+        is_final: true,
+        language_code: 'bn-bd',
+        alternatives: [{ transcript: ' আমার বিল ', confidence: 0.93 }, { transcript: 'আমার বিলে', confidence: '0.4' }]
+      });
+
+      expect(TranscriptionEventParser.parse(GOOGLE, body)).toEqual({
+        vendor: 'google',
+        language: 'bn-BD',
+        isFinal: true,
+        text: 'আমার বিল',
+        confidence: 0.93,
+        alternatives: [{ text: 'আমার বিল', confidence: 0.93 }, { text: 'আমার বিলে', confidence: 0.4 }]
+      });
+    });
+
+    it('parses the array bodies of older module versions', () => {
+      const body = JSON.stringify([{ is_final: false, alternatives: [{ transcript: 'hello' }] }]);
+
+      expect(TranscriptionEventParser.parse(GOOGLE, body)).toMatchObject({ isFinal: false, text: 'hello', confidence: null, language: null });
+    });
+  });
+
+  describe('azure', () => {
+    it('parses a final result from NBest', () => {
+      const body = JSON.stringify({
+        RecognitionStatus: 'Success',
+        DisplayText: 'Hello.',
+        PrimaryLanguage: { Language: 'en_us' },
+        NBest: [{ Display: 'Hello.', Lexical: 'hello', Confidence: 0.97 }]
+      });
+
+      expect(TranscriptionEventParser.parse(AZURE, body)).toMatchObject({
+        vendor: 'azure', language: 'en-US', isFinal: true, text: 'Hello.', confidence: 0.97
+      });
+    });
+
+    it('parses an interim hypothesis', () => {
+      const body = JSON.stringify({ Text: 'hel', Offset: 100, Duration: 200 });
+
+      expect(TranscriptionEventParser.parse(AZURE, body)).toMatchObject({ isFinal: false, text: 'hel', confidence: null });
+    });
+
+    it('ignores unsuccessful recognitions', () => {
+      expect(TranscriptionEventParser.parse(AZURE, JSON.stringify({ RecognitionStatus: 'NoMatch' }))).toBeNull();
+    });
+  });
+
+  describe('deepgram', () => {
+    it('parses results', () => {
+      const body = JSON.stringify({
+        type: 'Results',
+        is_final: true,
+        channel: { detected_language: 'hi', alternatives: [{ transcript: 'namaste', confidence: 0.99 }] }
+      });
+
+      expect(TranscriptionEventParser.parse(DEEPGRAM, body)).toMatchObject({
+        vendor: 'deepgram', language: 'hi', isFinal: true, text: 'namaste', confidence: 0.99
+      });
+    });
+
+    it('ignores other message types', () => {
+      expect(TranscriptionEventParser.parse(DEEPGRAM, JSON.stringify({ type: 'Metadata' }))).toBeNull();
+    });
+  });
+
+  it('returns null without a transcript', () => {
+    expect(TranscriptionEventParser.parse(GOOGLE, JSON.stringify({ is_final: true, alternatives: [] }))).toBeNull();
+    expect(TranscriptionEventParser.parse(GOOGLE, JSON.stringify({ alternatives: [{ transcript: '  ' }] }))).toBeNull();
+    expect(TranscriptionEventParser.parse(GOOGLE, '')).toBeNull();
+    expect(TranscriptionEventParser.parse('other::event', '{}')).toBeNull();
+  });
+
+  it('rejects bodies that are not JSON', () => {
+    expect(() => TranscriptionEventParser.parse(GOOGLE, '{oops')).toThrow(`Invalid ${GOOGLE} body:`);
+  });
+});
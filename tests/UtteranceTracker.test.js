@@ -0,0 +1,48 @@
+const UtteranceTracker = require('../lib/UtteranceTracker');
+
+describe('UtteranceTracker', () => {
+  it('keeps one utterance id across interim results and the final', () => {
+    const tracker = new UtteranceTracker();
+
+    const first = tracker.track('CA1', 'caller', false);
+    const second = tracker.track('CA1', 'caller', false);
+    const final = tracker.track('CA1', 'caller', true);
+
+    expect(second).toEqual({ utteranceId: first.utteranceId, revision: 2 });
+    expect(final).toEqual({ utteranceId: first.utteranceId, revision: 3 });
+    expect(tracker.size).toBe(0);
+  });
+
+  it('starts a new utterance after a final result', () => {
+    const tracker = new UtteranceTracker();
+
+    const first = tracker.track('CA1', 'caller', true);
+    const next = tracker.track('CA1', 'caller', false);
+
+    expect(next.utteranceId).not.toBe(first.utteranceId);
+    expect(next.revision).toBe(1);
+  });
+
+  it('tracks every call and speaker on its own', () => {
+    const tracker = new UtteranceTracker();
+
+    const caller = tracker.track('CA1', 'caller', false);
+    const agent = tracker.track('CA1', 'agent', false);
+    const otherCall = tracker.track('CA2', 'caller', false);
+
+    expect(new Set([caller.utteranceId, agent.utteranceId, otherCall.utteranceId]).size).toBe(3);
+    expect(tracker.size).toBe(3);
+  });
+
+  it('forgets the open utterances of a finished call only', () => {
+    const tracker = new UtteranceTracker();
+    tracker.track('CA1', 'caller', false);
+    tracker.track('CA1', 'agent', false);
+    tracker.track('CA12', 'caller', false);
+
+    tracker.clear('CA1');
+
+    expect(tracker.size).toBe(1);
+    expect(tracker.track('CA12', 'caller', false).revision).toBe(2);
+  });
+});
@@ -0,0 +1,88 @@
+/**
+ * Audio test helpers
+ *
+ * Builds small WAV and MP3 files in memory for AudioInspector,
+ * ChannelSplitter and the STT tests.
+ */
+
+// RIFF/WAV file; `ext` writes a WAVE_FORMAT_EXTENSIBLE fmt chunk, `streaming`
+// leaves the RIFF and data sizes at 0 as a recorder still writing does, and
+// `list` puts an odd-sized LIST chunk before the fmt chunk
+function wav({ formatTag = 1, channels = 1, sampleRate = 8000, bitsPerSample = 16, data, ext = false, streaming = false, list = false }) {
+  const fmtLength = ext ? 40 : 16;
+  const fmt = Buffer.alloc(fmtLength);
+  const blockAlign = channels * bitsPerSample / 8;
+
+  fmt.writeUInt16LE(ext ? 0xFFFE : formatTag, 0);
+  fmt.writeUInt16LE(channels, 2);
+  fmt.writeUInt32LE(sampleRate, 4);
+  fmt.writeUInt32LE(sampleRate * blockAlign, 8);
+  fmt.writeUInt16LE(blockAlign, 12);
+  fmt.writeUInt16LE(bitsPerSample, 14);
+  if (ext) {
+    fmt.writeUInt16LE(22, 16);
+    fmt.writeUInt16LE(formatTag, 24);
+  }
+
+  const chunk = (id, size) => {
+    const header = Buffer.alloc(8);
+    header.write(id, 0, 'latin1');
+    header.writeUInt32LE(size, 4);
+    return header;
+  };
+
+  const parts = [Buffer.from('RIFF'), Buffer.alloc(4), Buffer.from('WAVE')];
+  if (list) parts.push(chunk('LIST', 3), Buffer.alloc(4));
+  parts.push(chunk('fmt ', fmtLength), fmt, chunk('data', streaming ? 0 : data.length), data);
+
+  const file = Buffer.concat(parts);
+  if (!streaming) file.writeUInt32LE(file.length - 8, 4);
+  return file;
+}
+
+// Interleaved 16-bit PCM where sample i of channel c is c * 1000 + i
+function interleaved(channels, frames) {
+  const data = Buffer.alloc(channels * frames * 2);
+  for (let frame = 0; frame < frames; frame++) {
+    for (let channel = 0; channel < channels; channel++) {
+      data.writeInt16LE(channel * 1000 + frame, (frame * channels + channel) * 2);
+    }
+  }
+  return data;
+}
+
+// Silent MPEG audio layer III frames: MPEG-1 128 kbps 44.1 kHz, or with
+// `mpeg2` 32 kbps 16 kHz; optionally behind an ID3v2 tag and with a Xing
+// header frame carrying the frame count
+function mp3({ frames = 100, xing = false, id3 = false, mono = false, mpeg2 = false }) {
+  const header = mpeg2 ? [0xFF, 0xF3, 0x48, mono ? 0xC4 : 0x04] : [0xFF, 0xFB, 0x90, mono ? 0xC4 : 0x04];
+  const frameBytes = mpeg2 ? Math.floor(72 * 32000 / 16000) : Math.floor(144 * 128000 / 44100);
+  const frame = () => {
+    const buffer = Buffer.alloc(frameBytes);
+    Buffer.from(header).copy(buffer);
+    return buffer;
+  };
+
+  const parts = [];
+  if (id3) {
+    const tag = Buffer.alloc(10 + 300);
+    tag.write('ID3', 0, 'latin1');
+    tag[3] = 3;
+    tag[8] = 300 >> 7;
+    tag[9] = 300 & 0x7F;
+    parts.push(tag);
+  }
+  if (xing) {
+    const first = frame();
+    const sideInfo = mpeg2 ? (mono ? 9 : 17) : (mono ? 17 : 32);
+    first.write('Xing', 4 + sideInfo, 'latin1');
+    first.writeUInt32BE(1, 8 + sideInfo);
+    first.writeUInt32BE(frames, 12 + sideInfo);
+    parts.push(first);
+  }
+  for (let index = 0; index < frames; index++) parts.push(frame());
+
+  return Buffer.concat(parts);
+}
+
+module.exports = { wav, interleaved, mp3 };